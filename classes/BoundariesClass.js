@@ -18,6 +18,9 @@ class Boundaries {
    * @param {string} [setUp.options.uniqueID] - A unique identifier for the boundary.
    * @param {boolean} [setUp.options.isTransparent] - Whether this boundary has transparent texture (sprites).
    * @param {boolean} [setUp.options.isSprite] - Whether this boundary is a sprite (always faces player).
+   * @param {number} [setUp.options.opacity=1] - Opacity (0-1) applied when drawing a transparent boundary.
+   * @param {number} [setUp.options.height=1] - Wall height in wall units (1 = standard wall, 0.5 = waist-high cover).
+   * @param {number} [setUp.options.baseElevation=0] - Height of the wall's bottom edge above the floor, in wall units.
    * @param {Object} [setUp.options.spriteSheet] - Sprite sheet configuration for 8-directional sprites (legacy).
    * @param {number} [setUp.options.spriteSheet.columns=8] - Number of columns in the sprite sheet.
    * @param {number} [setUp.options.spriteSheet.rows=6] - Number of rows in the sprite sheet.
@@ -37,13 +40,19 @@ class Boundaries {
     this.b = { x: x2, y: y2 }; // Point B of the boundary
     this.originalA = { x: x1, y: y1 }; // Original point A for rotation
     this.originalB = { x: x2, y: y2 }; // Original point B for rotation
+    this._initialA = { x: x1, y: y1 }; // Spawn-time endpoints (animation moves the others)
+    this._initialB = { x: x2, y: y2 };
     this.angle = 0; // Rotation angle
     this.texture = texture; // Boundary texture (can be null for solid color)
     this.color = options.color || null; // Solid color (used when texture is null)
     this.uniqueID = options.uniqueID || null; // Unique identifier
     this.isTransparent = options.isTransparent || false; // For sprites with transparency
     this.isSprite = options.isSprite || false; // Billboard sprites
+    this.opacity = options.opacity ?? 1; // Extra alpha for transparent boundaries (e.g. ghost sprites)
+    this.height = options.height ?? 1; // Wall height in wall units (1 = standard)
+    this.baseElevation = options.baseElevation ?? 0; // Bottom edge above the floor, in wall units
     this.isCurved = false; // Flag to identify this is not a curved wall
+    this.revision = 0; // Bumped whenever the geometry changes (keeps spatial grids in sync)
     
     // 8-directional sprite sheet configuration (legacy)
     this.spriteSheet = options.spriteSheet || null;
@@ -77,7 +86,7 @@ class Boundaries {
     this.repeatRotation = options.repeatRotation || false;
     this.currentRotationIndex = 0;
     this.rotationAccumulatedTime = 0;
-    this.lastRotationFrameTime = performance.now() * 0.001;
+    this.lastRotationFrameTime = null; // Set by the first update, so any clock can drive the animation
     this.isRotating = this.rotationStops.length > 0;
     this.currentAngle = 0;
     this.initialAngle = 0;
@@ -89,7 +98,7 @@ class Boundaries {
     this.repeatMovement = options.repeatMovement || false;
     this.currentMoveIndex = 0;
     this.moveAccumulatedTime = 0;
-    this.lastMoveFrameTime = performance.now() * 0.001;
+    this.lastMoveFrameTime = null;
     this.isMoving = this.moveStops.length > 0;
     this.currentPos = { x: this._initialCenterX, y: this._initialCenterY };
     this.targetPos = this._calculateNextTargetPosition();
@@ -142,27 +151,29 @@ class Boundaries {
   /**
    * Updates the boundary's animation state (movement and rotation)
    * Call this every frame for animated walls
+   * @param {number} [currentTime] - Simulation time in seconds (defaults to real time)
    */
-  update() {
+  update(currentTime = performance.now() * 0.001) {
     if (!this.isAnimated) return;
     
     if (this.isMoving) {
-      this._updateMovement();
+      this._updateMovement(currentTime);
     }
     
     if (this.isRotating) {
-      this._updateRotation();
+      this._updateRotation(currentTime);
     }
   }
 
   /**
-   * Updates the rotation animation using real time
+   * Updates the rotation animation
+   * @param {number} currentTime - Current time in seconds
    * @private
    */
-  _updateRotation() {
+  _updateRotation(currentTime) {
     if (!this.isRotating) return;
 
-    const currentTime = performance.now() * 0.001;
+    if (this.lastRotationFrameTime === null) this.lastRotationFrameTime = currentTime;
     const frameDeltaTime = currentTime - this.lastRotationFrameTime;
     this.rotationAccumulatedTime += frameDeltaTime;
     this.lastRotationFrameTime = currentTime;
@@ -206,13 +217,14 @@ class Boundaries {
   }
 
   /**
-   * Updates the movement animation using real time
+   * Updates the movement animation
+   * @param {number} currentTime - Current time in seconds
    * @private
    */
-  _updateMovement() {
+  _updateMovement(currentTime) {
     if (!this.isMoving) return;
 
-    const currentTime = performance.now() * 0.001;
+    if (this.lastMoveFrameTime === null) this.lastMoveFrameTime = currentTime;
     const frameDeltaTime = currentTime - this.lastMoveFrameTime;
     this.moveAccumulatedTime += frameDeltaTime;
     this.lastMoveFrameTime = currentTime;
@@ -275,14 +287,14 @@ class Boundaries {
     // Reset movement animation state
     this.currentMoveIndex = 0;
     this.moveAccumulatedTime = 0;
-    this.lastMoveFrameTime = performance.now() * 0.001;
+    this.lastMoveFrameTime = null;
     this.isMoving = this.moveStops.length > 0;
     this.targetPos = this._calculateNextTargetPosition();
     
     // Reset rotation animation state
     this.currentRotationIndex = 0;
     this.rotationAccumulatedTime = 0;
-    this.lastRotationFrameTime = performance.now() * 0.001;
+    this.lastRotationFrameTime = null;
     this.isRotating = this.rotationStops.length > 0;
     this.targetAngle = this._calculateNextTargetAngle();
     
@@ -294,6 +306,8 @@ class Boundaries {
    * @private
    */
   _updateCache() {
+    this.revision++;
+
     const dx = this.b.x - this.a.x;
     const dy = this.b.y - this.a.y;
     this.length = Math.sqrt(dx * dx + dy * dy);
@@ -503,6 +517,51 @@ class Boundaries {
   setFacingDirection(direction) {
     this.facingDirection = direction;
   }
+
+  /**
+   * Whether the wall spans a given height above the floor (i.e. blocks a sight line at that height)
+   * @param {number} height - Height above the floor in wall units
+   * @returns {boolean}
+   */
+  coversHeight(height) {
+    return this.baseElevation <= height && this.baseElevation + this.height >= height;
+  }
+
+  /**
+   * Serializes the boundary's spawn-time state for the JSON map format.
+   * Textures are referenced by their Textures key; optional fields are omitted when unset.
+   * @returns {Object} Plain wall definition
+   */
+  toJSON() {
+    const json = {
+      type: 'wall',
+      x1: this._initialA.x,
+      y1: this._initialA.y,
+      x2: this._initialB.x,
+      y2: this._initialB.y
+    };
+
+    if (this.texture && this.texture.textureKey) json.texture = this.texture.textureKey;
+    if (this.color) json.color = this.color;
+    if (this.uniqueID !== null) json.uniqueID = this.uniqueID;
+    if (this.isTransparent) json.isTransparent = true;
+    if (this.isSprite) json.isSprite = true;
+    if (this.height !== 1) json.height = this.height;
+    if (this.baseElevation !== 0) json.baseElevation = this.baseElevation;
+
+    if (this.rotationStops.length > 0) {
+      json.rotationStops = [...this.rotationStops];
+      json.rotationTime = this.rotationTime;
+      json.repeatRotation = this.repeatRotation;
+    }
+    if (this.moveStops.length > 0) {
+      json.moveStops = this.moveStops.map(stop => ({ x: stop.x, y: stop.y }));
+      json.moveTime = this.moveTime;
+      json.repeatMovement = this.repeatMovement;
+    }
+
+    return json;
+  }
 }
 
 export default Boundaries;
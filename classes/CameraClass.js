@@ -22,6 +22,8 @@ import { RenderConfig, PlayerConfig } from "../config/GameConfig.js";
  * @property {string|null} color - Solid color for untextured walls.
  * @property {Boundaries|null} boundary - The intersected boundary object.
  * @property {RayHit[]} [transparentHits] - Array of transparent boundary hits behind this one.
+ * @property {RayHit[]} [partialHits] - Opaque walls in front of this one that don't fill the full wall
+ *           height (low cover, raised walls), so the wall behind them still shows.
  */
 
 // Rendering constants (from config)
@@ -112,6 +114,7 @@ class CameraClass {
         color: null,
         boundary: null,
         transparentHits: [],
+        partialHits: [],
         heightMultiplier: 0 // Store precomputed multiplier for renderer
       };
     }
@@ -222,6 +225,45 @@ class CameraClass {
     this._updateRays();
   }
 
+  /**
+   * Changes the number of rays cast (adaptive quality)
+   * Reallocates the per-ray buffers and keeps the current pose and FOV
+   * @param {number} rayCount - New number of rays
+   */
+  setRayCount(rayCount) {
+    if (this.rayCount === rayCount) return;
+
+    this.rayCount = rayCount;
+
+    this.rays = new Array(rayCount);
+    for (let i = 0; i < rayCount; i++) {
+      this.rays[i] = new RayClass(this.pos.x, this.pos.y, 0);
+    }
+
+    this._sceneResult = new Array(rayCount);
+    for (let i = 0; i < rayCount; i++) {
+      this._sceneResult[i] = {
+        distance: Infinity,
+        textureX: 0,
+        texture: null,
+        color: null,
+        boundary: null,
+        transparentHits: [],
+        partialHits: [],
+        heightMultiplier: 0
+      };
+    }
+
+    this.angleOffsets = new Float32Array(rayCount);
+    this.cosCache = new Float32Array(rayCount);
+    this.heightMultipliers = new Float32Array(rayCount);
+
+    // Recalculate angle offsets, cos cache, height multipliers and rays for the current FOV
+    const fov = this.fov;
+    this.fov = null;
+    this.setFov(fov);
+  }
+
   /**
    * Quick check if a boundary could possibly be visible
    * Uses conservative culling to avoid false negatives
@@ -270,16 +312,18 @@ class CameraClass {
 
   /**
    * Updates the spatial grid with new boundaries
-   * Only rebuilds if boundaries array has changed
+   * Rebuilds if the boundaries array has changed, otherwise re-inserts the
+   * boundaries that moved (doors, animated walls) since the last frame
    * @param {Array<Boundaries>} boundaries - Array of boundary objects
    * @private
    */
   _updateSpatialGrid(boundaries) {
-    // Only rebuild if boundaries changed
     if (boundaries !== this._lastBoundaries) {
       this.spatialGrid.buildFromBoundaries(boundaries);
       this._lastBoundaries = boundaries;
       this._spatialGridDirty = false;
+    } else {
+      this.spatialGrid.syncBoundaries(boundaries);
     }
   }
 
@@ -311,6 +355,7 @@ class CameraClass {
       let texture = null;
       let color = null;
       let hitBoundary = null;
+      const partialHits = [];
       
       // Get boundaries to test - either from spatial grid or pre-filtered list
       let boundariesToTest;
@@ -356,6 +401,12 @@ class CameraClass {
           // Apply fisheye correction
           const correctedDist = dist * cosCorrection;
 
+          // Low or raised walls don't end the ray - the wall behind them is still visible
+          if (hitBound.height < 1 || hitBound.baseElevation > 0) {
+            partialHits.push(this._createWallHit(hitBound, point, angle, correctedDist));
+            continue;
+          }
+
           if (correctedDist < closestDist) {
             closestDist = correctedDist;
             closestHit = point;
@@ -438,6 +489,7 @@ class CameraClass {
       sceneItem.color = color;
       sceneItem.boundary = hitBoundary;
       sceneItem.transparentHits = transparentHits;
+      sceneItem.partialHits = this._filterPartialHits(partialHits, closestDist);
       sceneItem.heightMultiplier = heightMult; // Pass to renderer
     }
   }
@@ -487,6 +539,91 @@ class CameraClass {
     return scene;
   }
 
+  /**
+   * Builds the scene from hits found off the main thread (see RaycastManager).
+   * The worker only knows which boundary each ray hit and where; textures,
+   * texture coordinates and directional sprite frames are filled in here,
+   * the same way spread() does.
+   *
+   * @param {Object} cast - Hit buffers returned by the raycast worker
+   * @param {Float32Array} cast.distances - Closest full-height wall distance per ray (fisheye-corrected)
+   * @param {Int32Array} cast.boundaryIndices - Index of that wall in boundaries (-1 = none)
+   * @param {Float32Array} cast.hitData - Hit point x, y and curved-wall angle per ray
+   * @param {Uint8Array} cast.extraCounts - Partial-height and transparent hits per ray
+   * @param {Float32Array} cast.extraHits - Boundary index, distance, x, y and angle per extra hit
+   * @param {number} maxExtraHits - Extra hit slots per ray in cast.extraHits
+   * @param {Array<Boundaries>} boundaries - The boundaries the worker cast against
+   * @returns {Array<RayIntersection>} Scene intersection data
+   */
+  buildScene(cast, maxExtraHits, boundaries) {
+    const scene = this._sceneResult;
+    const { distances, boundaryIndices, hitData, extraCounts, extraHits } = cast;
+
+    for (let i = 0; i < this.rayCount; i++) {
+      const sceneItem = scene[i];
+      const boundary = boundaries[boundaryIndices[i]] || null;
+
+      sceneItem.distance = distances[i];
+      sceneItem.boundary = boundary;
+      sceneItem.heightMultiplier = this.heightMultipliers[i];
+
+      if (boundary) {
+        const point = { x: hitData[i * 3], y: hitData[i * 3 + 1] };
+        const texResult = this._calculateTextureX(boundary, point, hitData[i * 3 + 2]);
+        sceneItem.textureX = typeof texResult === 'object' ? texResult.textureX : texResult;
+        sceneItem.texture = boundary.texture;
+        sceneItem.color = boundary.color || null;
+      } else {
+        sceneItem.textureX = 0;
+        sceneItem.texture = null;
+        sceneItem.color = null;
+      }
+
+      const transparentHits = [];
+      const partialHits = [];
+      const rayOffset = i * maxExtraHits * 5;
+
+      for (let k = 0; k < extraCounts[i]; k++) {
+        const offset = rayOffset + k * 5;
+        const hitBound = boundaries[extraHits[offset]];
+        if (!hitBound) continue;
+
+        const point = { x: extraHits[offset + 2], y: extraHits[offset + 3] };
+        const angle = extraHits[offset + 4];
+        const correctedDist = extraHits[offset + 1];
+
+        if (!hitBound.isTransparent) {
+          partialHits.push(this._createWallHit(hitBound, point, angle, correctedDist));
+          continue;
+        }
+
+        const texResult = this._calculateTextureX(hitBound, point, angle);
+        const isDirectional = typeof texResult === 'object' && texResult.isDirectional;
+
+        transparentHits.push({
+          distance: correctedDist,
+          textureX: isDirectional ? texResult.textureX : texResult,
+          texture: hitBound.texture,
+          color: hitBound.color || null,
+          boundary: hitBound,
+          point,
+          spriteTexture: isDirectional ? texResult.spriteTexture || null : null,
+          mirrored: isDirectional ? texResult.mirrored || false : false
+        });
+      }
+
+      // Sort by distance (closest first)
+      if (transparentHits.length > 1) {
+        transparentHits.sort((a, b) => a.distance - b.distance);
+      }
+
+      sceneItem.transparentHits = transparentHits;
+      sceneItem.partialHits = partialHits;
+    }
+
+    return scene;
+  }
+
   /**
    * Legacy spread method for compatibility - processes rays individually
    * @param {Array<Boundaries>} boundaries - Array of boundary objects
@@ -525,6 +662,7 @@ class CameraClass {
       let texture = null;
       let color = null;
       let hitBoundary = null;
+      const partialHits = [];
       
       // Check opaque boundaries - find closest
       for (let j = 0; j < numOpaque; j++) {
@@ -547,6 +685,12 @@ class CameraClass {
           // Apply fisheye correction
           const correctedDist = dist * cosCorrection;
 
+          // Low or raised walls don't end the ray - the wall behind them is still visible
+          if (hitBound.height < 1 || hitBound.baseElevation > 0) {
+            partialHits.push(this._createWallHit(hitBound, point, angle, correctedDist));
+            continue;
+          }
+
           if (correctedDist < closestDist) {
             closestDist = correctedDist;
             closestHit = point;
@@ -630,11 +774,45 @@ class CameraClass {
       sceneItem.color = color;
       sceneItem.boundary = hitBoundary;
       sceneItem.transparentHits = transparentHits;
+      sceneItem.partialHits = this._filterPartialHits(partialHits, closestDist);
     }
     
     return scene;
   }
   
+  /**
+   * Builds the hit record for a wall that doesn't fill the full wall height
+   * @param {Boundaries|CurvedWall} boundary - The hit boundary
+   * @param {{x: number, y: number}} point - The intersection point
+   * @param {number} [angle] - For curved walls, the angle at intersection
+   * @param {number} distance - Fisheye-corrected distance
+   * @returns {RayHit} Hit record
+   * @private
+   */
+  _createWallHit(boundary, point, angle, distance) {
+    const texResult = this._calculateTextureX(boundary, point, angle);
+    return {
+      distance,
+      textureX: typeof texResult === 'object' ? texResult.textureX : texResult,
+      texture: boundary.texture,
+      color: boundary.color || null,
+      boundary,
+      point
+    };
+  }
+
+  /**
+   * Keeps the partial-height hits in front of the closest full-height wall
+   * @param {RayHit[]} partialHits - Partial-height hits along the ray
+   * @param {number} closestDist - Distance of the closest full-height wall
+   * @returns {RayHit[]} Visible partial-height hits
+   * @private
+   */
+  _filterPartialHits(partialHits, closestDist) {
+    if (partialHits.length === 0) return partialHits;
+    return partialHits.filter(hit => hit.distance < closestDist);
+  }
+
   /**
    * Calculates the texture X coordinate for a hit point on a boundary
    * Handles both straight walls and curved walls with automatic tiling
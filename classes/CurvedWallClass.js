@@ -18,6 +18,8 @@ class CurvedWall {
    * @param {Object} [config.options] - Additional options.
    * @param {string} [config.options.uniqueID] - A unique identifier for the curved wall.
    * @param {boolean} [config.options.isTransparent] - Whether this boundary has transparent texture.
+   * @param {number} [config.options.height=1] - Wall height in wall units (1 = standard wall).
+   * @param {number} [config.options.baseElevation=0] - Height of the wall's bottom edge above the floor, in wall units.
    * @param {number[]} [config.options.rotationStops] - Array of angles for rotation animation (radians).
    * @param {number} [config.options.rotationTime=1] - Duration in seconds for each rotation step.
    * @param {boolean} [config.options.repeatRotation=false] - Whether to repeat the rotation animation.
@@ -35,7 +37,10 @@ class CurvedWall {
     this.color = options.color || null; // Solid color for untextured curved walls
     this.uniqueID = options.uniqueID || null;
     this.isTransparent = options.isTransparent || false;
+    this.height = options.height ?? 1; // Wall height in wall units (1 = standard)
+    this.baseElevation = options.baseElevation ?? 0; // Bottom edge above the floor, in wall units
     this.isCurved = true; // Flag to identify curved walls
+    this.revision = 0; // Bumped whenever the geometry changes (keeps spatial grids in sync)
     
     // Store initial values for animations
     this._initialCenterX = centerX;
@@ -49,7 +54,7 @@ class CurvedWall {
     this.repeatRotation = options.repeatRotation || false;
     this.currentRotationIndex = 0;
     this.rotationAccumulatedTime = 0;
-    this.lastRotationFrameTime = performance.now() * 0.001;
+    this.lastRotationFrameTime = null; // Set by the first update, so any clock can drive the animation
     this.isRotating = this.rotationStops.length > 0;
     this.currentRotationAngle = 0;
     this.initialRotationAngle = 0;
@@ -61,7 +66,7 @@ class CurvedWall {
     this.repeatMovement = options.repeatMovement || false;
     this.currentMoveIndex = 0;
     this.moveAccumulatedTime = 0;
-    this.lastMoveFrameTime = performance.now() * 0.001;
+    this.lastMoveFrameTime = null;
     this.isMoving = this.moveStops.length > 0;
     this.currentPos = { x: centerX, y: centerY };
     this.targetPos = this._calculateNextTargetPosition();
@@ -114,28 +119,30 @@ class CurvedWall {
   /**
    * Updates the curved wall's animation state (movement and rotation)
    * Call this every frame for animated walls
+   * @param {number} [currentTime] - Simulation time in seconds (defaults to real time)
    */
-  update() {
+  update(currentTime = performance.now() * 0.001) {
     if (!this.isAnimated) return;
     
     if (this.isMoving) {
-      this._updateMovement();
+      this._updateMovement(currentTime);
     }
     
     if (this.isRotating) {
-      this._updateRotation();
+      this._updateRotation(currentTime);
     }
   }
 
   /**
-   * Updates the rotation animation using real time
+   * Updates the rotation animation
    * Rotates the arc around its center by adjusting start/end angles
+   * @param {number} currentTime - Current time in seconds
    * @private
    */
-  _updateRotation() {
+  _updateRotation(currentTime) {
     if (!this.isRotating) return;
 
-    const currentTime = performance.now() * 0.001;
+    if (this.lastRotationFrameTime === null) this.lastRotationFrameTime = currentTime;
     const frameDeltaTime = currentTime - this.lastRotationFrameTime;
     this.rotationAccumulatedTime += frameDeltaTime;
     this.lastRotationFrameTime = currentTime;
@@ -190,13 +197,14 @@ class CurvedWall {
   }
 
   /**
-   * Updates the movement animation using real time
+   * Updates the movement animation
+   * @param {number} currentTime - Current time in seconds
    * @private
    */
-  _updateMovement() {
+  _updateMovement(currentTime) {
     if (!this.isMoving) return;
 
-    const currentTime = performance.now() * 0.001;
+    if (this.lastMoveFrameTime === null) this.lastMoveFrameTime = currentTime;
     const frameDeltaTime = currentTime - this.lastMoveFrameTime;
     this.moveAccumulatedTime += frameDeltaTime;
     this.lastMoveFrameTime = currentTime;
@@ -263,14 +271,14 @@ class CurvedWall {
     // Reset movement animation state
     this.currentMoveIndex = 0;
     this.moveAccumulatedTime = 0;
-    this.lastMoveFrameTime = performance.now() * 0.001;
+    this.lastMoveFrameTime = null;
     this.isMoving = this.moveStops.length > 0;
     this.targetPos = this._calculateNextTargetPosition();
     
     // Reset rotation animation state
     this.currentRotationIndex = 0;
     this.rotationAccumulatedTime = 0;
-    this.lastRotationFrameTime = performance.now() * 0.001;
+    this.lastRotationFrameTime = null;
     this.isRotating = this.rotationStops.length > 0;
     this.targetRotationAngle = this._calculateNextTargetAngle();
     
@@ -283,6 +291,8 @@ class CurvedWall {
    * @private
    */
   _updateCache() {
+    this.revision++;
+
     // Normalize angles once
     this._normalizedStart = normalizeAngle(this.startAngle);
     this._normalizedEnd = normalizeAngle(this.endAngle);
@@ -475,6 +485,51 @@ class CurvedWall {
     const maxDistFromCenter = this.radius + maxDist;
     return distSq <= maxDistFromCenter * maxDistFromCenter;
   }
+
+  /**
+   * Whether the wall spans a given height above the floor (i.e. blocks a sight line at that height)
+   * @param {number} height - Height above the floor in wall units
+   * @returns {boolean}
+   */
+  coversHeight(height) {
+    return this.baseElevation <= height && this.baseElevation + this.height >= height;
+  }
+
+  /**
+   * Serializes the curved wall's spawn-time state for the JSON map format.
+   * Textures are referenced by their Textures key; optional fields are omitted when unset.
+   * @returns {Object} Plain curved wall definition
+   */
+  toJSON() {
+    const json = {
+      type: 'curve',
+      centerX: this._initialCenterX,
+      centerY: this._initialCenterY,
+      radius: this.radius,
+      startAngle: this._initialStartAngle,
+      endAngle: this._initialEndAngle
+    };
+
+    if (this.texture && this.texture.textureKey) json.texture = this.texture.textureKey;
+    if (this.color) json.color = this.color;
+    if (this.uniqueID !== null) json.uniqueID = this.uniqueID;
+    if (this.isTransparent) json.isTransparent = true;
+    if (this.height !== 1) json.height = this.height;
+    if (this.baseElevation !== 0) json.baseElevation = this.baseElevation;
+
+    if (this.rotationStops.length > 0) {
+      json.rotationStops = [...this.rotationStops];
+      json.rotationTime = this.rotationTime;
+      json.repeatRotation = this.repeatRotation;
+    }
+    if (this.moveStops.length > 0) {
+      json.moveStops = this.moveStops.map(stop => ({ x: stop.x, y: stop.y }));
+      json.moveTime = this.moveTime;
+      json.repeatMovement = this.repeatMovement;
+    }
+
+    return json;
+  }
 }
 
 export default CurvedWall;
@@ -0,0 +1,125 @@
+import Boundaries from './BoundariesClass.js';
+import { InteractionConfig } from '../config/GameConfig.js';
+
+/**
+ * Door - A wall that slides open and closed on demand
+ * Uses the Boundaries movement interpolation, but only moves when opened or
+ * closed (by the player, a switch or a pressure plate) instead of looping.
+ * Locked doors open once the player holds the matching key.
+ */
+class Door extends Boundaries {
+  /**
+   * Creates a door
+   * @param {Object} setUp - The configuration object (same as Boundaries)
+   * @param {number} setUp.x1 - The x-coordinate of point A (closed)
+   * @param {number} setUp.y1 - The y-coordinate of point A (closed)
+   * @param {number} setUp.x2 - The x-coordinate of point B (closed)
+   * @param {number} setUp.y2 - The y-coordinate of point B (closed)
+   * @param {HTMLImageElement} setUp.texture - The texture image of the door
+   * @param {Object} [setUp.options] - Boundaries options, plus:
+   * @param {{x: number, y: number}} [setUp.options.openOffset] - How far the door slides when open (defaults to its own length, from A to B)
+   * @param {number} [setUp.options.openTime] - Seconds to slide fully open or closed
+   * @param {string|null} [setUp.options.keyId=null] - Key needed to unlock the door (null = unlocked)
+   * @param {boolean} [setUp.options.usable=true] - Whether the player can open it directly (false = switches and plates only)
+   */
+  constructor({ x1, y1, x2, y2, texture, options = {} }) {
+    // Doors only move when triggered, never on a loop
+    super({ x1, y1, x2, y2, texture, options: { ...options, moveStops: [], rotationStops: [] } });
+
+    this.isDoor = true;
+    this.openOffset = options.openOffset
+      ? { x: options.openOffset.x, y: options.openOffset.y }
+      : { x: x2 - x1, y: y2 - y1 };
+    this.openTime = options.openTime ?? InteractionConfig.doorOpenTime;
+    this.keyId = options.keyId ?? null;
+    this.usable = options.usable ?? true;
+
+    this.isOpen = false;
+    this.isLocked = this.keyId !== null;
+  }
+
+  /**
+   * Slides the door open
+   */
+  open() {
+    if (this.isOpen) return;
+    this.isOpen = true;
+    this._slideTo(this._initialCenterX + this.openOffset.x, this._initialCenterY + this.openOffset.y);
+  }
+
+  /**
+   * Slides the door closed
+   */
+  close() {
+    if (!this.isOpen) return;
+    this.isOpen = false;
+    this._slideTo(this._initialCenterX, this._initialCenterY);
+  }
+
+  /**
+   * Opens the door if it's closed (or closing), closes it otherwise
+   */
+  toggle() {
+    if (this.isOpen) {
+      this.close();
+    } else {
+      this.open();
+    }
+  }
+
+  /**
+   * Unlocks the door (it stays closed until opened)
+   */
+  unlock() {
+    this.isLocked = false;
+  }
+
+  /**
+   * Starts sliding from the current position to a target, taking a share of
+   * openTime proportional to the distance left (so reversing mid-way is smooth)
+   * @param {number} x - Target center X
+   * @param {number} y - Target center Y
+   * @private
+   */
+  _slideTo(x, y) {
+    const dx = x - this.centerX;
+    const dy = y - this.centerY;
+    const travel = Math.sqrt(dx * dx + dy * dy);
+    const fullTravel = Math.sqrt(this.openOffset.x * this.openOffset.x + this.openOffset.y * this.openOffset.y);
+    if (travel < 0.001 || fullTravel === 0) return;
+
+    this.currentPos = { x: this.centerX, y: this.centerY };
+    this.targetPos = { x, y };
+    this.moveTime = this.openTime * Math.min(travel / fullTravel, 1);
+    this.moveAccumulatedTime = 0;
+    this.lastMoveFrameTime = null;
+    this.currentMoveIndex = 0;
+    this.isMoving = true;
+    this._updateAnimatedFlag();
+  }
+
+  /**
+   * Closes and relocks the door instantly
+   */
+  resetAnimation() {
+    super.resetAnimation();
+    this.isOpen = false;
+    this.isLocked = this.keyId !== null;
+  }
+
+  /**
+   * Serializes the door for the JSON map format
+   * @returns {Object} Plain door definition
+   */
+  toJSON() {
+    const json = super.toJSON();
+    json.type = 'door';
+    json.openOffset = { x: this.openOffset.x, y: this.openOffset.y };
+    json.openTime = this.openTime;
+    if (this.keyId !== null) json.keyId = this.keyId;
+    if (!this.usable) json.usable = false;
+    return json;
+  }
+}
+
+export default Door;
@@ -2,8 +2,28 @@ import Boundaries from './BoundariesClass.js';
 import CameraClass from './CameraClass.js';
 import RayClass from './RayClass.js';
 import { DEG_TO_RAD, RAD_TO_DEG } from '../utils/mathLUT.js';
+import { getLightRangeMultiplier } from '../utils/Lighting.js';
 import { EnemyConfig, DetectionConfig } from '../config/GameConfig.js';
 
+// AI tuning (from config)
+const AI = EnemyConfig.ai;
+
+/**
+ * Enemy alert states
+ * @readonly
+ * @enum {string}
+ */
+const EnemyStates = Object.freeze({
+  PATROL: 'patrol',
+  SUSPICIOUS: 'suspicious',
+  CHASE: 'chase',
+  SEARCH: 'search',
+  RETURN: 'return'
+});
+
+// Minimum spacing between breadcrumbs recorded while off the patrol route
+const TRAIL_SPACING = 20;
+
 class EnemyClass {
   /**
    * Creates an enemy instance with vision and automated movement capabilities
@@ -26,6 +46,7 @@ class EnemyClass {
    * @param {number} [options.spriteSheet.rows=6] - Number of rows in sprite sheet
    * @param {number} [options.spriteSheet.uniqueFrames=5] - Number of unique direction frames
    * @param {HTMLImageElement[]} [options.directionalSprites=null] - Array of 5 individual sprite images for 8-directional rendering
+   * @param {number} [options.maxHealth] - Health points before the enemy dies
    * @param {number} [options.id] - The unique identifier for the enemy
    */
   constructor({
@@ -44,6 +65,7 @@ class EnemyClass {
     texture = null,
     spriteSheet = null,
     directionalSprites = null,
+    maxHealth = EnemyConfig.maxHealth,
     id
   }) {
     this.pos = { x, y };
@@ -60,7 +82,7 @@ class EnemyClass {
     this.repeatRotation = repeatRotation;
     this.currentRotationIndex = 0;
     this.rotationAccumulatedTime = 0;
-    this.lastRotationFrameTime = performance.now() * 0.001; // Convert to seconds once
+    this.lastRotationFrameTime = null; // Set by the first update, so any clock can drive the patrol
     this.isRotating = rotationStops.length > 0;
     this.currentAngle = viewDirection;
     this.targetAngle = this.calculateNextTargetAngle();
@@ -71,13 +93,32 @@ class EnemyClass {
     this.repeatMovement = repeatMovement;
     this.currentMoveIndex = 0;
     this.moveAccumulatedTime = 0;
-    this.lastMoveFrameTime = performance.now() * 0.001;
+    this.lastMoveFrameTime = null;
     this.isMoving = moveStops.length > 0;
     this.currentPos = { ...this.pos };
     this.targetPos = this.calculateNextTargetPosition();
 
     this.wasDetected = false;
 
+    // Health state
+    this.maxHealth = maxHealth;
+    this.health = maxHealth;
+    this.isDead = false;
+
+    // Alert state machine
+    this.state = EnemyStates.PATROL;
+    this.stateTime = 0;
+    this.suspicion = 0;                // 0-1, reaching 1 while suspicious starts a chase
+    this.lastKnownPlayerPos = null;
+    this.patrolAnchor = null;          // Where the patrol was interrupted {x, y, viewDirection}
+    this.navigator = null;             // (from, to) => waypoints[] | null
+    this._path = null;
+    this._pathIndex = 0;
+    this._repathTimer = 0;
+    this._searchArrived = false;
+    this._searchBaseDirection = 0;
+    this._trail = [];                  // Breadcrumbs for returning without a navigator
+
     // Vision system - use fewer rays for enemies to save performance
     this.camera = new CameraClass({
       x,
@@ -147,18 +188,82 @@ class EnemyClass {
     return { x: accumulatedX, y: accumulatedY };
   }
 
+  /**
+   * Applies damage to the enemy
+   * @param {number} amount - Damage to apply
+   * @returns {boolean} True if this damage killed the enemy
+   */
+  takeDamage(amount) {
+    if (this.isDead) return false;
+
+    this.health = Math.max(0, this.health - amount);
+    if (this.health === 0) {
+      this.isDead = true;
+      this.wasDetected = false;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Restores the enemy to full health
+   */
+  revive() {
+    this.health = this.maxHealth;
+    this.isDead = false;
+  }
+
+  /**
+   * Restores the enemy to its spawn state: full health, spawn position and the
+   * start of its patrol. Runs that start from a reset play out identically.
+   */
+  reset() {
+    this.revive();
+
+    this.pos.x = this.initialPos.x;
+    this.pos.y = this.initialPos.y;
+    this.viewDirection = this.initialViewDirection;
+    this.wasDetected = false;
+
+    this.currentRotationIndex = 0;
+    this.rotationAccumulatedTime = 0;
+    this.lastRotationFrameTime = null;
+    this.isRotating = this.rotationStops.length > 0;
+    this.currentAngle = this.initialViewDirection;
+    this.targetAngle = this.calculateNextTargetAngle();
+
+    this.currentMoveIndex = 0;
+    this.moveAccumulatedTime = 0;
+    this.lastMoveFrameTime = null;
+    this.isMoving = this.moveStops.length > 0;
+    this.currentPos = { ...this.pos };
+    this.targetPos = this.calculateNextTargetPosition();
+
+    this._setState(EnemyStates.PATROL);
+    this.suspicion = 0;
+    this.lastKnownPlayerPos = null;
+    this.patrolAnchor = null;
+    this._path = null;
+    this._pathIndex = 0;
+    this._repathTimer = 0;
+    this._searchArrived = false;
+    this._searchBaseDirection = 0;
+    this._trail = [];
+
+    this.camera.update(this.pos, this.viewDirection);
+  }
+
   /**
    * Updates the enemy's position and vision
    * @param {number} normalizedDeltaTime - Normalized delta time from the game loop
+   * @param {number} [currentTime] - Simulation time in seconds (defaults to real time)
    */
-  update(normalizedDeltaTime) {
-    const currentTime = performance.now() * 0.001;
-    
-    if (!this.wasDetected) {
+  update(normalizedDeltaTime, currentTime = performance.now() * 0.001) {
+    if (this.state === EnemyStates.PATROL && !this.wasDetected) {
       this.updateMovement(currentTime);
       this.updateRotation(currentTime);
     } else {
-      // Keep frame times updated so animation resumes smoothly when detection ends
+      // Keep frame times updated so animation resumes smoothly when the patrol resumes
       this.lastMoveFrameTime = currentTime;
       this.lastRotationFrameTime = currentTime;
     }
@@ -167,13 +272,14 @@ class EnemyClass {
   }
 
   /**
-   * Updates the rotation animation using real time
+   * Updates the rotation animation
    * @param {number} currentTime - Current time in seconds
    * @private
    */
   updateRotation(currentTime) {
     if (!this.isRotating) return;
 
+    if (this.lastRotationFrameTime === null) this.lastRotationFrameTime = currentTime;
     const frameDeltaTime = currentTime - this.lastRotationFrameTime;
     this.rotationAccumulatedTime += frameDeltaTime;
     this.lastRotationFrameTime = currentTime;
@@ -210,13 +316,14 @@ class EnemyClass {
   }
 
   /**
-   * Updates the movement animation using real time
+   * Updates the movement animation
    * @param {number} currentTime - Current time in seconds
    * @private
    */
   updateMovement(currentTime) {
     if (!this.isMoving) return;
 
+    if (this.lastMoveFrameTime === null) this.lastMoveFrameTime = currentTime;
     const frameDeltaTime = currentTime - this.lastMoveFrameTime;
     this.moveAccumulatedTime += frameDeltaTime;
     this.lastMoveFrameTime = currentTime;
@@ -251,6 +358,336 @@ class EnemyClass {
     }
   }
 
+  /**
+   * Sets the pathfinding function used to move around walls while off the patrol route
+   * @param {function({x: number, y: number}, {x: number, y: number}): Array<{x: number, y: number}>|null} navigator
+   *   Returns world waypoints ending at the target, or null if unreachable
+   */
+  setNavigator(navigator) {
+    this.navigator = navigator;
+  }
+
+  /**
+   * Advances the alert state machine. Call once per frame after detectPlayer.
+   * patrol -> suspicious -> chase -> search -> return -> patrol
+   * @param {{isDetected: boolean, userPosition: Object|null}} detection - Result of detectPlayer
+   * @param {number} deltaSeconds - Real time delta in seconds
+   */
+  updateAI(detection, deltaSeconds) {
+    const seen = detection.isDetected;
+    if (seen) {
+      this.lastKnownPlayerPos = { x: detection.userPosition.x, y: detection.userPosition.y };
+    }
+    this.stateTime += deltaSeconds;
+
+    switch (this.state) {
+      case EnemyStates.PATROL:
+        if (seen) {
+          this.patrolAnchor = { x: this.pos.x, y: this.pos.y, viewDirection: this.viewDirection };
+          this._trail = [];
+          this._setState(EnemyStates.SUSPICIOUS);
+        }
+        break;
+
+      case EnemyStates.SUSPICIOUS:
+        this._turnToward(this.lastKnownPlayerPos, deltaSeconds);
+        if (seen) {
+          this.suspicion = Math.min(1, this.suspicion + deltaSeconds / AI.suspicionTime);
+          if (this.suspicion >= 1) {
+            this._setState(EnemyStates.CHASE);
+          }
+        } else {
+          this.suspicion = Math.max(0, this.suspicion - AI.suspicionDecay * deltaSeconds);
+          if (this.suspicion === 0) {
+            this._startReturn();
+          }
+        }
+        break;
+
+      case EnemyStates.CHASE:
+        if (!seen) {
+          // Lost sight - head to where the player was last seen
+          this._setState(EnemyStates.SEARCH);
+          this._searchArrived = false;
+          this._setPathTo(this.lastKnownPlayerPos);
+          break;
+        }
+
+        this._faceToward(this.lastKnownPlayerPos);
+
+        this._repathTimer -= deltaSeconds;
+        if (this._repathTimer <= 0 || !this._path) {
+          this._setPathTo(this.lastKnownPlayerPos);
+          this._repathTimer = AI.repathInterval;
+        }
+
+        if (this._distanceTo(this.lastKnownPlayerPos) > AI.stopDistance) {
+          this._followPath(AI.chaseSpeed, deltaSeconds, false);
+        }
+        break;
+
+      case EnemyStates.SEARCH:
+        if (seen) {
+          this._setState(EnemyStates.CHASE);
+          this._path = null;
+          break;
+        }
+
+        if (!this._searchArrived) {
+          if (this._followPath(AI.searchSpeed, deltaSeconds, true)) {
+            this._searchArrived = true;
+            this._searchBaseDirection = this.viewDirection;
+            this.stateTime = 0;
+          }
+        } else {
+          // Sweep the view back and forth around the arrival direction
+          const sweepPhase = (this.stateTime / AI.searchDuration) * Math.PI * 4; // Two full sweeps
+          const sweep = Math.sin(sweepPhase) * AI.searchSweepAngle;
+          this.viewDirection = this._normalizeAngle(this._searchBaseDirection + sweep);
+
+          if (this.stateTime >= AI.searchDuration) {
+            this._startReturn();
+          }
+        }
+        break;
+
+      case EnemyStates.RETURN:
+        if (seen) {
+          this._setState(EnemyStates.SUSPICIOUS);
+          this._path = null;
+          break;
+        }
+
+        if (this._followPath(AI.returnSpeed, deltaSeconds, true)) {
+          this._resumePatrol();
+        }
+        break;
+    }
+
+    this.camera.update(this.pos, this.viewDirection);
+  }
+
+  /**
+   * Reacts to a noise the player made. Quiet noises make the enemy turn toward
+   * them; loud ones (or any noise while already searching) send it to investigate.
+   * Hearing never detects the player by itself - the enemy still has to see them.
+   * @param {{x: number, y: number}} position - Where the noise came from
+   * @param {number} loudness - Loudness at the enemy (0-1)
+   */
+  hearNoise(position, loudness) {
+    if (this.isDead || this.state === EnemyStates.CHASE) return;
+
+    if (this.state === EnemyStates.PATROL) {
+      this.patrolAnchor = { x: this.pos.x, y: this.pos.y, viewDirection: this.viewDirection };
+      this._trail = [];
+    }
+    this.lastKnownPlayerPos = { x: position.x, y: position.y };
+
+    if (loudness >= AI.investigateLoudness || this.state === EnemyStates.SEARCH) {
+      this._setState(EnemyStates.SEARCH);
+      this._searchArrived = false;
+      this._setPathTo(this.lastKnownPlayerPos);
+    } else {
+      if (this.state !== EnemyStates.SUSPICIOUS) {
+        this._setState(EnemyStates.SUSPICIOUS);
+      }
+      this.suspicion = Math.max(this.suspicion, AI.hearingSuspicion);
+    }
+  }
+
+  /**
+   * Snaps the enemy back onto its patrol route (used on level reset)
+   */
+  resetAlertState() {
+    if (this.patrolAnchor && this.state !== EnemyStates.PATROL) {
+      this.pos.x = this.patrolAnchor.x;
+      this.pos.y = this.patrolAnchor.y;
+      this.viewDirection = this.patrolAnchor.viewDirection;
+    }
+    this._resumePatrol();
+    this.lastKnownPlayerPos = null;
+    this.wasDetected = false;
+    this.camera.update(this.pos, this.viewDirection);
+  }
+
+  /**
+   * Changes state and resets the state timer
+   * @param {string} state - New EnemyStates value
+   * @private
+   */
+  _setState(state) {
+    this.state = state;
+    this.stateTime = 0;
+  }
+
+  /**
+   * Starts walking back to where the patrol was interrupted
+   * @private
+   */
+  _startReturn() {
+    this._setState(EnemyStates.RETURN);
+    this.suspicion = 0;
+
+    if (!this.patrolAnchor) {
+      this._resumePatrol();
+      return;
+    }
+
+    if (this.navigator) {
+      this._setPathTo(this.patrolAnchor);
+    } else {
+      // Retrace our own steps so we never cut through walls
+      this._path = [...this._trail].reverse();
+      this._path.push({ x: this.patrolAnchor.x, y: this.patrolAnchor.y });
+      this._pathIndex = 0;
+    }
+  }
+
+  /**
+   * Resumes the patrol animation from where it was interrupted
+   * @private
+   */
+  _resumePatrol() {
+    if (this.patrolAnchor) {
+      this.viewDirection = this.patrolAnchor.viewDirection;
+    }
+    // Restart the animation clocks on the next update so no time passes while resuming
+    this.lastMoveFrameTime = null;
+    this.lastRotationFrameTime = null;
+
+    this._setState(EnemyStates.PATROL);
+    this.suspicion = 0;
+    this.patrolAnchor = null;
+    this._path = null;
+    this._trail = [];
+  }
+
+  /**
+   * Plans a path to a world position using the navigator (straight line without one)
+   * @param {{x: number, y: number}} target - World position
+   * @private
+   */
+  _setPathTo(target) {
+    let path = this.navigator ? this.navigator(this.pos, target) : null;
+    if (!path || path.length === 0) {
+      path = [{ x: target.x, y: target.y }];
+    }
+
+    // Skip waypoints we are already standing on so we don't double back
+    let index = 0;
+    while (index < path.length - 1 && this._distanceTo(path[index]) < AI.stopDistance) {
+      index++;
+    }
+
+    this._path = path;
+    this._pathIndex = index;
+  }
+
+  /**
+   * Moves along the current path
+   * @param {number} speed - World units per second
+   * @param {number} deltaSeconds - Real time delta in seconds
+   * @param {boolean} faceMovement - Whether to turn toward the direction of travel
+   * @returns {boolean} True once the end of the path has been reached
+   * @private
+   */
+  _followPath(speed, deltaSeconds, faceMovement) {
+    if (!this._path || this._pathIndex >= this._path.length) return true;
+
+    let remaining = speed * deltaSeconds;
+
+    while (remaining > 0 && this._pathIndex < this._path.length) {
+      const waypoint = this._path[this._pathIndex];
+      const dx = waypoint.x - this.pos.x;
+      const dy = waypoint.y - this.pos.y;
+      const dist = Math.sqrt(dx * dx + dy * dy);
+
+      if (dist <= AI.arriveDistance || dist <= remaining) {
+        this.pos.x = waypoint.x;
+        this.pos.y = waypoint.y;
+        remaining -= dist;
+        this._pathIndex++;
+        continue;
+      }
+
+      this.pos.x += (dx / dist) * remaining;
+      this.pos.y += (dy / dist) * remaining;
+      remaining = 0;
+
+      if (faceMovement) {
+        this._turnToward(waypoint, deltaSeconds);
+      }
+    }
+
+    this._recordTrail();
+    return this._pathIndex >= this._path.length;
+  }
+
+  /**
+   * Records a breadcrumb when the enemy has moved far enough from the last one
+   * @private
+   */
+  _recordTrail() {
+    if (this.state === EnemyStates.RETURN) return;
+
+    const last = this._trail.length > 0 ? this._trail[this._trail.length - 1] : this.patrolAnchor;
+    if (!last || this._distanceTo(last) >= TRAIL_SPACING) {
+      this._trail.push({ x: this.pos.x, y: this.pos.y });
+    }
+  }
+
+  /**
+   * Turns toward a point at the configured turn speed
+   * @param {{x: number, y: number}|null} target - World position
+   * @param {number} deltaSeconds - Real time delta in seconds
+   * @private
+   */
+  _turnToward(target, deltaSeconds) {
+    if (!target) return;
+
+    const targetAngle = Math.atan2(target.y - this.pos.y, target.x - this.pos.x) * RAD_TO_DEG;
+    let diff = this._normalizeAngle(targetAngle - this.viewDirection);
+    if (diff > 180) diff -= 360;
+
+    const maxStep = AI.turnSpeed * deltaSeconds;
+    const step = Math.max(-maxStep, Math.min(maxStep, diff));
+    this.viewDirection = this._normalizeAngle(this.viewDirection + step);
+  }
+
+  /**
+   * Faces a point immediately
+   * @param {{x: number, y: number}|null} target - World position
+   * @private
+   */
+  _faceToward(target) {
+    if (!target) return;
+    this.viewDirection = this._normalizeAngle(
+      Math.atan2(target.y - this.pos.y, target.x - this.pos.x) * RAD_TO_DEG
+    );
+  }
+
+  /**
+   * Distance from the enemy to a point
+   * @param {{x: number, y: number}} point - World position
+   * @returns {number} Distance in world units
+   * @private
+   */
+  _distanceTo(point) {
+    const dx = point.x - this.pos.x;
+    const dy = point.y - this.pos.y;
+    return Math.sqrt(dx * dx + dy * dy);
+  }
+
+  /**
+   * Normalizes an angle to the 0-360 range
+   * @param {number} angle - Angle in degrees
+   * @returns {number} Normalized angle
+   * @private
+   */
+  _normalizeAngle(angle) {
+    return ((angle % 360) + 360) % 360;
+  }
+
   /**
    * Calculates the effective visibility distance based on angle from center of view.
    * Creates a cone-shaped detection area:
@@ -295,10 +732,11 @@ class EnemyClass {
   /**
    * Detects if the player is visible to the enemy.
    * Optimized with squared distance checks and early exits.
-   * Crouching reduces detection range to 75% and disables proximity detection.
-   * Jumping recently increases detection range by 1.2x.
-   * Sprinting decreases detection range to 80% but increases FOV by 1.3x.
+   * Crouching reduces detection range (DetectionConfig.crouchMultiplier) and disables proximity detection.
+   * Jumping recently increases detection range (DetectionConfig.jumpMultiplier).
+   * Sprinting increases detection range and FOV (DetectionConfig.sprintRangeMultiplier / sprintFovMultiplier).
    * Visibility distance tapers off towards the edges of the FOV.
+   * Only walls spanning the player's sight height block the view, so low cover hides a crouching player.
    * Also includes 360° proximity detection at 15% of main distance for close encounters.
    * @param {Player} player - The player object to check for detection.
    * @param {Array<Boundaries>} boundaries - Array of boundary objects for the scene.
@@ -308,21 +746,26 @@ class EnemyClass {
     const dx = player.pos.x - this.pos.x;
     const dy = player.pos.y - this.pos.y;
 
-    // Crouching/sneaking reduces front detection to 75% and disables proximity detection
-    const crouchMultiplier = player.isCrouching ? 0.75 : 1.0;
-    // Jumping recently increases detection range by 1.2x (player is more visible)
-    const jumpMultiplier = (player.hasRecentlyJumped && player.hasRecentlyJumped()) ? 1.2 : 1.0;
-    // Sprinting increases both detection range and FOV (player is more visible and makes more noise)
-    const sprintRangeMultiplier = player.isSprinting ? 1.2 : 1.0;
-    const sprintFovMultiplier = player.isSprinting ? 1.3 : 1.0;
+    // Crouching/sneaking reduces front detection and disables proximity detection
+    const crouchMultiplier = player.isCrouching ? DetectionConfig.crouchMultiplier : 1.0;
+    // Jumping recently increases detection range (player is more visible)
+    const jumpMultiplier = (player.hasRecentlyJumped && player.hasRecentlyJumped()) ? DetectionConfig.jumpMultiplier : 1.0;
+    // Sprinting increases both detection range and FOV (player is more visible; noise is handled by NoiseSystem)
+    const sprintRangeMultiplier = player.isSprinting ? DetectionConfig.sprintRangeMultiplier : 1.0;
+    const sprintFovMultiplier = player.isSprinting ? DetectionConfig.sprintFovMultiplier : 1.0;
+    // Darkness shortens sight range (a lit flashlight counts as standing in light)
+    const lightMultiplier = getLightRangeMultiplier(player.lightLevel ?? 1);
     
-    const effectiveMaxVisibilityDist = this.visibilityDistance * crouchMultiplier * jumpMultiplier * sprintRangeMultiplier;
+    const effectiveMaxVisibilityDist = this.visibilityDistance * crouchMultiplier * jumpMultiplier * sprintRangeMultiplier * lightMultiplier;
     const effectiveHalfFov = this._halfFov * sprintFovMultiplier; // FOV increases when player is sprinting
     
     // Proximity detection distance (covers full 360°)
     // Disabled when crouching (0 distance means no proximity detection)
     // Affected by jump and sprint multipliers
-    const proximityDistance = player.isCrouching ? 0 : this.visibilityDistance * DetectionConfig.proximityDistanceMultiplier * jumpMultiplier * sprintRangeMultiplier;
+    const proximityDistance = player.isCrouching ? 0 : this.visibilityDistance * DetectionConfig.proximityDistanceMultiplier * jumpMultiplier * sprintRangeMultiplier * lightMultiplier;
+
+    // Height on the player that walls must cover to hide them
+    const sightHeight = player.isCrouching ? DetectionConfig.crouchingSightHeight : DetectionConfig.standingSightHeight;
 
     // Quick squared distance check against maximum possible distance (avoids sqrt for far objects)
     const distSq = dx * dx + dy * dy;
@@ -369,8 +812,8 @@ class EnemyClass {
       for (let i = 0; i < boundaries.length; i++) {
         const boundary = boundaries[i];
         
-        // Skip transparent boundaries (sprites)
-        if (boundary.isTransparent) continue;
+        // Skip transparent boundaries (sprites) and walls the player can be seen over or under
+        if (boundary.isTransparent || !boundary.coversHeight(sightHeight)) continue;
         
         const result = ray.cast(boundary);
         if (result) {
@@ -405,8 +848,8 @@ class EnemyClass {
       for (let i = 0; i < boundaries.length; i++) {
         const boundary = boundaries[i];
         
-        // Skip transparent boundaries (sprites)
-        if (boundary.isTransparent) continue;
+        // Skip transparent boundaries (sprites) and walls the player can be seen over or under
+        if (boundary.isTransparent || !boundary.coversHeight(sightHeight)) continue;
         
         const result = ray.cast(boundary);
         if (result) {
@@ -435,6 +878,44 @@ class EnemyClass {
     this.wasDetected = false;
     return { isDetected: false, distance: null, userPosition: null, relativeAngle: null };
   }
+
+  /**
+   * Serializes the enemy's spawn-time configuration for the JSON map format.
+   * Textures are referenced by their Textures key.
+   * @returns {Object} Plain enemy definition
+   */
+  toJSON() {
+    const json = {
+      id: this.id,
+      x: this.initialPos.x,
+      y: this.initialPos.y,
+      viewDirection: this.initialViewDirection,
+      fov: this.fov,
+      rayCount: this.camera.rayCount,
+      visibilityDistance: this.visibilityDistance,
+      maxHealth: this.maxHealth
+    };
+
+    const texture = this.skin.texture;
+    if (texture && texture.textureKey) json.texture = texture.textureKey;
+    if (this.directionalSprites) {
+      json.directionalSprites = this.directionalSprites.map(sprite => (sprite && sprite.textureKey) || null);
+    }
+
+    if (this.rotationStops.length > 0) {
+      json.rotationStops = [...this.rotationStops];
+      json.rotationTime = this.rotationTime;
+      json.repeatRotation = this.repeatRotation;
+    }
+    if (this.moveStops.length > 0) {
+      json.moveStops = this.moveStops.map(stop => ({ x: stop.x, y: stop.y }));
+      json.moveTime = this.moveTime;
+      json.repeatMovement = this.repeatMovement;
+    }
+
+    return json;
+  }
 }
 
+export { EnemyStates };
 export default EnemyClass;
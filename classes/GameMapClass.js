@@ -2,6 +2,9 @@ import Boundaries from "./BoundariesClass.js";
 import EnemyClass from "./EnemyClass.js";
 import StartZone from "./StartZoneClass.js";
 import GoalZone from "./GoalZoneClass.js";
+import KeyPickup from "./KeyPickupClass.js";
+import Switch from "./SwitchClass.js";
+import PressurePlate from "./PressurePlateClass.js";
 
 /**
  * @typedef {Object} Size
@@ -22,6 +25,17 @@ import GoalZone from "./GoalZoneClass.js";
  * @property {number} radius - Zone radius
  */
 
+/**
+ * Version of the JSON map format written by GameMap.toJSON and read by loadMapFromJSON.
+ * Bump when the schema changes in a way older loaders can't read.
+ */
+const MAP_FORMAT_VERSION = 1;
+
+/**
+ * Maze cell wall bits used by the JSON map format
+ */
+const MAZE_WALL_BITS = { north: 1, east: 2, south: 4, west: 8 };
+
 /**
  * Class representing a game map.
  * @class
@@ -48,6 +62,22 @@ class GameMap {
     this.boundaries = [];
     this.enemies = [];
     
+    // Sprites added to the boundaries during play (e.g. the replay ghost); never serialized
+    this.runtimeSprites = new Set();
+    
+    // Interactive objects (doors themselves are boundaries)
+    /** @type {KeyPickup[]} */
+    this.keys = [];
+    /** @type {Switch[]} */
+    this.switches = [];
+    /** @type {PressurePlate[]} */
+    this.pressurePlates = [];
+    
+    // Lighting: ambient light 0-1 (null = fully lit) and point light sources
+    this.ambientLight = null;
+    /** @type {Array<{x: number, y: number, radius?: number, intensity?: number}>} */
+    this.lights = [];
+    
     /** @type {StartZone|ZoneData|null} */
     this.startZone = null;
     
@@ -59,6 +89,34 @@ class GameMap {
     
     // Maze-specific data (null for non-maze maps)
     this.mazeData = null;
+    
+    // Generation seed for procedural maps (null for hand-built maps)
+    this.seed = null;
+    
+    // Difficulty analysis for maze maps (see maps/mazeAnalyzer.js; null until analyzed)
+    this.difficulty = null;
+  }
+  
+  /**
+   * Adds a sprite that only exists during play (rendered like any boundary, skipped by toJSON)
+   * @param {Boundaries} sprite - Sprite boundary
+   */
+  addRuntimeSprite(sprite) {
+    if (this.runtimeSprites.has(sprite)) return;
+    this.runtimeSprites.add(sprite);
+    this.boundaries.push(sprite);
+  }
+
+  /**
+   * Removes a sprite added with addRuntimeSprite
+   * @param {Boundaries} sprite - Sprite boundary
+   */
+  removeRuntimeSprite(sprite) {
+    if (!this.runtimeSprites.delete(sprite)) return;
+    const index = this.boundaries.indexOf(sprite);
+    if (index !== -1) {
+      this.boundaries.splice(index, 1);
+    }
   }
   
   /**
@@ -79,7 +137,7 @@ class GameMap {
     if (zone instanceof StartZone) {
       this.startZone = zone;
     } else {
-      this.startZone = new StartZone(zone.x, zone.y, zone.radius, zone.spawnDirection);
+      this.startZone = new StartZone({ x: zone.x, y: zone.y, radius: zone.radius, spawnDirection: zone.spawnDirection });
     }
     // Update spawn location to match zone center
     this.userSpawnLocation = { x: zone.x, y: zone.y };
@@ -93,7 +151,7 @@ class GameMap {
     if (zone instanceof GoalZone) {
       this.goalZone = zone;
     } else {
-      this.goalZone = new GoalZone(zone.x, zone.y, zone.radius, zone.onReached);
+      this.goalZone = new GoalZone({ x: zone.x, y: zone.y, radius: zone.radius, onReached: zone.onReached });
     }
   }
   
@@ -129,6 +187,38 @@ class GameMap {
     return (dx * dx + dy * dy) <= (this.goalZone.radius * this.goalZone.radius);
   }
 
+  /**
+   * Add a key pickup to the map.
+   * @param {KeyPickup|{keyId: string, x: number, y: number}} key - The key
+   */
+  addKey(key) {
+    this.keys.push(key instanceof KeyPickup ? key : new KeyPickup(key));
+  }
+
+  /**
+   * Add a switch to the map.
+   * @param {Switch|{x: number, y: number, targets: string[]}} lever - The switch
+   */
+  addSwitch(lever) {
+    this.switches.push(lever instanceof Switch ? lever : new Switch(lever));
+  }
+
+  /**
+   * Add a pressure plate to the map.
+   * @param {PressurePlate|{x: number, y: number, radius?: number, targets: string[], latch?: boolean}} plate - The plate
+   */
+  addPressurePlate(plate) {
+    this.pressurePlates.push(plate instanceof PressurePlate ? plate : new PressurePlate(plate));
+  }
+
+  /**
+   * Add a light source to the map (only visible when ambientLight is below 1).
+   * @param {{x: number, y: number, radius?: number, intensity?: number}} light - The light
+   */
+  addLight(light) {
+    this.lights.push({ ...light });
+  }
+
   /**
    * Add a single enemy to the map.
    * @param {EnemyClass} enemy - The enemy object to add
@@ -196,6 +286,80 @@ class GameMap {
   getSize() {
     return this.size;
   }
+
+  /**
+   * Serializes the map to the versioned JSON map format.
+   * Everything is written in its spawn-time state, so the result can be fed back
+   * into loadMapFromJSON to rebuild an identical map.
+   * @returns {Object} Plain map definition (pass to JSON.stringify)
+   */
+  toJSON() {
+    // Enemy skins get pushed into the boundaries array at runtime; they belong to the enemies
+    const skins = new Set(this.enemies.map(enemy => enemy.skin));
+
+    const json = {
+      version: MAP_FORMAT_VERSION,
+      name: this.name,
+      width: this.size.width,
+      height: this.size.height,
+      spawn: {
+        x: this.userSpawnLocation.x,
+        y: this.userSpawnLocation.y,
+        viewDirection: this.userViewDirection
+      },
+      walls: this.boundaries
+        .filter(boundary => !skins.has(boundary) && !this.runtimeSprites.has(boundary))
+        .map(boundary => boundary.toJSON()),
+      enemies: this.enemies.map(enemy => enemy.toJSON()),
+      startZone: null,
+      goalZone: null,
+      floorZones: (this.floorZones || []).map(zone => ({ ...zone })),
+      keys: this.keys.map(key => key.toObject()),
+      switches: this.switches.map(lever => lever.toObject()),
+      pressurePlates: this.pressurePlates.map(plate => plate.toObject()),
+      lights: this.lights.map(light => ({ ...light })),
+      minimap: this.minimapSettings ? { ...this.minimapSettings } : null
+    };
+
+    if (this.startZone) {
+      json.startZone = this.startZone instanceof StartZone
+        ? this.startZone.toObject()
+        : { x: this.startZone.x, y: this.startZone.y, radius: this.startZone.radius, spawnDirection: this.startZone.spawnDirection ?? 0 };
+    }
+    if (this.goalZone) {
+      json.goalZone = { x: this.goalZone.x, y: this.goalZone.y, radius: this.goalZone.radius };
+    }
+
+    if (this.seed !== null) json.seed = this.seed;
+    if (this.ambientLight !== null) json.ambientLight = this.ambientLight;
+
+    // Square mazes store their wall bits, theta and hex mazes their cell graph
+    if (this.mazeData && this.mazeData.grid) {
+      const { grid, cols, rows, cellSize } = this.mazeData;
+      const cells = [];
+      for (let y = 0; y < rows; y++) {
+        for (let x = 0; x < cols; x++) {
+          const walls = grid[y][x].walls;
+          let bits = 0;
+          if (walls.north) bits |= MAZE_WALL_BITS.north;
+          if (walls.east) bits |= MAZE_WALL_BITS.east;
+          if (walls.south) bits |= MAZE_WALL_BITS.south;
+          if (walls.west) bits |= MAZE_WALL_BITS.west;
+          cells.push(bits);
+        }
+      }
+      json.maze = { cols, rows, cellSize, cells };
+    } else if (this.mazeData && this.mazeData.cells) {
+      const { topology, cellSize } = this.mazeData;
+      const cells = this.mazeData.cells.map(cell => ({ x: cell.x, y: cell.y, links: [...cell.links] }));
+      json.maze = topology === 'theta'
+        ? { topology, cellSize, center: { ...this.mazeData.center }, ringCounts: [...this.mazeData.ringCounts], cells }
+        : { topology, cols: this.mazeData.cols, rows: this.mazeData.rows, cellSize, cells };
+    }
+
+    return json;
+  }
 }
 
+export { MAP_FORMAT_VERSION, MAZE_WALL_BITS };
 export default GameMap;
\ No newline at end of file
@@ -0,0 +1,118 @@
+import Boundaries from './BoundariesClass.js';
+import { ReplayConfig } from '../config/GameConfig.js';
+
+/**
+ * Ghost - Translucent sprite that retraces a recorded run
+ * Follows the player poses stored in a recording, timed by the simulation clock,
+ * so racing a ghost on the same map lines the two runs up from the start.
+ */
+class Ghost {
+  /**
+   * Creates a ghost
+   * @param {Object} setUp - Ghost configuration
+   * @param {HTMLImageElement} setUp.texture - Default sprite texture
+   * @param {HTMLImageElement[]} [setUp.directionalSprites] - 5 directional sprite images (see Boundaries)
+   * @param {number} [setUp.opacity] - Sprite opacity (0-1)
+   */
+  constructor({ texture, directionalSprites = null, opacity = ReplayConfig.ghostOpacity }) {
+    this.skin = new Boundaries({
+      x1: 0,
+      y1: -20,
+      x2: 0,
+      y2: 20,
+      texture,
+      options: {
+        uniqueID: 'ghost',
+        isTransparent: true,
+        isSprite: true,
+        directionalSprites,
+        opacity
+      }
+    });
+
+    /** @type {Recording|null} */
+    this.recording = null;
+    this.pos = { x: 0, y: 0 };
+    this.viewDirection = 0;
+
+    // Playback cursor (frame index and the simulation time it ends at)
+    this._frameIndex = 0;
+    this._frameEndTime = 0;
+  }
+
+  /**
+   * Sets the recording to follow and rewinds to its start
+   * @param {Recording} recording - Recording with player poses
+   */
+  setRecording(recording) {
+    this.recording = recording;
+    this.reset();
+  }
+
+  /**
+   * Moves the ghost back to the start of its recording
+   */
+  reset() {
+    this._frameIndex = 0;
+    this._frameEndTime = 0;
+    if (!this.recording) return;
+
+    const { spawn, frames } = this.recording;
+    this.pos.x = spawn.x;
+    this.pos.y = spawn.y;
+    this.viewDirection = spawn.direction;
+    if (frames.length > 0) {
+      this._frameEndTime = frames[0].realDt;
+    }
+    this.skin.updatePosition(this.pos.x, this.pos.y);
+  }
+
+  /**
+   * Whether the ghost has reached the end of its recording
+   * @returns {boolean}
+   */
+  get isFinished() {
+    return !this.recording || this._frameIndex >= this.recording.frames.length - 1;
+  }
+
+  /**
+   * Advances the ghost to a point in the run and turns its sprite toward the viewer
+   * @param {number} currentTime - Simulation time in seconds since the run started
+   * @param {{pos: {x: number, y: number}}} viewer - Whoever is looking at the ghost (the player)
+   */
+  update(currentTime, viewer) {
+    if (!this.recording) return;
+    const frames = this.recording.frames;
+    if (frames.length === 0) return;
+
+    // Walk the cursor forward to the frame that contains currentTime
+    while (this._frameIndex < frames.length - 1 && this._frameEndTime < currentTime) {
+      this._frameIndex++;
+      this._frameEndTime += frames[this._frameIndex].realDt;
+    }
+
+    // Interpolate from the previous pose to this frame's pose
+    const frame = frames[this._frameIndex];
+    const previous = this._frameIndex > 0 ? frames[this._frameIndex - 1] : null;
+    const fromX = previous ? previous.x : this.recording.spawn.x;
+    const fromY = previous ? previous.y : this.recording.spawn.y;
+    const fromDir = previous ? previous.dir : this.recording.spawn.direction;
+    const frameStart = this._frameEndTime - frame.realDt;
+    const t = frame.realDt > 0 ? Math.min(Math.max((currentTime - frameStart) / frame.realDt, 0), 1) : 1;
+
+    this.pos.x = fromX + (frame.x - fromX) * t;
+    this.pos.y = fromY + (frame.y - fromY) * t;
+    const turn = ((frame.dir - fromDir + 540) % 360) - 180; // Shortest way round
+    this.viewDirection = (fromDir + turn * t + 360) % 360;
+
+    this.skin.updatePosition(this.pos.x, this.pos.y);
+    const angleToViewer = Math.atan2(
+      viewer.pos.y - this.pos.y,
+      viewer.pos.x - this.pos.x
+    ) * 180 / Math.PI;
+    this.skin.rotateBoundary(angleToViewer);
+    this.skin.setFacingDirection(this.viewDirection);
+  }
+}
+
+export default Ghost;
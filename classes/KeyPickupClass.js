@@ -0,0 +1,60 @@
+import Zone from './ZoneClass.js';
+import Boundaries from './BoundariesClass.js';
+import { InteractionConfig } from '../config/GameConfig.js';
+
+/**
+ * KeyPickup - A key lying in the level; walking over it picks it up.
+ * Unlocks every door whose keyId matches.
+ */
+class KeyPickup extends Zone {
+  /**
+   * Creates a key pickup
+   * @param {Object} config - Key configuration
+   * @param {string} config.keyId - Key identifier (matches Door keyId)
+   * @param {number} config.x - X coordinate
+   * @param {number} config.y - Y coordinate
+   * @param {string} [config.color] - Sprite color
+   */
+  constructor({ keyId, x, y, color = InteractionConfig.keyColor }) {
+    super({ x, y, radius: InteractionConfig.keyPickupRadius, color });
+    this.type = 'key';
+    this.keyId = keyId;
+    this.isCollected = false;
+
+    // Small floating billboard
+    this.sprite = new Boundaries({
+      x1: x,
+      y1: y - 6,
+      x2: x,
+      y2: y + 6,
+      texture: null,
+      options: {
+        uniqueID: `key:${keyId}`,
+        color,
+        isTransparent: true,
+        isSprite: true,
+        height: 0.15,
+        baseElevation: 0.3
+      }
+    });
+  }
+
+  /**
+   * Turns the sprite toward the viewer
+   * @param {number} viewerX - Viewer X position
+   * @param {number} viewerY - Viewer Y position
+   */
+  faceViewer(viewerX, viewerY) {
+    this.sprite.rotateBoundary(Math.atan2(viewerY - this.y, viewerX - this.x) * 180 / Math.PI);
+  }
+
+  /**
+   * Returns key data as a plain object
+   * @returns {Object} Key data
+   */
+  toObject() {
+    return { keyId: this.keyId, x: this.x, y: this.y };
+  }
+}
+
+export default KeyPickup;
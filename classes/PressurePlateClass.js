@@ -0,0 +1,37 @@
+import Zone from './ZoneClass.js';
+import { InteractionConfig } from '../config/GameConfig.js';
+
+/**
+ * PressurePlate - Floor plate that opens its target doors while something stands on it
+ * Latching plates keep the doors open after the first press.
+ */
+class PressurePlate extends Zone {
+  /**
+   * Creates a pressure plate
+   * @param {Object} config - Plate configuration
+   * @param {number} config.x - X coordinate
+   * @param {number} config.y - Y coordinate
+   * @param {number} [config.radius] - Plate radius
+   * @param {string[]} config.targets - uniqueIDs of the doors it controls
+   * @param {boolean} [config.latch=false] - Whether the doors stay open once pressed
+   */
+  constructor({ x, y, radius = InteractionConfig.plateRadius, targets, latch = false }) {
+    super({ x, y, radius, color: InteractionConfig.plateColor });
+    this.type = 'plate';
+    this.targets = [...targets];
+    this.latch = latch;
+    this.isPressed = false;
+  }
+
+  /**
+   * Returns plate data as a plain object
+   * @returns {Object} Plate data
+   */
+  toObject() {
+    const json = { ...super.toObject(), targets: [...this.targets] };
+    if (this.latch) json.latch = true;
+    return json;
+  }
+}
+
+export default PressurePlate;
@@ -60,6 +60,17 @@ class StartZone extends Zone {
     ctx.arc(drawX, drawY, 4 * invScale, 0, Math.PI * 2);
     ctx.fill();
   }
+
+  /**
+   * Returns zone data as a plain object, including the spawn direction
+   * @returns {Object} Zone data
+   */
+  toObject() {
+    return {
+      ...super.toObject(),
+      spawnDirection: this.spawnDirection
+    };
+  }
 }
 
 export default StartZone;
@@ -0,0 +1,75 @@
+import Boundaries from './BoundariesClass.js';
+import { InteractionConfig } from '../config/GameConfig.js';
+
+/**
+ * Switch - A lever the player uses to open or close one or more doors
+ * Turning it on opens every target; turning it off closes them again.
+ */
+class Switch {
+  /**
+   * Creates a switch
+   * @param {Object} config - Switch configuration
+   * @param {number} config.x - X coordinate
+   * @param {number} config.y - Y coordinate
+   * @param {string[]} config.targets - uniqueIDs of the doors it controls
+   */
+  constructor({ x, y, targets }) {
+    this.x = x;
+    this.y = y;
+    this.targets = [...targets];
+    this.isOn = false;
+
+    // Chest-high billboard panel (red when off, green when on)
+    this.sprite = new Boundaries({
+      x1: x,
+      y1: y - 8,
+      x2: x,
+      y2: y + 8,
+      texture: null,
+      options: {
+        color: InteractionConfig.switchOffColor,
+        isTransparent: true,
+        isSprite: true,
+        height: 0.25,
+        baseElevation: 0.4
+      }
+    });
+  }
+
+  /**
+   * Flips the switch
+   * @returns {boolean} Whether the switch is now on
+   */
+  toggle() {
+    this.setOn(!this.isOn);
+    return this.isOn;
+  }
+
+  /**
+   * Sets the switch state
+   * @param {boolean} isOn - New state
+   */
+  setOn(isOn) {
+    this.isOn = isOn;
+    this.sprite.color = isOn ? InteractionConfig.switchOnColor : InteractionConfig.switchOffColor;
+  }
+
+  /**
+   * Turns the sprite toward the viewer
+   * @param {number} viewerX - Viewer X position
+   * @param {number} viewerY - Viewer Y position
+   */
+  faceViewer(viewerX, viewerY) {
+    this.sprite.rotateBoundary(Math.atan2(viewerY - this.y, viewerX - this.x) * 180 / Math.PI);
+  }
+
+  /**
+   * Returns switch data as a plain object
+   * @returns {Object} Switch data
+   */
+  toObject() {
+    return { x: this.x, y: this.y, targets: [...this.targets] };
+  }
+}
+
+export default Switch;
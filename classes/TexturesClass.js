@@ -14,6 +14,7 @@ class Textures {
   addTexture(key, src) {
     const img = new Image();
     img.src = src;
+    img.textureKey = key; // Lets maps serialize textures by key
     this.textures[key] = img;
     this.totalTextures++;
 
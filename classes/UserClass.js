@@ -1,5 +1,6 @@
 import CameraClass from './CameraClass.js';
 import Boundaries from './BoundariesClass.js';
+import Weapon from './WeaponClass.js';
 import { DEG_TO_RAD, HALF_PI, TWO_PI, fastSin, fastCos, normalizeAngle } from '../utils/mathLUT.js';
 import { PlayerConfig } from '../config/GameConfig.js';
 
@@ -30,12 +31,18 @@ const CROUCH_SPEED_MULTIPLIER = PlayerConfig.crouchSpeedMultiplier;
 const SPRINT_SPEED_MULTIPLIER = PlayerConfig.sprintSpeedMultiplier;
 const JUMP_SPEED_MULTIPLIER = PlayerConfig.jumpSpeedMultiplier;
 
+// Health constants (from config)
+const MAX_HEALTH = PlayerConfig.maxHealth;
+
 // FOV constants (from config)
 const BASE_FOV = PlayerConfig.baseFov;
 const SLOW_FOV = PlayerConfig.slowFov;
 const FAST_FOV = PlayerConfig.fastFov;
 const FOV_LERP_SPEED = PlayerConfig.fovLerpSpeed;
 
+// Pitch limit in degrees (from config)
+const MAX_PITCH = PlayerConfig.maxPitch;
+
 class Player {
   /**
    * Creates a player instance with an attached camera
@@ -71,6 +78,8 @@ class Player {
     this.moveRight = false;
     this.moveLeft = false;
     this.isSprinting = false; // Sprinting state
+    this.analogForward = 0; // Analog (gamepad stick) movement, -1 to 1, added to the move keys
+    this.analogStrafe = 0;
     
     // Vertical movement state
     this.eyeHeight = BASE_EYE_HEIGHT; // Current vertical position (-1 to 1 range, 0 = center)
@@ -79,11 +88,26 @@ class Player {
     this.isCrouching = false; // Whether player is crouching
     this.wantsToCrouch = false; // Input state for crouch key
     
+    // Vertical look (degrees, positive = up); rendered as a horizon shift
+    this.pitch = 0;
+    
+    // Floor zone modifiers (set each frame by ZoneEffects)
+    this.zoneSpeedMultiplier = 1;
+    this.zoneJumpMultiplier = 1;
+
+    // Lighting state
+    this.flashlightOn = false;
+    this.lightLevel = 1; // Light at the player's position (0-1, set each frame); scales enemy sight range
+
+    // Health state
+    this.maxHealth = MAX_HEALTH;
+    this.health = MAX_HEALTH;
+    
     // Collision state
     this.collisionEnabled = true; // Whether collision detection is active (noclip mode when false)
     
     // Jump tracking for detection system
-    this.lastJumpTime = 0; // Timestamp of last jump
+    this.lastJumpTime = -Infinity; // Simulation time of last jump (seconds)
     this.recentJumpWindow = 0.25; // Time window in seconds to consider "recently jumped"
     
     // FOV state
@@ -91,9 +115,20 @@ class Player {
     this.currentFov = fov; // Current interpolated FOV
     this.targetFov = fov; // Target FOV to lerp towards
     
+    // Simulation time of the latest update (seconds); timestamps jumps and shots
+    this.currentTime = 0;
+    
+    // Pose before the latest simulation step, and the pose frames are drawn with
+    // (interpolated between the two when frames fall between steps)
+    this._previousPose = { x, y, viewDirection, eyeHeight: this.eyeHeight, pitch: 0 };
+    this._renderPose = { pos: { x, y }, viewDirection, eyeHeight: this.eyeHeight, horizonShift: 0 };
+    
     // Boundaries reference for collision detection
     this._boundaries = [];
 
+    // Equipped hitscan weapon
+    this.weapon = new Weapon();
+
     // Cached direction values (updated when view direction changes)
     this._cachedViewDirRad = viewDirection * DEG_TO_RAD;
     this._cachedCosView = Math.cos(this._cachedViewDirRad);
@@ -130,8 +165,10 @@ class Player {
    * Updates the player's position and camera based on movement state
    * @param {number} deltaTime - Time elapsed since last frame
    * @param {Array} [boundaries] - Optional boundaries array for collision detection
+   * @param {number} [currentTime] - Simulation time in seconds (defaults to real time)
    */
-  update(deltaTime, boundaries) {
+  update(deltaTime, boundaries, currentTime = performance.now() / 1000) {
+    this.currentTime = currentTime;
     if (boundaries) {
       this._boundaries = boundaries;
     }
@@ -164,6 +201,66 @@ class Player {
     } else {
       this.moveSpeed = this.baseMoveSpeed;
     }
+
+    // Floor zones (slow/speed) stack on top of the movement state
+    this.moveSpeed *= this.zoneSpeedMultiplier;
+  }
+
+  /**
+   * Sets the modifiers from the floor zones the player is standing in
+   * @param {Object} modifiers - Zone modifiers
+   * @param {number} [modifiers.speedMultiplier=1] - Movement speed multiplier
+   * @param {number} [modifiers.jumpMultiplier=1] - Jump strength multiplier
+   */
+  setZoneModifiers({ speedMultiplier = 1, jumpMultiplier = 1 }) {
+    this.zoneSpeedMultiplier = speedMultiplier;
+    this.zoneJumpMultiplier = jumpMultiplier;
+  }
+
+  /**
+   * Applies damage to the player
+   * @param {number} amount - Damage to apply
+   * @returns {boolean} True if the player's health reached zero
+   */
+  takeDamage(amount) {
+    this.health = Math.max(0, this.health - amount);
+    return this.health === 0;
+  }
+
+  /**
+   * Restores the player to full health
+   */
+  resetHealth() {
+    this.health = this.maxHealth;
+  }
+
+  /**
+   * Clears jump, crouch, sprint, pitch and FOV state and restarts the simulation clock
+   * (used when a run starts so it can be replayed from the same state)
+   */
+  resetMotion() {
+    this.moveForwards = false;
+    this.moveBackwards = false;
+    this.moveLeft = false;
+    this.moveRight = false;
+    this.analogForward = 0;
+    this.analogStrafe = 0;
+    this.isSprinting = false;
+    this.isJumping = false;
+    this.isCrouching = false;
+    this.wantsToCrouch = false;
+    this.verticalVelocity = 0;
+    this.eyeHeight = BASE_EYE_HEIGHT;
+    this.pitch = 0;
+    this.currentFov = this.baseFov;
+    this.targetFov = this.baseFov;
+    this.camera.setFov(this.baseFov);
+    this.lastJumpTime = -Infinity;
+    this.currentTime = 0;
+    this.flashlightOn = false;
+    this.lightLevel = 1;
+    this.weapon.reset();
+    this.storePreviousPose();
   }
 
   /**
@@ -174,7 +271,7 @@ class Player {
    */
   updateFov(deltaTime) {
     // Check if player is actually moving
-    const isMoving = this.moveForwards || this.moveBackwards || this.moveLeft || this.moveRight;
+    const isMoving = this.isMoving;
     
     // Determine target FOV based on movement speed
     if (isMoving && this.isSprinting) {
@@ -258,10 +355,10 @@ class Player {
   jump() {
     if (!this.isJumping) {
       this.isJumping = true;
-      this.lastJumpTime = performance.now() / 1000; // Store time in seconds
+      this.lastJumpTime = this.currentTime;
       // Jump force is reduced if crouching
       const jumpMultiplier = this.isCrouching ? 0.7 : 1.0;
-      this.verticalVelocity = JUMP_STRENGTH * jumpMultiplier;
+      this.verticalVelocity = JUMP_STRENGTH * jumpMultiplier * this.zoneJumpMultiplier;
       // Uncrouch when jumping
       if (this.isCrouching) {
         this.wantsToCrouch = false;
@@ -275,8 +372,7 @@ class Player {
    * @returns {boolean} True if jumped within the time window
    */
   hasRecentlyJumped() {
-    const currentTime = performance.now() / 1000;
-    return (currentTime - this.lastJumpTime) <= this.recentJumpWindow;
+    return (this.currentTime - this.lastJumpTime) <= this.recentJumpWindow;
   }
 
   /**
@@ -299,6 +395,33 @@ class Player {
     this.isSprinting = sprinting;
   }
   
+  /**
+   * Fires the equipped weapon along the current view direction
+   * @param {Array<Boundaries>} boundaries - Boundaries that can block the shot
+   * @param {EnemyClass[]} enemies - Enemies that can be hit
+   * @returns {ShotResult|null} Shot result, or null if the weapon could not fire
+   */
+  fire(boundaries, enemies) {
+    return this.weapon.fire(this.pos, this.viewDirection, boundaries, enemies, this.currentTime * 1000);
+  }
+
+  /**
+   * Starts reloading the equipped weapon
+   * @returns {boolean} True if a reload was started
+   */
+  reload() {
+    return this.weapon.reload(this.currentTime * 1000);
+  }
+
+  /**
+   * Toggles the flashlight on/off
+   * @returns {boolean} The new flashlight state
+   */
+  toggleFlashlight() {
+    this.flashlightOn = !this.flashlightOn;
+    return this.flashlightOn;
+  }
+
   /**
    * Toggles collision detection on/off (noclip mode)
    * @returns {boolean} The new collision state
@@ -372,6 +495,12 @@ class Player {
       dx -= this._cachedCosStrafe;
       dy -= this._cachedSinStrafe;
     }
+    
+    // Analog stick: partial deflection moves at proportional speed
+    if (this.analogForward !== 0 || this.analogStrafe !== 0) {
+      dx += this._cachedCosView * this.analogForward + this._cachedCosStrafe * this.analogStrafe;
+      dy += this._cachedSinView * this.analogForward + this._cachedSinStrafe * this.analogStrafe;
+    }
 
     // Only normalize and move if there's actual movement
     if (dx !== 0 || dy !== 0) {
@@ -639,6 +768,65 @@ class Player {
     this.camera.update(this.pos, this.viewDirection);
   }
 
+  /**
+   * Whether any movement input is held (keys or analog stick)
+   * @returns {boolean}
+   */
+  get isMoving() {
+    return this.moveForwards || this.moveBackwards || this.moveLeft || this.moveRight ||
+      this.analogForward !== 0 || this.analogStrafe !== 0;
+  }
+
+  /**
+   * Updates the vertical look angle, clamped to the configured limit
+   * @param {number} newPitch - New pitch in degrees (positive = up)
+   */
+  updatePitch(newPitch) {
+    this.pitch = Math.max(-MAX_PITCH, Math.min(MAX_PITCH, newPitch));
+  }
+
+  /**
+   * How far the horizon moves down the screen for the current pitch
+   * (y-shear: walls, sprites, floor, ceiling and background all shift by it)
+   * @returns {number} Horizon offset as a fraction of the screen height
+   */
+  get horizonShift() {
+    return Math.tan(this.pitch * DEG_TO_RAD);
+  }
+
+  /**
+   * Remembers the current pose as the start of the next simulation step
+   * (call before the step's input is applied)
+   */
+  storePreviousPose() {
+    const previous = this._previousPose;
+    previous.x = this.pos.x;
+    previous.y = this.pos.y;
+    previous.viewDirection = this.viewDirection;
+    previous.eyeHeight = this.eyeHeight;
+    previous.pitch = this.pitch;
+  }
+
+  /**
+   * Gets the pose to draw a frame with, between the previous and latest simulation step
+   * @param {number} alpha - How far past the latest step the frame is, as a fraction of a step (0-1)
+   * @returns {{pos: {x: number, y: number}, viewDirection: number, eyeHeight: number, horizonShift: number}}
+   *          Interpolated pose (reused between calls)
+   */
+  getRenderPose(alpha) {
+    const previous = this._previousPose;
+    const pose = this._renderPose;
+    const turn = ((this.viewDirection - previous.viewDirection + 540) % 360) - 180; // Shortest way round
+
+    // Frames trail the simulation by up to a step: alpha 0 draws the previous pose
+    pose.pos.x = previous.x + (this.pos.x - previous.x) * alpha;
+    pose.pos.y = previous.y + (this.pos.y - previous.y) * alpha;
+    pose.viewDirection = (previous.viewDirection + turn * alpha + 360) % 360;
+    pose.eyeHeight = previous.eyeHeight + (this.eyeHeight - previous.eyeHeight) * alpha;
+    pose.horizonShift = Math.tan((previous.pitch + (this.pitch - previous.pitch) * alpha) * DEG_TO_RAD);
+    return pose;
+  }
+
   /**
    * Gets the scene data from the camera
    * @param {Array<Boundaries>} boundaries - Array of boundary objects
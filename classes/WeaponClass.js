@@ -0,0 +1,204 @@
+import RayClass from './RayClass.js';
+import { DEG_TO_RAD } from '../utils/mathLUT.js';
+import { WeaponConfig } from '../config/GameConfig.js';
+
+/**
+ * @typedef {Object} ShotResult
+ * @property {boolean} hit - Whether an enemy was hit
+ * @property {EnemyClass|null} enemy - The enemy that was hit, if any
+ * @property {boolean} killed - Whether the hit killed the enemy
+ * @property {{x: number, y: number}|null} point - World-space impact point (enemy or wall)
+ * @property {number} distance - Distance to the impact point (or range if nothing was hit)
+ */
+
+class Weapon {
+  /**
+   * Creates a hitscan weapon
+   * @param {Object} [options={}] - Weapon configuration
+   * @param {number} [options.damage] - Damage dealt per hit
+   * @param {number} [options.range] - Maximum hitscan distance in world units
+   * @param {number} [options.fireCooldown] - Milliseconds between shots
+   * @param {number} [options.magazineSize] - Rounds per magazine
+   * @param {number} [options.reloadTime] - Reload duration in milliseconds
+   */
+  constructor({
+    damage = WeaponConfig.damage,
+    range = WeaponConfig.range,
+    fireCooldown = WeaponConfig.fireCooldown,
+    magazineSize = WeaponConfig.magazineSize,
+    reloadTime = WeaponConfig.reloadTime
+  } = {}) {
+    this.damage = damage;
+    this.range = range;
+    this.fireCooldown = fireCooldown;
+    this.magazineSize = magazineSize;
+    this.reloadTime = reloadTime;
+
+    this.ammo = magazineSize;
+    this.isReloading = false;
+    this.reloadStartTime = 0;
+    this.lastFireTime = -Infinity;
+    this.lastHitTime = -Infinity;
+
+    // Reused for every shot to avoid allocation
+    this._ray = new RayClass(0, 0, 0);
+  }
+
+  /**
+   * Checks whether the weapon can fire right now
+   * @param {number} now - Current time in milliseconds
+   * @returns {boolean} True if a shot can be fired
+   */
+  canFire(now) {
+    this.update(now);
+    return !this.isReloading && this.ammo > 0 && now - this.lastFireTime >= this.fireCooldown;
+  }
+
+  /**
+   * Fires a hitscan shot. Opaque walls block the shot; the closest living
+   * enemy in front of the first wall takes damage.
+   * @param {{x: number, y: number}} origin - Shot origin (player position)
+   * @param {number} angle - Shot direction in degrees
+   * @param {Array<Boundaries|CurvedWall>} boundaries - Scene boundaries
+   * @param {EnemyClass[]} enemies - Enemies that can be hit
+   * @param {number} [now=performance.now()] - Current time in milliseconds
+   * @returns {ShotResult|null} Shot result, or null if the weapon could not fire
+   */
+  fire(origin, angle, boundaries, enemies, now = performance.now()) {
+    if (!this.canFire(now)) return null;
+
+    this.ammo--;
+    this.lastFireTime = now;
+
+    const ray = this._ray;
+    ray.pos.x = origin.x;
+    ray.pos.y = origin.y;
+    ray.setAngle(angle * DEG_TO_RAD);
+
+    // Find the closest opaque wall (sprites never block shots)
+    let closestDist = this.range;
+    let impactPoint = null;
+
+    for (let i = 0; i < boundaries.length; i++) {
+      const boundary = boundaries[i];
+      if (boundary.isTransparent) continue;
+      if (!ray.quickReject(boundary, closestDist)) continue;
+
+      const result = ray.cast(boundary);
+      if (result && result.distance < closestDist) {
+        closestDist = result.distance;
+        impactPoint = result.point;
+      }
+    }
+
+    // Find the closest enemy sprite in front of that wall
+    let hitEnemy = null;
+
+    for (let i = 0; i < enemies.length; i++) {
+      const enemy = enemies[i];
+      if (enemy.isDead) continue;
+
+      const result = ray.cast(enemy.skin);
+      if (result && result.distance < closestDist) {
+        closestDist = result.distance;
+        impactPoint = result.point;
+        hitEnemy = enemy;
+      }
+    }
+
+    let killed = false;
+    if (hitEnemy) {
+      killed = hitEnemy.takeDamage(this.damage);
+      this.lastHitTime = now;
+    }
+
+    // Auto-reload on an empty magazine
+    if (this.ammo === 0) {
+      this.reload(now);
+    }
+
+    return {
+      hit: hitEnemy !== null,
+      enemy: hitEnemy,
+      killed,
+      point: impactPoint,
+      distance: closestDist
+    };
+  }
+
+  /**
+   * Starts reloading if the magazine is not already full
+   * @param {number} [now=performance.now()] - Current time in milliseconds
+   * @returns {boolean} True if a reload was started
+   */
+  reload(now = performance.now()) {
+    if (this.isReloading || this.ammo === this.magazineSize) return false;
+
+    this.isReloading = true;
+    this.reloadStartTime = now;
+    return true;
+  }
+
+  /**
+   * Completes a pending reload once its duration has elapsed
+   * @param {number} [now=performance.now()] - Current time in milliseconds
+   */
+  update(now = performance.now()) {
+    if (this.isReloading && now - this.reloadStartTime >= this.reloadTime) {
+      this.isReloading = false;
+      this.ammo = this.magazineSize;
+    }
+  }
+
+  /**
+   * Gets reload progress
+   * @param {number} now - Current time in milliseconds
+   * @returns {number} Value between 0 and 1 (0 when not reloading)
+   */
+  getReloadProgress(now) {
+    if (!this.isReloading) return 0;
+    return Math.min((now - this.reloadStartTime) / this.reloadTime, 1);
+  }
+
+  /**
+   * Gets the current recoil amount, decaying after each shot
+   * @param {number} now - Current time in milliseconds
+   * @returns {number} Value between 0 (settled) and 1 (just fired)
+   */
+  getRecoil(now) {
+    const elapsed = now - this.lastFireTime;
+    if (elapsed >= WeaponConfig.recoilDuration) return 0;
+    return 1 - elapsed / WeaponConfig.recoilDuration;
+  }
+
+  /**
+   * Checks if the muzzle flash should be visible
+   * @param {number} now - Current time in milliseconds
+   * @returns {boolean} True while the flash is showing
+   */
+  isFlashing(now) {
+    return now - this.lastFireTime < WeaponConfig.muzzleFlashDuration;
+  }
+
+  /**
+   * Checks if the hit marker should be visible
+   * @param {number} now - Current time in milliseconds
+   * @returns {boolean} True shortly after a shot hits an enemy
+   */
+  isShowingHitMarker(now) {
+    return now - this.lastHitTime < WeaponConfig.hitMarkerDuration;
+  }
+
+  /**
+   * Restores a full magazine and clears all timers
+   */
+  reset() {
+    this.ammo = this.magazineSize;
+    this.isReloading = false;
+    this.reloadStartTime = 0;
+    this.lastFireTime = -Infinity;
+    this.lastHitTime = -Infinity;
+  }
+}
+
+export default Weapon;
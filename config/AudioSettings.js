@@ -0,0 +1,170 @@
+/**
+ * Audio Settings - Manages the volume of each sound channel
+ * Supports saving/loading from localStorage, like ControlsConfig
+ */
+
+import { AudioConfig } from './GameConfig.js';
+
+// Storage key for localStorage
+const STORAGE_KEY = 'fps_shooter_audio';
+
+// Default volumes (from AudioConfig)
+const DEFAULT_VOLUMES = { ...AudioConfig.volumes };
+
+/**
+ * AudioSettings singleton - manages volume configuration
+ */
+class AudioSettingsManager {
+  constructor() {
+    this._volumes = { ...DEFAULT_VOLUMES };
+
+    // Listeners for volume changes
+    this._listeners = [];
+
+    // Load saved settings
+    this._load();
+  }
+
+  /**
+   * Loads settings from localStorage
+   * @private
+   */
+  _load() {
+    try {
+      const saved = localStorage.getItem(STORAGE_KEY);
+      if (saved) {
+        const data = JSON.parse(saved);
+        if (data.volumes) {
+          for (const channel of Object.keys(DEFAULT_VOLUMES)) {
+            if (typeof data.volumes[channel] === 'number') {
+              this._volumes[channel] = this._clamp(data.volumes[channel]);
+            }
+          }
+        }
+      }
+    } catch (e) {
+      console.warn('Failed to load audio settings:', e);
+    }
+  }
+
+  /**
+   * Saves settings to localStorage
+   * @private
+   */
+  _save() {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify({ volumes: this._volumes }));
+    } catch (e) {
+      console.warn('Failed to save audio settings:', e);
+    }
+  }
+
+  /**
+   * Clamps a volume to 0-1
+   * @private
+   */
+  _clamp(value) {
+    return Math.max(0, Math.min(1, value));
+  }
+
+  /**
+   * Notifies all listeners of a change
+   * @private
+   */
+  _notifyListeners() {
+    for (const listener of this._listeners) {
+      try {
+        listener();
+      } catch (e) {
+        console.warn('Audio settings listener error:', e);
+      }
+    }
+  }
+
+  /**
+   * Adds a listener for volume changes
+   * @param {Function} callback - Callback function
+   */
+  addListener(callback) {
+    if (typeof callback === 'function' && !this._listeners.includes(callback)) {
+      this._listeners.push(callback);
+    }
+  }
+
+  /**
+   * Removes a listener
+   * @param {Function} callback - Callback to remove
+   */
+  removeListener(callback) {
+    const index = this._listeners.indexOf(callback);
+    if (index !== -1) {
+      this._listeners.splice(index, 1);
+    }
+  }
+
+  /**
+   * Gets all channel names
+   * @returns {string[]} Channel names ('master', 'footsteps', 'enemies', 'alerts')
+   */
+  getChannels() {
+    return Object.keys(this._volumes);
+  }
+
+  /**
+   * Gets a channel's volume
+   * @param {string} channel - Channel name
+   * @returns {number} Volume (0-1)
+   */
+  getVolume(channel) {
+    return this._volumes[channel] ?? 0;
+  }
+
+  /**
+   * Sets a channel's volume
+   * @param {string} channel - Channel name
+   * @param {number} value - Volume (0-1)
+   */
+  setVolume(channel, value) {
+    if (this._volumes.hasOwnProperty(channel)) {
+      this._volumes[channel] = this._clamp(value);
+      this._save();
+      this._notifyListeners();
+    }
+  }
+
+  /**
+   * Adjusts a channel's volume by a step
+   * @param {string} channel - Channel name
+   * @param {number} direction - Direction (-1 or 1)
+   */
+  adjustVolume(channel, direction) {
+    this.setVolume(channel, Math.round((this.getVolume(channel) + direction * 0.05) * 100) / 100);
+  }
+
+  /**
+   * Resets all volumes to defaults
+   */
+  resetToDefaults() {
+    this._volumes = { ...DEFAULT_VOLUMES };
+    this._save();
+    this._notifyListeners();
+  }
+
+  /**
+   * Gets a display name for a channel
+   * @param {string} channel - Channel name
+   * @returns {string} Human-readable name
+   */
+  getChannelDisplayName(channel) {
+    const names = {
+      master: 'Master Volume',
+      footsteps: 'Footsteps',
+      enemies: 'Enemies',
+      alerts: 'Alarm & Music Stingers'
+    };
+    return names[channel] || channel;
+  }
+}
+
+// Export singleton instance
+export const AudioSettings = new AudioSettingsManager();
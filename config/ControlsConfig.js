@@ -1,5 +1,5 @@
 /**
- * Controls Configuration - Manages key bindings and mouse sensitivity
+ * Controls Configuration - Manages key, mouse button and gamepad button bindings and mouse sensitivity
  * Supports saving/loading from localStorage and runtime rebinding
  */
 
@@ -11,6 +11,8 @@ const STORAGE_KEY = 'fps_shooter_controls';
 // Default key bindings (from InputConfig)
 const DEFAULT_KEYS = { ...InputConfig.keys };
 const DEFAULT_SENSITIVITY = InputConfig.mouseSensitivity;
+const DEFAULT_PITCH_SENSITIVITY = InputConfig.pitchSensitivity;
+const DEFAULT_INVERT_Y = InputConfig.invertY;
 
 /**
  * ControlsConfig singleton - manages all input configuration
@@ -20,6 +22,8 @@ class ControlsConfigManager {
     // Current bindings (cloned from defaults)
     this._keys = this._normalizeAllKeys(this._deepClone(DEFAULT_KEYS));
     this._mouseSensitivity = DEFAULT_SENSITIVITY;
+    this._pitchSensitivity = DEFAULT_PITCH_SENSITIVITY;
+    this._invertY = DEFAULT_INVERT_Y;
     
     // Listeners for config changes
     this._listeners = [];
@@ -92,6 +96,12 @@ class ControlsConfigManager {
         if (typeof data.mouseSensitivity === 'number') {
           this._mouseSensitivity = data.mouseSensitivity;
         }
+        if (typeof data.pitchSensitivity === 'number') {
+          this._pitchSensitivity = data.pitchSensitivity;
+        }
+        if (typeof data.invertY === 'boolean') {
+          this._invertY = data.invertY;
+        }
       }
     } catch (e) {
       console.warn('Failed to load controls config:', e);
@@ -106,7 +116,9 @@ class ControlsConfigManager {
     try {
       const data = {
         keys: this._keys,
-        mouseSensitivity: this._mouseSensitivity
+        mouseSensitivity: this._mouseSensitivity,
+        pitchSensitivity: this._pitchSensitivity,
+        invertY: this._invertY
       };
       localStorage.setItem(STORAGE_KEY, JSON.stringify(data));
     } catch (e) {
@@ -275,12 +287,70 @@ class ControlsConfigManager {
     this.setSensitivity(this._mouseSensitivity + delta * 0.05);
   }
 
+  /**
+   * Gets the vertical look (pitch) sensitivity
+   * @returns {number} Degrees of pitch per pixel of vertical mouse movement
+   */
+  getPitchSensitivity() {
+    return this._pitchSensitivity;
+  }
+
+  /**
+   * Sets the vertical look (pitch) sensitivity
+   * @param {number} value - New pitch sensitivity value
+   */
+  setPitchSensitivity(value) {
+    // Clamp to reasonable range
+    this._pitchSensitivity = Math.max(0.01, Math.min(2.0, value));
+    this._save();
+    this._notifyListeners();
+  }
+
+  /**
+   * Adjusts pitch sensitivity by a delta
+   * @param {number} delta - Amount to adjust
+   */
+  adjustPitchSensitivity(delta) {
+    this.setPitchSensitivity(this._pitchSensitivity + delta * 0.05);
+  }
+
+  /**
+   * Whether moving the mouse up looks down
+   * @returns {boolean} True if vertical look is inverted
+   */
+  getInvertY() {
+    return this._invertY;
+  }
+
+  /**
+   * Sets whether vertical look is inverted
+   * @param {boolean} value - True to invert
+   */
+  setInvertY(value) {
+    this._invertY = !!value;
+    this._save();
+    this._notifyListeners();
+  }
+
+  /**
+   * Converts vertical mouse movement to a pitch change
+   * (moving the mouse up looks up unless Y is inverted)
+   * @param {number} movementY - Vertical mouse movement in pixels
+   * @returns {number} Pitch change in degrees
+   */
+  getPitchDelta(movementY) {
+    const delta = -movementY * this._pitchSensitivity;
+    return this._invertY ? -delta : delta;
+  }
+
   /**
    * Resets all settings to defaults
    */
   resetToDefaults() {
     this._keys = this._normalizeAllKeys(this._deepClone(DEFAULT_KEYS));
     this._mouseSensitivity = DEFAULT_SENSITIVITY;
+    this._pitchSensitivity = DEFAULT_PITCH_SENSITIVITY;
+    this._invertY = DEFAULT_INVERT_Y;
     this._save();
     this._notifyListeners();
   }
@@ -302,7 +372,15 @@ class ControlsConfigManager {
       reset: 'Reset Level',
       noclip: 'Toggle Noclip',
       pathReveal: 'Reveal Path',
-      mapSelector: 'Map Selector'
+      mapSelector: 'Map Selector',
+      fire: 'Fire',
+      reload: 'Reload',
+      editor: 'Level Editor',
+      replay: 'Watch Replay',
+      ghost: 'Toggle Ghost',
+      use: 'Use / Open',
+      flashlight: 'Flashlight',
+      settings: 'Open Settings'
     };
     return names[action] || action;
   }
@@ -326,7 +404,27 @@ class ControlsConfigManager {
       'Enter': 'Enter',
       'Escape': 'Esc',
       'Backspace': 'Backspace',
-      'Delete': 'Delete'
+      'Delete': 'Delete',
+      'Mouse0': 'LMB',
+      'Mouse1': 'MMB',
+      'Mouse2': 'RMB',
+      'Pad0': 'Pad A',
+      'Pad1': 'Pad B',
+      'Pad2': 'Pad X',
+      'Pad3': 'Pad Y',
+      'Pad4': 'LB',
+      'Pad5': 'RB',
+      'Pad6': 'LT',
+      'Pad7': 'RT',
+      'Pad8': 'Back',
+      'Pad9': 'Start',
+      'Pad10': 'L3',
+      'Pad11': 'R3',
+      'Pad12': 'D-Pad ↑',
+      'Pad13': 'D-Pad ↓',
+      'Pad14': 'D-Pad ←',
+      'Pad15': 'D-Pad →',
+      'Pad16': 'Home'
     };
     return names[key] || key.toUpperCase();
   }
@@ -16,6 +16,63 @@ export const RenderConfig = {
   pixelsPerWorldUnit: 4
 };
 
+// ===========================================
+// GRAPHICS SETTINGS CONFIGURATION
+// ===========================================
+export const GraphicsConfig = {
+  // Default choices; the player's choices are saved by GraphicsSettings
+  defaults: {
+    renderer: 'canvas',   // 'canvas' (a draw call per slice/span) or 'framebuffer' (one putImageData per frame)
+    raycaster: 'worker',  // 'worker' (cast in a Web Worker, falls back to the main thread) or 'main'
+    raycastLatency: 'off', // 'oneFrame' draws the previous frame's worker cast instead of waiting for this one
+    targetFps: 60,         // Adaptive quality holds this frame rate ('off' = always maxQuality)
+    minQuality: 'low',     // Lowest quality level adaptive quality may drop to
+    maxQuality: 'ultra'    // Highest quality level (used as-is when targetFps is 'off')
+  },
+
+  // Allowed values per option, in the order the settings menu cycles through them
+  choices: {
+    renderer: ['canvas', 'framebuffer'],
+    raycaster: ['worker', 'main'],
+    raycastLatency: ['off', 'oneFrame'],
+    targetFps: ['off', 30, 45, 60, 75, 90, 120, 144],
+    minQuality: ['low', 'medium', 'high', 'ultra'],
+    maxQuality: ['low', 'medium', 'high', 'ultra']
+  }
+};
+
+// ===========================================
+// ADAPTIVE QUALITY CONFIGURATION
+// ===========================================
+export const QualityConfig = {
+  // Quality levels, lowest first (names match GraphicsConfig min/maxQuality)
+  levels: [
+    { name: 'low', rayCount: 320, floorRowStep: 4 },
+    { name: 'medium', rayCount: 500, floorRowStep: 3 },
+    { name: 'high', rayCount: 750, floorRowStep: 2 },
+    { name: 'ultra', rayCount: 1000, floorRowStep: 2 }
+  ],
+
+  // Hysteresis (frame time samples arrive every 500ms from the stats tracker)
+  dropThreshold: 1.15,     // Drop a level when average frame time exceeds target by 15%...
+  dropSamples: 2,          // ...for this many samples in a row
+  raiseThreshold: 1.05,    // Try a level up when average frame time is within 5% of target...
+  raiseSamples: 6,         // ...for this many samples in a row
+  maxRaiseSamples: 96,     // Each drop doubles the wait before retrying that level, up to this
+  settleSamples: 2,        // Samples ignored after a change while the frame time settles
+  maxSampleFrameTime: 250  // Samples slower than this (ms) are stalls (tab switch, loading) and ignored
+};
+
+// ===========================================
+// RAYCAST WORKER CONFIGURATION
+// ===========================================
+export const RaycastConfig = {
+  workerPath: './workers/RaycastWorker.js',
+  cellSize: 100,        // Worker spatial grid cell size (matches the camera's grid)
+  maxExtraHits: 16,     // Partial-height and transparent hits kept per ray
+  workerTimeout: 1000   // ms without a cast result before giving up on the worker
+};
+
 // ===========================================
 // MINIMAP CONFIGURATION
 // ===========================================
@@ -76,7 +133,13 @@ export const PlayerConfig = {
   baseFov: 80,
   slowFov: 83,
   fastFov: 77,
-  fovLerpSpeed: 0.15
+  fovLerpSpeed: 0.15,
+
+  // Looking up/down (y-shear: the horizon moves by tan(pitch) screen heights)
+  maxPitch: 20,
+
+  // Health (only hazards use it; enemies detect rather than damage)
+  maxHealth: 100
 };
 
 // ===========================================
@@ -98,7 +161,50 @@ export const DetectionConfig = {
   jumpMultiplier: 1.2,
   sprintRangeMultiplier: 1.2,
   sprintFovMultiplier: 1.3,
-  proximityDistanceMultiplier: 0.15
+  proximityDistanceMultiplier: 0.15,
+
+  // Cover: enemies look at this height (wall units) on the player; walls that
+  // span it block sight, so crouching hides behind waist-high walls
+  standingSightHeight: 0.75,
+  crouchingSightHeight: 0.4,
+
+  // Light: detection range in full darkness (scales up to 1x at full light)
+  darknessRangeMultiplier: 0.4
+};
+
+// ===========================================
+// LIGHTING CONFIGURATION
+// ===========================================
+export const LightingConfig = {
+  // Maps without ambientLight are fully lit (distance falloff only)
+  defaultAmbient: 1,
+  // Light is quantized to this many levels so floor spans still merge
+  levels: 16,
+
+  // Map light sources
+  defaultLightRadius: 250,
+  defaultLightIntensity: 1,
+
+  // Player flashlight
+  flashlightRange: 450,
+  flashlightAngle: 28,        // Half-angle of the cone in degrees
+  flashlightSoftEdge: 0.35,   // Outer fraction of the cone that fades out
+  flashlightIntensity: 1,
+  flashlightVisibility: 0.9   // Light level enemies see on a player whose flashlight is on
+};
+
+// ===========================================
+// NOISE CONFIGURATION
+// ===========================================
+export const NoiseConfig = {
+  // Audible radius of each player noise in open space (world units).
+  // Scaled by DetectionConfig.crouchMultiplier / sprintRangeMultiplier, like sight range.
+  moveRadius: 90,
+  sprintRadius: 220,
+  landRadius: 180,
+  stepInterval: 0.35,       // Seconds between movement noises while walking or sprinting
+  wallAttenuation: 0.55,    // Radius multiplier for each wall surface between the noise and the listener
+  gridCellSize: 100         // Spatial grid cell size for wall queries
 };
 
 // ===========================================
@@ -112,7 +218,45 @@ export const EnemyConfig = {
   // Visibility falloff zones
   fullDistanceThreshold: 0.2,
   transitionEnd: 0.4,
-  minMultiplier: 0.4
+  minMultiplier: 0.4,
+
+  // Combat
+  maxHealth: 100,
+
+  // Alert state machine (patrol -> suspicious -> chase -> search -> return)
+  ai: {
+    suspicionTime: 0.6,      // Seconds of sight needed to escalate from suspicious to chase
+    suspicionDecay: 0.5,     // Suspicion lost per second out of sight (as a fraction of suspicionTime)
+    turnSpeed: 240,          // Degrees per second when turning toward a target
+    chaseSpeed: 95,          // World units per second
+    searchSpeed: 70,
+    returnSpeed: 55,
+    searchDuration: 4,       // Seconds spent looking around the last known position
+    searchSweepAngle: 70,    // Degrees either side of the arrival direction
+    repathInterval: 0.4,     // Seconds between path recalculations while chasing
+    stopDistance: 28,        // Closest an enemy will walk up to the player
+    arriveDistance: 4,       // Distance at which a waypoint counts as reached
+
+    // Hearing (see NoiseConfig)
+    investigateLoudness: 0.5, // Noises at least this loud (0-1) are investigated; quieter ones are only turned toward
+    hearingSuspicion: 0.5     // Suspicion from turning toward a noise (keeps the enemy looking while it turns)
+  }
+};
+
+// ===========================================
+// WEAPON CONFIGURATION
+// ===========================================
+export const WeaponConfig = {
+  damage: 34,               // Three hits to kill a default enemy
+  range: 1500,              // Maximum hitscan distance in world units
+  fireCooldown: 250,        // Milliseconds between shots
+  magazineSize: 8,
+  reloadTime: 1400,         // Milliseconds
+
+  // Visual feedback
+  muzzleFlashDuration: 60,  // Milliseconds
+  recoilDuration: 180,      // Milliseconds for the sprite to settle
+  hitMarkerDuration: 200    // Milliseconds
 };
 
 // ===========================================
@@ -120,20 +264,48 @@ export const EnemyConfig = {
 // ===========================================
 export const InputConfig = {
   mouseSensitivity: 0.2,
+  pitchSensitivity: 0.1, // Degrees of pitch per pixel of vertical mouse movement
+  invertY: false,
   
-  // Key bindings
+  // Key bindings ('Mouse<n>' = mouse button, 'Pad<n>' = gamepad button in the standard layout)
   keys: {
-    forward: ['ArrowUp', 'w', 'W'],
-    backward: ['ArrowDown', 's', 'S'],
-    strafeLeft: ['ArrowLeft', 'a', 'A'],
-    strafeRight: ['ArrowRight', 'd', 'D'],
-    sprint: ['Shift'],
-    jump: [' '],
-    crouch: ['Control', 'c', 'C'],
+    forward: ['ArrowUp', 'w', 'W', 'Pad12'],
+    backward: ['ArrowDown', 's', 'S', 'Pad13'],
+    strafeLeft: ['ArrowLeft', 'a', 'A', 'Pad14'],
+    strafeRight: ['ArrowRight', 'd', 'D', 'Pad15'],
+    sprint: ['Shift', 'Pad10'],
+    jump: [' ', 'Pad0'],
+    crouch: ['Control', 'c', 'C', 'Pad1'],
     reset: ['r', 'R'],
     noclip: ['n', 'N'],
-    pathReveal: ['p', 'P'],
-    mapSelector: ['m', 'M', 'Tab']
+    pathReveal: ['p', 'P', 'Pad3'],
+    mapSelector: ['m', 'M', 'Tab', 'Pad8'],
+    fire: ['Mouse0', 'x', 'X', 'Pad7'],
+    reload: ['q', 'Q', 'Pad2'],
+    editor: ['b', 'B'],
+    replay: ['v', 'V'],
+    ghost: ['g', 'G'],
+    use: ['e', 'E', 'Pad5'],
+    flashlight: ['t', 'T', 'Pad4'],
+    settings: ['Pad9'] // Escape always opens settings from the keyboard
+  },
+
+  // Gamepad (polled each frame through the Gamepad API)
+  gamepad: {
+    deadzone: 0.15, // Stick deflection ignored around the center (0-1)
+    responseExponent: 2, // Stick response curve (1 = linear, higher = finer control near the center)
+    lookSpeed: 180, // Degrees per second of turning at full right stick deflection
+    pitchSpeed: 90, // Degrees per second of pitch at full right stick deflection
+    triggerThreshold: 0.5, // Analog trigger value that counts as a press
+    menuStickThreshold: 0.6 // Left stick deflection that steps through menus
+  },
+
+  // Touch (switches on with the first touch)
+  touch: {
+    lookSensitivity: 0.3, // Degrees per CSS pixel dragged on the right half of the screen
+    joystickDeadzone: 0.1, // Joystick deflection ignored around the center (0-1)
+    tapMaxDistance: 15, // CSS pixels a touch may move and still count as a tap
+    tapMaxTime: 350 // Milliseconds a touch may last and still count as a tap
   }
 };
 
@@ -164,8 +336,22 @@ export const UIConfig = {
   // Instructions panel
   instructionsPanel: {
     width: 0.5,    // As fraction of canvas width
-    height: 0.4,   // As fraction of canvas height
+    height: 0.45,  // As fraction of canvas height
     pulseSpeed: 0.003
+  },
+
+  // On-screen touch controls (positions and sizes in canvas heights from the named edges)
+  touchControls: {
+    opacity: 0.4,
+    joystick: { left: 0.22, bottom: 0.24, radius: 0.12 },
+    buttons: [
+      { action: 'jump', label: 'JUMP', right: 0.14, bottom: 0.16, radius: 0.08 },
+      { action: 'crouch', label: 'CROUCH', right: 0.34, bottom: 0.11, radius: 0.065, toggle: true },
+      { action: 'sprint', label: 'SPRINT', right: 0.14, bottom: 0.38, radius: 0.065, toggle: true },
+      { action: 'fire', label: 'FIRE', right: 0.34, bottom: 0.32, radius: 0.07 },
+      { action: 'use', label: 'USE', right: 0.52, bottom: 0.11, radius: 0.055 },
+      { action: 'mapSelector', label: 'MAPS', left: 0.08, top: 0.08, radius: 0.05 }
+    ]
   }
 };
 
@@ -174,7 +360,9 @@ export const UIConfig = {
 // ===========================================
 export const GameLoopConfig = {
   uncappedFps: false,
-  targetFps: 120  // For delta time normalization
+  targetFps: 120,       // For delta time normalization
+  fixedStep: 1 / 120,   // Simulation step in seconds (one normalized delta at targetFps)
+  maxStepsPerFrame: 8   // Steps one frame may run before the simulation falls behind real time
 };
 
 // ===========================================
@@ -227,7 +415,27 @@ export const ZoneConfig = {
     pulseIntensity: 0.25
   },
   // Default zone radius
-  defaultRadius: 40
+  defaultRadius: 40,
+
+  // Gameplay effects of floor zones (scaled by each zone's intensity)
+  effects: {
+    slow: {
+      speedMultiplier: 0.5
+    },
+    speed: {
+      speedMultiplier: 1.8
+    },
+    jump: {
+      jumpMultiplier: 1.6
+    },
+    danger: {
+      detectionDrainRate: 0.5,  // Alert seconds per second (maze maps)
+      healthDrainRate: 25       // Health per second (other maps)
+    },
+    pit: {
+      respawnOnMazeMaps: false  // Maze pits end the run; other maps respawn the player
+    }
+  }
 };
 
 // ===========================================
@@ -235,8 +443,10 @@ export const ZoneConfig = {
 // ===========================================
 export const MazeConfig = {
   defaults: {
+    topology: 'square',     // 'square', 'theta' (concentric rings) or 'hex'
     cols: 28,
     rows: 28,
+    rings: 12,              // Theta mazes: rings including the center cell
     cellSize: 100,
     wallThickness: 18,
     curveChance: 1.0,
@@ -244,6 +454,180 @@ export const MazeConfig = {
     roomCount: 3,
     roomMinSize: 2,
     roomMaxSize: 5,
-    enemyCount: 20
+    enemyCount: 20,
+    algorithm: 'backtracker',
+    seed: null // null = random seed per generation
+  },
+
+  // Carving algorithms, in the order the map selector cycles through them
+  // (gridOnly algorithms work row by row and are skipped for theta and hex mazes)
+  algorithms: [
+    { id: 'backtracker', name: 'Backtracker' },        // Long, winding corridors with few branches
+    { id: 'prim', name: "Prim's" },                    // Many short dead ends branching everywhere
+    { id: 'kruskal', name: "Kruskal's" },              // Even mix of short corridors and junctions
+    { id: 'wilson', name: "Wilson's" },                // Unbiased: every layout equally likely
+    { id: 'eller', name: "Eller's", gridOnly: true },  // Built row by row; long east-west runs
+    { id: 'division', name: 'Recursive Division', gridOnly: true } // Long straight walls around boxy chambers
+  ],
+
+  // "Custom Maze" panel in the map selector (choices are saved by MazeSettings)
+  custom: {
+    mapName: 'Custom Maze',
+
+    // Options the panel doesn't expose
+    base: {
+      wallThickness: 15,
+      curveChance: 1.0,
+      roomMinSize: 2,
+      roomMaxSize: 4
+    },
+
+    // Sliders, in panel order
+    params: [
+      { key: 'cols', name: 'Columns', min: 8, max: 40, step: 1 },
+      { key: 'rows', name: 'Rows', min: 8, max: 40, step: 1 },
+      { key: 'cellSize', name: 'Cell Size', min: 70, max: 150, step: 10 },
+      { key: 'loopChance', name: 'Loops', min: 0, max: 0.5, step: 0.05 },
+      { key: 'roomCount', name: 'Rooms', min: 0, max: 8, step: 1 },
+      { key: 'enemyCount', name: 'Enemies', min: 0, max: 60, step: 1 }
+    ],
+
+    // Presets, easiest first (Normal matches the built-in Maze Map)
+    presets: [
+      { id: 'easy', name: 'Easy', values: { cols: 12, rows: 12, cellSize: 110, loopChance: 0.25, roomCount: 2, enemyCount: 5 } },
+      { id: 'normal', name: 'Normal', values: { cols: 20, rows: 20, cellSize: 90, loopChance: 0.1, roomCount: 2, enemyCount: 15 } },
+      { id: 'hard', name: 'Hard', values: { cols: 28, rows: 28, cellSize: 80, loopChance: 0.05, roomCount: 3, enemyCount: 30 } },
+      { id: 'nightmare', name: 'Nightmare', values: { cols: 36, rows: 36, cellSize: 70, loopChance: 0, roomCount: 4, enemyCount: 50 } }
+    ],
+    defaultPreset: 'normal'
+  },
+
+  // Difficulty analyzer (maps/mazeAnalyzer.js)
+  analysis: {
+    simSeconds: 20,             // Enemy patrol time simulated to see what each cell is watched by
+    sampleInterval: 0.2,        // Seconds between vision samples
+    blockedWatchFraction: 0.9,  // Cells watched at least this share of the time can't be crossed unseen
+
+    // Score = 100 * weighted sum of factors (each 0-1), plus a penalty when no unseen route exists
+    weights: {
+      coverage: 0.3,            // Share of the shortest path any enemy ever sees
+      exposure: 0.25,           // Average share of the time the shortest path is watched
+      chokes: 0.2,              // Share of the unavoidable cells (choke points) that are watched
+      length: 0.15,             // Shortest path length
+      deadEnds: 0.1             // Share of cells that are dead ends
+    },
+    exposureScale: 0.25,        // Exposure that counts as fully exposed
+    lengthScale: 120,           // Path cells that count as a full-length route
+    deadEndScale: 0.15,         // Dead-end ratio that counts as fully branching
+    noStealthPenalty: 20,
+
+    // Difficulty bands, easiest first (a score up to max falls in the band; ids match the custom maze presets)
+    bands: [
+      { id: 'easy', name: 'Easy', max: 20 },
+      { id: 'normal', name: 'Normal', max: 38 },
+      { id: 'hard', name: 'Hard', max: 55 },
+      { id: 'nightmare', name: 'Nightmare', max: 100 }
+    ],
+    maxAttempts: 8              // Generations tried when aiming for a band
   }
 };
+
+// ===========================================
+// NAVIGATION GRID CONFIGURATION
+// ===========================================
+export const NavGridConfig = {
+  cellSize: 10,             // World units per navigation cell
+  padding: 40,              // World units added around the walls' bounds
+  maxCells: 250000,         // Cells are enlarged on huge maps to stay under this
+  snapRadius: 60            // How far a start or goal inside a wall may be moved to reach open ground
+};
+
+// ===========================================
+// LEVEL EDITOR CONFIGURATION
+// ===========================================
+export const EditorConfig = {
+  gridSize: 25,             // Snap grid spacing in world units
+  snapToGrid: true,
+  defaultZoom: 0.4,         // Screen pixels per world unit
+  minZoom: 0.05,
+  maxZoom: 4,
+  panStep: 60,              // Screen pixels per keyboard pan press
+  pickRadius: 10,           // Screen pixels for selecting handles and walls
+  rotateStep: 15,           // Degrees per rotate key press
+  radiusStep: 5,            // World units per radius key press
+  curveSpan: Math.PI,       // Arc span of new curved walls (radians)
+  newMapSize: 2000,         // Width and height of a blank map
+
+  // Solid colors cycled with the color key (null = texture only)
+  colors: [null, '#ff3333', '#33ff33', '#3333ff', '#ffff33', '#550055', 'rgba(0, 255, 255, 0.5)'],
+
+  // Floor zone types cycled when placing/editing floor zones
+  floorZoneTypes: ['jump', 'slow', 'speed', 'danger', 'pit', 'warning']
+};
+
+// ===========================================
+// LEADERBOARD CONFIGURATION
+// ===========================================
+export const LeaderboardConfig = {
+  maxEntries: 10,           // Best runs kept per map/seed
+  maxHistory: 20,           // Most recent runs kept per map/seed (wins and losses)
+  recentShown: 5            // Recent runs listed in the leaderboard view
+};
+
+// ===========================================
+// INTERACTION CONFIGURATION (doors, keys, switches, pressure plates)
+// ===========================================
+export const InteractionConfig = {
+  useDistance: 70,          // How close the player must be to use a door or switch
+  useAngle: 50,             // Max degrees between the view direction and the thing being used
+  doorOpenTime: 0.8,        // Seconds for a door to slide fully open
+  keyPickupRadius: 25,      // Distance at which a key is picked up
+  plateRadius: 30,          // Default pressure plate radius
+  messageDuration: 2,       // Seconds an interaction message ("Locked") stays on screen
+
+  // Appearance
+  keyColor: 'rgba(255, 215, 0, 0.95)',
+  switchOffColor: 'rgba(255, 70, 70, 0.95)',
+  switchOnColor: 'rgba(80, 255, 120, 0.95)',
+  plateColor: 'rgba(180, 180, 200, 0.6)'
+};
+
+// ===========================================
+// REPLAY CONFIGURATION
+// ===========================================
+export const ReplayConfig = {
+  maxFrames: 216000,        // Longest recordable run (30 minutes of 120 Hz simulation steps)
+  ghostOpacity: 0.4,        // Opacity of the ghost sprite racing your best run
+  ghostEnabled: true        // Whether the ghost starts visible (toggle in game)
+};
+
+// ===========================================
+// AUDIO CONFIGURATION
+// ===========================================
+export const AudioConfig = {
+  // Default volumes (0-1); the player's choices are saved by AudioSettings
+  volumes: {
+    master: 0.8,
+    footsteps: 0.7,
+    enemies: 0.8,
+    alerts: 0.6
+  },
+
+  // Player footsteps
+  footstepInterval: 0.48,   // Seconds between steps at base move speed
+  footstepVolume: 0.5,
+  crouchVolume: 0.35,       // Multiplier while crouching
+  sprintVolume: 1.6,        // Multiplier while sprinting
+
+  // Enemy footsteps
+  enemyHearingRange: 600,   // World units; enemies further away are silent
+  enemyFootstepInterval: 0.55,
+  enemyFootstepVolume: 0.6,
+
+  // Detection alarm (rises as the alert bar drains)
+  alarmMinFrequency: 440,   // Hz when the alert bar starts draining
+  alarmMaxFrequency: 1100,  // Hz when it is nearly empty
+  alarmMinPulseRate: 1.5,   // Pulses per second
+  alarmMaxPulseRate: 8,
+  alarmVolume: 0.25
+};
@@ -0,0 +1,199 @@
+/**
+ * Graphics Settings - Manages rendering choices (rendering backend, raycasting thread, adaptive quality)
+ * Supports saving/loading from localStorage, like AudioSettings
+ */
+
+import { GraphicsConfig } from './GameConfig.js';
+
+// Storage key for localStorage
+const STORAGE_KEY = 'fps_shooter_graphics';
+
+// Default choices (from GraphicsConfig)
+const DEFAULT_OPTIONS = { ...GraphicsConfig.defaults };
+
+/**
+ * GraphicsSettings singleton - manages graphics configuration
+ */
+class GraphicsSettingsManager {
+  constructor() {
+    this._options = { ...DEFAULT_OPTIONS };
+
+    // Listeners for option changes
+    this._listeners = [];
+
+    // Load saved settings
+    this._load();
+  }
+
+  /**
+   * Loads settings from localStorage
+   * @private
+   */
+  _load() {
+    try {
+      const saved = localStorage.getItem(STORAGE_KEY);
+      if (saved) {
+        const data = JSON.parse(saved);
+        if (data.options) {
+          for (const option of Object.keys(DEFAULT_OPTIONS)) {
+            if (this._isValid(option, data.options[option])) {
+              this._options[option] = data.options[option];
+            }
+          }
+        }
+      }
+    } catch (e) {
+      console.warn('Failed to load graphics settings:', e);
+    }
+  }
+
+  /**
+   * Saves settings to localStorage
+   * @private
+   */
+  _save() {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify({ options: this._options }));
+    } catch (e) {
+      console.warn('Failed to save graphics settings:', e);
+    }
+  }
+
+  /**
+   * Checks that a value is one of an option's choices
+   * @private
+   */
+  _isValid(option, value) {
+    const choices = GraphicsConfig.choices[option];
+    return choices ? choices.includes(value) : typeof value === typeof DEFAULT_OPTIONS[option];
+  }
+
+  /**
+   * Notifies all listeners of a change
+   * @private
+   */
+  _notifyListeners() {
+    for (const listener of this._listeners) {
+      try {
+        listener();
+      } catch (e) {
+        console.warn('Graphics settings listener error:', e);
+      }
+    }
+  }
+
+  /**
+   * Adds a listener for option changes
+   * @param {Function} callback - Callback function
+   */
+  addListener(callback) {
+    if (typeof callback === 'function' && !this._listeners.includes(callback)) {
+      this._listeners.push(callback);
+    }
+  }
+
+  /**
+   * Removes a listener
+   * @param {Function} callback - Callback to remove
+   */
+  removeListener(callback) {
+    const index = this._listeners.indexOf(callback);
+    if (index !== -1) {
+      this._listeners.splice(index, 1);
+    }
+  }
+
+  /**
+   * Gets all option names
+   * @returns {string[]} Option names (e.g. 'renderer')
+   */
+  getOptions() {
+    return Object.keys(this._options);
+  }
+
+  /**
+   * Gets an option's value
+   * @param {string} option - Option name
+   * @returns {*} Current value
+   */
+  get(option) {
+    return this._options[option];
+  }
+
+  /**
+   * Sets an option's value (ignored if it isn't one of the option's choices)
+   * @param {string} option - Option name
+   * @param {*} value - New value
+   */
+  set(option, value) {
+    if (this._options.hasOwnProperty(option) && this._isValid(option, value)) {
+      this._options[option] = value;
+      this._save();
+      this._notifyListeners();
+    }
+  }
+
+  /**
+   * Steps an option to its next or previous choice (wrapping around)
+   * @param {string} option - Option name
+   * @param {number} direction - Direction (-1 or 1)
+   */
+  cycle(option, direction) {
+    const choices = GraphicsConfig.choices[option];
+    if (!choices) return;
+    const index = choices.indexOf(this._options[option]);
+    this.set(option, choices[(index + direction + choices.length) % choices.length]);
+  }
+
+  /**
+   * Resets all options to defaults
+   */
+  resetToDefaults() {
+    this._options = { ...DEFAULT_OPTIONS };
+    this._save();
+    this._notifyListeners();
+  }
+
+  /**
+   * Gets a display name for an option
+   * @param {string} option - Option name
+   * @returns {string} Human-readable name
+   */
+  getOptionDisplayName(option) {
+    const names = {
+      renderer: 'Renderer',
+      raycaster: 'Raycasting',
+      raycastLatency: 'Worker Latency',
+      targetFps: 'Target FPS',
+      minQuality: 'Min Quality',
+      maxQuality: 'Max Quality'
+    };
+    return names[option] || option;
+  }
+
+  /**
+   * Gets a display name for an option's current value
+   * @param {string} option - Option name
+   * @returns {string} Human-readable value
+   */
+  getValueDisplayName(option) {
+    const value = this._options[option];
+    if (option === 'targetFps') return value === 'off' ? 'Off (fixed quality)' : `${value} FPS`;
+    const names = {
+      canvas: 'Canvas (draw calls)',
+      framebuffer: 'Framebuffer (ImageData)',
+      worker: 'Web Worker',
+      main: 'Main Thread',
+      off: 'None (wait for cast)',
+      oneFrame: 'One Frame',
+      low: 'Low',
+      medium: 'Medium',
+      high: 'High',
+      ultra: 'Ultra'
+    };
+    return names[value] || String(value);
+  }
+}
+
+// Export singleton instance
+export const GraphicsSettings = new GraphicsSettingsManager();
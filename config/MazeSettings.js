@@ -0,0 +1,196 @@
+/**
+ * Maze Settings - Remembers the "Custom Maze" parameters chosen in the map selector
+ * Supports saving/loading from localStorage, like GraphicsSettings
+ */
+
+import { MazeConfig } from './GameConfig.js';
+
+// Storage key for localStorage
+const STORAGE_KEY = 'fps_shooter_maze';
+
+// Default values (from the default preset)
+const DEFAULT_PRESET = MazeConfig.custom.presets.find(p => p.id === MazeConfig.custom.defaultPreset);
+const DEFAULT_OPTIONS = { ...DEFAULT_PRESET.values };
+
+/**
+ * MazeSettings singleton - manages the custom maze parameters
+ */
+class MazeSettingsManager {
+  constructor() {
+    this._options = { ...DEFAULT_OPTIONS };
+
+    // Load saved settings
+    this._load();
+  }
+
+  /**
+   * Loads settings from localStorage
+   * @private
+   */
+  _load() {
+    try {
+      const saved = localStorage.getItem(STORAGE_KEY);
+      if (saved) {
+        const data = JSON.parse(saved);
+        if (data.options) {
+          for (const param of MazeConfig.custom.params) {
+            const value = data.options[param.key];
+            if (typeof value === 'number' && isFinite(value)) {
+              this._options[param.key] = this._snap(param, value);
+            }
+          }
+        }
+      }
+    } catch (e) {
+      console.warn('Failed to load maze settings:', e);
+    }
+  }
+
+  /**
+   * Saves settings to localStorage
+   * @private
+   */
+  _save() {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify({ options: this._options }));
+    } catch (e) {
+      console.warn('Failed to save maze settings:', e);
+    }
+  }
+
+  /**
+   * Clamps a value to a parameter's range and rounds it to the parameter's step
+   * @private
+   */
+  _snap(param, value) {
+    const steps = Math.round((value - param.min) / param.step);
+    const snapped = Number((param.min + steps * param.step).toFixed(2));
+    return Math.max(param.min, Math.min(param.max, snapped));
+  }
+
+  /**
+   * Gets a parameter's definition
+   * @private
+   */
+  _getParam(key) {
+    return MazeConfig.custom.params.find(p => p.key === key);
+  }
+
+  /**
+   * Gets the slider parameters, in panel order
+   * @returns {Array<{key: string, name: string, min: number, max: number, step: number}>}
+   */
+  getParams() {
+    return MazeConfig.custom.params;
+  }
+
+  /**
+   * Gets a parameter's value
+   * @param {string} key - Parameter key (e.g. 'cols')
+   * @returns {number}
+   */
+  get(key) {
+    return this._options[key];
+  }
+
+  /**
+   * Sets a parameter (clamped to its range and rounded to its step)
+   * @param {string} key - Parameter key
+   * @param {number} value - New value
+   */
+  set(key, value) {
+    const param = this._getParam(key);
+    if (param && typeof value === 'number' && isFinite(value)) {
+      this._options[key] = this._snap(param, value);
+      this._save();
+    }
+  }
+
+  /**
+   * Adjusts a parameter by one step
+   * @param {string} key - Parameter key
+   * @param {number} direction - Direction (-1 or 1)
+   */
+  adjust(key, direction) {
+    const param = this._getParam(key);
+    if (param) this.set(key, this._options[key] + direction * param.step);
+  }
+
+  /**
+   * Gets the preset the current values match
+   * @returns {string|null} Preset id, or null for a custom mix
+   */
+  getPreset() {
+    const preset = MazeConfig.custom.presets.find(p =>
+      Object.keys(p.values).every(key => p.values[key] === this._options[key])
+    );
+    return preset ? preset.id : null;
+  }
+
+  /**
+   * Loads a preset's values
+   * @param {string} id - Preset id from MazeConfig.custom.presets
+   */
+  applyPreset(id) {
+    const preset = MazeConfig.custom.presets.find(p => p.id === id);
+    if (!preset) return;
+    this._options = { ...this._options, ...preset.values };
+    this._save();
+  }
+
+  /**
+   * Steps to the next or previous preset (wrapping around).
+   * From a custom mix, the first step lands on the default preset.
+   * @param {number} direction - Direction (-1 or 1)
+   */
+  cyclePreset(direction) {
+    const presets = MazeConfig.custom.presets;
+    const current = this.getPreset();
+    if (current === null) {
+      this.applyPreset(DEFAULT_PRESET.id);
+      return;
+    }
+    const index = presets.findIndex(p => p.id === current);
+    this.applyPreset(presets[(index + direction + presets.length) % presets.length].id);
+  }
+
+  /**
+   * Gets the options to generate the custom maze with
+   * @returns {Object} Options for createMazeMap
+   */
+  getMazeOptions() {
+    return { ...MazeConfig.custom.base, ...this._options };
+  }
+
+  /**
+   * Resets all parameters to the default preset
+   */
+  resetToDefaults() {
+    this._options = { ...DEFAULT_OPTIONS };
+    this._save();
+  }
+
+  /**
+   * Gets a display name for the current preset
+   * @returns {string} Preset name, or 'Custom' for a custom mix
+   */
+  getPresetDisplayName() {
+    const id = this.getPreset();
+    return id === null ? 'Custom' : MazeConfig.custom.presets.find(p => p.id === id).name;
+  }
+
+  /**
+   * Gets a display name for a parameter's current value
+   * @param {string} key - Parameter key
+   * @returns {string} Human-readable value
+   */
+  getValueDisplayName(key) {
+    const value = this._options[key];
+    if (key === 'loopChance') return `${Math.round(value * 100)}%`;
+    if (key === 'cellSize') return `${value} units`;
+    return String(value);
+  }
+}
+
+// Export singleton instance
+export const MazeSettings = new MazeSettingsManager();
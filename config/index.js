@@ -4,3 +4,6 @@
 
 export * from './GameConfig.js';
 export { ControlsConfig } from './ControlsConfig.js';
+export { AudioSettings } from './AudioSettings.js';
+export { GraphicsSettings } from './GraphicsSettings.js';
+export { MazeSettings } from './MazeSettings.js';
@@ -2,15 +2,21 @@ import { GameLoopConfig } from '../config/GameConfig.js';
 
 /**
  * GameLoop - Manages the game loop with options for vsync or uncapped FPS
+ *
+ * Frames run as fast as the display (or uncapped loop) allows, but the
+ * simulation advances in fixed steps: advance() feeds each frame's real time
+ * into an accumulator and runs as many whole steps as fit, so physics, AI and
+ * animations see the same deltas at 60 Hz and 144 Hz. What is left over is
+ * exposed as alpha for drawing between the last two steps.
  */
 class GameLoop {
   /**
    * Creates a game loop
-   * @param {Function} updateCallback - Function to call each frame
+   * @param {Function} frameCallback - Function to call each frame with the real time since the last frame in seconds
    * @param {Object} [config={}] - Configuration options
    */
-  constructor(updateCallback, config = {}) {
-    this.updateCallback = updateCallback;
+  constructor(frameCallback, config = {}) {
+    this.frameCallback = frameCallback;
     this.isRunning = false;
     this.uncappedFps = config.uncappedFps ?? GameLoopConfig.uncappedFps;
     
@@ -18,6 +24,13 @@ class GameLoop {
     this.lastFrameTime = 0;
     this.targetFps = config.targetFps || GameLoopConfig.targetFps;
     
+    // Fixed-step simulation clock
+    this.fixedStep = config.fixedStep || GameLoopConfig.fixedStep;
+    this.maxStepsPerFrame = config.maxStepsPerFrame || GameLoopConfig.maxStepsPerFrame;
+    this.simTime = 0;      // Simulated seconds since the clock was reset
+    this.accumulator = 0;  // Real time not yet simulated
+    this.alpha = 0;        // Fraction of a step the accumulator holds (for interpolation)
+    
     // Bound methods for RAF
     this._vsyncLoop = this._vsyncLoop.bind(this);
     
@@ -25,6 +38,14 @@ class GameLoop {
     this._channel = null;
   }
 
+  /**
+   * Normalized delta time of one simulation step
+   * @returns {number} Step length relative to a frame at the target FPS
+   */
+  get stepDeltaTime() {
+    return this.fixedStep * this.targetFps;
+  }
+
   /**
    * Starts the game loop
    */
@@ -53,6 +74,46 @@ class GameLoop {
     }
   }
 
+  /**
+   * Runs the simulation steps that fit in the time since the last frame
+   *
+   * After a long stall only maxStepsPerFrame steps run and the rest is dropped,
+   * so the game slows down instead of freezing while it catches up.
+   * @param {number} realDeltaSeconds - Real time since the last frame
+   * @param {Function} stepCallback - Called per step with (stepSeconds, simTime), simTime being the
+   *                                  clock at the end of the step; returning false stops stepping
+   *                                  (e.g. the run ended) and drops the remaining time
+   * @returns {number} Number of steps run
+   */
+  advance(realDeltaSeconds, stepCallback) {
+    const step = this.fixedStep;
+    this.accumulator = Math.min(this.accumulator + realDeltaSeconds, step * this.maxStepsPerFrame);
+    
+    let steps = 0;
+    while (this.accumulator >= step) {
+      this.accumulator -= step;
+      this.simTime += step;
+      steps++;
+      
+      if (stepCallback(step, this.simTime) === false) {
+        this.accumulator = 0;
+        break;
+      }
+    }
+    
+    this.alpha = this.accumulator / step;
+    return steps;
+  }
+
+  /**
+   * Restarts the simulation clock (a new run starts from time zero)
+   */
+  resetClock() {
+    this.simTime = 0;
+    this.accumulator = 0;
+    this.alpha = 0;
+  }
+
   /**
    * Starts vsync-locked loop using requestAnimationFrame
    * @private
@@ -68,7 +129,7 @@ class GameLoop {
   _vsyncLoop() {
     if (!this.isRunning) return;
     
-    this.updateCallback();
+    this._runFrame();
     requestAnimationFrame(this._vsyncLoop);
   }
 
@@ -82,7 +143,7 @@ class GameLoop {
     this._channel.port1.onmessage = () => {
       if (!this.isRunning) return;
       
-      this.updateCallback();
+      this._runFrame();
       this._channel.port2.postMessage(null);
     };
     
@@ -90,28 +151,15 @@ class GameLoop {
   }
 
   /**
-   * Gets normalized delta time for consistent physics
-   * @returns {number} Delta time normalized to target FPS
+   * Measures the frame time and calls the frame callback
+   * @private
    */
-  getDeltaTime() {
+  _runFrame() {
     const currentTime = performance.now();
-    const delta = currentTime - this.lastFrameTime;
+    const realDeltaSeconds = (currentTime - this.lastFrameTime) / 1000;
     this.lastFrameTime = currentTime;
     
-    // Normalize delta to target FPS (e.g., 120)
-    const targetFrameTime = 1000 / this.targetFps;
-    return delta / targetFrameTime;
-  }
-
-  /**
-   * Gets raw delta time in seconds
-   * @returns {number} Delta time in seconds
-   */
-  getRealDeltaSeconds() {
-    const currentTime = performance.now();
-    const delta = currentTime - this.lastFrameTime;
-    // Don't update lastFrameTime here - getDeltaTime does that
-    return delta / 1000;
+    this.frameCallback(realDeltaSeconds);
   }
 
   /**
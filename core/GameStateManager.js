@@ -25,6 +25,7 @@ class GameStateManager {
     this.isWin = false;
     this.isPaused = false;
     this.showInstructions = false;
+    this.gameOverReason = null;
     
     // Path reveal state
     this.showPath = false;
@@ -37,11 +38,15 @@ class GameStateManager {
     // Current path data
     this.currentPath = null;
     
+    // Simulation clock (seconds since the run started; timestamps below use it)
+    this.currentTime = 0;
+    
     // Scoring state
     this.gameStartTime = 0;
     this.gameEndTime = 0;
     this.detectionCount = 0;
     this.wasDetectedThisFrame = false;
+    this.enemiesKilled = 0;
     this.finalScore = 0;
     this.scoreBreakdown = null;
     
@@ -52,9 +57,17 @@ class GameStateManager {
     this.onCriticalAlert = null;
   }
 
+  /**
+   * Sets the simulation time (call at the start of each simulation step)
+   * @param {number} currentTime - Simulation time in seconds
+   */
+  setTime(currentTime) {
+    this.currentTime = currentTime;
+  }
+
   /**
    * Updates the game state
-   * @param {number} deltaSeconds - Real time delta in seconds
+   * @param {number} deltaSeconds - Simulation step in seconds
    * @param {boolean} isDetected - Whether player is currently detected
    * @param {boolean} isCrouching - Whether player is crouching
    * @param {boolean} isMazeMap - Whether current map is a maze map
@@ -99,20 +112,40 @@ class GameStateManager {
 
     // Update path expiry
     if (this.showPath) {
-      if (performance.now() - this.pathRevealTime >= this.pathDisplayDuration) {
+      if ((this.currentTime - this.pathRevealTime) * 1000 >= this.pathDisplayDuration) {
         this.showPath = false;
         this.currentPath = null;
       }
     }
   }
 
+  /**
+   * Drains the detection timer outside of enemy detection (e.g. danger zones).
+   * Pauses regeneration like a detection would, but does not count as one.
+   * @param {number} amount - Seconds to remove from the timer
+   */
+  drainDetection(amount) {
+    if (this.isGameOver || this.isWin) return;
+
+    this.detectionTimer -= amount;
+    this.timeSinceLastDetection = 0;
+
+    if (this.detectionTimer <= 0) {
+      this.detectionTimer = 0;
+      this.triggerGameOver('detected');
+    }
+  }
+
   /**
    * Triggers game over state
-   * @private
+   * @param {string} [reason='detected'] - Why the run ended ('detected', 'pit', ...)
    */
-  triggerGameOver() {
+  triggerGameOver(reason = 'detected') {
+    if (this.isGameOver || this.isWin) return;
+
     this.isGameOver = true;
-    this.gameEndTime = performance.now();
+    this.gameOverReason = reason;
+    this.gameEndTime = this.currentTime;
     this.calculateScore(false);
     if (this.onGameOver) {
       this.onGameOver();
@@ -126,7 +159,7 @@ class GameStateManager {
     if (this.isWin || this.isGameOver) return;
     
     this.isWin = true;
-    this.gameEndTime = performance.now();
+    this.gameEndTime = this.currentTime;
     this.calculateScore(true);
     if (this.onWin) {
       this.onWin();
@@ -168,8 +201,7 @@ class GameStateManager {
    * @param {boolean} isWin - Whether the player won
    */
   calculateScore(isWin) {
-    const completionTimeMs = this.gameEndTime - this.gameStartTime;
-    const completionTimeSec = completionTimeMs / 1000;
+    const completionTimeSec = this.gameEndTime - this.gameStartTime;
     
     // Completion bonus (only awarded for winning)
     const completionBonus = isWin ? 5000 : 0;
@@ -225,6 +257,7 @@ class GameStateManager {
       completionBonus,
       detectionCount: this.detectionCount,
       detectionPenalty,
+      enemiesKilled: this.enemiesKilled,
       pathUsed: this.pathUsedOnce,
       pathBonus,
       alertPercent,
@@ -237,13 +270,21 @@ class GameStateManager {
     return this.finalScore;
   }
 
+  /**
+   * Records an enemy kill for the current run
+   */
+  registerKill() {
+    if (this.isGameOver || this.isWin) return;
+    this.enemiesKilled++;
+  }
+
   /**
    * Gets the completion time in seconds
    * @returns {number} Time in seconds
    */
   getCompletionTime() {
     if (this.gameEndTime === 0) return 0;
-    return (this.gameEndTime - this.gameStartTime) / 1000;
+    return this.gameEndTime - this.gameStartTime;
   }
 
   /**
@@ -262,7 +303,7 @@ class GameStateManager {
    * Starts the game timer (called when instructions are dismissed)
    */
   startTimer() {
-    this.gameStartTime = performance.now();
+    this.gameStartTime = this.currentTime;
   }
 
   /**
@@ -272,7 +313,7 @@ class GameStateManager {
   triggerCriticalAlert() {
     this.pathRegenerated = true;
     this.showPath = true;
-    this.pathRevealTime = performance.now();
+    this.pathRevealTime = this.currentTime;
     
     if (this.onCriticalAlert) {
       this.onCriticalAlert();
@@ -287,7 +328,7 @@ class GameStateManager {
     if (!this.pathUsedOnce) {
       this.showPath = true;
       this.pathUsedOnce = true;
-      this.pathRevealTime = performance.now();
+      this.pathRevealTime = this.currentTime;
       
       if (this.onPathReveal) {
         this.onPathReveal();
@@ -311,8 +352,8 @@ class GameStateManager {
    */
   getPathTimeRemaining() {
     if (!this.showPath) return 0;
-    const elapsed = performance.now() - this.pathRevealTime;
-    return Math.max(0, (this.pathDisplayDuration - elapsed) / 1000);
+    const elapsed = this.currentTime - this.pathRevealTime;
+    return Math.max(0, this.pathDisplayDuration / 1000 - elapsed);
   }
 
   /**
@@ -333,18 +374,21 @@ class GameStateManager {
     this.timeSinceLastDetection = 0;
     this.isGameOver = false;
     this.isWin = false;
+    this.gameOverReason = null;
     this.showPath = false;
     this.currentPath = null;
     this.pathUsedOnce = false;
     this.pathRevealTime = 0;
     this.pathRegenerated = false;
     this.showInstructions = showInstructions;
+    this.currentTime = 0;
     
     // Reset scoring state
     this.gameStartTime = 0;
     this.gameEndTime = 0;
     this.detectionCount = 0;
     this.wasDetectedThisFrame = false;
+    this.enemiesKilled = 0;
     this.finalScore = 0;
     this.scoreBreakdown = null;
   }
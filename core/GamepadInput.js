@@ -0,0 +1,172 @@
+import { InputConfig } from '../config/GameConfig.js';
+
+/**
+ * @typedef {Object} StickState
+ * @property {number} x - Horizontal deflection after deadzone and curve (-1 left to 1 right)
+ * @property {number} y - Vertical deflection after deadzone and curve (-1 up to 1 down)
+ */
+
+/**
+ * GamepadInput - Polls the first connected gamepad through the Gamepad API
+ *
+ * The browser only exposes gamepad state by polling, so poll() is called once
+ * per frame. It shapes both sticks (radial deadzone + response curve) and
+ * reports the buttons pressed and released since the previous poll. Buttons
+ * use the standard layout indices (0 = A, 1 = B, ... 12-15 = D-pad).
+ */
+class GamepadInput {
+  /**
+   * Creates a gamepad poller
+   * @param {Object} [config={}] - Gamepad configuration (defaults to InputConfig.gamepad)
+   */
+  constructor(config = {}) {
+    this.config = { ...InputConfig.gamepad, ...config };
+
+    // Connected pad (null when none)
+    this.connected = false;
+    this.id = null;
+
+    /** @type {StickState} */
+    this.leftStick = { x: 0, y: 0 };
+    /** @type {StickState} */
+    this.rightStick = { x: 0, y: 0 };
+
+    // Button edges since the last poll (button indices)
+    this.pressed = [];
+    this.released = [];
+
+    // Left stick pushed past the menu threshold since the last poll ('up', 'down', 'left', 'right')
+    this.stickSteps = [];
+
+    // Previous state for edge detection
+    this._buttonsDown = [];
+    this._stickDirection = null;
+  }
+
+  /**
+   * Whether the Gamepad API is available
+   * @returns {boolean}
+   */
+  get isSupported() {
+    return typeof navigator !== 'undefined' && typeof navigator.getGamepads === 'function';
+  }
+
+  /**
+   * Reads the gamepad state for this frame
+   * @returns {boolean} True if a gamepad is connected
+   */
+  poll() {
+    this.pressed.length = 0;
+    this.released.length = 0;
+    this.stickSteps.length = 0;
+
+    const pad = this._findGamepad();
+
+    if (!pad) {
+      if (this.connected) {
+        console.log('Gamepad disconnected');
+        this.connected = false;
+        this.id = null;
+      }
+      // Everything held is let go
+      for (let i = 0; i < this._buttonsDown.length; i++) {
+        if (this._buttonsDown[i]) this.released.push(i);
+      }
+      this._buttonsDown.length = 0;
+      this._stickDirection = null;
+      this.leftStick.x = this.leftStick.y = 0;
+      this.rightStick.x = this.rightStick.y = 0;
+      return false;
+    }
+
+    if (!this.connected || this.id !== pad.id) {
+      console.log(`Gamepad connected: ${pad.id}`);
+      this.connected = true;
+      this.id = pad.id;
+    }
+
+    // Buttons (analog triggers count once past the threshold)
+    const buttons = pad.buttons;
+    for (let i = 0; i < buttons.length; i++) {
+      const button = buttons[i];
+      const isDown = button.pressed || button.value > this.config.triggerThreshold;
+      const wasDown = !!this._buttonsDown[i];
+      if (isDown && !wasDown) this.pressed.push(i);
+      if (!isDown && wasDown) this.released.push(i);
+      this._buttonsDown[i] = isDown;
+    }
+
+    // Sticks
+    const axes = pad.axes;
+    this._shapeStick(axes[0] || 0, axes[1] || 0, this.leftStick);
+    this._shapeStick(axes[2] || 0, axes[3] || 0, this.rightStick);
+
+    // Left stick steps for menus (one step per push, like a D-pad press)
+    const direction = this._getStickDirection(axes[0] || 0, axes[1] || 0);
+    if (direction && direction !== this._stickDirection) {
+      this.stickSteps.push(direction);
+    }
+    this._stickDirection = direction;
+
+    return true;
+  }
+
+  /**
+   * Finds the gamepad to read (first connected, standard layout preferred)
+   * @returns {Gamepad|null}
+   * @private
+   */
+  _findGamepad() {
+    if (!this.isSupported) return null;
+
+    let fallback = null;
+    for (const pad of navigator.getGamepads()) {
+      if (!pad || !pad.connected) continue;
+      if (pad.mapping === 'standard') return pad;
+      if (!fallback) fallback = pad;
+    }
+    return fallback;
+  }
+
+  /**
+   * Applies the radial deadzone and response curve to a stick
+   * (the direction is kept; only the magnitude is reshaped)
+   * @param {number} rawX - Raw horizontal axis (-1 to 1)
+   * @param {number} rawY - Raw vertical axis (-1 to 1)
+   * @param {StickState} out - Stick state to write
+   * @private
+   */
+  _shapeStick(rawX, rawY, out) {
+    const { deadzone, responseExponent } = this.config;
+    const magnitude = Math.sqrt(rawX * rawX + rawY * rawY);
+
+    if (magnitude <= deadzone) {
+      out.x = 0;
+      out.y = 0;
+      return;
+    }
+
+    const scaled = Math.min(1, (magnitude - deadzone) / (1 - deadzone));
+    const curved = Math.pow(scaled, responseExponent);
+    out.x = (rawX / magnitude) * curved;
+    out.y = (rawY / magnitude) * curved;
+  }
+
+  /**
+   * Gets the direction the left stick is pushed in for menu stepping
+   * @param {number} rawX - Raw horizontal axis
+   * @param {number} rawY - Raw vertical axis
+   * @returns {string|null} 'up', 'down', 'left', 'right' or null near the center
+   * @private
+   */
+  _getStickDirection(rawX, rawY) {
+    const threshold = this.config.menuStickThreshold;
+    if (Math.abs(rawX) < threshold && Math.abs(rawY) < threshold) return null;
+    if (Math.abs(rawY) >= Math.abs(rawX)) {
+      return rawY < 0 ? 'up' : 'down';
+    }
+    return rawX < 0 ? 'left' : 'right';
+  }
+}
+
+export default GamepadInput;
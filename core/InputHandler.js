@@ -1,8 +1,65 @@
 import { ControlsConfig } from '../config/ControlsConfig.js';
+import { InputConfig } from '../config/GameConfig.js';
+import GamepadInput from './GamepadInput.js';
+import TouchInput from './TouchInput.js';
+
+// Keys a gamepad button taps while a menu is open (standard layout indices)
+const MENU_BUTTON_KEYS = {
+  0: 'Enter',      // A
+  1: 'Escape',     // B
+  2: 'Delete',     // X (clears a binding in settings)
+  3: 'l',          // Y (leaderboard in the map selector)
+  5: 'Tab',        // RB (next settings tab)
+  9: 'Escape',     // Start
+  12: 'ArrowUp',
+  13: 'ArrowDown',
+  14: 'ArrowLeft',
+  15: 'ArrowRight'
+};
+
+// Keys the left stick taps while a menu is open
+const MENU_STICK_KEYS = {
+  up: 'ArrowUp',
+  down: 'ArrowDown',
+  left: 'ArrowLeft',
+  right: 'ArrowRight'
+};
+
+// Start button (cancels a rebind instead of being bound)
+const START_BUTTON = 9;
+
+// Callbacks for the on-screen touch buttons that fire once per tap
+const TOUCH_BUTTON_CALLBACKS = {
+  jump: 'onJump',
+  fire: 'onFire',
+  use: 'onUse',
+  mapSelector: 'onMapSelectorToggle'
+};
+
+/**
+ * Creates a stand-in keyboard event for a gamepad button, so gamepad input
+ * runs through the same handlers (and bindings) as the keyboard
+ * @param {string} key - Key name ('Pad0', 'Enter', ...)
+ * @returns {Object} Minimal KeyboardEvent-like object
+ */
+function createPadEvent(key) {
+  return {
+    key,
+    repeat: false,
+    ctrlKey: false,
+    shiftKey: false,
+    altKey: false,
+    metaKey: false,
+    preventDefault() {},
+    stopPropagation() {}
+  };
+}
 
 /**
  * InputHandler - Centralized input management
- * Handles keyboard and mouse input with customizable key bindings
+ * Handles keyboard, mouse, gamepad and touch input with customizable key bindings.
+ * Gamepad buttons are bindable keys ('Pad0', 'Pad1', ...) like mouse buttons;
+ * the sticks and the touch joystick give analog movement and look.
  */
 class InputHandler {
   /**
@@ -21,7 +78,9 @@ class InputHandler {
       left: false,
       right: false,
       sprint: false,
-      crouch: false
+      crouch: false,
+      analogForward: 0, // Left stick or touch joystick (-1 back to 1 forward)
+      analogStrafe: 0 // Left stick or touch joystick (-1 left to 1 right)
     };
 
     // Input enabled state
@@ -31,6 +90,10 @@ class InputHandler {
     // Pointer lock state
     this.isPointerLocked = false;
     
+    // Gamepad and touch (applied by the game loop through update)
+    this.gamepad = new GamepadInput();
+    this.touch = new TouchInput(canvas);
+    
     // Listen for config changes
     this._onConfigChange = this._onConfigChange.bind(this);
     ControlsConfig.addListener(this._onConfigChange);
@@ -41,6 +104,7 @@ class InputHandler {
     this._onMouseMove = this._onMouseMove.bind(this);
     this._onPointerLockChange = this._onPointerLockChange.bind(this);
     this._onClick = this._onClick.bind(this);
+    this._onMouseDown = this._onMouseDown.bind(this);
     
     this._setupListeners();
   }
@@ -62,6 +126,7 @@ class InputHandler {
     this.canvas.addEventListener('keydown', this._onKeyDown);
     this.canvas.addEventListener('keyup', this._onKeyUp);
     this.canvas.addEventListener('click', this._onClick);
+    this.canvas.addEventListener('mousedown', this._onMouseDown);
     
     document.addEventListener('pointerlockchange', this._onPointerLockChange);
     document.addEventListener('mozpointerlockchange', this._onPointerLockChange);
@@ -74,11 +139,13 @@ class InputHandler {
     this.canvas.removeEventListener('keydown', this._onKeyDown);
     this.canvas.removeEventListener('keyup', this._onKeyUp);
     this.canvas.removeEventListener('click', this._onClick);
+    this.canvas.removeEventListener('mousedown', this._onMouseDown);
     
     document.removeEventListener('pointerlockchange', this._onPointerLockChange);
     document.removeEventListener('mozpointerlockchange', this._onPointerLockChange);
     document.removeEventListener('mousemove', this._onMouseMove);
     
+    this.touch.destroy();
     ControlsConfig.removeListener(this._onConfigChange);
   }
 
@@ -132,6 +199,8 @@ class InputHandler {
     this.moveState.right = false;
     this.moveState.sprint = false;
     this.moveState.crouch = false;
+    this.moveState.analogForward = 0;
+    this.moveState.analogStrafe = 0;
   }
 
   /**
@@ -189,11 +258,47 @@ class InputHandler {
       if (this.callbacks.onNoclipToggle) this.callbacks.onNoclipToggle();
     }
 
+    // Level editor toggle
+    if (this._matchesKey(key, 'editor')) {
+      if (this.callbacks.onEditorToggle) this.callbacks.onEditorToggle();
+    }
+
+    // Replay and ghost
+    if (this._matchesKey(key, 'replay')) {
+      if (this.callbacks.onReplayToggle) this.callbacks.onReplayToggle();
+    }
+    if (this._matchesKey(key, 'ghost')) {
+      if (this.callbacks.onGhostToggle) this.callbacks.onGhostToggle();
+    }
+
+    // Use (doors, switches), once per press so holding the key doesn't flip them back and forth
+    if (this._matchesKey(key, 'use') && !e.repeat) {
+      if (this.callbacks.onUse) this.callbacks.onUse();
+    }
+
+    // Flashlight (once per press, so holding the key doesn't strobe it)
+    if (this._matchesKey(key, 'flashlight') && !e.repeat) {
+      if (this.callbacks.onFlashlightToggle) this.callbacks.onFlashlightToggle();
+    }
+
+    // Settings menu (Escape is handled separately since it also releases pointer lock)
+    if (this._matchesKey(key, 'settings')) {
+      if (this.callbacks.onSettingsOpen) this.callbacks.onSettingsOpen();
+    }
+
     // Path reveal
     if (this._matchesKey(key, 'pathReveal')) {
       if (this.callbacks.onPathReveal) this.callbacks.onPathReveal();
     }
 
+    // Weapon (one shot or reload per press, not per key repeat)
+    if (this._matchesKey(key, 'fire') && !e.repeat) {
+      if (this.callbacks.onFire) this.callbacks.onFire();
+    }
+    if (this._matchesKey(key, 'reload') && !e.repeat) {
+      if (this.callbacks.onReload) this.callbacks.onReload();
+    }
+
     // Map selector
     if (this._matchesKey(key, 'mapSelector')) {
       e.preventDefault();
@@ -213,6 +318,12 @@ class InputHandler {
     if (key === 'ArrowDown' && this.callbacks.onNavigateDown) {
       this.callbacks.onNavigateDown();
     }
+    if (key === 'ArrowLeft' && this.callbacks.onNavigateLeft) {
+      this.callbacks.onNavigateLeft();
+    }
+    if (key === 'ArrowRight' && this.callbacks.onNavigateRight) {
+      this.callbacks.onNavigateRight();
+    }
     if (key === 'Enter' && this.callbacks.onConfirm) {
       this.callbacks.onConfirm();
     }
@@ -263,6 +374,25 @@ class InputHandler {
     this.canvas.requestPointerLock();
   }
 
+  /**
+   * Handles mouse buttons as bindable keys ('Mouse0', 'Mouse1', ...)
+   * Only active while the pointer is locked so the locking click never fires
+   * @param {MouseEvent} e - Mouse event
+   * @private
+   */
+  _onMouseDown(e) {
+    if (!this.enabled || !this.isPointerLocked) return;
+
+    const key = `Mouse${e.button}`;
+
+    if (this._matchesKey(key, 'fire')) {
+      if (this.callbacks.onFire) this.callbacks.onFire();
+    }
+    if (this._matchesKey(key, 'reload')) {
+      if (this.callbacks.onReload) this.callbacks.onReload();
+    }
+  }
+
   /**
    * Handles pointer lock changes
    * @private
@@ -291,6 +421,151 @@ class InputHandler {
     }
   }
 
+  /**
+   * Applies the polled input sources, gamepad and touch (call once per frame)
+   * @param {number} deltaSeconds - Real time since the last update
+   */
+  update(deltaSeconds) {
+    const inMenu = !!(this.callbacks.isMenuOpen && this.callbacks.isMenuOpen());
+    
+    this.moveState.analogForward = 0;
+    this.moveState.analogStrafe = 0;
+    
+    this._pollGamepad(deltaSeconds, inMenu);
+    if (this.touch.active) {
+      this._applyTouch(inMenu);
+    }
+  }
+
+  /**
+   * Polls the gamepad and applies its input
+   * 
+   * In play, buttons press and release their 'Pad<n>' bindings, the left stick
+   * sets analog movement and the right stick turns the view. While a menu is
+   * open, the D-pad, left stick and face buttons tap the keys the menus already
+   * understand instead. While a binding is being changed (isRebinding callback),
+   * buttons are passed through raw so they can be bound; Start cancels.
+   * @param {number} deltaSeconds - Real time since the last poll
+   * @param {boolean} inMenu - Whether a menu is open
+   * @private
+   */
+  _pollGamepad(deltaSeconds, inMenu) {
+    const gamepad = this.gamepad;
+    const connected = gamepad.poll();
+    
+    // Releases always go through, so nothing stays held when a menu opens
+    for (const index of gamepad.released) {
+      this._onKeyUp(createPadEvent(`Pad${index}`));
+    }
+    
+    if (!connected) return;
+    
+    if (this.callbacks.isRebinding && this.callbacks.isRebinding()) {
+      for (const index of gamepad.pressed) {
+        this._onKeyDown(createPadEvent(index === START_BUTTON ? 'Escape' : `Pad${index}`));
+      }
+      return;
+    }
+    
+    if (inMenu) {
+      for (const index of gamepad.pressed) {
+        if (MENU_BUTTON_KEYS[index]) this._tapKey(MENU_BUTTON_KEYS[index]);
+      }
+      for (const direction of gamepad.stickSteps) {
+        this._tapKey(MENU_STICK_KEYS[direction]);
+      }
+      return;
+    }
+    
+    for (const index of gamepad.pressed) {
+      this._onKeyDown(createPadEvent(`Pad${index}`));
+    }
+    
+    if (!this.enabled) return;
+    
+    // Left stick: proportional movement (stick up is negative Y)
+    this.moveState.analogForward = -gamepad.leftStick.y;
+    this.moveState.analogStrafe = gamepad.leftStick.x;
+    
+    // Right stick: turn and pitch at a rate set by the deflection
+    const { lookSpeed, pitchSpeed } = InputConfig.gamepad;
+    const { x, y } = gamepad.rightStick;
+    if ((x !== 0 || y !== 0) && this.callbacks.onLook) {
+      this.callbacks.onLook(x * lookSpeed * deltaSeconds, -y * pitchSpeed * deltaSeconds);
+    }
+  }
+
+  /**
+   * Applies the touch controls: joystick movement, drag look and on-screen
+   * buttons in play, or taps (onTap callback) while a menu is open
+   * @param {boolean} inMenu - Whether a menu is open
+   * @private
+   */
+  _applyTouch(inMenu) {
+    const touch = this.touch;
+    touch.setMenuMode(inMenu);
+    const { pressed, taps, lookX, lookY } = touch.consume();
+    
+    if (inMenu) {
+      for (const tap of taps) {
+        if (this.callbacks.onTap) this.callbacks.onTap(tap.x, tap.y);
+      }
+      return;
+    }
+    
+    if (!this.enabled) return;
+    
+    for (const action of pressed) {
+      this._pressTouchButton(action);
+    }
+    
+    // Joystick adds to any stick movement (screen up is forward)
+    const { x, y } = touch.joystick;
+    if (x !== 0 || y !== 0) {
+      this.moveState.analogForward = Math.max(-1, Math.min(1, this.moveState.analogForward - y));
+      this.moveState.analogStrafe = Math.max(-1, Math.min(1, this.moveState.analogStrafe + x));
+    }
+    
+    // Drag look (dragging up looks up)
+    if ((lookX !== 0 || lookY !== 0) && this.callbacks.onLook) {
+      const sensitivity = InputConfig.touch.lookSensitivity;
+      this.callbacks.onLook(lookX * sensitivity, -lookY * sensitivity);
+    }
+  }
+
+  /**
+   * Triggers the action of an on-screen touch button
+   * Sprint and crouch are toggles, since holding them would take a third finger
+   * @param {string} action - Button action
+   * @private
+   */
+  _pressTouchButton(action) {
+    const isOn = !!this.touch.toggles[action];
+    
+    if (action === 'sprint') {
+      this.moveState.sprint = isOn;
+      const callback = isOn ? this.callbacks.onSprintStart : this.callbacks.onSprintEnd;
+      if (callback) callback();
+    } else if (action === 'crouch') {
+      this.moveState.crouch = isOn;
+      const callback = isOn ? this.callbacks.onCrouchStart : this.callbacks.onCrouchEnd;
+      if (callback) callback();
+    } else if (TOUCH_BUTTON_CALLBACKS[action]) {
+      const callback = this.callbacks[TOUCH_BUTTON_CALLBACKS[action]];
+      if (callback) callback();
+    }
+  }
+
+  /**
+   * Presses and releases a key through the keyboard handlers
+   * @param {string} key - Key to tap
+   * @private
+   */
+  _tapKey(key) {
+    this._onKeyDown(createPadEvent(key));
+    this._onKeyUp(createPadEvent(key));
+  }
+
   /**
    * Releases pointer lock
    */
@@ -0,0 +1,281 @@
+import { InteractionConfig } from '../config/GameConfig.js';
+import { RAD_TO_DEG } from '../utils/mathLUT.js';
+
+/**
+ * @typedef {Object} UseTarget
+ * @property {'door'|'switch'} type - What the player would use
+ * @property {Door|Switch} target - The door or switch
+ */
+
+/**
+ * InteractionSystem - Doors, keys, switches and pressure plates of the active map
+ * Runs inside the simulation (use requests arrive as recorded input events), so
+ * replays open the same doors at the same moments.
+ */
+class InteractionSystem {
+  /**
+   * Creates an interaction system
+   * @param {Object} [config={}] - Interaction configuration (defaults to InteractionConfig)
+   */
+  constructor(config = {}) {
+    this.config = { ...InteractionConfig, ...config };
+
+    /** @type {GameMap|null} */
+    this.map = null;
+
+    /** @type {Door[]} */
+    this.doors = [];
+    this._doorsById = new Map();
+
+    /** @type {KeyPickup[]} */
+    this.keys = [];
+    /** @type {Switch[]} */
+    this.switches = [];
+    /** @type {PressurePlate[]} */
+    this.plates = [];
+
+    // Key IDs the player is carrying
+    this.heldKeys = new Set();
+
+    // Doors seen sliding, to report when they come to rest
+    this._slidingDoors = new Set();
+
+    // Short feedback message ("Locked", "Picked up a key")
+    this.message = null;
+    this.messageTimer = 0;
+
+    // Callbacks
+    this.onKeyPickup = null;  // (key: KeyPickup) => void
+    this.onDoorUsed = null;   // (door: Door) => void
+    this.onDoorsChanged = null; // () => void, when any door starts or finishes sliding (or all are reset)
+  }
+
+  /**
+   * Takes the doors, keys, switches and plates from a map and resets them
+   * @param {GameMap} map - The active map
+   */
+  setMap(map) {
+    if (this.map) this._removeSprites();
+
+    this.map = map;
+    this.doors = map.getBoundaries().filter(boundary => boundary.isDoor);
+    this._doorsById = new Map();
+    for (const door of this.doors) {
+      if (door.uniqueID !== null) this._doorsById.set(door.uniqueID, door);
+    }
+    this.keys = map.keys;
+    this.switches = map.switches;
+    this.plates = map.pressurePlates;
+
+    this.reset();
+  }
+
+  /**
+   * Closes and relocks every door, puts keys back and releases switches and plates
+   */
+  reset() {
+    this.heldKeys.clear();
+    this._slidingDoors.clear();
+    this.message = null;
+    this.messageTimer = 0;
+
+    for (const door of this.doors) {
+      door.resetAnimation();
+    }
+    for (const key of this.keys) {
+      key.isCollected = false;
+      this.map.addRuntimeSprite(key.sprite);
+    }
+    for (const lever of this.switches) {
+      lever.setOn(false);
+      this.map.addRuntimeSprite(lever.sprite);
+    }
+    for (const plate of this.plates) {
+      plate.isPressed = false;
+    }
+
+    if (this.onDoorsChanged) this.onDoorsChanged();
+  }
+
+  /**
+   * Finds what the player would use: the closest switch or usable door within
+   * reach and roughly in front of them
+   * @param {Player} player - The player
+   * @returns {UseTarget|null} The use target, or null if nothing is in reach
+   */
+  findUseTarget(player) {
+    let best = null;
+    let bestDistance = this.config.useDistance;
+
+    for (const lever of this.switches) {
+      const distance = Math.hypot(lever.x - player.pos.x, lever.y - player.pos.y);
+      if (distance <= bestDistance && this._isFacing(player, lever.x, lever.y)) {
+        best = { type: 'switch', target: lever };
+        bestDistance = distance;
+      }
+    }
+
+    for (const door of this.doors) {
+      if (!door.usable) continue;
+      const point = this._closestPointOnDoor(door, player.pos.x, player.pos.y);
+      const distance = Math.hypot(point.x - player.pos.x, point.y - player.pos.y);
+      if (distance <= bestDistance && this._isFacing(player, point.x, point.y)) {
+        best = { type: 'door', target: door };
+        bestDistance = distance;
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Uses whatever the player is facing (opens/closes a door, flips a switch)
+   * @param {Player} player - The player
+   * @returns {boolean} True if something was used
+   */
+  use(player) {
+    const found = this.findUseTarget(player);
+    if (!found) return false;
+
+    if (found.type === 'switch') {
+      const isOn = found.target.toggle();
+      this._setTargetsOpen(found.target.targets, isOn);
+      return true;
+    }
+
+    const door = found.target;
+    if (door.isLocked) {
+      if (!this.heldKeys.has(door.keyId)) {
+        this._showMessage(`Locked - needs the ${door.keyId} key`);
+        return true;
+      }
+      door.unlock();
+      this._showMessage(`Unlocked with the ${door.keyId} key`);
+    }
+    door.toggle();
+    if (this.onDoorUsed) this.onDoorUsed(door);
+    if (this.onDoorsChanged) this.onDoorsChanged();
+    return true;
+  }
+
+  /**
+   * Picks up keys, updates pressure plates, reports doors that stopped sliding and turns sprites toward the player
+   * @param {Player} player - The player
+   * @param {EnemyClass[]} enemies - Live enemies (they can stand on plates too)
+   * @param {number} deltaSeconds - Simulation time delta in seconds
+   */
+  update(player, enemies, deltaSeconds) {
+    const { x, y } = player.pos;
+
+    for (const key of this.keys) {
+      if (key.isCollected) continue;
+      if (key.containsPoint(x, y)) {
+        key.isCollected = true;
+        this.heldKeys.add(key.keyId);
+        this.map.removeRuntimeSprite(key.sprite);
+        this._showMessage(`Picked up the ${key.keyId} key`);
+        if (this.onKeyPickup) this.onKeyPickup(key);
+      } else {
+        key.faceViewer(x, y);
+      }
+    }
+
+    for (const lever of this.switches) {
+      lever.faceViewer(x, y);
+    }
+
+    for (const plate of this.plates) {
+      const isPressed = plate.containsPoint(x, y) ||
+        enemies.some(enemy => !enemy.isDead && plate.containsPoint(enemy.pos.x, enemy.pos.y));
+      if (isPressed === plate.isPressed) continue;
+
+      plate.isPressed = isPressed;
+      if (isPressed) {
+        this._setTargetsOpen(plate.targets, true);
+      } else if (!plate.latch) {
+        this._setTargetsOpen(plate.targets, false);
+      }
+    }
+
+    // Doors that have finished sliding
+    let settled = false;
+    for (const door of this.doors) {
+      if (door.isMoving) {
+        this._slidingDoors.add(door);
+      } else if (this._slidingDoors.delete(door)) {
+        settled = true;
+      }
+    }
+    if (settled && this.onDoorsChanged) this.onDoorsChanged();
+
+    if (this.messageTimer > 0) {
+      this.messageTimer -= deltaSeconds;
+      if (this.messageTimer <= 0) this.message = null;
+    }
+  }
+
+  /**
+   * Opens or closes doors by uniqueID (unknown IDs are ignored)
+   * @param {string[]} targets - Door uniqueIDs
+   * @param {boolean} open - True to open, false to close
+   * @private
+   */
+  _setTargetsOpen(targets, open) {
+    let changed = false;
+    for (const id of targets) {
+      const door = this._doorsById.get(id);
+      if (!door || door.isOpen === open) continue;
+      if (open) {
+        door.open();
+      } else {
+        door.close();
+      }
+      changed = true;
+    }
+    if (changed && this.onDoorsChanged) this.onDoorsChanged();
+  }
+
+  /**
+   * Whether a point is within useAngle of the player's view direction
+   * @private
+   */
+  _isFacing(player, x, y) {
+    const angle = Math.atan2(y - player.pos.y, x - player.pos.x) * RAD_TO_DEG;
+    const diff = Math.abs(((angle - player.viewDirection) % 360 + 540) % 360 - 180);
+    return diff <= this.config.useAngle;
+  }
+
+  /**
+   * Closest point on a door segment to a position
+   * @private
+   */
+  _closestPointOnDoor(door, x, y) {
+    const abx = door.b.x - door.a.x;
+    const aby = door.b.y - door.a.y;
+    const lengthSq = abx * abx + aby * aby;
+    let t = lengthSq > 0 ? ((x - door.a.x) * abx + (y - door.a.y) * aby) / lengthSq : 0;
+    if (t < 0) t = 0;
+    if (t > 1) t = 1;
+    return { x: door.a.x + abx * t, y: door.a.y + aby * t };
+  }
+
+  /**
+   * Shows a short feedback message
+   * @private
+   */
+  _showMessage(text) {
+    this.message = text;
+    this.messageTimer = this.config.messageDuration;
+  }
+
+  /**
+   * Takes the key and switch sprites out of the current map
+   * @private
+   */
+  _removeSprites() {
+    for (const key of this.keys) this.map.removeRuntimeSprite(key.sprite);
+    for (const lever of this.switches) this.map.removeRuntimeSprite(lever.sprite);
+  }
+}
+
+export default InteractionSystem;
@@ -0,0 +1,211 @@
+/**
+ * Leaderboard - Persistent best runs and run history per map
+ * Saved to localStorage; generated maps get a separate board per seed and layout
+ */
+
+import { LeaderboardConfig } from '../config/GameConfig.js';
+import { hashSeed } from '../utils/SeededRandom.js';
+
+// Storage key for localStorage
+const STORAGE_KEY = 'fps_shooter_leaderboard';
+
+/**
+ * @typedef {Object} RunEntry
+ * @property {number} score - Final score
+ * @property {number} time - Completion time in seconds
+ * @property {number} detections - Times the player was detected
+ * @property {boolean} pathUsed - Whether the path reveal was used
+ * @property {number} kills - Enemies killed
+ * @property {number} alertPercent - Alert bar remaining (0-1)
+ * @property {boolean} isWin - Whether the run reached the goal
+ * @property {number} date - Timestamp (ms since epoch)
+ */
+
+/**
+ * @typedef {Object} RunRecord
+ * @property {number|null} rank - 1-based leaderboard position, or null if it didn't place
+ * @property {boolean} isPersonalBest - Whether the run beat every earlier run on the board
+ * @property {RunEntry|null} previousBest - Best run before this one
+ */
+
+class Leaderboard {
+  /**
+   * Creates a leaderboard
+   * @param {Object} [config={}] - Configuration (defaults to LeaderboardConfig)
+   * @param {number} [config.maxEntries] - Best runs kept per board
+   * @param {number} [config.maxHistory] - Recent runs kept per board
+   */
+  constructor({ maxEntries = LeaderboardConfig.maxEntries, maxHistory = LeaderboardConfig.maxHistory } = {}) {
+    this.maxEntries = maxEntries;
+    this.maxHistory = maxHistory;
+
+    // Board key -> { mapName, seed, top: RunEntry[], history: RunEntry[] }
+    this._boards = {};
+
+    // Board keys are derived from the map layout, so cache them per map instance
+    this._keyCache = new WeakMap();
+
+    this._load();
+  }
+
+  /**
+   * Loads boards from localStorage
+   * @private
+   */
+  _load() {
+    try {
+      const saved = localStorage.getItem(STORAGE_KEY);
+      if (saved) {
+        const data = JSON.parse(saved);
+        if (data.boards && typeof data.boards === 'object') {
+          this._boards = data.boards;
+        }
+      }
+    } catch (e) {
+      console.warn('Failed to load leaderboard:', e);
+    }
+  }
+
+  /**
+   * Saves boards to localStorage
+   * @private
+   */
+  _save() {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify({ boards: this._boards }));
+    } catch (e) {
+      console.warn('Failed to save leaderboard:', e);
+    }
+  }
+
+  /**
+   * Gets the board key for a map.
+   * Hand-made maps use their name; seeded maps also include the seed and a
+   * fingerprint of the generated layout, so changing generation parameters
+   * (size, loop chance, rooms...) starts a fresh board.
+   * @param {GameMap} map - Map
+   * @returns {string} Board key
+   */
+  getBoardKey(map) {
+    let key = this._keyCache.get(map);
+    if (key) return key;
+
+    if (map.seed === null || map.seed === undefined) {
+      key = map.name;
+    } else {
+      const layout = map.toJSON();
+      const fingerprint = hashSeed(JSON.stringify([layout.walls, layout.enemies, layout.maze])).toString(16);
+      key = `${map.name}|${map.seed}|${fingerprint}`;
+    }
+
+    this._keyCache.set(map, key);
+    return key;
+  }
+
+  /**
+   * Gets (or creates) the board for a map
+   * @private
+   */
+  _getBoard(map, create = false) {
+    const key = this.getBoardKey(map);
+    if (!this._boards[key] && create) {
+      this._boards[key] = { mapName: map.name, seed: map.seed ?? null, top: [], history: [] };
+    }
+    return this._boards[key] || null;
+  }
+
+  /**
+   * Records a finished run. Every run goes into the history; wins compete for the top list.
+   * @param {GameMap} map - Map the run was played on
+   * @param {Object} scoreBreakdown - Score breakdown from GameStateManager
+   * @returns {RunRecord} Where the run placed
+   */
+  recordRun(map, scoreBreakdown) {
+    const board = this._getBoard(map, true);
+    const entry = {
+      score: scoreBreakdown.finalScore,
+      time: scoreBreakdown.completionTime,
+      detections: scoreBreakdown.detectionCount,
+      pathUsed: scoreBreakdown.pathUsed,
+      kills: scoreBreakdown.enemiesKilled,
+      alertPercent: scoreBreakdown.alertPercent,
+      isWin: scoreBreakdown.isWin,
+      date: Date.now()
+    };
+
+    board.history.unshift(entry);
+    if (board.history.length > this.maxHistory) {
+      board.history.length = this.maxHistory;
+    }
+
+    const previousBest = board.top[0] || null;
+    let rank = null;
+
+    if (entry.isWin) {
+      board.top.push(entry);
+      board.top.sort(Leaderboard.compareRuns);
+      if (board.top.length > this.maxEntries) {
+        board.top.length = this.maxEntries;
+      }
+      const index = board.top.indexOf(entry);
+      rank = index === -1 ? null : index + 1;
+    }
+
+    this._save();
+
+    return {
+      rank,
+      // Ties keep the earlier run on top (stable sort), so rank 1 means strictly better
+      isPersonalBest: rank === 1,
+      previousBest
+    };
+  }
+
+  /**
+   * Gets the best runs for a map, best first
+   * @param {GameMap} map - Map
+   * @returns {RunEntry[]} Top runs
+   */
+  getTopRuns(map) {
+    return this._getBoard(map)?.top ?? [];
+  }
+
+  /**
+   * Gets the most recent runs for a map, newest first
+   * @param {GameMap} map - Map
+   * @returns {RunEntry[]} Recent runs
+   */
+  getHistory(map) {
+    return this._getBoard(map)?.history ?? [];
+  }
+
+  /**
+   * Gets the personal best for a map
+   * @param {GameMap} map - Map
+   * @returns {RunEntry|null} Best run, or null if the map hasn't been completed
+   */
+  getPersonalBest(map) {
+    return this.getTopRuns(map)[0] || null;
+  }
+
+  /**
+   * Deletes the board for a map
+   * @param {GameMap} map - Map
+   */
+  clear(map) {
+    delete this._boards[this.getBoardKey(map)];
+    this._save();
+  }
+
+  /**
+   * Orders runs by score (higher first), then time (faster first)
+   * @param {RunEntry} a - Run
+   * @param {RunEntry} b - Run
+   * @returns {number} Sort order
+   */
+  static compareRuns(a, b) {
+    return (b.score - a.score) || (a.time - b.time);
+  }
+}
+
+export default Leaderboard;
@@ -0,0 +1,174 @@
+import RayClass from '../classes/RayClass.js';
+import SpatialGrid from '../utils/SpatialGrid.js';
+import { NoiseConfig, DetectionConfig } from '../config/GameConfig.js';
+
+/**
+ * @typedef {Object} NoiseEvent
+ * @property {number} x - Noise X position
+ * @property {number} y - Noise Y position
+ * @property {number} radius - Audible radius in open space
+ * @property {string} type - Noise type: 'move', 'sprint', 'land' (others are allowed)
+ */
+
+/**
+ * NoiseSystem - Turns player movement into noise events and lets enemies hear them
+ * Walls between a noise and an enemy shrink how far it carries, using the same
+ * spatial grid ray queries the camera uses for rendering.
+ */
+class NoiseSystem {
+  /**
+   * Creates a noise system
+   * @param {Object} [config={}] - Noise configuration (defaults to NoiseConfig)
+   */
+  constructor(config = {}) {
+    this.config = { ...NoiseConfig, ...config };
+
+    /** @type {NoiseEvent[]} */
+    this.events = [];
+
+    // Wall queries (grid follows the boundaries array, including moving walls)
+    this._grid = new SpatialGrid(this.config.gridCellSize);
+    this._gridSource = null;
+    this._ray = new RayClass(0, 0, 0);
+    this._candidates = [];
+    this._seen = new Set();
+
+    // Player tracking
+    this._lastPos = null;
+    this._moveTimer = 0;
+    this._wasAirborne = false;
+  }
+
+  /**
+   * Emits a noise this frame
+   * @param {number} x - Noise X position
+   * @param {number} y - Noise Y position
+   * @param {number} radius - Audible radius in open space
+   * @param {string} [type='noise'] - Noise type
+   */
+  emit(x, y, radius, type = 'noise') {
+    if (radius <= 0) return;
+    this.events.push({ x, y, radius, type });
+  }
+
+  /**
+   * Emits the noises the player made this frame (footsteps and landings).
+   * Crouching and sprinting scale the radius by the same multipliers as sight.
+   * @param {Player} player - Player after this frame's movement
+   * @param {number} deltaSeconds - Real time delta in seconds
+   */
+  update(player, deltaSeconds) {
+    const { x, y } = player.pos;
+    const moved = this._lastPos !== null &&
+      (Math.abs(x - this._lastPos.x) > 0.01 || Math.abs(y - this._lastPos.y) > 0.01);
+    this._lastPos = { x, y };
+
+    const stealth = player.isCrouching ? DetectionConfig.crouchMultiplier : 1;
+
+    // Landing from a jump
+    if (this._wasAirborne && !player.isJumping) {
+      this.emit(x, y, this.config.landRadius * stealth, 'land');
+    }
+    this._wasAirborne = player.isJumping;
+
+    // Footsteps (none while airborne)
+    if (!moved || player.isJumping) {
+      this._moveTimer = 0;
+      return;
+    }
+
+    this._moveTimer -= deltaSeconds;
+    if (this._moveTimer > 0) return;
+    this._moveTimer = this.config.stepInterval;
+
+    if (player.isSprinting) {
+      this.emit(x, y, this.config.sprintRadius * DetectionConfig.sprintRangeMultiplier, 'sprint');
+    } else {
+      this.emit(x, y, this.config.moveRadius * stealth, 'move');
+    }
+  }
+
+  /**
+   * Delivers this frame's noises to the enemies that can hear them, then clears them.
+   * Loudness falls off linearly to the edge of the radius; each wall in between
+   * multiplies the radius by wallAttenuation.
+   * @param {EnemyClass[]} enemies - Listening enemies (must have hearNoise)
+   * @param {Array<Boundaries>} boundaries - Scene boundaries
+   */
+  propagate(enemies, boundaries) {
+    if (this.events.length === 0) return;
+
+    if (this._gridSource !== boundaries) {
+      this._grid.buildFromBoundaries(boundaries);
+      this._gridSource = boundaries;
+    } else {
+      this._grid.syncBoundaries(boundaries);
+    }
+
+    for (const noise of this.events) {
+      for (const enemy of enemies) {
+        if (enemy.isDead) continue;
+
+        const dx = enemy.pos.x - noise.x;
+        const dy = enemy.pos.y - noise.y;
+        const distSq = dx * dx + dy * dy;
+        if (distSq > noise.radius * noise.radius) continue;
+
+        const distance = Math.sqrt(distSq);
+        const walls = distance > 0 ? this._countWalls(noise.x, noise.y, dx / distance, dy / distance, distance) : 0;
+        const effectiveRadius = noise.radius * Math.pow(this.config.wallAttenuation, walls);
+        if (distance >= effectiveRadius) continue;
+
+        enemy.hearNoise({ x: noise.x, y: noise.y }, 1 - distance / effectiveRadius);
+      }
+    }
+
+    this.events.length = 0;
+  }
+
+  /**
+   * Counts the solid walls crossed between a point and a listener
+   * @param {number} x - Origin X
+   * @param {number} y - Origin Y
+   * @param {number} dirX - Normalized direction X
+   * @param {number} dirY - Normalized direction Y
+   * @param {number} distance - Distance to the listener
+   * @returns {number} Number of walls in between
+   * @private
+   */
+  _countWalls(x, y, dirX, dirY, distance) {
+    const count = this._grid.getBoundariesAlongRayFast(x, y, dirX, dirY, distance, this._candidates, this._seen);
+
+    const ray = this._ray;
+    ray.pos.x = x;
+    ray.pos.y = y;
+    ray.dir.x = dirX;
+    ray.dir.y = dirY;
+
+    let walls = 0;
+    for (let i = 0; i < count; i++) {
+      const boundary = this._candidates[i];
+      // Sprites and glass-like surfaces don't block sound
+      if (boundary.isTransparent) continue;
+
+      const hit = ray.cast(boundary);
+      if (!hit) continue;
+      const hx = hit.point.x - x;
+      const hy = hit.point.y - y;
+      if (hx * hx + hy * hy < distance * distance) walls++;
+    }
+    return walls;
+  }
+
+  /**
+   * Forgets player tracking and pending noises (call when a run starts)
+   */
+  reset() {
+    this.events.length = 0;
+    this._lastPos = null;
+    this._moveTimer = 0;
+    this._wasAirborne = false;
+  }
+}
+
+export default NoiseSystem;
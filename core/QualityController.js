@@ -0,0 +1,163 @@
+import { QualityConfig } from '../config/GameConfig.js';
+
+/**
+ * @typedef {Object} QualityLevel
+ * @property {string} name - Level name ('low', 'medium', 'high', 'ultra')
+ * @property {number} rayCount - Camera rays cast per frame
+ * @property {number} floorRowStep - Screen rows per floor/ceiling sample
+ */
+
+/**
+ * QualityController - Adaptive resolution to hold a target frame rate
+ *
+ * Fed the average frame time the stats tracker measures every 500ms, it drops a
+ * quality level when frames run too slow and tries the next level up when they
+ * keep up. The gap between the drop and raise thresholds, the samples needed in
+ * a row and a wait that doubles each time a level fails keep it from flickering
+ * between two levels.
+ */
+class QualityController {
+  /**
+   * Creates a quality controller
+   * @param {Object} [config={}] - Quality configuration (defaults to QualityConfig)
+   */
+  constructor(config = {}) {
+    this.config = { ...QualityConfig, ...config };
+    this.levels = this.config.levels;
+
+    // Target frame rate (null = adaptive quality off)
+    this.targetFps = null;
+
+    // Allowed level range (indices into levels)
+    this.minIndex = 0;
+    this.maxIndex = this.levels.length - 1;
+    this.index = this.maxIndex;
+
+    // Hysteresis state
+    this._slowSamples = 0;
+    this._fastSamples = 0;
+    this._settleSamples = 0;
+    this._raiseWaits = this.levels.map(() => this.config.raiseSamples);
+
+    // Callback
+    this.onChange = null; // (level: QualityLevel) => void
+  }
+
+  /**
+   * Current quality level
+   * @returns {QualityLevel}
+   */
+  get level() {
+    return this.levels[this.index];
+  }
+
+  /**
+   * Whether quality follows the frame rate
+   * @returns {boolean}
+   */
+  get isAdaptive() {
+    return this.targetFps !== null;
+  }
+
+  /**
+   * Sets the frame rate to hold
+   * @param {number|'off'} targetFps - Target FPS, or 'off' to stay at the highest allowed level
+   */
+  setTarget(targetFps) {
+    this.targetFps = typeof targetFps === 'number' ? targetFps : null;
+    this._resetHysteresis();
+    if (!this.isAdaptive) this._setIndex(this.maxIndex);
+  }
+
+  /**
+   * Sets the lowest and highest levels adaptive quality may use
+   * (given in either order)
+   * @param {string} minName - Lowest level name
+   * @param {string} maxName - Highest level name
+   */
+  setRange(minName, maxName) {
+    const a = this._indexOf(minName, 0);
+    const b = this._indexOf(maxName, this.levels.length - 1);
+    this.minIndex = Math.min(a, b);
+    this.maxIndex = Math.max(a, b);
+    this._resetHysteresis();
+
+    const index = this.isAdaptive ? Math.min(Math.max(this.index, this.minIndex), this.maxIndex) : this.maxIndex;
+    this._setIndex(index);
+  }
+
+  /**
+   * Feeds an average frame time sample and adjusts the level if needed
+   * @param {number} avgFrameTime - Average frame time in ms over the last sample period
+   * @returns {boolean} True if the level changed
+   */
+  sample(avgFrameTime) {
+    if (!this.isAdaptive || avgFrameTime > this.config.maxSampleFrameTime) return false;
+
+    if (this._settleSamples > 0) {
+      this._settleSamples--;
+      return false;
+    }
+
+    const targetFrameTime = 1000 / this.targetFps;
+
+    if (avgFrameTime > targetFrameTime * this.config.dropThreshold) {
+      this._fastSamples = 0;
+      this._slowSamples++;
+      if (this._slowSamples >= this.config.dropSamples && this.index > this.minIndex) {
+        // This level couldn't hold the target: wait longer before trying it again
+        this._raiseWaits[this.index] = Math.min(this._raiseWaits[this.index] * 2, this.config.maxRaiseSamples);
+        return this._setIndex(this.index - 1);
+      }
+    } else if (avgFrameTime <= targetFrameTime * this.config.raiseThreshold) {
+      this._slowSamples = 0;
+      this._fastSamples++;
+      if (this.index < this.maxIndex && this._fastSamples >= this._raiseWaits[this.index + 1]) {
+        return this._setIndex(this.index + 1);
+      }
+    } else {
+      this._slowSamples = 0;
+      this._fastSamples = 0;
+    }
+
+    return false;
+  }
+
+  /**
+   * Switches level and notifies the listener
+   * @param {number} index - New level index
+   * @returns {boolean} True if the level changed
+   * @private
+   */
+  _setIndex(index) {
+    if (index === this.index) return false;
+    this.index = index;
+    this._slowSamples = 0;
+    this._fastSamples = 0;
+    this._settleSamples = this.config.settleSamples;
+    if (this.onChange) this.onChange(this.level);
+    return true;
+  }
+
+  /**
+   * Clears sample counts and level retry waits
+   * @private
+   */
+  _resetHysteresis() {
+    this._slowSamples = 0;
+    this._fastSamples = 0;
+    this._settleSamples = 0;
+    this._raiseWaits.fill(this.config.raiseSamples);
+  }
+
+  /**
+   * Finds a level index by name
+   * @private
+   */
+  _indexOf(name, fallback) {
+    const index = this.levels.findIndex(level => level.name === name);
+    return index === -1 ? fallback : index;
+  }
+}
+
+export default QualityController;
@@ -2,107 +2,143 @@
  * RaycastManager - Manages raycasting with optional Web Worker offloading.
  * Provides a unified interface whether using main thread or worker.
  * Falls back gracefully if workers are not available.
+ *
+ * A frame casts in two steps: castAsync() starts the cast for the camera's
+ * current pose, and whenReady() hands the finished scene to the renderer. On
+ * the main thread both happen at once. On the worker the cast runs while the
+ * game simulates the rest of the frame, and whenReady() waits for it (or, with
+ * one frame of latency, draws the previous frame's cast straight away).
  */
 
-import SpatialGrid from '../utils/SpatialGrid.js';
-import { DEG_TO_RAD } from '../utils/mathLUT.js';
-import { RenderConfig } from '../config/GameConfig.js';
+import { normalizeAngle } from '../utils/mathLUT.js';
+import { RenderConfig, RaycastConfig } from '../config/GameConfig.js';
 
-// Configuration
-const WORKER_PATH = './workers/RaycastWorker.js';
-const MAX_RENDER_DISTANCE = RenderConfig.maxRenderDistance;
-const BATCH_SIZE = 4; // SIMD-like batch size
+const TWO_PI = Math.PI * 2;
 
 class RaycastManager {
   /**
    * Creates a RaycastManager
    * @param {Object} options - Configuration options
-   * @param {boolean} options.useWorker - Whether to use Web Worker
-   * @param {number} options.rayCount - Number of rays
-   * @param {number} options.cellSize - Spatial grid cell size
+   * @param {boolean} [options.useWorker=true] - Whether to use Web Worker
+   * @param {boolean} [options.oneFrameLatency=false] - Draw the previous frame's worker cast instead of waiting
+   * @param {number} [options.cellSize] - Worker spatial grid cell size
+   * @param {number} [options.maxExtraHits] - Partial-height and transparent hits kept per ray
    */
   constructor(options = {}) {
     this.useWorker = options.useWorker ?? true;
-    this.rayCount = options.rayCount ?? 1000;
-    this.cellSize = options.cellSize ?? 100;
-    
+    this.oneFrameLatency = options.oneFrameLatency ?? false;
+    this.cellSize = options.cellSize ?? RaycastConfig.cellSize;
+    this.maxExtraHits = options.maxExtraHits ?? RaycastConfig.maxExtraHits;
+
     // Worker state
     this.worker = null;
     this.workerReady = false;
     this.workerPending = false;
-    
-    // Spatial grid for main thread fallback
-    this.spatialGrid = new SpatialGrid(this.cellSize);
-    
-    // Pre-allocated buffers for main thread casting
-    this._rayResultArray = new Array(500);
-    this._seenSet = new Set();
-    
-    // Pre-allocated output buffers
-    this._distanceBuffer = new Float32Array(this.rayCount);
-    this._textureXBuffer = new Float32Array(this.rayCount);
-    this._boundaryIndexBuffer = new Int32Array(this.rayCount);
-    
-    // Ray data buffer for worker communication
-    this._rayDirections = new Float32Array(this.rayCount * 2);
-    this._cosCache = new Float32Array(this.rayCount);
-    
-    // Callback for async worker results
+    this._sentAt = 0;
+
+    // Hit buffers, transferred to the worker with each cast and back with its result
+    this._buffers = null;
+    this._rayCount = 0;
+    this._rayDirections = new Float32Array(0);
+    this._cosCache = new Float32Array(0);
+
+    // Boundaries the worker has, and the revision each was sent at
+    this._boundaries = null;
+    this._sentBoundaries = [];
+    this._sentRevisions = [];
+    this._generation = 0;
+
+    // Frame being cast, and the scene/callback waiting for it
+    this._frameId = 0;
+    this._camera = null;
+    this._scene = null;
     this._pendingCallback = null;
-    
+
+    // Last finished worker cast (drawn next frame with oneFrameLatency)
+    this._latest = null;
+
     // Stats
     this.stats = {
       lastCastTime: 0,
       avgCastTime: 0,
+      avgRoundTrip: 0,
       castCount: 0,
+      fallbackCount: 0,
       usingWorker: false
     };
-    
-    // Boundaries reference
-    this._boundaries = [];
-    this._boundariesDirty = true;
-    
+
     // Initialize worker if requested
     if (this.useWorker) {
       this._initWorker();
     }
   }
 
+  /**
+   * Where this frame's rays were cast
+   * @returns {'worker'|'main'} Casting thread
+   */
+  get mode() {
+    return this.stats.usingWorker ? 'worker' : 'main';
+  }
+
   /**
    * Initializes the Web Worker
    * @private
    */
   _initWorker() {
+    if (typeof Worker === 'undefined') {
+      this.useWorker = false;
+      return;
+    }
+
     try {
-      this.worker = new Worker(WORKER_PATH, { type: 'module' });
-      
+      this.worker = new Worker(RaycastConfig.workerPath, { type: 'module' });
+
       this.worker.onmessage = (e) => {
         this._handleWorkerMessage(e.data);
       };
-      
+
       this.worker.onerror = (e) => {
         console.warn('RaycastManager: Worker error, falling back to main thread', e);
+        this._stopWorker();
         this.useWorker = false;
-        this.workerReady = false;
-        this.worker = null;
       };
-      
+
       // Send initialization config
       this.worker.postMessage({
         type: 'init',
         data: {
-          rayCount: this.rayCount,
-          maxRenderDistance: MAX_RENDER_DISTANCE,
-          cellSize: this.cellSize
+          maxRenderDistance: RenderConfig.maxRenderDistance,
+          cellSize: this.cellSize,
+          maxExtraHits: this.maxExtraHits
         }
       });
-      
+
     } catch (e) {
       console.warn('RaycastManager: Failed to create worker, using main thread', e);
+      this.worker = null;
       this.useWorker = false;
     }
   }
 
+  /**
+   * Terminates the worker and forgets everything it held
+   * @private
+   */
+  _stopWorker() {
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+    this.workerReady = false;
+    this.workerPending = false;
+    this.stats.usingWorker = false;
+    this._buffers = null;
+    this._boundaries = null;
+    this._latest = null;
+    this._pendingCallback = null;
+  }
+
   /**
    * Handles messages from the worker
    * @param {Object} data - Message data
@@ -113,34 +149,32 @@ class RaycastManager {
       case 'loaded':
         console.log('RaycastManager: Worker loaded');
         break;
-        
+
       case 'ready':
         this.workerReady = true;
-        this.stats.usingWorker = true;
         console.log('RaycastManager: Worker ready');
         break;
-        
+
       case 'boundariesUpdated':
         console.log(`RaycastManager: Worker updated ${data.count} boundaries`);
         break;
-        
+
       case 'castResult':
         this.workerPending = false;
+        this._buffers = data.buffers;
         this.stats.lastCastTime = data.castTime;
         this._updateAvgCastTime(data.castTime);
-        
-        // Copy results back (buffers were transferred)
-        this._distanceBuffer = new Float32Array(data.distances);
-        this._textureXBuffer = new Float32Array(data.textureXs);
-        this._boundaryIndexBuffer = new Int32Array(data.boundaryIndices);
-        
-        if (this._pendingCallback) {
-          this._pendingCallback({
-            distances: this._distanceBuffer,
-            textureXs: this._textureXBuffer,
-            boundaryIndices: this._boundaryIndexBuffer
-          });
+        this.stats.avgRoundTrip = this.stats.avgRoundTrip * 0.9 + (performance.now() - this._sentAt) * 0.1;
+
+        // Casts against boundaries that have since been replaced are dropped
+        if (data.generation !== this._generation) break;
+
+        if (this._pendingCallback && data.frameId === this._frameId) {
+          const callback = this._pendingCallback;
           this._pendingCallback = null;
+          callback(this._buildScene(this._camera));
+        } else if (this.oneFrameLatency) {
+          this._latest = data.frameId;
         }
         break;
     }
@@ -158,295 +192,256 @@ class RaycastManager {
   }
 
   /**
-   * Updates the boundaries for raycasting
+   * Switches between the worker and the main thread
+   * @param {boolean} useWorker - Whether to use Web Worker
+   */
+  setUseWorker(useWorker) {
+    if (useWorker === this.useWorker) return;
+    this.useWorker = useWorker;
+    if (useWorker) {
+      this._initWorker();
+    } else {
+      this._stopWorker();
+    }
+  }
+
+  /**
+   * Sets whether worker casts are drawn one frame late instead of waited for
+   * @param {boolean} oneFrameLatency - Draw the previous frame's cast
+   */
+  setOneFrameLatency(oneFrameLatency) {
+    this.oneFrameLatency = oneFrameLatency;
+    this._latest = null;
+  }
+
+  /**
+   * Sends boundaries to the worker: everything when the list changed (new map,
+   * sprites added or removed), otherwise only the ones that moved since the
+   * last call (doors, animated walls, enemy sprites)
    * @param {Array} boundaries - Array of boundary objects
    */
   updateBoundaries(boundaries) {
-    this._boundaries = boundaries;
-    this._boundariesDirty = true;
-    
-    // Update spatial grid for main thread
-    this.spatialGrid.buildFromBoundaries(boundaries);
-    
-    // Send to worker if available
-    if (this.workerReady && this.worker) {
-      // Serialize boundaries for worker
-      const serialized = boundaries.map((b, idx) => ({
-        id: idx,
-        isCurved: b.isCurved || false,
-        isTransparent: b.isTransparent || false,
-        isSprite: b.isSprite || false,
-        // Straight wall
-        a: b.a ? { x: b.a.x, y: b.a.y } : null,
-        b: b.b ? { x: b.b.x, y: b.b.y } : null,
-        // Curved wall
-        centerX: b.centerX,
-        centerY: b.centerY,
-        radius: b.radius,
-        startAngle: b.startAngle,
-        endAngle: b.endAngle
-      }));
-      
+    if (!this.workerReady || !this.worker) return;
+
+    if (boundaries !== this._boundaries || boundaries.length !== this._sentBoundaries.length) {
+      this._boundaries = boundaries;
+      this._sentBoundaries = boundaries.slice();
+      this._sentRevisions = boundaries.map(b => b.revision);
+      this._generation++;
+      this._latest = null;
+
       this.worker.postMessage({
         type: 'updateBoundaries',
-        data: { boundaries: serialized }
+        data: { boundaries: boundaries.map((b, idx) => this._serializeBoundary(b, idx)) }
+      });
+      return;
+    }
+
+    let moved = null;
+    for (let i = 0; i < boundaries.length; i++) {
+      const boundary = boundaries[i];
+      if (boundary === this._sentBoundaries[i] && boundary.revision === this._sentRevisions[i]) continue;
+
+      this._sentBoundaries[i] = boundary;
+      this._sentRevisions[i] = boundary.revision;
+      if (!moved) moved = [];
+      moved.push(this._serializeBoundary(boundary, i));
+    }
+
+    if (moved) {
+      this.worker.postMessage({
+        type: 'moveBoundaries',
+        data: { boundaries: moved }
       });
     }
   }
 
   /**
-   * Casts a single ray against a boundary (main thread)
-   * @param {number} rayPosX - Ray origin X
-   * @param {number} rayPosY - Ray origin Y
-   * @param {number} rayDirX - Ray direction X
-   * @param {number} rayDirY - Ray direction Y
-   * @param {Object} boundary - Boundary to test
-   * @returns {Object|null} Intersection result or null
+   * Serializes a boundary's geometry for the worker
+   * @param {Boundaries|CurvedWall} b - Boundary
+   * @param {number} idx - Index in the boundaries array
+   * @returns {Object} Plain boundary data
    * @private
    */
-  _castRayAgainstBoundary(rayPosX, rayPosY, rayDirX, rayDirY, boundary) {
-    if (boundary.isCurved) {
-      return this._castAgainstCurved(rayPosX, rayPosY, rayDirX, rayDirY, boundary);
-    }
-    
-    // Straight wall intersection
-    const x1 = boundary.a.x;
-    const y1 = boundary.a.y;
-    const x2 = boundary.b.x;
-    const y2 = boundary.b.y;
-
-    const wx = x2 - x1;
-    const wy = y2 - y1;
-    
-    const denominator = wx * rayDirY - wy * rayDirX;
-    
-    if (denominator > -0.0001 && denominator < 0.0001) return null;
-    
-    const ox = rayPosX - x1;
-    const oy = rayPosY - y1;
-    
-    const invDenom = 1 / denominator;
-    const t = (ox * rayDirY - oy * rayDirX) * invDenom;
-    const u = (ox * wy - oy * wx) * invDenom;
-
-    if (t > 0 && t < 1 && u > 0) {
+  _serializeBoundary(b, idx) {
+    const isTransparent = b.isTransparent || false;
+    const isPartial = b.height < 1 || b.baseElevation > 0;
+
+    if (b.isCurved) {
+      const normalizedStart = normalizeAngle(b.startAngle);
+      let arcRange = normalizeAngle(b.endAngle) - normalizedStart;
+      if (arcRange < 0) arcRange += TWO_PI;
+
       return {
-        distance: u,
-        textureX: t,
-        point: { x: x1 + t * wx, y: y1 + t * wy },
-        boundary
+        id: idx,
+        isCurved: true,
+        isTransparent,
+        isPartial,
+        centerX: b.centerX,
+        centerY: b.centerY,
+        radius: b.radius,
+        normalizedStart,
+        arcRange,
+        minX: b.minX,
+        maxX: b.maxX,
+        minY: b.minY,
+        maxY: b.maxY
       };
     }
-    
-    return null;
+
+    return {
+      id: idx,
+      isCurved: false,
+      isTransparent,
+      isPartial,
+      ax: b.a.x,
+      ay: b.a.y,
+      bx: b.b.x,
+      by: b.b.y
+    };
   }
 
   /**
-   * Casts ray against curved boundary
+   * Allocates hit buffers for a ray count
+   * @param {number} rayCount - Number of rays
    * @private
    */
-  _castAgainstCurved(rayPosX, rayPosY, rayDirX, rayDirY, boundary) {
-    const cx = boundary.centerX;
-    const cy = boundary.centerY;
-    const radius = boundary.radius;
-    
-    const ocX = rayPosX - cx;
-    const ocY = rayPosY - cy;
-    
-    const a = rayDirX * rayDirX + rayDirY * rayDirY;
-    const b = 2 * (ocX * rayDirX + ocY * rayDirY);
-    const c = ocX * ocX + ocY * ocY - radius * radius;
-    
-    const discriminant = b * b - 4 * a * c;
-    
-    if (discriminant < 0) return null;
-    
-    const sqrtDisc = Math.sqrt(discriminant);
-    const inv2a = 1 / (2 * a);
-    
-    const t1 = (-b - sqrtDisc) * inv2a;
-    const t2 = (-b + sqrtDisc) * inv2a;
-    
-    const TWO_PI = Math.PI * 2;
-    let closestT = Infinity;
-    let hitAngle = 0;
-    
-    for (const t of [t1, t2]) {
-      if (t > 0.001 && t < closestT) {
-        const hitX = rayPosX + rayDirX * t;
-        const hitY = rayPosY + rayDirY * t;
-        let angle = Math.atan2(hitY - cy, hitX - cx);
-        
-        // Normalize angle to arc range
-        let normalizedAngle = angle;
-        while (normalizedAngle < boundary.startAngle) normalizedAngle += TWO_PI;
-        while (normalizedAngle > boundary.endAngle) normalizedAngle -= TWO_PI;
-        
-        if (normalizedAngle >= boundary.startAngle && normalizedAngle <= boundary.endAngle) {
-          closestT = t;
-          hitAngle = angle;
-        }
-      }
-    }
-    
-    if (closestT < Infinity) {
-      const arcRange = boundary.endAngle - boundary.startAngle;
-      let textureX = (hitAngle - boundary.startAngle) / arcRange;
-      if (textureX < 0) textureX += 1;
-      
-      return {
-        distance: closestT,
-        textureX,
-        angle: hitAngle,
-        boundary
-      };
-    }
-    
-    return null;
+  _allocateBuffers(rayCount) {
+    this._rayCount = rayCount;
+    this._rayDirections = new Float32Array(rayCount * 2);
+    this._cosCache = new Float32Array(rayCount);
+    this._buffers = {
+      distances: new Float32Array(rayCount),
+      boundaryIndices: new Int32Array(rayCount),
+      hitData: new Float32Array(rayCount * 3),
+      extraCounts: new Uint8Array(rayCount),
+      extraHits: new Float32Array(rayCount * this.maxExtraHits * 5)
+    };
+    this._latest = null;
   }
 
   /**
-   * Casts a batch of rays (SIMD-like processing)
-   * @param {number} posX - Camera X position
-   * @param {number} posY - Camera Y position
-   * @param {Array} rays - Array of ray objects
-   * @param {Float32Array} cosCache - Fisheye correction values
-   * @param {number} startIdx - Starting ray index
-   * @param {number} batchSize - Number of rays to process
+   * Builds the scene from the hit buffers
+   * @param {CameraClass} camera - Camera that was cast from
+   * @returns {Array<RayIntersection>} Scene intersection data
    * @private
    */
-  _castRayBatch(posX, posY, rays, cosCache, startIdx, batchSize) {
-    for (let b = 0; b < batchSize; b++) {
-      const rayIdx = startIdx + b;
-      if (rayIdx >= rays.length) break;
-      
-      const ray = rays[rayIdx];
-      const dirX = ray.dir.x;
-      const dirY = ray.dir.y;
-      const cosCorrection = cosCache[rayIdx];
-      
-      let closestDist = Infinity;
-      let closestTextureX = 0;
-      let closestBoundaryIdx = -1;
-      
-      // Get boundaries along ray using spatial grid
-      const boundaryCount = this.spatialGrid.getBoundariesAlongRayFast(
-        posX, posY, dirX, dirY,
-        MAX_RENDER_DISTANCE,
-        this._rayResultArray,
-        this._seenSet
-      );
-      
-      // Test each boundary
-      for (let j = 0; j < boundaryCount; j++) {
-        const boundary = this._rayResultArray[j];
-        
-        // Skip transparent for opaque pass
-        if (boundary.isTransparent) continue;
-        
-        const result = this._castRayAgainstBoundary(posX, posY, dirX, dirY, boundary);
-        
-        if (result) {
-          const correctedDist = result.distance * cosCorrection;
-          if (correctedDist < closestDist) {
-            closestDist = correctedDist;
-            closestTextureX = result.textureX;
-            closestBoundaryIdx = this._boundaries.indexOf(boundary);
-          }
-        }
-      }
-      
-      this._distanceBuffer[rayIdx] = closestDist;
-      this._textureXBuffer[rayIdx] = closestTextureX;
-      this._boundaryIndexBuffer[rayIdx] = closestBoundaryIdx;
-    }
+  _buildScene(camera) {
+    return camera.buildScene(this._buffers, this.maxExtraHits, this._boundaries);
   }
 
   /**
    * Performs synchronous raycasting on main thread
-   * @param {Object} camera - Camera object with rays and position
-   * @returns {Object} Raycasting results
+   * @param {CameraClass} camera - Camera to cast from
+   * @param {Array} boundaries - Array of boundary objects
+   * @returns {Array<RayIntersection>} Scene intersection data
    */
-  castSync(camera) {
+  castSync(camera, boundaries) {
     const startTime = performance.now();
-    
-    const posX = camera.pos.x;
-    const posY = camera.pos.y;
-    const rays = camera.rays;
-    const cosCache = camera.cosCache;
-    const rayCount = rays.length;
-    
-    // Ensure buffers are correct size
-    if (this._distanceBuffer.length !== rayCount) {
-      this._distanceBuffer = new Float32Array(rayCount);
-      this._textureXBuffer = new Float32Array(rayCount);
-      this._boundaryIndexBuffer = new Int32Array(rayCount);
-    }
-    
-    // Process rays in batches (SIMD-like)
-    for (let i = 0; i < rayCount; i += BATCH_SIZE) {
-      this._castRayBatch(posX, posY, rays, cosCache, i, BATCH_SIZE);
-    }
-    
+    const scene = camera.spread(boundaries);
+
     const castTime = performance.now() - startTime;
     this.stats.lastCastTime = castTime;
     this._updateAvgCastTime(castTime);
-    
-    return {
-      distances: this._distanceBuffer,
-      textureXs: this._textureXBuffer,
-      boundaryIndices: this._boundaryIndexBuffer,
-      boundaries: this._boundaries
-    };
+
+    return scene;
   }
 
   /**
-   * Performs asynchronous raycasting using Web Worker
-   * @param {Object} camera - Camera object
-   * @param {Function} callback - Callback for results
+   * Starts casting this frame's view from the camera's current pose.
+   * Falls back to the main thread while the worker is starting, busy with
+   * the previous frame, or gone.
+   * @param {CameraClass} camera - Camera to cast from
+   * @param {Array} boundaries - Array of boundary objects
    */
-  castAsync(camera, callback) {
+  castAsync(camera, boundaries) {
+    this._frameId++;
+    this._camera = camera;
+    this._scene = null;
+
+    // A worker that stopped answering is given up on
+    if (this.workerPending && performance.now() - this._sentAt > RaycastConfig.workerTimeout) {
+      console.warn('RaycastManager: Worker timed out, falling back to main thread');
+      this._stopWorker();
+      this.useWorker = false;
+    }
+
     if (!this.workerReady || this.workerPending) {
-      // Fall back to sync if worker not ready or busy
-      const result = this.castSync(camera);
-      callback(result);
+      if (this.useWorker) this.stats.fallbackCount++;
+      this.stats.usingWorker = false;
+      this._scene = this.castSync(camera, boundaries);
       return;
     }
-    
-    this.workerPending = true;
-    this._pendingCallback = callback;
-    
+
+    this.stats.usingWorker = true;
+    this.updateBoundaries(boundaries);
+
+    if (!this._buffers || this._rayCount !== camera.rayCount) {
+      this._allocateBuffers(camera.rayCount);
+    }
+
+    // With one frame of latency, draw the previous cast before handing its buffers back
+    if (this.oneFrameLatency) {
+      this._scene = this._latest !== null ? this._buildScene(camera) : this.castSync(camera, boundaries);
+      this._latest = null;
+    }
+
     // Prepare ray data for transfer
     const rays = camera.rays;
-    const rayCount = rays.length;
-    
+    const rayCount = camera.rayCount;
     for (let i = 0; i < rayCount; i++) {
       this._rayDirections[i * 2] = rays[i].dir.x;
       this._rayDirections[i * 2 + 1] = rays[i].dir.y;
       this._cosCache[i] = camera.cosCache[i];
     }
-    
+
+    const buffers = this._buffers;
+    this._buffers = null;
+    this.workerPending = true;
+    this._sentAt = performance.now();
+
     // Send to worker
     this.worker.postMessage({
       type: 'cast',
       data: {
+        frameId: this._frameId,
+        generation: this._generation,
         rayData: {
           posX: camera.pos.x,
           posY: camera.pos.y,
           count: rayCount,
           directions: this._rayDirections,
           cosCache: this._cosCache
-        }
+        },
+        buffers
       }
-    });
+    }, [
+      buffers.distances.buffer,
+      buffers.boundaryIndices.buffer,
+      buffers.hitData.buffer,
+      buffers.extraCounts.buffer,
+      buffers.extraHits.buffer
+    ]);
+  }
+
+  /**
+   * Calls back with this frame's scene: right away if it is ready, otherwise
+   * when the worker's result arrives
+   * @param {Function} callback - Receives the scene (Array<RayIntersection>)
+   */
+  whenReady(callback) {
+    if (this._scene) {
+      callback(this._scene);
+    } else {
+      this._pendingCallback = callback;
+    }
   }
 
   /**
-   * Gets the spatial grid statistics
-   * @returns {Object} Grid statistics
+   * Drops a callback still waiting on the worker (a newer frame replaces it)
    */
-  getGridStats() {
-    return this.spatialGrid.getStats();
+  cancelPending() {
+    this._pendingCallback = null;
   }
 
   /**
@@ -456,7 +451,8 @@ class RaycastManager {
   getStats() {
     return {
       ...this.stats,
-      gridStats: this.getGridStats()
+      mode: this.mode,
+      oneFrameLatency: this.oneFrameLatency
     };
   }
 
@@ -464,11 +460,7 @@ class RaycastManager {
    * Destroys the manager and terminates worker
    */
   destroy() {
-    if (this.worker) {
-      this.worker.terminate();
-      this.worker = null;
-    }
-    this.workerReady = false;
+    this._stopWorker();
   }
 }
 
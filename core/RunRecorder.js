@@ -0,0 +1,193 @@
+/**
+ * RunRecorder - Records the per-frame input of a run so it can be replayed exactly
+ *
+ * Input callbacks queue mouse look and discrete events (jump, crouch, fire...)
+ * instead of applying them immediately; the game loop drains the queue once per
+ * simulation step through captureFrame, so live play and replays apply input at
+ * the same point in the simulation.
+ */
+
+import { ReplayConfig } from '../config/GameConfig.js';
+
+// Move state bits (keeps long recordings compact)
+export const MoveBits = {
+  forward: 1,
+  backward: 2,
+  left: 4,
+  right: 8
+};
+
+/**
+ * @typedef {Object} RecordedFrame
+ * @property {number} dt - Normalized delta time of the simulation step
+ * @property {number} realDt - Step length in seconds (also advances the simulation clock)
+ * @property {number} move - Move state bitmask (see MoveBits)
+ * @property {number[]} [stick] - Analog movement [forward, strafe] (only while the stick is deflected)
+ * @property {number} look - Accumulated horizontal look in degrees
+ * @property {number} [pitch] - Accumulated vertical look in degrees (absent in older recordings)
+ * @property {string[]|null} events - Discrete input events, in the order they happened
+ * @property {number} [x] - Player X after the frame (for ghosts)
+ * @property {number} [y] - Player Y after the frame
+ * @property {number} [dir] - Player view direction after the frame
+ */
+
+/**
+ * @typedef {Object} Recording
+ * @property {string} mapName - Map the run was played on
+ * @property {number|string|null} seed - Map generation seed, if any
+ * @property {string} boardKey - Leaderboard key of the map (identifies the exact layout)
+ * @property {{x: number, y: number, direction: number}} spawn - Player spawn
+ * @property {boolean} collisionEnabled - Whether collision was on when the run started (noclip off)
+ * @property {RecordedFrame[]} frames - Recorded frames
+ * @property {number} duration - Simulated seconds
+ * @property {'win'|'gameOver'|null} result - How the run ended
+ * @property {number|null} score - Final score, if scored
+ */
+
+class RunRecorder {
+  /**
+   * Creates a run recorder
+   * @param {Object} [config={}] - Configuration
+   * @param {number} [config.maxFrames] - Frames kept before recording stops (input is still applied)
+   */
+  constructor({ maxFrames = ReplayConfig.maxFrames } = {}) {
+    this.maxFrames = maxFrames;
+    this.isRecording = false;
+
+    /** @type {Recording|null} */
+    this.recording = null;
+
+    // Input waiting for the next frame
+    this._pendingLook = 0;
+    this._pendingPitch = 0;
+    this._pendingEvents = [];
+  }
+
+  /**
+   * Starts a new recording (discards any input queued before the run)
+   * @param {Object} meta - Run metadata
+   * @param {string} meta.mapName - Map name
+   * @param {number|string|null} [meta.seed=null] - Map generation seed
+   * @param {string} meta.boardKey - Leaderboard key of the map
+   * @param {{x: number, y: number, direction: number}} meta.spawn - Player spawn
+   * @param {boolean} [meta.collisionEnabled=true] - Whether collision is on (noclip off)
+   */
+  start({ mapName, seed = null, boardKey, spawn, collisionEnabled = true }) {
+    this.recording = {
+      mapName,
+      seed,
+      boardKey,
+      spawn: { ...spawn },
+      collisionEnabled,
+      frames: [],
+      duration: 0,
+      result: null,
+      score: null
+    };
+    this.isRecording = true;
+    this.discardPending();
+  }
+
+  /**
+   * Queues mouse look for the next frame
+   * @param {number} degrees - View direction change in degrees
+   * @param {number} [pitchDegrees=0] - Pitch change in degrees (positive = up)
+   */
+  queueLook(degrees, pitchDegrees = 0) {
+    this._pendingLook += degrees;
+    this._pendingPitch += pitchDegrees;
+  }
+
+  /**
+   * Queues a discrete input event for the next frame
+   * @param {string} type - Event type ('jump', 'crouchStart', 'crouchEnd', 'sprintStart', 'sprintEnd', 'fire', 'reload', 'noclip', 'use', 'flashlight')
+   */
+  queueEvent(type) {
+    this._pendingEvents.push(type);
+  }
+
+  /**
+   * Drops queued input (e.g. input made while the game was paused)
+   */
+  discardPending() {
+    this._pendingLook = 0;
+    this._pendingPitch = 0;
+    this._pendingEvents.length = 0;
+  }
+
+  /**
+   * Builds the frame for this simulation step from the move state and the queued
+   * input, and appends it to the recording while recording
+   * @param {Object} moveState - Move state from InputHandler.getMoveState
+   * @param {number} deltaTime - Normalized delta time of the step
+   * @param {number} realDeltaSeconds - Step length in seconds
+   * @returns {RecordedFrame} The frame to apply
+   */
+  captureFrame(moveState, deltaTime, realDeltaSeconds) {
+    let move = 0;
+    if (moveState.forward) move |= MoveBits.forward;
+    if (moveState.backward) move |= MoveBits.backward;
+    if (moveState.left) move |= MoveBits.left;
+    if (moveState.right) move |= MoveBits.right;
+
+    const frame = {
+      dt: deltaTime,
+      realDt: realDeltaSeconds,
+      move,
+      look: this._pendingLook,
+      pitch: this._pendingPitch,
+      events: this._pendingEvents.length > 0 ? this._pendingEvents.slice() : null
+    };
+    if (moveState.analogForward || moveState.analogStrafe) {
+      // Rounded so recordings stay compact (the same values are applied live)
+      frame.stick = [
+        Math.round((moveState.analogForward || 0) * 100) / 100,
+        Math.round((moveState.analogStrafe || 0) * 100) / 100
+      ];
+    }
+    this.discardPending();
+
+    if (this.isRecording) {
+      if (this.recording.frames.length < this.maxFrames) {
+        this.recording.frames.push(frame);
+        this.recording.duration += realDeltaSeconds;
+      } else {
+        // Too long to keep; a truncated recording can't be replayed faithfully
+        this.isRecording = false;
+        this.recording = null;
+      }
+    }
+
+    return frame;
+  }
+
+  /**
+   * Stores the player's pose on the latest recorded frame (used to draw ghosts)
+   * @param {Player} player - Player after the frame was simulated
+   */
+  recordPose(player) {
+    if (!this.isRecording) return;
+    const frame = this.recording.frames[this.recording.frames.length - 1];
+    if (!frame) return;
+    frame.x = player.pos.x;
+    frame.y = player.pos.y;
+    frame.dir = player.viewDirection;
+  }
+
+  /**
+   * Stops recording
+   * @param {Object} [outcome={}] - How the run ended
+   * @param {'win'|'gameOver'|null} [outcome.result=null] - Run result
+   * @param {number|null} [outcome.score=null] - Final score
+   * @returns {Recording|null} The finished recording, or null if nothing was recorded
+   */
+  stop({ result = null, score = null } = {}) {
+    if (!this.isRecording) return null;
+    this.isRecording = false;
+    this.recording.result = result;
+    this.recording.score = score;
+    return this.recording;
+  }
+}
+
+export default RunRecorder;
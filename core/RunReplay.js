@@ -0,0 +1,50 @@
+/**
+ * RunReplay - Plays a recording back frame by frame
+ * The game loop takes one recorded frame per simulation step instead of live
+ * input, so the simulation sees exactly the input the original run did.
+ */
+class RunReplay {
+  /**
+   * Creates a replay
+   * @param {Recording} recording - Recording from RunRecorder
+   */
+  constructor(recording) {
+    this.recording = recording;
+    this.frameIndex = 0;
+  }
+
+  /**
+   * Whether every frame has been played
+   * @returns {boolean}
+   */
+  get isFinished() {
+    return this.frameIndex >= this.recording.frames.length;
+  }
+
+  /**
+   * Playback progress
+   * @returns {number} Value between 0 and 1
+   */
+  get progress() {
+    const total = this.recording.frames.length;
+    return total === 0 ? 1 : this.frameIndex / total;
+  }
+
+  /**
+   * Gets the next frame to simulate
+   * @returns {RecordedFrame|null} Next frame, or null when finished
+   */
+  nextFrame() {
+    if (this.isFinished) return null;
+    return this.recording.frames[this.frameIndex++];
+  }
+
+  /**
+   * Restarts playback from the first frame
+   */
+  rewind() {
+    this.frameIndex = 0;
+  }
+}
+
+export default RunReplay;
@@ -0,0 +1,370 @@
+/**
+ * SoundManager - Procedural Web Audio sound for footsteps, enemies, the detection alarm and stingers
+ * Every sound is synthesized at runtime, so there are no audio assets to download.
+ * Browsers only allow audio after a user gesture, so nothing plays until unlock() is called.
+ */
+
+import { AudioConfig } from '../config/GameConfig.js';
+import { AudioSettings } from '../config/AudioSettings.js';
+import { DEG_TO_RAD } from '../utils/mathLUT.js';
+
+// Notes for the end-of-run stingers (Hz)
+const WIN_NOTES = [523.25, 659.25, 783.99, 1046.5];  // C major arpeggio up
+const LOSE_NOTES = [392.0, 311.13, 261.63, 196.0];   // C minor walk down
+
+class SoundManager {
+  /**
+   * Creates a sound manager
+   * @param {Object} [config={}] - Sound configuration (defaults to AudioConfig)
+   */
+  constructor(config = {}) {
+    this.config = { ...AudioConfig, ...config };
+
+    /** @type {AudioContext|null} */
+    this.ctx = null;
+    this.masterGain = null;
+    this.channels = {}; // Channel name -> GainNode (feeds the master gain)
+
+    // Shared white noise for footsteps
+    this._noiseBuffer = null;
+
+    // Detection alarm nodes and level (0 = silent, 1 = alert bar empty)
+    this._alarm = null;
+    this._alarmLevel = 0;
+
+    // Player footstep cadence
+    this._footstepTimer = 0;
+    this._lastPlayerPos = null;
+
+    // Enemy -> { x, y, timer } for enemy footstep cadence (weak, so removed enemies drop out)
+    this._enemySteps = new WeakMap();
+
+    this._onVolumeChange = this._onVolumeChange.bind(this);
+    AudioSettings.addListener(this._onVolumeChange);
+  }
+
+  /**
+   * Whether sound can play (the audio context exists and is running)
+   * @returns {boolean}
+   */
+  get isReady() {
+    return this.ctx !== null && this.ctx.state === 'running';
+  }
+
+  /**
+   * Creates or resumes the audio context. Call from a user gesture (click or key press).
+   */
+  unlock() {
+    if (!this.ctx) {
+      const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+      if (!AudioContextClass) return;
+      this.ctx = new AudioContextClass();
+      this._createGraph();
+    }
+    if (this.ctx.state === 'suspended') {
+      this.ctx.resume();
+    }
+  }
+
+  /**
+   * Builds the mixer (channel gains into a master gain), the noise buffer and the alarm
+   * @private
+   */
+  _createGraph() {
+    const ctx = this.ctx;
+
+    this.masterGain = ctx.createGain();
+    this.masterGain.connect(ctx.destination);
+
+    for (const channel of AudioSettings.getChannels()) {
+      if (channel === 'master') continue;
+      const gain = ctx.createGain();
+      gain.connect(this.masterGain);
+      this.channels[channel] = gain;
+    }
+    this._onVolumeChange();
+
+    // One second of white noise, started at a random offset for each footstep
+    const length = ctx.sampleRate;
+    this._noiseBuffer = ctx.createBuffer(1, length, ctx.sampleRate);
+    const data = this._noiseBuffer.getChannelData(0);
+    for (let i = 0; i < length; i++) {
+      data[i] = Math.random() * 2 - 1;
+    }
+
+    this._createAlarm();
+  }
+
+  /**
+   * Applies the saved volumes to the mixer
+   * @private
+   */
+  _onVolumeChange() {
+    if (!this.ctx) return;
+    const now = this.ctx.currentTime;
+    this.masterGain.gain.setTargetAtTime(AudioSettings.getVolume('master'), now, 0.02);
+    for (const channel of Object.keys(this.channels)) {
+      this.channels[channel].gain.setTargetAtTime(AudioSettings.getVolume(channel), now, 0.02);
+    }
+  }
+
+  /**
+   * Creates the alarm: a filtered square wave pulsed by a low-frequency oscillator
+   * @private
+   */
+  _createAlarm() {
+    const ctx = this.ctx;
+
+    const osc = ctx.createOscillator();
+    osc.type = 'square';
+    osc.frequency.value = this.config.alarmMinFrequency;
+
+    const filter = ctx.createBiquadFilter();
+    filter.type = 'lowpass';
+    filter.frequency.value = 2000;
+
+    // Pulse gain swings between 0 and 1 (0.5 +/- 0.5 from the LFO)
+    const pulse = ctx.createGain();
+    pulse.gain.value = 0.5;
+    const lfo = ctx.createOscillator();
+    lfo.frequency.value = this.config.alarmMinPulseRate;
+    const lfoDepth = ctx.createGain();
+    lfoDepth.gain.value = 0.5;
+
+    const level = ctx.createGain();
+    level.gain.value = 0;
+
+    osc.connect(filter);
+    filter.connect(pulse);
+    pulse.connect(level);
+    level.connect(this.channels.alerts);
+    lfo.connect(lfoDepth);
+    lfoDepth.connect(pulse.gain);
+
+    osc.start();
+    lfo.start();
+
+    this._alarm = { osc, lfo, level };
+    this._applyAlarmLevel();
+  }
+
+  /**
+   * Sets how urgent the detection alarm sounds
+   * @param {number} level - 0 (silent) to 1 (alert bar empty)
+   */
+  setAlarmLevel(level) {
+    const clamped = Math.max(0, Math.min(1, level));
+    // Skip tiny changes so per-frame calls don't pile up automation events
+    if (Math.abs(clamped - this._alarmLevel) < 0.005 && (clamped > 0) === (this._alarmLevel > 0)) return;
+    this._alarmLevel = clamped;
+    this._applyAlarmLevel();
+  }
+
+  /**
+   * Moves the alarm's pitch, pulse rate and volume toward the current level
+   * @private
+   */
+  _applyAlarmLevel() {
+    if (!this._alarm) return;
+    const { alarmMinFrequency, alarmMaxFrequency, alarmMinPulseRate, alarmMaxPulseRate, alarmVolume } = this.config;
+    const t = this._alarmLevel;
+    const now = this.ctx.currentTime;
+
+    this._alarm.osc.frequency.setTargetAtTime(alarmMinFrequency + (alarmMaxFrequency - alarmMinFrequency) * t, now, 0.1);
+    this._alarm.lfo.frequency.setTargetAtTime(alarmMinPulseRate + (alarmMaxPulseRate - alarmMinPulseRate) * t, now, 0.1);
+    this._alarm.level.gain.setTargetAtTime(t > 0 ? alarmVolume * (0.3 + 0.7 * t) : 0, now, 0.05);
+  }
+
+  /**
+   * Plays one footstep: a short burst of low-passed noise over a falling thump
+   * @param {Object} step - Step settings
+   * @param {string} step.channel - Mixer channel
+   * @param {number} step.volume - Step volume
+   * @param {number} [step.pan=0] - Stereo position (-1 left to 1 right)
+   * @param {number} [step.pitch=1] - Pitch multiplier
+   * @private
+   */
+  _playStep({ channel, volume, pan = 0, pitch = 1 }) {
+    if (volume < 0.001) return;
+    const ctx = this.ctx;
+    const now = ctx.currentTime;
+
+    const gain = ctx.createGain();
+    gain.gain.setValueAtTime(volume, now);
+    gain.gain.exponentialRampToValueAtTime(0.001, now + 0.12);
+
+    const noise = ctx.createBufferSource();
+    noise.buffer = this._noiseBuffer;
+    noise.playbackRate.value = pitch;
+    const filter = ctx.createBiquadFilter();
+    filter.type = 'lowpass';
+    filter.frequency.value = 600 * pitch;
+    noise.connect(filter);
+    filter.connect(gain);
+
+    const thump = ctx.createOscillator();
+    thump.frequency.setValueAtTime(120 * pitch, now);
+    thump.frequency.exponentialRampToValueAtTime(50, now + 0.08);
+    thump.connect(gain);
+
+    let output = gain;
+    if (pan !== 0 && ctx.createStereoPanner) {
+      const panner = ctx.createStereoPanner();
+      panner.pan.value = pan;
+      gain.connect(panner);
+      output = panner;
+    }
+    output.connect(this.channels[channel]);
+
+    noise.start(now, Math.random() * 0.8, 0.15);
+    thump.start(now);
+    thump.stop(now + 0.1);
+  }
+
+  /**
+   * Plays one note of a stinger
+   * @private
+   */
+  _playTone(frequency, wave, start, duration, volume) {
+    const ctx = this.ctx;
+
+    const osc = ctx.createOscillator();
+    osc.type = wave;
+    osc.frequency.value = frequency;
+
+    const filter = ctx.createBiquadFilter();
+    filter.type = 'lowpass';
+    filter.frequency.value = 2400;
+
+    const gain = ctx.createGain();
+    gain.gain.setValueAtTime(0.0001, start);
+    gain.gain.exponentialRampToValueAtTime(volume, start + 0.01);
+    gain.gain.exponentialRampToValueAtTime(0.001, start + duration);
+
+    osc.connect(filter);
+    filter.connect(gain);
+    gain.connect(this.channels.alerts);
+
+    osc.start(start);
+    osc.stop(start + duration + 0.05);
+  }
+
+  /**
+   * Silences the alarm and plays the end-of-run stinger
+   * @param {'win'|'lose'} type - Which stinger to play
+   */
+  playStinger(type) {
+    this.setAlarmLevel(0);
+    if (!this.isReady) return;
+
+    const isWin = type === 'win';
+    const notes = isWin ? WIN_NOTES : LOSE_NOTES;
+    const step = isWin ? 0.12 : 0.22;
+    const start = this.ctx.currentTime + 0.05;
+
+    notes.forEach((frequency, i) => {
+      const isLast = i === notes.length - 1;
+      this._playTone(frequency, isWin ? 'triangle' : 'sawtooth', start + i * step, isLast ? 0.9 : step * 1.5, 0.3);
+    });
+  }
+
+  /**
+   * Plays footsteps for the player and nearby enemies
+   * @param {Player} player - The player (listener)
+   * @param {EnemyClass[]} enemies - Living enemies
+   * @param {number} deltaSeconds - Simulation time since the last update (one fixed step)
+   */
+  update(player, enemies, deltaSeconds) {
+    if (!this.isReady) return;
+    this._updateFootsteps(player, deltaSeconds);
+    this._updateEnemyFootsteps(player, enemies, deltaSeconds);
+  }
+
+  /**
+   * Player footsteps: cadence follows moveSpeed, volume follows crouch/sprint
+   * @private
+   */
+  _updateFootsteps(player, deltaSeconds) {
+    const last = this._lastPlayerPos;
+    const moved = last ? Math.hypot(player.pos.x - last.x, player.pos.y - last.y) : 0;
+    this._lastPlayerPos = { x: player.pos.x, y: player.pos.y };
+
+    // Nothing to hear while standing still or in the air; the next step lands straight away
+    if (moved < 0.01 || player.isJumping) {
+      this._footstepTimer = 0;
+      return;
+    }
+
+    this._footstepTimer -= deltaSeconds;
+    if (this._footstepTimer > 0) return;
+
+    // Faster movement takes quicker (and longer) strides
+    const speedRatio = Math.max(player.moveSpeed / player.baseMoveSpeed, 0.1);
+    this._footstepTimer += this.config.footstepInterval / Math.sqrt(speedRatio);
+
+    let volume = this.config.footstepVolume;
+    if (player.isCrouching) {
+      volume *= this.config.crouchVolume;
+    } else if (player.isSprinting) {
+      volume *= this.config.sprintVolume;
+    }
+
+    this._playStep({ channel: 'footsteps', volume, pitch: 0.9 + Math.random() * 0.2 });
+  }
+
+  /**
+   * Enemy footsteps: panned by where the enemy is relative to the player's view, fading with distance
+   * @private
+   */
+  _updateEnemyFootsteps(player, enemies, deltaSeconds) {
+    const { enemyHearingRange, enemyFootstepInterval, enemyFootstepVolume } = this.config;
+    const viewRad = player.viewDirection * DEG_TO_RAD;
+
+    for (const enemy of enemies) {
+      let steps = this._enemySteps.get(enemy);
+      if (!steps) {
+        // Stagger enemies so their steps don't line up
+        steps = { x: enemy.pos.x, y: enemy.pos.y, timer: Math.random() * enemyFootstepInterval };
+        this._enemySteps.set(enemy, steps);
+        continue;
+      }
+
+      const moved = Math.hypot(enemy.pos.x - steps.x, enemy.pos.y - steps.y);
+      steps.x = enemy.pos.x;
+      steps.y = enemy.pos.y;
+      if (moved < 0.01) continue;
+
+      steps.timer -= deltaSeconds;
+      if (steps.timer > 0) continue;
+      steps.timer += enemyFootstepInterval;
+
+      const dx = enemy.pos.x - player.pos.x;
+      const dy = enemy.pos.y - player.pos.y;
+      const distance = Math.hypot(dx, dy);
+      if (distance > enemyHearingRange) continue;
+
+      // Angle from the view direction: positive is to the player's right
+      const pan = Math.sin(Math.atan2(dy, dx) - viewRad);
+      const falloff = 1 - distance / enemyHearingRange;
+
+      this._playStep({
+        channel: 'enemies',
+        volume: enemyFootstepVolume * falloff * falloff,
+        pan,
+        pitch: 0.75
+      });
+    }
+  }
+
+  /**
+   * Silences the alarm and forgets footstep state (call when a run starts)
+   */
+  reset() {
+    this.setAlarmLevel(0);
+    this._footstepTimer = 0;
+    this._lastPlayerPos = null;
+    this._enemySteps = new WeakMap();
+  }
+}
+
+export default SoundManager;
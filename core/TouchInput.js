@@ -0,0 +1,284 @@
+import { InputConfig, UIConfig } from '../config/GameConfig.js';
+
+/**
+ * @typedef {Object} TouchButtonLayout
+ * @property {string} action - Action the button triggers ('jump', 'crouch', 'sprint', ...)
+ * @property {string} label - Text drawn on the button
+ * @property {boolean} toggle - Whether a tap switches the action on and off
+ * @property {number} x - Center X in canvas pixels
+ * @property {number} y - Center Y in canvas pixels
+ * @property {number} radius - Radius in canvas pixels
+ */
+
+/**
+ * @typedef {Object} TouchLayout
+ * @property {{x: number, y: number, radius: number}} joystick - Joystick rest position and radius
+ * @property {TouchButtonLayout[]} buttons - On-screen buttons
+ */
+
+/**
+ * TouchInput - Touch control scheme for phones and tablets
+ *
+ * Switches on with the first touch on the canvas. The left half of the screen
+ * is a floating joystick (it centers where the finger lands), dragging on the
+ * right half looks around, and on-screen buttons trigger actions. While a menu
+ * is open every short touch is reported as a tap instead.
+ *
+ * Positions are kept in canvas pixels and the layout is sized from the canvas
+ * height, so it follows resizeCanvas.
+ */
+class TouchInput {
+  /**
+   * Creates the touch input and starts listening on the canvas
+   * @param {HTMLCanvasElement} canvas - Canvas receiving the touches
+   * @param {Object} [config={}] - Touch configuration (defaults to InputConfig.touch)
+   */
+  constructor(canvas, config = {}) {
+    this.canvas = canvas;
+    this.config = { ...InputConfig.touch, ...config };
+    this.layoutConfig = UIConfig.touchControls;
+
+    // Set on the first touch
+    this.active = false;
+    this.onActivate = null; // () => void
+
+    // Taps report instead of controls while a menu is open (set by InputHandler)
+    this.menuMode = false;
+
+    // Joystick (canvas pixels; x/y are the -1 to 1 deflection after the deadzone)
+    this.joystick = { touchId: null, originX: 0, originY: 0, knobX: 0, knobY: 0, x: 0, y: 0 };
+
+    // Toggle button states ('sprint', 'crouch')
+    this.toggles = {};
+
+    // Input gathered since the last consume()
+    this.pressed = []; // Button actions
+    this.taps = []; // {x, y} in canvas pixels
+    this._lookX = 0; // CSS pixels dragged
+    this._lookY = 0;
+
+    // Touches in progress (identifier -> state)
+    this._touches = new Map();
+
+    this._onTouchStart = this._onTouchStart.bind(this);
+    this._onTouchMove = this._onTouchMove.bind(this);
+    this._onTouchEnd = this._onTouchEnd.bind(this);
+
+    // Stop the browser from scrolling or zooming the page under the game
+    canvas.style.touchAction = 'none';
+    canvas.addEventListener('touchstart', this._onTouchStart, { passive: false });
+    canvas.addEventListener('touchmove', this._onTouchMove, { passive: false });
+    canvas.addEventListener('touchend', this._onTouchEnd, { passive: false });
+    canvas.addEventListener('touchcancel', this._onTouchEnd, { passive: false });
+  }
+
+  /**
+   * Removes the touch listeners
+   */
+  destroy() {
+    this.canvas.removeEventListener('touchstart', this._onTouchStart);
+    this.canvas.removeEventListener('touchmove', this._onTouchMove);
+    this.canvas.removeEventListener('touchend', this._onTouchEnd);
+    this.canvas.removeEventListener('touchcancel', this._onTouchEnd);
+  }
+
+  /**
+   * Switches between play controls and menu taps (releases any held control)
+   * @param {boolean} menuMode - True while a menu is open
+   */
+  setMenuMode(menuMode) {
+    if (menuMode === this.menuMode) return;
+    this.menuMode = menuMode;
+    this._touches.clear();
+    this._releaseJoystick();
+  }
+
+  /**
+   * Gets the control layout for a canvas size
+   * @param {number} w - Canvas width
+   * @param {number} h - Canvas height
+   * @returns {TouchLayout}
+   */
+  getLayout(w, h) {
+    const { joystick, buttons } = this.layoutConfig;
+    return {
+      joystick: { x: joystick.left * h, y: h - joystick.bottom * h, radius: joystick.radius * h },
+      buttons: buttons.map(button => ({
+        action: button.action,
+        label: button.label,
+        toggle: !!button.toggle,
+        x: button.left !== undefined ? button.left * h : w - button.right * h,
+        y: button.top !== undefined ? button.top * h : h - button.bottom * h,
+        radius: button.radius * h
+      }))
+    };
+  }
+
+  /**
+   * Takes the input gathered since the last call
+   * @returns {{pressed: string[], taps: Array<{x: number, y: number}>, lookX: number, lookY: number}}
+   *          Button actions, menu taps and the look drag in CSS pixels
+   */
+  consume() {
+    const input = {
+      pressed: this.pressed.splice(0),
+      taps: this.taps.splice(0),
+      lookX: this._lookX,
+      lookY: this._lookY
+    };
+    this._lookX = 0;
+    this._lookY = 0;
+    return input;
+  }
+
+  /**
+   * Converts a touch to canvas pixel coordinates
+   * @param {Touch} touch - Touch point
+   * @returns {{x: number, y: number}}
+   * @private
+   */
+  _toCanvas(touch) {
+    const rect = this.canvas.getBoundingClientRect();
+    return {
+      x: (touch.clientX - rect.left) * (this.canvas.width / rect.width),
+      y: (touch.clientY - rect.top) * (this.canvas.height / rect.height)
+    };
+  }
+
+  /**
+   * @param {TouchEvent} e
+   * @private
+   */
+  _onTouchStart(e) {
+    e.preventDefault();
+
+    if (!this.active) {
+      this.active = true;
+      console.log('Touch controls enabled');
+      if (this.onActivate) this.onActivate();
+    }
+
+    const { width, height } = this.canvas;
+    const layout = this.menuMode ? null : this.getLayout(width, height);
+
+    for (const touch of e.changedTouches) {
+      const pos = this._toCanvas(touch);
+      const state = {
+        role: 'tap',
+        startX: touch.clientX,
+        startY: touch.clientY,
+        lastX: touch.clientX,
+        lastY: touch.clientY,
+        startTime: performance.now()
+      };
+      this._touches.set(touch.identifier, state);
+
+      if (this.menuMode) continue;
+
+      // Buttons first, then joystick (left half) or look (right half)
+      const button = layout.buttons.find(b => Math.hypot(pos.x - b.x, pos.y - b.y) <= b.radius);
+      if (button) {
+        state.role = 'button';
+        if (button.toggle) this.toggles[button.action] = !this.toggles[button.action];
+        this.pressed.push(button.action);
+      } else if (pos.x < width / 2 && this.joystick.touchId === null) {
+        state.role = 'joystick';
+        this.joystick.touchId = touch.identifier;
+        this.joystick.originX = this.joystick.knobX = pos.x;
+        this.joystick.originY = this.joystick.knobY = pos.y;
+      } else {
+        state.role = 'look';
+      }
+    }
+  }
+
+  /**
+   * @param {TouchEvent} e
+   * @private
+   */
+  _onTouchMove(e) {
+    e.preventDefault();
+
+    for (const touch of e.changedTouches) {
+      const state = this._touches.get(touch.identifier);
+      if (!state) continue;
+
+      if (state.role === 'look') {
+        this._lookX += touch.clientX - state.lastX;
+        this._lookY += touch.clientY - state.lastY;
+      } else if (state.role === 'joystick') {
+        this._moveJoystick(this._toCanvas(touch));
+      }
+      state.lastX = touch.clientX;
+      state.lastY = touch.clientY;
+    }
+  }
+
+  /**
+   * @param {TouchEvent} e
+   * @private
+   */
+  _onTouchEnd(e) {
+    e.preventDefault();
+
+    for (const touch of e.changedTouches) {
+      const state = this._touches.get(touch.identifier);
+      if (!state) continue;
+      this._touches.delete(touch.identifier);
+
+      if (state.role === 'joystick') {
+        this._releaseJoystick();
+      } else if (state.role === 'tap' && e.type === 'touchend') {
+        const moved = Math.hypot(touch.clientX - state.startX, touch.clientY - state.startY);
+        const duration = performance.now() - state.startTime;
+        if (moved <= this.config.tapMaxDistance && duration <= this.config.tapMaxTime) {
+          this.taps.push(this._toCanvas(touch));
+        }
+      }
+    }
+  }
+
+  /**
+   * Moves the joystick knob and updates the deflection
+   * @param {{x: number, y: number}} pos - Touch position in canvas pixels
+   * @private
+   */
+  _moveJoystick(pos) {
+    const joystick = this.joystick;
+    const radius = this.layoutConfig.joystick.radius * this.canvas.height;
+    let dx = pos.x - joystick.originX;
+    let dy = pos.y - joystick.originY;
+    const distance = Math.hypot(dx, dy);
+
+    // The knob stays inside the base
+    if (distance > radius) {
+      dx *= radius / distance;
+      dy *= radius / distance;
+    }
+    joystick.knobX = joystick.originX + dx;
+    joystick.knobY = joystick.originY + dy;
+
+    const magnitude = Math.min(1, distance / radius);
+    const deadzone = this.config.joystickDeadzone;
+    if (magnitude <= deadzone) {
+      joystick.x = 0;
+      joystick.y = 0;
+      return;
+    }
+    const scaled = (magnitude - deadzone) / (1 - deadzone);
+    joystick.x = (dx / radius) * (scaled / magnitude);
+    joystick.y = (dy / radius) * (scaled / magnitude);
+  }
+
+  /**
+   * Lets go of the joystick
+   * @private
+   */
+  _releaseJoystick() {
+    this.joystick.touchId = null;
+    this.joystick.x = 0;
+    this.joystick.y = 0;
+  }
+}
+
+export default TouchInput;
@@ -0,0 +1,131 @@
+import { ZoneConfig } from '../config/GameConfig.js';
+
+/**
+ * @typedef {Object} EffectZone
+ * @property {number} x - Center X position
+ * @property {number} y - Center Y position
+ * @property {number} radius - Zone radius
+ * @property {number} radiusSq - Pre-computed squared radius
+ * @property {string} type - Zone type: 'slow', 'speed', 'jump', 'danger', 'pit' (others are visual only)
+ * @property {number} intensity - Effect strength 0-1
+ * @property {boolean} [respawn] - Pit override: respawn (true) or end the run (false)
+ */
+
+/**
+ * ZoneEffects - Applies gameplay effects for the floor zones a map defines
+ * Uses the same `floorZones` data FloorCaster renders, so visuals and effects always match
+ */
+class ZoneEffects {
+  /**
+   * Creates a zone effects handler
+   * @param {Object} [config={}] - Effect configuration (defaults to ZoneConfig.effects)
+   */
+  constructor(config = {}) {
+    this.effects = { ...ZoneConfig.effects, ...config };
+
+    /** @type {EffectZone[]} */
+    this.zones = [];
+
+    // Zones containing the player, refreshed every update
+    /** @type {EffectZone[]} */
+    this.activeZones = [];
+
+    // Callbacks
+    this.onDanger = null;   // (exposure: number, zone: EffectZone) => void
+    this.onPitFall = null;  // (zone: EffectZone) => void
+  }
+
+  /**
+   * Sets zones from a map's floorZones array
+   * @param {Object[]} zones - Floor zone definitions
+   */
+  setZones(zones) {
+    this.zones = zones.map(z => ({
+      x: z.x,
+      y: z.y,
+      radius: z.radius,
+      radiusSq: z.radius * z.radius,
+      type: z.type || 'jump',
+      intensity: z.intensity ?? 1.0,
+      respawn: z.respawn
+    }));
+    this.activeZones = [];
+  }
+
+  /**
+   * Clears all zones
+   */
+  clearZones() {
+    this.zones = [];
+    this.activeZones = [];
+  }
+
+  /**
+   * Checks whether the player is standing in a zone of the given type
+   * @param {string} type - Zone type
+   * @returns {boolean} True if an active zone has that type
+   */
+  isInZone(type) {
+    return this.activeZones.some(zone => zone.type === type);
+  }
+
+  /**
+   * Applies zone effects to the player for this frame
+   * @param {Player} player - The player
+   * @param {number} deltaSeconds - Real time delta in seconds
+   */
+  update(player, deltaSeconds) {
+    const px = player.pos.x;
+    const py = player.pos.y;
+
+    this.activeZones.length = 0;
+    let speedMultiplier = 1;
+    let jumpMultiplier = 1;
+    let pitZone = null;
+
+    for (let i = 0; i < this.zones.length; i++) {
+      const zone = this.zones[i];
+      const dx = px - zone.x;
+      const dy = py - zone.y;
+      if (dx * dx + dy * dy > zone.radiusSq) continue;
+
+      this.activeZones.push(zone);
+
+      switch (zone.type) {
+        case 'slow':
+        case 'speed':
+          speedMultiplier *= 1 + (this.effects[zone.type].speedMultiplier - 1) * zone.intensity;
+          break;
+        case 'jump':
+          jumpMultiplier = Math.max(jumpMultiplier, 1 + (this.effects.jump.jumpMultiplier - 1) * zone.intensity);
+          break;
+        case 'danger':
+          if (this.onDanger) this.onDanger(zone.intensity * deltaSeconds, zone);
+          break;
+        case 'pit':
+          pitZone = zone;
+          break;
+      }
+    }
+
+    player.setZoneModifiers({ speedMultiplier, jumpMultiplier });
+
+    // Clearing a pit requires being airborne while over it
+    if (pitZone && !player.isJumping && this.onPitFall) {
+      this.onPitFall(pitZone);
+    }
+  }
+
+  /**
+   * Resets per-frame state (call when the player respawns)
+   * @param {Player} [player] - Player whose modifiers should be cleared
+   */
+  reset(player) {
+    this.activeZones.length = 0;
+    if (player) {
+      player.setZoneModifiers({ speedMultiplier: 1, jumpMultiplier: 1 });
+    }
+  }
+}
+
+export default ZoneEffects;
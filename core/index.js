@@ -5,5 +5,15 @@
 export { default as GameLoop } from './GameLoop.js';
 export { default as GameStateManager } from './GameStateManager.js';
 export { default as InputHandler } from './InputHandler.js';
+export { default as GamepadInput } from './GamepadInput.js';
+export { default as TouchInput } from './TouchInput.js';
 export { default as MovementEffects } from './MovementEffects.js';
 export { default as RaycastManager } from './RaycastManager.js';
+export { default as ZoneEffects } from './ZoneEffects.js';
+export { default as Leaderboard } from './Leaderboard.js';
+export { default as RunRecorder, MoveBits } from './RunRecorder.js';
+export { default as RunReplay } from './RunReplay.js';
+export { default as SoundManager } from './SoundManager.js';
+export { default as NoiseSystem } from './NoiseSystem.js';
+export { default as InteractionSystem } from './InteractionSystem.js';
+export { default as QualityController } from './QualityController.js';
@@ -13,6 +13,7 @@ import { ZoneConfig } from "../config/index.js";
  * - Various animation patterns (rotation, movement, patrol)
  * - Wall-blocked enemies for line-of-sight testing
  * - All rooms have entry points
+ * - Dim ambient light with lamps over each area (shadows shorten enemy sight)
  * 
  * @param {Textures} textures - Texture manager
  * @param {string} name - Name of the map
@@ -646,6 +647,15 @@ function createEnemyTestMap(textures, name) {
     spawnDirection: 270 // Facing left
   }));
   
+  // Dim lighting: lamps over the spawn and each area, shadows in between
+  enemyTestMap.ambientLight = 0.3;
+  enemyTestMap.addLight({ x: 1300, y: 1125, radius: 280, intensity: 0.9 }); // Spawn
+  enemyTestMap.addLight({ x: 390, y: 260, radius: 240 });                   // Area 1
+  enemyTestMap.addLight({ x: 1300, y: 230, radius: 220 });                  // Area 2 entry
+  enemyTestMap.addLight({ x: 325, y: 625, radius: 200 });                   // Area 3
+  enemyTestMap.addLight({ x: 1480, y: 650, radius: 230 });                  // Area 5
+  enemyTestMap.addLight({ x: 600, y: 1150, radius: 280 });                  // Area 6
+  
   console.log(`Enemy Test Map created: ${boundaries.length} walls, ${enemies.length} enemies (${mapWidth}x${mapHeight})`);
   
   return enemyTestMap;
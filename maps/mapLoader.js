@@ -0,0 +1,577 @@
+import Boundaries from "../classes/BoundariesClass.js";
+import CurvedWall from "../classes/CurvedWallClass.js";
+import Door from "../classes/DoorClass.js";
+import EnemyClass from "../classes/EnemyClass.js";
+import GameMap, { MAP_FORMAT_VERSION, MAZE_WALL_BITS } from "../classes/GameMapClass.js";
+import StartZone from "../classes/StartZoneClass.js";
+import GoalZone from "../classes/GoalZoneClass.js";
+
+/**
+ * JSON map format (version 1)
+ *
+ * {
+ *   version: 1,
+ *   name: string,
+ *   width: number, height: number,
+ *   spawn: { x, y, viewDirection? },
+ *   seed?: number|string,
+ *   walls: [
+ *     { type: 'wall', x1, y1, x2, y2, ...common },
+ *     { type: 'curve', centerX, centerY, radius, startAngle, endAngle, ...common },  // angles in radians
+ *     { type: 'door', x1, y1, x2, y2, openOffset?: {x, y}, openTime?, keyId?, usable?, ...common }
+ *   ],
+ *   enemies: [
+ *     { id, x, y, viewDirection?, fov?, rayCount?, visibilityDistance?, maxHealth?,
+ *       texture?, directionalSprites?: [5 texture keys], ...animation }
+ *   ],
+ *   startZone?: { x, y, radius, spawnDirection? } | null,
+ *   goalZone?: { x, y, radius } | null,
+ *   floorZones?: [ { x, y, radius, type, intensity?, respawn? } ],
+ *   keys?: [ { keyId, x, y } ],
+ *   switches?: [ { x, y, targets: [door uniqueIDs] } ],
+ *   pressurePlates?: [ { x, y, radius?, targets: [door uniqueIDs], latch? } ],
+ *   ambientLight?: number,  // 0-1; omit for a fully lit map (lights only show below 1)
+ *   lights?: [ { x, y, radius?, intensity? } ],
+ *   minimap?: { scale?, radius? } | null,
+ *   maze?: { cols, rows, cellSize, cells: number[] }  // row-major wall bits (N=1, E=2, S=4, W=8)
+ *        | { topology: 'hex', cols, rows, cellSize, cells: [ { x, y, links: [cell indices] } ] }  // row-major
+ *        | { topology: 'theta', cellSize, center: {x, y}, ringCounts: number[], cells: [ { x, y, links } ] }  // ring by ring
+ * }
+ *
+ * common:    texture? (Textures key), color?, uniqueID? (required for doors that switches/plates target),
+ *            isTransparent?, isSprite? (walls only),
+ *            height? (wall units, default 1), baseElevation? (wall units, default 0), ...animation
+ * animation: rotationStops?, rotationTime?, repeatRotation?, moveStops?: [{x, y}], moveTime?, repeatMovement?
+ */
+
+/**
+ * Thrown when map JSON doesn't match the schema.
+ * `field` is the path to the offending value, e.g. "walls[3].x1".
+ */
+class MapValidationError extends Error {
+  /**
+   * @param {string} field - Path of the invalid field
+   * @param {string} problem - What is wrong with it
+   */
+  constructor(field, problem) {
+    super(`Invalid map: ${field} ${problem}`);
+    this.name = 'MapValidationError';
+    this.field = field;
+  }
+}
+
+// ===========================================
+// FIELD VALIDATORS
+// ===========================================
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function requireObject(value, field) {
+  if (!isObject(value)) throw new MapValidationError(field, 'must be an object');
+  return value;
+}
+
+function requireArray(value, field) {
+  if (!Array.isArray(value)) throw new MapValidationError(field, 'must be an array');
+  return value;
+}
+
+function requireNumber(value, field) {
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    throw new MapValidationError(field, 'must be a finite number');
+  }
+  return value;
+}
+
+function requirePositive(value, field) {
+  requireNumber(value, field);
+  if (value <= 0) throw new MapValidationError(field, 'must be greater than 0');
+  return value;
+}
+
+function requirePositiveInteger(value, field) {
+  requirePositive(value, field);
+  if (!Number.isInteger(value)) throw new MapValidationError(field, 'must be a whole number');
+  return value;
+}
+
+function requireString(value, field) {
+  if (typeof value !== 'string' || value.length === 0) {
+    throw new MapValidationError(field, 'must be a non-empty string');
+  }
+  return value;
+}
+
+function optionalNumber(value, field, fallback) {
+  return value === undefined ? fallback : requireNumber(value, field);
+}
+
+function optionalPositive(value, field, fallback) {
+  return value === undefined ? fallback : requirePositive(value, field);
+}
+
+function optionalBoolean(value, field, fallback) {
+  if (value === undefined) return fallback;
+  if (typeof value !== 'boolean') throw new MapValidationError(field, 'must be true or false');
+  return value;
+}
+
+function optionalString(value, field, fallback) {
+  return value === undefined ? fallback : requireString(value, field);
+}
+
+/**
+ * Resolves a texture key against the texture manager
+ * @returns {HTMLImageElement|null} The texture, or null when no key is given
+ */
+function resolveTexture(textures, key, field) {
+  if (key === undefined || key === null) return null;
+  requireString(key, field);
+  const texture = textures.getTexture(key);
+  if (!texture) throw new MapValidationError(field, `references unknown texture "${key}"`);
+  return texture;
+}
+
+/**
+ * Parses the rotation/movement animation fields shared by walls and enemies
+ */
+function parseAnimation(json, field) {
+  const rotationStops = json.rotationStops === undefined
+    ? []
+    : requireArray(json.rotationStops, `${field}.rotationStops`).map((angle, i) =>
+        requireNumber(angle, `${field}.rotationStops[${i}]`));
+
+  const moveStops = json.moveStops === undefined
+    ? []
+    : requireArray(json.moveStops, `${field}.moveStops`).map((stop, i) => {
+        requireObject(stop, `${field}.moveStops[${i}]`);
+        return {
+          x: requireNumber(stop.x, `${field}.moveStops[${i}].x`),
+          y: requireNumber(stop.y, `${field}.moveStops[${i}].y`)
+        };
+      });
+
+  return {
+    rotationStops,
+    rotationTime: optionalPositive(json.rotationTime, `${field}.rotationTime`, 1),
+    repeatRotation: optionalBoolean(json.repeatRotation, `${field}.repeatRotation`, false),
+    moveStops,
+    moveTime: optionalPositive(json.moveTime, `${field}.moveTime`, 1),
+    repeatMovement: optionalBoolean(json.repeatMovement, `${field}.repeatMovement`, false)
+  };
+}
+
+// ===========================================
+// SECTION PARSERS
+// ===========================================
+
+/**
+ * Builds a Boundaries or CurvedWall from a wall definition
+ */
+function parseWall(textures, json, field) {
+  requireObject(json, field);
+
+  const texture = resolveTexture(textures, json.texture, `${field}.texture`);
+  const options = {
+    ...parseAnimation(json, field),
+    color: optionalString(json.color, `${field}.color`, null),
+    isTransparent: optionalBoolean(json.isTransparent, `${field}.isTransparent`, false),
+    height: optionalPositive(json.height, `${field}.height`, 1),
+    baseElevation: optionalNumber(json.baseElevation, `${field}.baseElevation`, 0)
+  };
+  if (options.baseElevation < 0) {
+    throw new MapValidationError(`${field}.baseElevation`, 'must not be negative');
+  }
+  if (json.uniqueID !== undefined && json.uniqueID !== null) {
+    options.uniqueID = json.uniqueID;
+  }
+
+  switch (json.type) {
+    case 'wall':
+      options.isSprite = optionalBoolean(json.isSprite, `${field}.isSprite`, false);
+      return new Boundaries({
+        x1: requireNumber(json.x1, `${field}.x1`),
+        y1: requireNumber(json.y1, `${field}.y1`),
+        x2: requireNumber(json.x2, `${field}.x2`),
+        y2: requireNumber(json.y2, `${field}.y2`),
+        texture,
+        options
+      });
+
+    case 'curve':
+      return new CurvedWall({
+        centerX: requireNumber(json.centerX, `${field}.centerX`),
+        centerY: requireNumber(json.centerY, `${field}.centerY`),
+        radius: requirePositive(json.radius, `${field}.radius`),
+        startAngle: requireNumber(json.startAngle, `${field}.startAngle`),
+        endAngle: requireNumber(json.endAngle, `${field}.endAngle`),
+        texture,
+        options
+      });
+
+    case 'door': {
+      if (json.openOffset !== undefined) {
+        requireObject(json.openOffset, `${field}.openOffset`);
+        options.openOffset = {
+          x: requireNumber(json.openOffset.x, `${field}.openOffset.x`),
+          y: requireNumber(json.openOffset.y, `${field}.openOffset.y`)
+        };
+      }
+      if (json.openTime !== undefined) options.openTime = requirePositive(json.openTime, `${field}.openTime`);
+      if (json.keyId !== undefined && json.keyId !== null) options.keyId = requireString(json.keyId, `${field}.keyId`);
+      options.usable = optionalBoolean(json.usable, `${field}.usable`, true);
+      return new Door({
+        x1: requireNumber(json.x1, `${field}.x1`),
+        y1: requireNumber(json.y1, `${field}.y1`),
+        x2: requireNumber(json.x2, `${field}.x2`),
+        y2: requireNumber(json.y2, `${field}.y2`),
+        texture,
+        options
+      });
+    }
+
+    default:
+      throw new MapValidationError(`${field}.type`, `must be "wall", "curve" or "door" (got ${JSON.stringify(json.type)})`);
+  }
+}
+
+/**
+ * Builds an EnemyClass from an enemy definition
+ */
+function parseEnemy(textures, json, field) {
+  requireObject(json, field);
+
+  let directionalSprites = null;
+  if (json.directionalSprites !== undefined && json.directionalSprites !== null) {
+    const keys = requireArray(json.directionalSprites, `${field}.directionalSprites`);
+    if (keys.length !== 5) {
+      throw new MapValidationError(`${field}.directionalSprites`, 'must list exactly 5 texture keys (front to back)');
+    }
+    directionalSprites = keys.map((key, i) => resolveTexture(textures, key, `${field}.directionalSprites[${i}]`));
+  }
+
+  const enemyOptions = {
+    id: requireNumber(json.id, `${field}.id`),
+    x: requireNumber(json.x, `${field}.x`),
+    y: requireNumber(json.y, `${field}.y`),
+    viewDirection: optionalNumber(json.viewDirection, `${field}.viewDirection`, 0),
+    texture: resolveTexture(textures, json.texture, `${field}.texture`),
+    directionalSprites,
+    ...parseAnimation(json, field)
+  };
+
+  // Leave unset fields out so EnemyClass applies its config defaults
+  if (json.fov !== undefined) enemyOptions.fov = requirePositive(json.fov, `${field}.fov`);
+  if (json.rayCount !== undefined) enemyOptions.rayCount = requirePositive(json.rayCount, `${field}.rayCount`);
+  if (json.visibilityDistance !== undefined) {
+    enemyOptions.visibilityDistance = requirePositive(json.visibilityDistance, `${field}.visibilityDistance`);
+  }
+  if (json.maxHealth !== undefined) enemyOptions.maxHealth = requirePositive(json.maxHealth, `${field}.maxHealth`);
+
+  return new EnemyClass(enemyOptions);
+}
+
+/**
+ * Validates a floor zone definition
+ */
+function parseFloorZone(json, field) {
+  requireObject(json, field);
+
+  const zone = {
+    x: requireNumber(json.x, `${field}.x`),
+    y: requireNumber(json.y, `${field}.y`),
+    radius: requirePositive(json.radius, `${field}.radius`),
+    type: requireString(json.type, `${field}.type`),
+    intensity: optionalNumber(json.intensity, `${field}.intensity`, 1.0)
+  };
+  if (json.respawn !== undefined) {
+    zone.respawn = optionalBoolean(json.respawn, `${field}.respawn`);
+  }
+  return zone;
+}
+
+/**
+ * Validates the door uniqueIDs a switch or pressure plate targets
+ */
+function parseTargets(value, field, doorIds) {
+  const targets = requireArray(value, field);
+  if (targets.length === 0) throw new MapValidationError(field, 'must list at least one door');
+  return targets.map((id, i) => {
+    if (!doorIds.has(id)) {
+      throw new MapValidationError(`${field}[${i}]`, `references unknown door "${id}"`);
+    }
+    return id;
+  });
+}
+
+/**
+ * Rebuilds maze pathfinding data (wall bits for square mazes, the cell graph for theta and hex)
+ */
+function parseMaze(json, field) {
+  requireObject(json, field);
+
+  const topology = json.topology ?? 'square';
+  if (topology === 'theta' || topology === 'hex') {
+    return parseGraphMaze(json, field, topology);
+  }
+  if (topology !== 'square') {
+    throw new MapValidationError(`${field}.topology`, `must be 'square', 'theta' or 'hex' (got ${topology})`);
+  }
+
+  const cols = requirePositiveInteger(json.cols, `${field}.cols`);
+  const rows = requirePositiveInteger(json.rows, `${field}.rows`);
+  const cellSize = requirePositive(json.cellSize, `${field}.cellSize`);
+  const cells = requireArray(json.cells, `${field}.cells`);
+
+  if (cells.length !== cols * rows) {
+    throw new MapValidationError(`${field}.cells`, `must have cols * rows (${cols * rows}) entries, got ${cells.length}`);
+  }
+
+  const grid = [];
+  for (let y = 0; y < rows; y++) {
+    const row = [];
+    for (let x = 0; x < cols; x++) {
+      const index = y * cols + x;
+      const bits = requireNumber(cells[index], `${field}.cells[${index}]`);
+      row.push({
+        visited: true,
+        walls: {
+          north: (bits & MAZE_WALL_BITS.north) !== 0,
+          east: (bits & MAZE_WALL_BITS.east) !== 0,
+          south: (bits & MAZE_WALL_BITS.south) !== 0,
+          west: (bits & MAZE_WALL_BITS.west) !== 0
+        }
+      });
+    }
+    grid.push(row);
+  }
+
+  return { grid, cols, rows, cellSize, topology };
+}
+
+/**
+ * Rebuilds a theta or hex maze's cell graph
+ */
+function parseGraphMaze(json, field, topology) {
+  const cellSize = requirePositive(json.cellSize, `${field}.cellSize`);
+  const cellsJson = requireArray(json.cells, `${field}.cells`);
+  if (cellsJson.length === 0) throw new MapValidationError(`${field}.cells`, 'must not be empty');
+
+  const cells = cellsJson.map((cell, i) => {
+    const cellField = `${field}.cells[${i}]`;
+    requireObject(cell, cellField);
+    const links = requireArray(cell.links, `${cellField}.links`).map((link, k) => {
+      if (!Number.isInteger(link) || link < 0 || link >= cellsJson.length || link === i) {
+        throw new MapValidationError(`${cellField}.links[${k}]`, `must be the index of another cell (got ${link})`);
+      }
+      return link;
+    });
+    return {
+      x: requireNumber(cell.x, `${cellField}.x`),
+      y: requireNumber(cell.y, `${cellField}.y`),
+      links: new Set(links)
+    };
+  });
+
+  // Passages are open from both sides
+  cells.forEach((cell, i) => {
+    for (const link of cell.links) cells[link].links.add(i);
+  });
+
+  if (topology === 'hex') {
+    const cols = requirePositiveInteger(json.cols, `${field}.cols`);
+    const rows = requirePositiveInteger(json.rows, `${field}.rows`);
+    if (cells.length !== cols * rows) {
+      throw new MapValidationError(`${field}.cells`, `must have cols * rows (${cols * rows}) entries, got ${cells.length}`);
+    }
+    return { cells, cols, rows, cellSize, topology };
+  }
+
+  requireObject(json.center, `${field}.center`);
+  const center = {
+    x: requireNumber(json.center.x, `${field}.center.x`),
+    y: requireNumber(json.center.y, `${field}.center.y`)
+  };
+  const ringCounts = requireArray(json.ringCounts, `${field}.ringCounts`)
+    .map((count, ring) => requirePositiveInteger(count, `${field}.ringCounts[${ring}]`));
+  if (ringCounts[0] !== 1) {
+    throw new MapValidationError(`${field}.ringCounts`, 'must start with the single center cell (1)');
+  }
+  const ringStarts = [];
+  let total = 0;
+  for (const count of ringCounts) {
+    ringStarts.push(total);
+    total += count;
+  }
+  if (total !== cells.length) {
+    throw new MapValidationError(`${field}.cells`, `must have one entry per ring cell (${total}), got ${cells.length}`);
+  }
+  return { cells, cellSize, center, ringCounts, ringStarts, topology };
+}
+
+// ===========================================
+// LOADER
+// ===========================================
+
+/**
+ * Builds a GameMap from the JSON map format
+ *
+ * @param {Textures} textures - Texture manager used to resolve texture keys
+ * @param {Object|string} json - Map definition, or its JSON text
+ * @returns {GameMap} The loaded map
+ * @throws {MapValidationError} If any field is missing or invalid
+ *
+ * @example
+ * const map = loadMapFromJSON(textures, await (await fetch('./maps/arena.json')).text());
+ * const copy = loadMapFromJSON(textures, JSON.stringify(map)); // Round-trips via GameMap.toJSON
+ */
+function loadMapFromJSON(textures, json) {
+  if (typeof json === 'string') {
+    try {
+      json = JSON.parse(json);
+    } catch (err) {
+      throw new MapValidationError('(root)', `is not valid JSON: ${err.message}`);
+    }
+  }
+  requireObject(json, '(root)');
+
+  const version = requireNumber(json.version, 'version');
+  if (!Number.isInteger(version) || version < 1) {
+    throw new MapValidationError('version', `must be a positive integer (got ${version})`);
+  }
+  if (version > MAP_FORMAT_VERSION) {
+    throw new MapValidationError('version', `${version} is newer than this build supports (${MAP_FORMAT_VERSION})`);
+  }
+
+  const name = requireString(json.name, 'name');
+  const width = requirePositive(json.width, 'width');
+  const height = requirePositive(json.height, 'height');
+
+  const spawn = requireObject(json.spawn, 'spawn');
+  const spawnLocation = {
+    x: requireNumber(spawn.x, 'spawn.x'),
+    y: requireNumber(spawn.y, 'spawn.y')
+  };
+
+  const walls = requireArray(json.walls, 'walls').map((wall, i) => parseWall(textures, wall, `walls[${i}]`));
+  const enemies = (json.enemies === undefined ? [] : requireArray(json.enemies, 'enemies'))
+    .map((enemy, i) => parseEnemy(textures, enemy, `enemies[${i}]`));
+
+  const enemyIds = new Set();
+  enemies.forEach((enemy, i) => {
+    if (enemyIds.has(enemy.id)) throw new MapValidationError(`enemies[${i}].id`, `duplicates id ${enemy.id}`);
+    enemyIds.add(enemy.id);
+  });
+
+  const map = new GameMap(name, width, height, spawnLocation);
+  map.userViewDirection = optionalNumber(spawn.viewDirection, 'spawn.viewDirection', map.userViewDirection);
+  map.addBoundaries(walls);
+  map.addEnemies(enemies);
+
+  if (json.startZone !== undefined && json.startZone !== null) {
+    const zone = requireObject(json.startZone, 'startZone');
+    map.setStartZone(new StartZone({
+      x: requireNumber(zone.x, 'startZone.x'),
+      y: requireNumber(zone.y, 'startZone.y'),
+      radius: requirePositive(zone.radius, 'startZone.radius'),
+      spawnDirection: optionalNumber(zone.spawnDirection, 'startZone.spawnDirection', 0)
+    }));
+    // setStartZone moves the spawn to the zone center; the explicit spawn wins
+    map.userSpawnLocation = { ...spawnLocation };
+  }
+
+  if (json.goalZone !== undefined && json.goalZone !== null) {
+    const zone = requireObject(json.goalZone, 'goalZone');
+    map.setGoalZone(new GoalZone({
+      x: requireNumber(zone.x, 'goalZone.x'),
+      y: requireNumber(zone.y, 'goalZone.y'),
+      radius: requirePositive(zone.radius, 'goalZone.radius')
+    }));
+  }
+
+  if (json.floorZones !== undefined) {
+    map.floorZones = requireArray(json.floorZones, 'floorZones').map((zone, i) => parseFloorZone(zone, `floorZones[${i}]`));
+  }
+
+  const doorIds = new Set(walls.filter(wall => wall.isDoor && wall.uniqueID !== null).map(door => door.uniqueID));
+
+  if (json.keys !== undefined) {
+    requireArray(json.keys, 'keys').forEach((key, i) => {
+      requireObject(key, `keys[${i}]`);
+      map.addKey({
+        keyId: requireString(key.keyId, `keys[${i}].keyId`),
+        x: requireNumber(key.x, `keys[${i}].x`),
+        y: requireNumber(key.y, `keys[${i}].y`)
+      });
+    });
+  }
+
+  if (json.switches !== undefined) {
+    requireArray(json.switches, 'switches').forEach((lever, i) => {
+      requireObject(lever, `switches[${i}]`);
+      map.addSwitch({
+        x: requireNumber(lever.x, `switches[${i}].x`),
+        y: requireNumber(lever.y, `switches[${i}].y`),
+        targets: parseTargets(lever.targets, `switches[${i}].targets`, doorIds)
+      });
+    });
+  }
+
+  if (json.pressurePlates !== undefined) {
+    requireArray(json.pressurePlates, 'pressurePlates').forEach((plate, i) => {
+      requireObject(plate, `pressurePlates[${i}]`);
+      const definition = {
+        x: requireNumber(plate.x, `pressurePlates[${i}].x`),
+        y: requireNumber(plate.y, `pressurePlates[${i}].y`),
+        targets: parseTargets(plate.targets, `pressurePlates[${i}].targets`, doorIds),
+        latch: optionalBoolean(plate.latch, `pressurePlates[${i}].latch`, false)
+      };
+      if (plate.radius !== undefined) definition.radius = requirePositive(plate.radius, `pressurePlates[${i}].radius`);
+      map.addPressurePlate(definition);
+    });
+  }
+
+  if (json.ambientLight !== undefined && json.ambientLight !== null) {
+    const ambient = requireNumber(json.ambientLight, 'ambientLight');
+    if (ambient < 0 || ambient > 1) throw new MapValidationError('ambientLight', 'must be between 0 and 1');
+    map.ambientLight = ambient;
+  }
+
+  if (json.lights !== undefined) {
+    requireArray(json.lights, 'lights').forEach((light, i) => {
+      requireObject(light, `lights[${i}]`);
+      const definition = {
+        x: requireNumber(light.x, `lights[${i}].x`),
+        y: requireNumber(light.y, `lights[${i}].y`)
+      };
+      if (light.radius !== undefined) definition.radius = requirePositive(light.radius, `lights[${i}].radius`);
+      if (light.intensity !== undefined) definition.intensity = requirePositive(light.intensity, `lights[${i}].intensity`);
+      map.addLight(definition);
+    });
+  }
+
+  if (json.minimap !== undefined && json.minimap !== null) {
+    const minimap = requireObject(json.minimap, 'minimap');
+    const settings = {};
+    if (minimap.scale !== undefined) settings.scale = requirePositive(minimap.scale, 'minimap.scale');
+    if (minimap.radius !== undefined) settings.radius = requirePositive(minimap.radius, 'minimap.radius');
+    map.setMinimapSettings(settings);
+  }
+
+  if (json.seed !== undefined && json.seed !== null) {
+    if (typeof json.seed !== 'number' && typeof json.seed !== 'string') {
+      throw new MapValidationError('seed', 'must be a number or string');
+    }
+    map.seed = json.seed;
+  }
+
+  if (json.maze !== undefined && json.maze !== null) {
+    map.mazeData = { ...parseMaze(json.maze, 'maze'), seed: map.seed };
+  }
+
+  return map;
+}
+
+export { loadMapFromJSON, MapValidationError };
@@ -0,0 +1,326 @@
+import EnemyClass from "../classes/EnemyClass.js";
+import { createMazeMap, findMazePath } from "./mazeMap.js";
+import { generateSeed } from "../utils/SeededRandom.js";
+import { MazeConfig } from "../config/index.js";
+
+/**
+ * Maze difficulty analyzer
+ *
+ * Works offline on a generated maze (any topology): it finds the shortest
+ * route from the start to the goal, plays every enemy's patrol forward to see
+ * which cells it can watch and how often, and measures how branching and how
+ * linear the maze is. The factors are weighted into a 0-100 score that falls
+ * in one of MazeConfig.analysis.bands.
+ *
+ * Vision uses the enemies' own detection checks for a standing, walking player
+ * in full light, so darkness and sneaking only make a maze easier than scored.
+ */
+
+/**
+ * @typedef {Object} MazeAnalysis
+ * @property {boolean} solvable - Whether the goal can be reached at all
+ * @property {boolean} stealthRoute - Whether some route avoids the cells that are (almost) always watched
+ * @property {Array<{x: number, y: number}>} path - Cell centers along the shortest route
+ * @property {number} pathLength - Shortest route length in world units
+ * @property {number} coverage - Share of the route's cells that some enemy sees at some point (0-1)
+ * @property {number} exposure - Average share of the time the route's cells are watched (0-1)
+ * @property {number} deadEndRatio - Share of all cells with a single opening (0-1)
+ * @property {Array<{x: number, y: number}>} chokePoints - Route cells every route from start to goal passes through
+ * @property {number} watchedChokes - Choke points some enemy sees
+ * @property {number} score - Difficulty score (0-100)
+ * @property {{id: string, name: string, max: number}} band - Difficulty band the score falls in
+ */
+
+/**
+ * Builds the cell graph of a maze: centers and open neighbours per cell
+ * @param {Object} mazeData - The maze data ({grid, cols, rows, cellSize} or {cells, ...})
+ * @returns {{centers: Array<{x: number, y: number}>, links: number[][]}}
+ */
+function buildCellGraph(mazeData) {
+  if (mazeData.cells) {
+    return {
+      centers: mazeData.cells.map(cell => ({ x: cell.x, y: cell.y })),
+      links: mazeData.cells.map(cell => [...cell.links])
+    };
+  }
+
+  const { grid, cols, rows, cellSize } = mazeData;
+  const centers = [];
+  const links = [];
+  for (let y = 0; y < rows; y++) {
+    for (let x = 0; x < cols; x++) {
+      const walls = grid[y][x].walls;
+      const open = [];
+      if (!walls.north && y > 0) open.push((y - 1) * cols + x);
+      if (!walls.south && y < rows - 1) open.push((y + 1) * cols + x);
+      if (!walls.east && x < cols - 1) open.push(y * cols + x + 1);
+      if (!walls.west && x > 0) open.push(y * cols + x - 1);
+      centers.push({ x: x * cellSize + cellSize * 0.5, y: y * cellSize + cellSize * 0.5 });
+      links.push(open);
+    }
+  }
+  return { centers, links };
+}
+
+/**
+ * Checks whether one cell can be reached from another without entering blocked cells
+ * @param {number[][]} links - Open neighbours per cell
+ * @param {number} from - Start cell
+ * @param {number} to - Target cell
+ * @param {function(number): boolean} isBlocked - Cells that can't be entered
+ * @returns {boolean}
+ */
+function isReachable(links, from, to, isBlocked) {
+  if (isBlocked(from) || isBlocked(to)) return false;
+
+  const visited = new Uint8Array(links.length);
+  visited[from] = 1;
+  const queue = [from];
+  for (let head = 0; head < queue.length; head++) {
+    const current = queue[head];
+    if (current === to) return true;
+    for (const next of links[current]) {
+      if (!visited[next] && !isBlocked(next)) {
+        visited[next] = 1;
+        queue.push(next);
+      }
+    }
+  }
+  return false;
+}
+
+/**
+ * Creates a copy of an enemy at the start of its patrol, so simulating it leaves the map untouched
+ * @param {EnemyClass} enemy - Enemy to copy
+ * @returns {EnemyClass}
+ */
+function copyPatrol(enemy) {
+  return new EnemyClass({
+    x: enemy.initialPos.x,
+    y: enemy.initialPos.y,
+    viewDirection: enemy.initialViewDirection,
+    fov: enemy.fov,
+    rayCount: 1,
+    visibilityDistance: enemy.visibilityDistance,
+    rotationStops: enemy.rotationStops,
+    rotationTime: enemy.rotationTime,
+    repeatRotation: enemy.repeatRotation,
+    moveStops: enemy.moveStops,
+    moveTime: enemy.moveTime,
+    repeatMovement: enemy.repeatMovement
+  });
+}
+
+/**
+ * Measures the share of the simulated time each cell center is seen by some enemy
+ * @param {GameMap} map - The maze map
+ * @param {Array<{x: number, y: number}>} centers - Cell centers
+ * @returns {Float32Array} Watched share per cell (0-1)
+ */
+function measureWatchedTime(map, centers) {
+  const { simSeconds, sampleInterval } = MazeConfig.analysis;
+  const steps = Math.max(1, Math.round(simSeconds / sampleInterval));
+  const watchedSteps = new Uint16Array(centers.length);
+  const lastWatchedStep = new Int32Array(centers.length).fill(-1);
+
+  // Standing, walking player in full light
+  const probe = { pos: { x: 0, y: 0 }, isCrouching: false, isSprinting: false, lightLevel: 1 };
+  const walls = map.getBoundaries().filter(b => !b.isTransparent);
+
+  for (const enemy of map.getEnemies()) {
+    if (enemy.isDead) continue;
+
+    // Area the patrol can see into: its route, widened by the sight distance
+    let minX = enemy.initialPos.x;
+    let maxX = minX;
+    let minY = enemy.initialPos.y;
+    let maxY = minY;
+    let x = minX;
+    let y = minY;
+    for (const stop of enemy.moveStops) {
+      x += stop.x;
+      y += stop.y;
+      minX = Math.min(minX, x);
+      maxX = Math.max(maxX, x);
+      minY = Math.min(minY, y);
+      maxY = Math.max(maxY, y);
+    }
+    const reach = enemy.visibilityDistance;
+    minX -= reach;
+    maxX += reach;
+    minY -= reach;
+    maxY += reach;
+
+    const nearbyCells = [];
+    centers.forEach((center, index) => {
+      if (center.x >= minX && center.x <= maxX && center.y >= minY && center.y <= maxY) nearbyCells.push(index);
+    });
+    const nearbyWalls = walls.filter(wall =>
+      wall.maxX >= minX && wall.minX <= maxX && wall.maxY >= minY && wall.minY <= maxY
+    );
+
+    const patrol = copyPatrol(enemy);
+    for (let step = 0; step < steps; step++) {
+      patrol.update(0, step * sampleInterval);
+      for (const index of nearbyCells) {
+        if (lastWatchedStep[index] === step) continue;
+        probe.pos.x = centers[index].x;
+        probe.pos.y = centers[index].y;
+        if (patrol.detectPlayer(probe, nearbyWalls).isDetected) {
+          lastWatchedStep[index] = step;
+          watchedSteps[index]++;
+        }
+      }
+
+      // Probes aren't a real sighting: a patrol that "saw" one must keep walking
+      patrol.wasDetected = false;
+    }
+  }
+
+  const watched = new Float32Array(centers.length);
+  for (let i = 0; i < centers.length; i++) {
+    watched[i] = watchedSteps[i] / steps;
+  }
+  return watched;
+}
+
+/**
+ * Gets the difficulty band a score falls in
+ * @param {number} score - Difficulty score (0-100)
+ * @returns {{id: string, name: string, max: number}}
+ */
+function getDifficultyBand(score) {
+  const bands = MazeConfig.analysis.bands;
+  return bands.find(band => score <= band.max) || bands[bands.length - 1];
+}
+
+/**
+ * Analyzes how hard a generated maze is to finish unseen
+ * @param {GameMap} map - Maze map (must have mazeData and a goal zone)
+ * @returns {MazeAnalysis|null} The analysis, or null if the map is not a maze
+ */
+function analyzeMaze(map) {
+  const mazeData = map.mazeData;
+  if (!mazeData || !(mazeData.grid || mazeData.cells) || !map.goalZone) return null;
+
+  const config = MazeConfig.analysis;
+  const { centers, links } = buildCellGraph(mazeData);
+  const cellIndex = new Map(centers.map((center, index) => [`${center.x},${center.y}`, index]));
+
+  const deadEnds = links.filter(open => open.length === 1).length;
+  const deadEndRatio = deadEnds / links.length;
+
+  // Shortest route (cell centers from start to goal)
+  const start = map.userSpawnLocation;
+  const goal = { x: map.goalZone.x, y: map.goalZone.y };
+  const path = findMazePath(mazeData, start, start, goal);
+  if (!path) {
+    return {
+      solvable: false, stealthRoute: false, path: [], pathLength: 0, coverage: 0, exposure: 0,
+      deadEndRatio, chokePoints: [], watchedChokes: 0, score: 100, band: getDifficultyBand(100)
+    };
+  }
+
+  const pathCells = path.map(point => cellIndex.get(`${point.x},${point.y}`));
+  const startCell = pathCells[0];
+  const goalCell = pathCells[pathCells.length - 1];
+
+  let pathLength = 0;
+  for (let i = 1; i < path.length; i++) {
+    pathLength += Math.hypot(path[i].x - path[i - 1].x, path[i].y - path[i - 1].y);
+  }
+
+  // Vision along the route
+  const watched = measureWatchedTime(map, centers);
+  const seenCells = pathCells.filter(index => watched[index] > 0).length;
+  const coverage = seenCells / pathCells.length;
+  const exposure = pathCells.reduce((sum, index) => sum + watched[index], 0) / pathCells.length;
+
+  // Choke points: route cells that cut the start off from the goal
+  const chokeCells = pathCells.slice(1, -1).filter(cell =>
+    !isReachable(links, startCell, goalCell, index => index === cell)
+  );
+  const watchedChokes = chokeCells.filter(index => watched[index] > 0).length;
+
+  // Some route must get by without crossing a cell that is (almost) always watched
+  const stealthRoute = isReachable(links, startCell, goalCell, index => watched[index] >= config.blockedWatchFraction);
+
+  const { weights } = config;
+  const factors =
+    weights.coverage * coverage +
+    weights.exposure * Math.min(1, exposure / config.exposureScale) +
+    weights.chokes * (chokeCells.length > 0 ? watchedChokes / chokeCells.length : 0) +
+    weights.length * Math.min(1, pathCells.length / config.lengthScale) +
+    weights.deadEnds * Math.min(1, deadEndRatio / config.deadEndScale);
+  const score = Math.min(100, Math.round(factors * 100 + (stealthRoute ? 0 : config.noStealthPenalty)));
+
+  return {
+    solvable: true,
+    stealthRoute,
+    path,
+    pathLength,
+    coverage,
+    exposure,
+    deadEndRatio,
+    chokePoints: chokeCells.map(index => centers[index]),
+    watchedChokes,
+    score,
+    band: getDifficultyBand(score)
+  };
+}
+
+/**
+ * Generates a maze and keeps retrying until its difficulty falls in a band.
+ * Either the enemies are re-placed on the same layout, or the whole maze is
+ * regenerated from a new seed. If no attempt hits the band, the closest is kept.
+ * @param {Textures} textures - Texture manager
+ * @param {string} name - Name of the map
+ * @param {Object} options - createMazeMap options
+ * @param {string} bandId - Target band id from MazeConfig.analysis.bands
+ * @param {Object} [tuning={}] - Retry settings
+ * @param {string} [tuning.strategy='enemies'] - 'enemies' to re-place enemies, 'regenerate' for new layouts
+ * @param {number} [tuning.maxAttempts] - Generations to try (defaults to MazeConfig.analysis.maxAttempts)
+ * @returns {{map: GameMap, analysis: MazeAnalysis, attempts: number}} The chosen maze, its analysis and the generations tried
+ */
+function generateMazeInBand(textures, name, options, bandId, { strategy = 'enemies', maxAttempts = MazeConfig.analysis.maxAttempts } = {}) {
+  const bands = MazeConfig.analysis.bands;
+  const target = bands.findIndex(band => band.id === bandId);
+  if (target === -1) {
+    console.warn(`Unknown difficulty band "${bandId}"`);
+  }
+  const low = target > 0 ? bands[target - 1].max : -Infinity;
+  const high = target !== -1 ? bands[target].max : Infinity;
+
+  // The first attempt uses the options as given; later ones vary the enemy seed or the maze seed
+  const seed = options.seed ?? generateSeed();
+  let best = null;
+  let attempts = 0;
+
+  while (attempts < maxAttempts) {
+    const attemptOptions = { ...options, seed };
+    if (attempts > 0) {
+      if (strategy === 'regenerate') {
+        attemptOptions.seed = generateSeed();
+      } else {
+        attemptOptions.enemySeed = generateSeed();
+      }
+    }
+    attempts++;
+
+    const map = createMazeMap(textures, name, attemptOptions);
+    const analysis = analyzeMaze(map);
+    const miss = analysis.score <= low ? low - analysis.score + 1 : Math.max(0, analysis.score - high);
+
+    if (!best || miss < best.miss) {
+      best = { map, analysis, miss };
+    }
+    if (miss === 0) break;
+  }
+
+  if (best.miss > 0) {
+    console.warn(`No maze in the "${bandId}" band after ${attempts} attempts, using score ${best.analysis.score}`);
+  }
+  return { map: best.map, analysis: best.analysis, attempts };
+}
+
+export { analyzeMaze, generateMazeInBand, getDifficultyBand };
@@ -5,6 +5,7 @@ import Textures from "../classes/TexturesClass.js";
 import StartZone from "../classes/StartZoneClass.js";
 import GoalZone from "../classes/GoalZoneClass.js";
 import { createCurvedWall } from "../utils/WallGenerators.js";
+import { createSeededRandom, generateSeed } from "../utils/SeededRandom.js";
 import { MazeConfig, ZoneConfig, EnemyConfig, PlayerConfig } from "../config/index.js";
 
 /**
@@ -84,8 +85,10 @@ function removeWalls(grid, x1, y1, x2, y2) {
 
 /**
  * Generates maze using recursive backtracking
+ * @param {MazeCell[][]} grid - The maze grid
+ * @param {function(): number} [random=Math.random] - Random source in [0, 1)
  */
-function generateMaze(grid) {
+function generateMaze(grid, random = Math.random) {
   const rows = grid.length;
   const cols = grid[0].length;
   
@@ -102,7 +105,7 @@ function generateMaze(grid) {
     if (neighbors.length === 0) {
       stack.pop();
     } else {
-      const next = neighbors[Math.floor(Math.random() * neighbors.length)];
+      const next = neighbors[Math.floor(random() * neighbors.length)];
       removeWalls(grid, current.x, current.y, next.x, next.y);
       grid[next.y][next.x].visited = true;
       stack.push({ x: next.x, y: next.y });
@@ -110,12 +113,300 @@ function generateMaze(grid) {
   }
 }
 
+/**
+ * Gets all in-bounds neighbors of a cell
+ */
+function getNeighbors(grid, x, y) {
+  const neighbors = [];
+  
+  if (getCell(grid, x, y - 1)) neighbors.push({ x, y: y - 1, dir: 'north' });
+  if (getCell(grid, x, y + 1)) neighbors.push({ x, y: y + 1, dir: 'south' });
+  if (getCell(grid, x + 1, y)) neighbors.push({ x: x + 1, y, dir: 'east' });
+  if (getCell(grid, x - 1, y)) neighbors.push({ x: x - 1, y, dir: 'west' });
+  
+  return neighbors;
+}
+
+/**
+ * Shuffles an array in place (Fisher-Yates)
+ * @param {Array} arr - Array to shuffle
+ * @param {function(): number} random - Random source in [0, 1)
+ */
+function shuffleInPlace(arr, random) {
+  for (let i = arr.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [arr[i], arr[j]] = [arr[j], arr[i]];
+  }
+}
+
+/**
+ * Generates maze using randomized Prim's algorithm
+ * Grows outward from a random cell by opening a random frontier cell each step,
+ * which gives many short dead ends branching off everywhere
+ * @param {MazeCell[][]} grid - The maze grid
+ * @param {function(): number} [random=Math.random] - Random source in [0, 1)
+ */
+function generatePrim(grid, random = Math.random) {
+  const rows = grid.length;
+  const cols = grid[0].length;
+  const frontier = [];
+  const inFrontier = new Set();
+  
+  const addFrontier = (x, y) => {
+    for (const n of getUnvisitedNeighbors(grid, x, y)) {
+      const key = n.y * cols + n.x;
+      if (!inFrontier.has(key)) {
+        inFrontier.add(key);
+        frontier.push(n);
+      }
+    }
+  };
+  
+  const startX = Math.floor(random() * cols);
+  const startY = Math.floor(random() * rows);
+  grid[startY][startX].visited = true;
+  addFrontier(startX, startY);
+  
+  while (frontier.length > 0) {
+    // Take a random frontier cell (swap-remove keeps this O(1))
+    const index = Math.floor(random() * frontier.length);
+    const cell = frontier[index];
+    frontier[index] = frontier[frontier.length - 1];
+    frontier.pop();
+    
+    // Connect it to a random cell already in the maze
+    const inMaze = getNeighbors(grid, cell.x, cell.y).filter(n => grid[n.y][n.x].visited);
+    const from = inMaze[Math.floor(random() * inMaze.length)];
+    removeWalls(grid, from.x, from.y, cell.x, cell.y);
+    grid[cell.y][cell.x].visited = true;
+    addFrontier(cell.x, cell.y);
+  }
+}
+
+/**
+ * Generates maze using randomized Kruskal's algorithm
+ * Knocks down walls in random order whenever they separate two unconnected regions,
+ * giving an even mix of short corridors and junctions with no overall direction
+ * @param {MazeCell[][]} grid - The maze grid
+ * @param {function(): number} [random=Math.random] - Random source in [0, 1)
+ */
+function generateKruskal(grid, random = Math.random) {
+  const rows = grid.length;
+  const cols = grid[0].length;
+  
+  // Union-find over cell indices
+  const parent = new Int32Array(cols * rows);
+  for (let i = 0; i < parent.length; i++) parent[i] = i;
+  const find = (i) => {
+    while (parent[i] !== i) {
+      parent[i] = parent[parent[i]];
+      i = parent[i];
+    }
+    return i;
+  };
+  
+  // Every interior wall, as the cell it belongs to and the neighbor it faces
+  const walls = [];
+  for (let y = 0; y < rows; y++) {
+    for (let x = 0; x < cols; x++) {
+      if (x < cols - 1) walls.push({ x, y, nx: x + 1, ny: y });
+      if (y < rows - 1) walls.push({ x, y, nx: x, ny: y + 1 });
+    }
+  }
+  shuffleInPlace(walls, random);
+  
+  for (const wall of walls) {
+    const a = find(wall.y * cols + wall.x);
+    const b = find(wall.ny * cols + wall.nx);
+    if (a === b) continue;
+    
+    parent[a] = b;
+    removeWalls(grid, wall.x, wall.y, wall.nx, wall.ny);
+    grid[wall.y][wall.x].visited = true;
+    grid[wall.ny][wall.nx].visited = true;
+  }
+}
+
+/**
+ * Generates maze using Wilson's algorithm (loop-erased random walks)
+ * Produces a uniform spanning tree: every possible maze is equally likely,
+ * so it has none of the biases of the other algorithms
+ * @param {MazeCell[][]} grid - The maze grid
+ * @param {function(): number} [random=Math.random] - Random source in [0, 1)
+ */
+function generateWilson(grid, random = Math.random) {
+  const rows = grid.length;
+  const cols = grid[0].length;
+  
+  // Direction the walk last left each cell by (later exits overwrite earlier ones, erasing loops)
+  const exitTo = new Int32Array(cols * rows);
+  
+  grid[Math.floor(random() * rows)][Math.floor(random() * cols)].visited = true;
+  
+  for (let y0 = 0; y0 < rows; y0++) {
+    for (let x0 = 0; x0 < cols; x0++) {
+      if (grid[y0][x0].visited) continue;
+      
+      // Walk randomly until the walk hits the maze
+      let x = x0;
+      let y = y0;
+      while (!grid[y][x].visited) {
+        const neighbors = getNeighbors(grid, x, y);
+        const next = neighbors[Math.floor(random() * neighbors.length)];
+        exitTo[y * cols + x] = next.y * cols + next.x;
+        x = next.x;
+        y = next.y;
+      }
+      
+      // Carve the loop-erased walk into the maze
+      x = x0;
+      y = y0;
+      while (!grid[y][x].visited) {
+        const next = exitTo[y * cols + x];
+        const nx = next % cols;
+        const ny = Math.floor(next / cols);
+        grid[y][x].visited = true;
+        removeWalls(grid, x, y, nx, ny);
+        x = nx;
+        y = ny;
+      }
+    }
+  }
+}
+
+/**
+ * Generates maze using Eller's algorithm
+ * Builds the maze one row at a time, joining neighbors in a row and dropping at
+ * least one passage down from each connected set, which favors long east-west runs
+ * @param {MazeCell[][]} grid - The maze grid
+ * @param {function(): number} [random=Math.random] - Random source in [0, 1)
+ */
+function generateEller(grid, random = Math.random) {
+  const rows = grid.length;
+  const cols = grid[0].length;
+  const joinChance = 0.5;
+  const dropChance = 0.35;
+  
+  let sets = new Int32Array(cols); // 0 = not in a set yet
+  let nextSet = 1;
+  
+  for (let y = 0; y < rows; y++) {
+    const isLastRow = y === rows - 1;
+    
+    for (let x = 0; x < cols; x++) {
+      if (sets[x] === 0) sets[x] = nextSet++;
+      grid[y][x].visited = true;
+    }
+    
+    // Join horizontal neighbors in different sets (the last row joins all of them)
+    for (let x = 0; x < cols - 1; x++) {
+      if (sets[x] === sets[x + 1] || (!isLastRow && random() >= joinChance)) continue;
+      
+      removeWalls(grid, x, y, x + 1, y);
+      const merged = sets[x + 1];
+      for (let i = 0; i < cols; i++) {
+        if (sets[i] === merged) sets[i] = sets[x];
+      }
+    }
+    
+    if (isLastRow) break;
+    
+    // Drop passages down: at least one per set so no region is cut off
+    const members = new Map();
+    for (let x = 0; x < cols; x++) {
+      if (!members.has(sets[x])) members.set(sets[x], []);
+      members.get(sets[x]).push(x);
+    }
+    
+    const nextSets = new Int32Array(cols);
+    for (const [set, xs] of members) {
+      shuffleInPlace(xs, random);
+      xs.forEach((x, i) => {
+        if (i > 0 && random() >= dropChance) return;
+        removeWalls(grid, x, y, x, y + 1);
+        nextSets[x] = set;
+      });
+    }
+    sets = nextSets;
+  }
+}
+
+/**
+ * Generates maze using recursive division
+ * Starts from an open field and splits it with walls that each leave one gap,
+ * giving long straight walls and boxy chambers
+ * @param {MazeCell[][]} grid - The maze grid
+ * @param {function(): number} [random=Math.random] - Random source in [0, 1)
+ */
+function generateRecursiveDivision(grid, random = Math.random) {
+  const rows = grid.length;
+  const cols = grid[0].length;
+  
+  // Open every interior wall; only the outer border stays
+  for (let y = 0; y < rows; y++) {
+    for (let x = 0; x < cols; x++) {
+      const cell = grid[y][x];
+      cell.visited = true;
+      cell.walls.north = y === 0;
+      cell.walls.south = y === rows - 1;
+      cell.walls.west = x === 0;
+      cell.walls.east = x === cols - 1;
+    }
+  }
+  
+  const divide = (x, y, width, height) => {
+    if (width < 2 || height < 2) return;
+    
+    const horizontal = height > width || (height === width && random() < 0.5);
+    
+    if (horizontal) {
+      // Wall along the south side of row wallY, with one gap
+      const wallY = y + Math.floor(random() * (height - 1));
+      const gapX = x + Math.floor(random() * width);
+      for (let cx = x; cx < x + width; cx++) {
+        if (cx === gapX) continue;
+        grid[wallY][cx].walls.south = true;
+        grid[wallY + 1][cx].walls.north = true;
+      }
+      divide(x, y, width, wallY - y + 1);
+      divide(x, wallY + 1, width, y + height - wallY - 1);
+    } else {
+      // Wall along the east side of column wallX, with one gap
+      const wallX = x + Math.floor(random() * (width - 1));
+      const gapY = y + Math.floor(random() * height);
+      for (let cy = y; cy < y + height; cy++) {
+        if (cy === gapY) continue;
+        grid[cy][wallX].walls.east = true;
+        grid[cy][wallX + 1].walls.west = true;
+      }
+      divide(x, y, wallX - x + 1, height);
+      divide(wallX + 1, y, x + width - wallX - 1, height);
+    }
+  };
+  
+  divide(0, 0, cols, rows);
+}
+
+/**
+ * Maze carving algorithms by id (see MazeConfig.algorithms)
+ * Each one carves a perfect maze into the grid, keeping walls matched on both sides
+ */
+const MAZE_GENERATORS = {
+  backtracker: generateMaze,
+  prim: generatePrim,
+  kruskal: generateKruskal,
+  wilson: generateWilson,
+  eller: generateEller,
+  division: generateRecursiveDivision
+};
+
 /**
  * Adds extra passages to create loops and multiple paths
  * @param {MazeCell[][]} grid - The maze grid
  * @param {number} loopChance - Probability of removing additional walls (0-1)
+ * @param {function(): number} [random=Math.random] - Random source in [0, 1)
  */
-function addLoops(grid, loopChance) {
+function addLoops(grid, loopChance, random = Math.random) {
   const rows = grid.length;
   const cols = grid[0].length;
   
@@ -124,13 +415,13 @@ function addLoops(grid, loopChance) {
       const cell = grid[y][x];
       
       // Try to remove east wall (creates horizontal loop)
-      if (cell.walls.east && x < cols - 1 && Math.random() < loopChance) {
+      if (cell.walls.east && x < cols - 1 && random() < loopChance) {
         cell.walls.east = false;
         grid[y][x + 1].walls.west = false;
       }
       
       // Try to remove south wall (creates vertical loop)
-      if (cell.walls.south && y < rows - 1 && Math.random() < loopChance) {
+      if (cell.walls.south && y < rows - 1 && random() < loopChance) {
         cell.walls.south = false;
         grid[y + 1][x].walls.north = false;
       }
@@ -144,8 +435,9 @@ function addLoops(grid, loopChance) {
  * @param {number} roomCount - Number of rooms to try to create
  * @param {number} minSize - Minimum room size in cells
  * @param {number} maxSize - Maximum room size in cells
+ * @param {function(): number} [random=Math.random] - Random source in [0, 1)
  */
-function createRooms(grid, roomCount, minSize, maxSize) {
+function createRooms(grid, roomCount, minSize, maxSize, random = Math.random) {
   const rows = grid.length;
   const cols = grid[0].length;
   const rooms = [];
@@ -153,10 +445,10 @@ function createRooms(grid, roomCount, minSize, maxSize) {
   for (let attempt = 0; attempt < roomCount * 3; attempt++) {
     if (rooms.length >= roomCount) break;
     
-    const roomWidth = minSize + Math.floor(Math.random() * (maxSize - minSize + 1));
-    const roomHeight = minSize + Math.floor(Math.random() * (maxSize - minSize + 1));
-    const roomX = Math.floor(Math.random() * (cols - roomWidth));
-    const roomY = Math.floor(Math.random() * (rows - roomHeight));
+    const roomWidth = minSize + Math.floor(random() * (maxSize - minSize + 1));
+    const roomHeight = minSize + Math.floor(random() * (maxSize - minSize + 1));
+    const roomX = Math.floor(random() * (cols - roomWidth));
+    const roomY = Math.floor(random() * (rows - roomHeight));
     
     // Check for overlap with existing rooms
     let overlaps = false;
@@ -200,8 +492,9 @@ function createRooms(grid, roomCount, minSize, maxSize) {
  * This is done by adding back some walls after maze generation
  * @param {MazeCell[][]} grid - The maze grid  
  * @param {number} deadEndChance - Chance to create a dead end at eligible spots
+ * @param {function(): number} [random=Math.random] - Random source in [0, 1)
  */
-function addDeadEnds(grid, deadEndChance) {
+function addDeadEnds(grid, deadEndChance, random = Math.random) {
   const rows = grid.length;
   const cols = grid[0].length;
   
@@ -218,8 +511,8 @@ function addDeadEnds(grid, deadEndChance) {
       if (!cell.walls.west) openPassages.push('west');
       
       // If 3+ passages, maybe block one to create more dead ends
-      if (openPassages.length >= 3 && Math.random() < deadEndChance) {
-        const blockDir = openPassages[Math.floor(Math.random() * openPassages.length)];
+      if (openPassages.length >= 3 && random() < deadEndChance) {
+        const blockDir = openPassages[Math.floor(random() * openPassages.length)];
         
         switch (blockDir) {
           case 'north':
@@ -258,6 +551,7 @@ function addDeadEnds(grid, deadEndChance) {
  * @param {Object} options - Configuration options
  * @param {Object} [options.startTexture] - Special texture for start cell walls
  * @param {Object} [options.endTexture] - Special texture for end cell walls
+ * @param {function(): number} [options.random=Math.random] - Random source for curve placement
  */
 function gridToBoundaries(grid, cellSize, wallThickness, wallTexture, curveTexture, curveChance, options = {}) {
   const boundaries = [];
@@ -273,6 +567,7 @@ function gridToBoundaries(grid, cellSize, wallThickness, wallTexture, curveTextu
   const endTexture = options.endTexture || wallTexture;
   const startCurveTexture = options.startTexture || curveTexture;
   const endCurveTexture = options.endTexture || curveTexture;
+  const random = options.random || Math.random;
   
   // Start cell is at (0, 0), end cell is at (cols-1, rows-1)
   const startCellX = 0;
@@ -317,8 +612,8 @@ function gridToBoundaries(grid, cellSize, wallThickness, wallTexture, curveTextu
       // NORTH WALL - creates a wall segment along the top of the corridor
       if (cell.walls.north) {
         // Check for curves at corners
-        const hasNWCurve = cell.walls.west && Math.random() < curveChance;
-        const hasNECurve = cell.walls.east && Math.random() < curveChance;
+        const hasNWCurve = cell.walls.west && random() < curveChance;
+        const hasNECurve = cell.walls.east && random() < curveChance;
         
         // Wall on the corridor side (inside of north wall)
         let wallStartX = corridorLeft;
@@ -363,8 +658,8 @@ function gridToBoundaries(grid, cellSize, wallThickness, wallTexture, curveTextu
       
       // SOUTH WALL
       if (cell.walls.south) {
-        const hasSWCurve = cell.walls.west && Math.random() < curveChance;
-        const hasSECurve = cell.walls.east && Math.random() < curveChance;
+        const hasSWCurve = cell.walls.west && random() < curveChance;
+        const hasSECurve = cell.walls.east && random() < curveChance;
         
         let wallStartX = corridorLeft;
         let wallEndX = corridorRight;
@@ -525,6 +820,607 @@ function gridToBoundaries(grid, cellSize, wallThickness, wallTexture, curveTextu
   return boundaries;
 }
 
+/**
+ * Cell of a theta or hex maze (a node in the maze graph)
+ * Walls are implied: a neighbor that is not linked is behind a wall
+ */
+class MazeNode {
+  /**
+   * @param {number} x - World X of the cell center
+   * @param {number} y - World Y of the cell center
+   */
+  constructor(x, y) {
+    this.x = x;
+    this.y = y;
+    this.neighbors = [];    // Indices of adjacent cells
+    this.links = new Set(); // Indices of adjacent cells with no wall in between
+  }
+}
+
+/**
+ * Opens the wall between two maze graph cells
+ */
+function linkNodes(cells, a, b) {
+  cells[a].links.add(b);
+  cells[b].links.add(a);
+}
+
+/**
+ * Creates the cells of a theta (circular) maze: a center cell surrounded by rings.
+ * Each ring splits its cells whenever they would be more than two cells wide at
+ * its inner edge, so cells stay roughly square all the way out.
+ * @param {number} rings - Number of rings, counting the center cell
+ * @param {number} cellSize - Depth of each ring in world units
+ * @returns {{cells: MazeNode[], width: number, height: number, center: {x: number, y: number}, ringCounts: number[], ringStarts: number[]}}
+ */
+function createThetaCells(rings, cellSize) {
+  const radius = rings * cellSize;
+  const center = { x: radius, y: radius };
+  
+  const ringCounts = [1];
+  const ringStarts = [0];
+  for (let ring = 1; ring < rings; ring++) {
+    const previous = ringCounts[ring - 1];
+    const width = (2 * Math.PI * ring * cellSize) / previous;
+    ringCounts.push(previous * Math.max(1, Math.floor(width / cellSize)));
+    ringStarts.push(ringStarts[ring - 1] + previous);
+  }
+  
+  const cells = [new MazeNode(center.x, center.y)];
+  for (let ring = 1; ring < rings; ring++) {
+    const count = ringCounts[ring];
+    const r = (ring + 0.5) * cellSize;
+    for (let index = 0; index < count; index++) {
+      const angle = ((index + 0.5) / count) * Math.PI * 2;
+      cells.push(new MazeNode(center.x + r * Math.cos(angle), center.y + r * Math.sin(angle)));
+    }
+  }
+  
+  // Neighbors: the cell inward, both sides in the ring, then the cells outward
+  for (let ring = 0; ring < rings; ring++) {
+    const count = ringCounts[ring];
+    for (let index = 0; index < count; index++) {
+      const neighbors = cells[ringStarts[ring] + index].neighbors;
+      
+      if (ring > 0) {
+        const ratio = count / ringCounts[ring - 1];
+        neighbors.push(ringStarts[ring - 1] + Math.floor(index / ratio));
+        neighbors.push(ringStarts[ring] + (index - 1 + count) % count);
+        neighbors.push(ringStarts[ring] + (index + 1) % count);
+      }
+      if (ring < rings - 1) {
+        const ratio = ringCounts[ring + 1] / count;
+        for (let k = 0; k < ratio; k++) {
+          neighbors.push(ringStarts[ring + 1] + index * ratio + k);
+        }
+      }
+    }
+  }
+  
+  return { cells, width: radius * 2, height: radius * 2, center, ringCounts, ringStarts };
+}
+
+// Neighbor offsets [dx, dy] per side for pointy-top hexes with odd rows shifted right, indexed [row & 1][side].
+// Sides go clockwise from east (E, SE, SW, W, NW, NE), so side k faces k * 60 degrees.
+const HEX_SIDE_OFFSETS = [
+  [[1, 0], [0, 1], [-1, 1], [-1, 0], [-1, -1], [0, -1]],
+  [[1, 0], [1, 1], [0, 1], [-1, 0], [0, -1], [1, -1]]
+];
+
+/**
+ * Creates the cells of a hex maze: pointy-top hexes in rows, odd rows shifted half a cell right
+ * @param {number} cols - Cells per row
+ * @param {number} rows - Number of rows
+ * @param {number} cellSize - Distance between neighboring cell centers in world units
+ * @returns {{cells: MazeNode[], width: number, height: number, cols: number, rows: number}}
+ */
+function createHexCells(cols, rows, cellSize) {
+  const apothem = cellSize / 2;
+  const radius = cellSize / Math.sqrt(3);
+  const cells = [];
+  
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < cols; col++) {
+      const cell = new MazeNode(apothem * (2 * col + 1 + (row & 1)), radius * (1 + 1.5 * row));
+      
+      // Side k holds the neighbor across it, or -1 on the edge of the maze
+      cell.sides = HEX_SIDE_OFFSETS[row & 1].map(([dx, dy]) => {
+        const x = col + dx;
+        const y = row + dy;
+        return x >= 0 && x < cols && y >= 0 && y < rows ? y * cols + x : -1;
+      });
+      cell.neighbors = cell.sides.filter(side => side !== -1);
+      cells.push(cell);
+    }
+  }
+  
+  const width = Math.ceil(apothem * (2 * cols + 1));
+  const height = Math.ceil(radius * (2 + 1.5 * (rows - 1)));
+  return { cells, width, height, cols, rows };
+}
+
+/**
+ * Carves a theta or hex maze using recursive backtracking
+ * @param {MazeNode[]} cells - The maze cells
+ * @param {function(): number} [random=Math.random] - Random source in [0, 1)
+ */
+function carveGraphBacktracker(cells, random = Math.random) {
+  const visited = new Uint8Array(cells.length);
+  const stack = [0];
+  visited[0] = 1;
+  
+  while (stack.length > 0) {
+    const current = stack[stack.length - 1];
+    const options = cells[current].neighbors.filter(n => !visited[n]);
+    
+    if (options.length === 0) {
+      stack.pop();
+    } else {
+      const next = options[Math.floor(random() * options.length)];
+      linkNodes(cells, current, next);
+      visited[next] = 1;
+      stack.push(next);
+    }
+  }
+}
+
+/**
+ * Carves a theta or hex maze using randomized Prim's algorithm
+ * @param {MazeNode[]} cells - The maze cells
+ * @param {function(): number} [random=Math.random] - Random source in [0, 1)
+ */
+function carveGraphPrim(cells, random = Math.random) {
+  const inMaze = new Uint8Array(cells.length);
+  const inFrontier = new Uint8Array(cells.length);
+  const frontier = [];
+  
+  const addFrontier = (index) => {
+    for (const n of cells[index].neighbors) {
+      if (!inMaze[n] && !inFrontier[n]) {
+        inFrontier[n] = 1;
+        frontier.push(n);
+      }
+    }
+  };
+  
+  const start = Math.floor(random() * cells.length);
+  inMaze[start] = 1;
+  addFrontier(start);
+  
+  while (frontier.length > 0) {
+    const index = Math.floor(random() * frontier.length);
+    const cell = frontier[index];
+    frontier[index] = frontier[frontier.length - 1];
+    frontier.pop();
+    
+    const connected = cells[cell].neighbors.filter(n => inMaze[n]);
+    linkNodes(cells, cell, connected[Math.floor(random() * connected.length)]);
+    inMaze[cell] = 1;
+    addFrontier(cell);
+  }
+}
+
+/**
+ * Carves a theta or hex maze using randomized Kruskal's algorithm
+ * @param {MazeNode[]} cells - The maze cells
+ * @param {function(): number} [random=Math.random] - Random source in [0, 1)
+ */
+function carveGraphKruskal(cells, random = Math.random) {
+  const parent = new Int32Array(cells.length);
+  for (let i = 0; i < parent.length; i++) parent[i] = i;
+  const find = (i) => {
+    while (parent[i] !== i) {
+      parent[i] = parent[parent[i]];
+      i = parent[i];
+    }
+    return i;
+  };
+  
+  // Every interior wall once, as the pair of cells it separates
+  const walls = [];
+  cells.forEach((cell, index) => {
+    for (const n of cell.neighbors) {
+      if (n > index) walls.push([index, n]);
+    }
+  });
+  shuffleInPlace(walls, random);
+  
+  for (const [a, b] of walls) {
+    const rootA = find(a);
+    const rootB = find(b);
+    if (rootA === rootB) continue;
+    
+    parent[rootA] = rootB;
+    linkNodes(cells, a, b);
+  }
+}
+
+/**
+ * Carves a theta or hex maze using Wilson's algorithm (loop-erased random walks)
+ * @param {MazeNode[]} cells - The maze cells
+ * @param {function(): number} [random=Math.random] - Random source in [0, 1)
+ */
+function carveGraphWilson(cells, random = Math.random) {
+  const inMaze = new Uint8Array(cells.length);
+  const exitTo = new Int32Array(cells.length);
+  
+  inMaze[Math.floor(random() * cells.length)] = 1;
+  
+  for (let start = 0; start < cells.length; start++) {
+    if (inMaze[start]) continue;
+    
+    // Walk randomly until the walk hits the maze
+    let current = start;
+    while (!inMaze[current]) {
+      const neighbors = cells[current].neighbors;
+      exitTo[current] = neighbors[Math.floor(random() * neighbors.length)];
+      current = exitTo[current];
+    }
+    
+    // Carve the loop-erased walk into the maze
+    current = start;
+    while (!inMaze[current]) {
+      inMaze[current] = 1;
+      linkNodes(cells, current, exitTo[current]);
+      current = exitTo[current];
+    }
+  }
+}
+
+/**
+ * Carving algorithms for theta and hex mazes by id
+ * Eller's and recursive division work row by row on a rectangle, so they are square-grid only
+ */
+const GRAPH_GENERATORS = {
+  backtracker: carveGraphBacktracker,
+  prim: carveGraphPrim,
+  kruskal: carveGraphKruskal,
+  wilson: carveGraphWilson
+};
+
+/**
+ * Adds extra passages to a theta or hex maze to create loops
+ * @param {MazeNode[]} cells - The maze cells
+ * @param {number} loopChance - Probability of removing each remaining wall (0-1)
+ * @param {function(): number} [random=Math.random] - Random source in [0, 1)
+ */
+function addGraphLoops(cells, loopChance, random = Math.random) {
+  cells.forEach((cell, index) => {
+    for (const n of cell.neighbors) {
+      if (n > index && !cell.links.has(n) && random() < loopChance) {
+        linkNodes(cells, index, n);
+      }
+    }
+  });
+}
+
+/**
+ * Creates rooms in a theta or hex maze by opening every wall inside a patch of
+ * cells grown out from a random cell. Rooms never touch each other.
+ * @param {MazeNode[]} cells - The maze cells
+ * @param {number} roomCount - Number of rooms to try to create
+ * @param {number} minSize - Minimum room size (the room covers about size * size cells)
+ * @param {number} maxSize - Maximum room size
+ * @param {function(): number} [random=Math.random] - Random source in [0, 1)
+ * @returns {Array<number[]>} Cell indices of each room
+ */
+function createGraphRooms(cells, roomCount, minSize, maxSize, random = Math.random) {
+  const rooms = [];
+  const taken = new Uint8Array(cells.length); // Room cells and the cells around them
+  
+  for (let attempt = 0; attempt < roomCount * 3; attempt++) {
+    if (rooms.length >= roomCount) break;
+    
+    const size = minSize + Math.floor(random() * (maxSize - minSize + 1));
+    const first = Math.floor(random() * cells.length);
+    if (taken[first]) continue;
+    
+    // Grow breadth-first through free cells
+    const room = [first];
+    const inRoom = new Set(room);
+    for (let i = 0; i < room.length && room.length < size * size; i++) {
+      for (const n of cells[room[i]].neighbors) {
+        if (room.length >= size * size) break;
+        if (taken[n] || inRoom.has(n)) continue;
+        inRoom.add(n);
+        room.push(n);
+      }
+    }
+    if (room.length < minSize * minSize) continue;
+    
+    rooms.push(room);
+    for (const index of room) {
+      taken[index] = 1;
+      for (const n of cells[index].neighbors) {
+        taken[n] = 1;
+        if (inRoom.has(n)) linkNodes(cells, index, n);
+      }
+    }
+  }
+  
+  return rooms;
+}
+
+/**
+ * Gets the number of steps from one maze graph cell to every other
+ * @param {MazeNode[]} cells - The maze cells
+ * @param {number} from - Start cell index
+ * @returns {Int32Array} Steps per cell (-1 where unreachable)
+ */
+function getCellDistances(cells, from) {
+  const distances = new Int32Array(cells.length).fill(-1);
+  distances[from] = 0;
+  const queue = [from];
+  
+  for (let head = 0; head < queue.length; head++) {
+    const current = queue[head];
+    for (const next of cells[current].links) {
+      if (distances[next] === -1) {
+        distances[next] = distances[current] + 1;
+        queue.push(next);
+      }
+    }
+  }
+  
+  return distances;
+}
+
+/**
+ * Merges angle ranges on a circle into as few arcs as possible
+ * @param {Array<number[]>} ranges - [start, end] angle pairs in radians (start < end)
+ * @returns {Array<number[]>} Merged [start, end] pairs (a full circle comes back as two halves,
+ *                            since an arc needs distinct start and end angles)
+ */
+function mergeArcRanges(ranges) {
+  const TWO_PI = Math.PI * 2;
+  const EPSILON = 1e-9;
+  
+  // Normalize into [0, 2π), splitting ranges that cross angle 0
+  const pieces = [];
+  for (const [start, end] of ranges) {
+    if (end - start >= TWO_PI - EPSILON) return [[0, Math.PI], [Math.PI, TWO_PI]];
+    const s = ((start % TWO_PI) + TWO_PI) % TWO_PI;
+    const e = s + (end - start);
+    if (e > TWO_PI + EPSILON) {
+      pieces.push([s, TWO_PI], [0, e - TWO_PI]);
+    } else {
+      pieces.push([s, Math.min(e, TWO_PI)]);
+    }
+  }
+  pieces.sort((a, b) => a[0] - b[0]);
+  
+  const merged = [];
+  for (const [start, end] of pieces) {
+    const last = merged[merged.length - 1];
+    if (last && start <= last[1] + EPSILON) {
+      last[1] = Math.max(last[1], end);
+    } else {
+      merged.push([start, end]);
+    }
+  }
+  
+  if (merged.length === 1 && merged[0][0] <= EPSILON && merged[0][1] >= TWO_PI - EPSILON) {
+    return [[0, Math.PI], [Math.PI, TWO_PI]];
+  }
+  
+  // Join the arc that crosses angle 0
+  if (merged.length > 1 && merged[0][0] <= EPSILON && merged[merged.length - 1][1] >= TWO_PI - EPSILON) {
+    const first = merged.shift();
+    merged[merged.length - 1][1] = first[1] + TWO_PI;
+  }
+  
+  return merged;
+}
+
+/**
+ * Converts a theta maze to thick walls: arcs (curved walls) between rings and
+ * straight radial walls between the cells of a ring
+ * 
+ * Like the square grid, each cell draws the faces of its walls inset by half the
+ * wall thickness, plus short jambs along the sides of every opening so walls look
+ * solid. Radial faces run parallel to the radius they are offset from, so the
+ * faces of neighboring cells and rings meet exactly.
+ * 
+ * @param {MazeNode[]} cells - The maze cells
+ * @param {Object} shape - Ring layout from createThetaCells
+ * @param {number} cellSize - Depth of each ring
+ * @param {number} wallThickness - Thickness of walls
+ * @param {Object} wallTexture - Texture for the walls
+ * @param {Object} [options] - Configuration options
+ * @param {number} [options.startIndex] - Cell whose walls use the special texture
+ * @param {number} [options.goalIndex] - Cell whose walls use the special texture
+ * @param {Object} [options.specialTexture] - Texture for the start and goal cell walls
+ * @returns {Array<Boundaries|CurvedWall>} Wall boundaries
+ */
+function thetaToBoundaries(cells, shape, cellSize, wallThickness, wallTexture, options = {}) {
+  const { center, ringCounts, ringStarts } = shape;
+  const rings = ringCounts.length;
+  const halfWall = wallThickness / 2;
+  const specialTexture = options.specialTexture || wallTexture;
+  const boundaries = [];
+  
+  // Angle by which a radial face (offset halfWall from its radius) sits off that radius at distance r
+  const faceOffset = (r) => Math.asin(halfWall / r);
+  
+  // Segment along the face of the radial wall at `angle`, on the side toward `side` (+1 = increasing angle)
+  const radialFace = (angle, side, r1, r2, texture) => {
+    const a1 = angle + side * faceOffset(r1);
+    const a2 = angle + side * faceOffset(r2);
+    boundaries.push(new Boundaries({
+      x1: center.x + r1 * Math.cos(a1),
+      y1: center.y + r1 * Math.sin(a1),
+      x2: center.x + r2 * Math.cos(a2),
+      y2: center.y + r2 * Math.sin(a2),
+      texture
+    }));
+  };
+  
+  const addArcs = (radius, ranges, texture) => {
+    for (const [startAngle, endAngle] of mergeArcRanges(ranges)) {
+      boundaries.push(createCurvedWall({ centerX: center.x, centerY: center.y, radius, startAngle, endAngle, texture }));
+    }
+  };
+  
+  for (let ring = 0; ring < rings; ring++) {
+    const count = ringCounts[ring];
+    const step = (Math.PI * 2) / count;
+    const innerEdge = ring * cellSize;
+    const outerEdge = innerEdge + cellSize;
+    const innerFace = innerEdge + halfWall;
+    const outerFace = outerEdge - halfWall;
+    
+    for (let index = 0; index < count; index++) {
+      const cellIndex = ringStarts[ring] + index;
+      const cell = cells[cellIndex];
+      const texture = cellIndex === options.startIndex || cellIndex === options.goalIndex ? specialTexture : wallTexture;
+      const angle0 = index * step;
+      const angle1 = angle0 + step;
+      const innerArcs = [];
+      let outerArcs = [];
+      
+      // Outer side: one stretch per cell in the next ring (the outermost ring is closed)
+      if (ring === rings - 1) {
+        outerArcs.push([angle0, angle1]);
+      } else {
+        const childCount = ringCounts[ring + 1] / count;
+        const childStep = step / childCount;
+        for (let k = 0; k < childCount; k++) {
+          const childStart = angle0 + k * childStep;
+          const childEnd = childStart + childStep;
+          if (cell.links.has(ringStarts[ring + 1] + index * childCount + k)) {
+            radialFace(childStart, 1, outerFace, outerEdge, texture);
+            radialFace(childEnd, -1, outerFace, outerEdge, texture);
+          } else {
+            outerArcs.push([childStart, childEnd]);
+          }
+          
+          // Cap the end of the radial wall between two cells of the next ring
+          if (ring === 0 || k > 0) {
+            outerArcs.push([childStart - faceOffset(outerFace), childStart + faceOffset(outerFace)]);
+          }
+        }
+      }
+      
+      if (ring > 0) {
+        // Outer faces stop at this cell's radial faces
+        const low = angle0 + faceOffset(outerFace);
+        const high = angle1 - faceOffset(outerFace);
+        outerArcs = outerArcs
+          .map(([start, end]) => [Math.max(start, low), Math.min(end, high)])
+          .filter(([start, end]) => end > start);
+        
+        // Inner side
+        const [inward, counterClockwise, clockwise] = cell.neighbors;
+        if (cell.links.has(inward)) {
+          radialFace(angle0, 1, innerFace, innerEdge, texture);
+          radialFace(angle1, -1, innerFace, innerEdge, texture);
+        } else {
+          innerArcs.push([angle0 + faceOffset(innerFace), angle1 - faceOffset(innerFace)]);
+        }
+        
+        // Radial sides (an opening extends the arc faces to the cell edge)
+        if (cell.links.has(counterClockwise)) {
+          innerArcs.push([angle0, angle0 + faceOffset(innerFace)]);
+          outerArcs.push([angle0, angle0 + faceOffset(outerFace)]);
+        } else {
+          radialFace(angle0, 1, innerFace, outerFace, texture);
+        }
+        if (cell.links.has(clockwise)) {
+          innerArcs.push([angle1 - faceOffset(innerFace), angle1]);
+          outerArcs.push([angle1 - faceOffset(outerFace), angle1]);
+        } else {
+          radialFace(angle1, -1, innerFace, outerFace, texture);
+        }
+      }
+      
+      addArcs(innerFace, innerArcs, texture);
+      addArcs(outerFace, outerArcs, texture);
+    }
+  }
+  
+  return boundaries;
+}
+
+/**
+ * Intersects the lines n1 · p = d1 and n2 · p = d2
+ * @returns {{x: number, y: number}}
+ */
+function intersectLines(n1, d1, n2, d2) {
+  const det = n1.x * n2.y - n1.y * n2.x;
+  return {
+    x: (d1 * n2.y - d2 * n1.y) / det,
+    y: (n1.x * d2 - n2.x * d1) / det
+  };
+}
+
+/**
+ * Converts a hex maze to thick walls
+ * 
+ * Each cell draws the faces of its walls inset by half the wall thickness, and
+ * for every opening the jambs along its two neighboring faces out to the shared
+ * edge. Hexes are symmetric across every edge, so the jambs of both cells meet.
+ * 
+ * @param {MazeNode[]} cells - The maze cells
+ * @param {number} cellSize - Distance between neighboring cell centers
+ * @param {number} wallThickness - Thickness of walls
+ * @param {Object} wallTexture - Texture for the walls
+ * @param {Object} [options] - Configuration options
+ * @param {number} [options.startIndex] - Cell whose walls use the special texture
+ * @param {number} [options.goalIndex] - Cell whose walls use the special texture
+ * @param {Object} [options.specialTexture] - Texture for the start and goal cell walls
+ * @returns {Boundaries[]} Wall boundaries
+ */
+function hexToBoundaries(cells, cellSize, wallThickness, wallTexture, options = {}) {
+  const apothem = cellSize / 2;
+  const faceDistance = apothem - wallThickness / 2;
+  const specialTexture = options.specialTexture || wallTexture;
+  const boundaries = [];
+  
+  // Offsets from the cell center: face corners, and where the jambs of an opening on side k end
+  const normals = [];
+  for (let k = 0; k < 6; k++) {
+    normals.push({ x: Math.cos(k * Math.PI / 3), y: Math.sin(k * Math.PI / 3) });
+  }
+  const faceStart = [];
+  const faceEnd = [];
+  const jambStart = [];
+  const jambEnd = [];
+  for (let k = 0; k < 6; k++) {
+    const previous = normals[(k + 5) % 6];
+    const next = normals[(k + 1) % 6];
+    faceStart.push(intersectLines(previous, faceDistance, normals[k], faceDistance));
+    faceEnd.push(intersectLines(next, faceDistance, normals[k], faceDistance));
+    jambStart.push(intersectLines(previous, faceDistance, normals[k], apothem));
+    jambEnd.push(intersectLines(next, faceDistance, normals[k], apothem));
+  }
+  
+  const addWall = (cell, from, to, texture) => {
+    boundaries.push(new Boundaries({
+      x1: cell.x + from.x,
+      y1: cell.y + from.y,
+      x2: cell.x + to.x,
+      y2: cell.y + to.y,
+      texture
+    }));
+  };
+  
+  cells.forEach((cell, index) => {
+    const texture = index === options.startIndex || index === options.goalIndex ? specialTexture : wallTexture;
+    
+    for (let k = 0; k < 6; k++) {
+      const neighbor = cell.sides[k];
+      if (neighbor !== -1 && cell.links.has(neighbor)) {
+        addWall(cell, faceStart[k], jambStart[k], texture);
+        addWall(cell, faceEnd[k], jambEnd[k], texture);
+      } else {
+        addWall(cell, faceStart[k], faceEnd[k], texture);
+      }
+    }
+  });
+  
+  return boundaries;
+}
+
 /**
  * Analyzes a cell to determine what type of corridor it is
  * Returns: 'dead_end', 'straight_h', 'straight_v', 'corner', 'T', 'cross', 'room'
@@ -596,7 +1492,7 @@ function getDirDelta(dir) {
  * Finds a patrol path from a starting cell following corridors
  * Returns an array of {x, y} world positions
  */
-function findPatrolPath(grid, startX, startY, cellSize, maxLength = 6) {
+function findPatrolPath(grid, startX, startY, cellSize, maxLength = 6, random = Math.random) {
   const rows = grid.length;
   const cols = grid[0].length;
   const path = [];
@@ -629,9 +1525,9 @@ function findPatrolPath(grid, startX, startY, cellSize, maxLength = 6) {
     // Prefer going straight, then pick random
     let nextDir;
     if (lastDir && validDirs.includes(lastDir)) {
-      nextDir = Math.random() > 0.3 ? lastDir : validDirs[Math.floor(Math.random() * validDirs.length)];
+      nextDir = random() > 0.3 ? lastDir : validDirs[Math.floor(random() * validDirs.length)];
     } else {
-      nextDir = validDirs[Math.floor(Math.random() * validDirs.length)];
+      nextDir = validDirs[Math.floor(random() * validDirs.length)];
     }
     
     // Move to next cell
@@ -647,7 +1543,7 @@ function findPatrolPath(grid, startX, startY, cellSize, maxLength = 6) {
         return !visited.has(`${x + od.dx},${y + od.dy}`);
       });
       if (otherDirs.length === 0) break;
-      nextDir = otherDirs[Math.floor(Math.random() * otherDirs.length)];
+      nextDir = otherDirs[Math.floor(random() * otherDirs.length)];
       const newDelta = getDirDelta(nextDir);
       newX = x + newDelta.dx;
       newY = y + newDelta.dy;
@@ -738,21 +1634,59 @@ function pathToRotationStops(path, initialViewDir) {
 }
 
 /**
- * Places enemies in the maze with intelligent patrol routes
- * Enemies patrol corridors and guard key intersections
+ * Finds a patrol path through a theta or hex maze, preferring to keep going straight
+ * Returns an array of {x, y} world positions
  */
-function placeEnemies(grid, cellSize, wallThickness, texture, count, playerSpawn, directionalSprites = null) {
-  const enemies = [];
+function findGraphPatrolPath(cells, startIndex, maxLength = 6, random = Math.random) {
+  const path = [{ x: cells[startIndex].x, y: cells[startIndex].y }];
+  const visited = new Set([startIndex]);
+  
+  let current = startIndex;
+  let lastAngle = null;
+  
+  for (let step = 0; step < maxLength; step++) {
+    const cell = cells[current];
+    const options = [...cell.links].filter(n => !visited.has(n));
+    if (options.length === 0) break;
+    
+    const angleTo = (n) => Math.atan2(cells[n].y - cell.y, cells[n].x - cell.x);
+    
+    // Prefer the straightest continuation, otherwise pick at random
+    let next;
+    if (lastAngle !== null && random() > 0.3) {
+      const turn = (n) => Math.abs(Math.atan2(Math.sin(angleTo(n) - lastAngle), Math.cos(angleTo(n) - lastAngle)));
+      next = options.reduce((best, n) => (turn(n) < turn(best) ? n : best));
+    } else {
+      next = options[Math.floor(random() * options.length)];
+    }
+    
+    lastAngle = angleTo(next);
+    current = next;
+    visited.add(current);
+    path.push({ x: cells[current].x, y: cells[current].y });
+  }
+  
+  return path;
+}
+
+/**
+ * @typedef {Object} EnemySpots
+ * @property {Object[]} intersections - T-junctions and crosses (strategic points)
+ * @property {Object[]} corridors - Straight corridors (patrol routes)
+ * @property {Object[]} corners - Corner spots (ambush points)
+ * @property {Object[]} deadEnds - Dead ends (stationary guards)
+ * Each spot has worldX, worldY and lookAngles (degrees down each open passage)
+ */
+
+/**
+ * Sorts the cells of a square-grid maze into enemy spots, skipping cells near the player spawn
+ * @returns {EnemySpots}
+ */
+function categorizeGridCells(grid, cellSize, playerSpawn) {
   const rows = grid.length;
   const cols = grid[0].length;
   const minDistSq = (cellSize * 3) * (cellSize * 3); // Minimum distance from player spawn
-  const minEnemyDistSq = (cellSize * 2.5) * (cellSize * 2.5); // Minimum distance between enemies
-  
-  // Analyze all cells and categorize them
-  const intersections = []; // T-junctions and crosses (strategic points)
-  const corridors = [];     // Long straight corridors (patrol routes)
-  const corners = [];       // Corner spots (ambush points)
-  const deadEnds = [];      // Dead ends (stationary guards)
+  const spots = { intersections: [], corridors: [], corners: [], deadEnds: [] };
   
   for (let y = 0; y < rows; y++) {
     for (let x = 0; x < cols; x++) {
@@ -767,31 +1701,82 @@ function placeEnemies(grid, cellSize, wallThickness, texture, count, playerSpawn
       const distSq = dx * dx + dy * dy;
       if (distSq < minDistSq) continue;
       
-      const cellInfo = { x, y, worldX, worldY, ...analysis };
+      const cellInfo = { x, y, worldX, worldY, ...analysis, lookAngles: analysis.openDirs.map(getViewDirectionForDir) };
       
       switch (analysis.type) {
         case 'cross':
         case 'T':
-          intersections.push(cellInfo);
+          spots.intersections.push(cellInfo);
           break;
         case 'straight_h':
         case 'straight_v':
-          corridors.push(cellInfo);
+          spots.corridors.push(cellInfo);
           break;
         case 'corner':
-          corners.push(cellInfo);
+          spots.corners.push(cellInfo);
           break;
         case 'dead_end':
-          deadEnds.push(cellInfo);
+          spots.deadEnds.push(cellInfo);
           break;
       }
     }
   }
   
+  return spots;
+}
+
+/**
+ * Sorts the cells of a theta or hex maze into enemy spots, skipping cells near the player spawn.
+ * Two passages count as a straight corridor when they are within 30 degrees of opposite.
+ * @returns {EnemySpots}
+ */
+function categorizeGraphCells(cells, cellSize, playerSpawn) {
+  const minDistSq = (cellSize * 3) * (cellSize * 3);
+  const spots = { intersections: [], corridors: [], corners: [], deadEnds: [] };
+  
+  cells.forEach((cell, index) => {
+    const dx = cell.x - playerSpawn.x;
+    const dy = cell.y - playerSpawn.y;
+    if (dx * dx + dy * dy < minDistSq) return;
+    
+    const lookAngles = [...cell.links].map(n => Math.atan2(cells[n].y - cell.y, cells[n].x - cell.x) * 180 / Math.PI);
+    const cellInfo = { index, worldX: cell.x, worldY: cell.y, lookAngles };
+    
+    if (lookAngles.length === 1) {
+      spots.deadEnds.push(cellInfo);
+    } else if (lookAngles.length === 2) {
+      let turn = Math.abs(lookAngles[0] - lookAngles[1]) % 360;
+      if (turn > 180) turn = 360 - turn;
+      (turn > 150 ? spots.corridors : spots.corners).push(cellInfo);
+    } else if (lookAngles.length > 2) {
+      spots.intersections.push(cellInfo);
+    }
+  });
+  
+  return spots;
+}
+
+/**
+ * Places enemies in the maze with intelligent patrol routes
+ * Enemies patrol corridors and guard key intersections
+ * @param {EnemySpots} spots - Candidate cells by kind
+ * @param {number} cellSize - Size of each cell in world units
+ * @param {Object} texture - Default enemy texture
+ * @param {number} count - Number of enemies to place
+ * @param {function(Object, number): Array<{x: number, y: number}>} findPatrol - Finds a patrol path of up
+ *        to the given length starting at a spot
+ * @param {Array} [directionalSprites=null] - 8-directional enemy sprites
+ * @param {function(): number} [random=Math.random] - Random source in [0, 1)
+ */
+function placeEnemies(spots, cellSize, texture, count, findPatrol, directionalSprites = null, random = Math.random) {
+  const enemies = [];
+  const minEnemyDistSq = (cellSize * 2.5) * (cellSize * 2.5); // Minimum distance between enemies
+  const { intersections, corridors, corners, deadEnds } = spots;
+  
   // Shuffle each category
   const shuffle = (arr) => {
     for (let i = arr.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
+      const j = Math.floor(random() * (i + 1));
       [arr[i], arr[j]] = [arr[j], arr[i]];
     }
   };
@@ -828,8 +1813,8 @@ function placeEnemies(grid, cellSize, wallThickness, texture, count, playerSpawn
     const id = 1000 + enemies.length;
     let moveStops = [];
     let rotationStops = [];
-    let moveTime = 2 + Math.random() * 1.5;
-    let rotationTime = 0.8 + Math.random() * 0.5;
+    let moveTime = 2 + random() * 1.5;
+    let rotationTime = 0.8 + random() * 0.5;
     let initialViewDir;
     let visibilityDistance = cellSize * 1; // Reduced detection range
     let fov = MAZE_ENEMY_FOV; // Consistent FOV for all maze enemies
@@ -837,18 +1822,18 @@ function placeEnemies(grid, cellSize, wallThickness, texture, count, playerSpawn
     switch (enemyType) {
       case 'patrol': {
         // Patrolling enemy - walks along corridors
-        const path = findPatrolPath(grid, cellInfo.x, cellInfo.y, cellSize, 3 + Math.floor(Math.random() * 4));
+        const path = findPatrol(cellInfo, 3 + Math.floor(random() * 4));
         if (path.length >= 2) {
           moveStops = pathToMoveStops(path);
           const firstDx = path[1].x - path[0].x;
           const firstDy = path[1].y - path[0].y;
           initialViewDir = Math.atan2(firstDy, firstDx) * 180 / Math.PI;
           rotationStops = pathToRotationStops(path, initialViewDir);
-          moveTime = 1.5 + Math.random() * 1;
+          moveTime = 1.5 + random() * 1;
           rotationTime = 0.5;
         } else {
           // Fallback to looking around
-          initialViewDir = getViewDirectionForDir(cellInfo.openDirs[0]);
+          initialViewDir = cellInfo.lookAngles[0];
           rotationStops = [90, 90, 90, 90];
           rotationTime = 2;
         }
@@ -858,10 +1843,10 @@ function placeEnemies(grid, cellSize, wallThickness, texture, count, playerSpawn
       
       case 'guard': {
         // Stationary guard at intersection - looks in multiple directions
-        initialViewDir = getViewDirectionForDir(cellInfo.openDirs[0]);
+        initialViewDir = cellInfo.lookAngles[0];
         
         // Create a looking pattern based on open directions
-        const lookAngles = cellInfo.openDirs.map(d => getViewDirectionForDir(d));
+        const lookAngles = cellInfo.lookAngles;
         rotationStops = [];
         let currentAngle = initialViewDir;
         for (const targetAngle of lookAngles) {
@@ -877,34 +1862,33 @@ function placeEnemies(grid, cellSize, wallThickness, texture, count, playerSpawn
         while (returnDelta < -180) returnDelta += 360;
         if (Math.abs(returnDelta) > 1) rotationStops.push(returnDelta);
         
-        rotationTime = 1.5 + Math.random();
+        rotationTime = 1.5 + random();
         visibilityDistance = cellSize * 2.5;
         break;
       }
       
       case 'ambush': {
         // Corner ambusher - faces into corridor, occasionally peeks
-        const lookDirs = cellInfo.openDirs;
-        initialViewDir = getViewDirectionForDir(lookDirs[0]);
-        const secondDir = getViewDirectionForDir(lookDirs[1] || lookDirs[0]);
+        const lookAngles = cellInfo.lookAngles;
+        initialViewDir = lookAngles[0];
+        const secondDir = lookAngles[1] ?? lookAngles[0];
         
         let delta = secondDir - initialViewDir;
         while (delta > 180) delta -= 360;
         while (delta < -180) delta += 360;
         
         rotationStops = [delta, -delta]; // Look one way, then the other
-        rotationTime = 2 + Math.random() * 1.5;
+        rotationTime = 2 + random() * 1.5;
         break;
       }
       
       case 'sentry': {
         // Dead-end sentry - faces the only exit, watches carefully
-        const exitDir = cellInfo.openDirs[0];
-        initialViewDir = getViewDirectionForDir(exitDir);
+        initialViewDir = cellInfo.lookAngles[0];
         
         // Small head movements
         rotationStops = [15, -30, 15]; // Slight left-right scanning
-        rotationTime = 2.5 + Math.random();
+        rotationTime = 2.5 + random();
         visibilityDistance = cellSize * 3; // Longer sight line for sentries
         break;
       }
@@ -988,7 +1972,7 @@ function placeEnemies(grid, cellSize, wallThickness, texture, count, playerSpawn
   for (let i = 0; enemiesPlaced < count && i < allCells.length; i++) {
     const cell = allCells[i];
     const types = ['patrol', 'guard', 'ambush', 'sentry'];
-    const enemy = createEnemy(cell, types[Math.floor(Math.random() * types.length)]);
+    const enemy = createEnemy(cell, types[Math.floor(random() * types.length)]);
     if (enemy) {
       enemies.push(enemy);
       enemiesPlaced++;
@@ -1000,29 +1984,163 @@ function placeEnemies(grid, cellSize, wallThickness, texture, count, playerSpawn
   return enemies;
 }
 
+/**
+ * @typedef {Object} MazeLayout
+ * @property {Array<Boundaries|CurvedWall>} boundaries - Walls
+ * @property {number} width - Map width in world units
+ * @property {number} height - Map height in world units
+ * @property {{x: number, y: number, spawnDirection: number}} start - Center of the start cell and the direction to face
+ * @property {{x: number, y: number}} goal - Center of the goal cell
+ * @property {EnemySpots} spots - Candidate enemy spots
+ * @property {function(Object, number): Array<{x: number, y: number}>} findPatrol - Patrol path finder for a spot
+ * @property {Object} mazeData - Topology-specific maze data for pathfinding
+ * @property {number} roomCount - Number of rooms created
+ * @property {string} summary - Short description for the log
+ */
+
+/**
+ * Generates a square-grid maze
+ * @param {Object} settings - Resolved maze options
+ * @param {Object} wallTexture - Texture for the walls
+ * @param {Object} specialTexture - Texture for the start and end cell walls
+ * @param {function(): number} random - Random source in [0, 1)
+ * @returns {MazeLayout}
+ */
+function buildGridLayout(settings, wallTexture, specialTexture, random) {
+  const { cols, rows, cellSize } = settings;
+  
+  // Create and generate base maze
+  const grid = createGrid(cols, rows);
+  MAZE_GENERATORS[settings.algorithm](grid, random);
+  
+  // Add loops to create multiple paths
+  addLoops(grid, settings.loopChance, random);
+  
+  // Create open rooms
+  const rooms = createRooms(grid, settings.roomCount, settings.roomMinSize, settings.roomMaxSize, random);
+  
+  // Convert to boundaries with thick walls
+  // Use special texture for start (top-left) and end (bottom-right) cells
+  const boundaries = gridToBoundaries(grid, cellSize, settings.wallThickness, wallTexture, wallTexture, settings.curveChance, {
+    startTexture: specialTexture,
+    endTexture: specialTexture,
+    random
+  });
+  
+  // Start in the top-left cell facing toward the center, goal in the bottom-right cell
+  const start = { x: cellSize * 0.5, y: cellSize * 0.5, spawnDirection: 135 };
+  const goal = { x: (cols - 1) * cellSize + cellSize * 0.5, y: (rows - 1) * cellSize + cellSize * 0.5 };
+  
+  return {
+    boundaries,
+    width: cols * cellSize,
+    height: rows * cellSize,
+    start,
+    goal,
+    spots: categorizeGridCells(grid, cellSize, start),
+    findPatrol: (spot, maxLength) => findPatrolPath(grid, spot.x, spot.y, cellSize, maxLength, random),
+    mazeData: { grid, cols, rows },
+    roomCount: rooms.length,
+    summary: `${cols}x${rows} grid`
+  };
+}
+
+/**
+ * Generates a theta (circular) or hex maze
+ * 
+ * Theta mazes run from the center cell out to the outer-ring cell that is
+ * furthest away through the maze; hex mazes run corner to corner like the grid.
+ * Corner curves (curveChance) only apply to the square grid.
+ * 
+ * @param {Object} settings - Resolved maze options
+ * @param {Object} wallTexture - Texture for the walls
+ * @param {Object} specialTexture - Texture for the start and goal cell walls
+ * @param {function(): number} random - Random source in [0, 1)
+ * @returns {MazeLayout}
+ */
+function buildGraphLayout(settings, wallTexture, specialTexture, random) {
+  const { topology, cellSize, wallThickness } = settings;
+  const isTheta = topology === 'theta';
+  
+  const shape = isTheta
+    ? createThetaCells(settings.rings, cellSize)
+    : createHexCells(settings.cols, settings.rows, cellSize);
+  const cells = shape.cells;
+  
+  GRAPH_GENERATORS[settings.algorithm](cells, random);
+  addGraphLoops(cells, settings.loopChance, random);
+  const rooms = createGraphRooms(cells, settings.roomCount, settings.roomMinSize, settings.roomMaxSize, random);
+  
+  const startIndex = 0;
+  let goalIndex = cells.length - 1;
+  if (isTheta) {
+    const distances = getCellDistances(cells, startIndex);
+    for (let i = shape.ringStarts[shape.ringStarts.length - 1]; i < cells.length; i++) {
+      if (distances[i] > distances[goalIndex]) goalIndex = i;
+    }
+  }
+  
+  const wallOptions = { startIndex, goalIndex, specialTexture };
+  const boundaries = isTheta
+    ? thetaToBoundaries(cells, shape, cellSize, wallThickness, wallTexture, wallOptions)
+    : hexToBoundaries(cells, cellSize, wallThickness, wallTexture, wallOptions);
+  
+  // Face down the first open passage
+  const startCell = cells[startIndex];
+  const firstExit = cells[startCell.links.values().next().value];
+  const start = {
+    x: startCell.x,
+    y: startCell.y,
+    spawnDirection: Math.atan2(firstExit.y - startCell.y, firstExit.x - startCell.x) * 180 / Math.PI
+  };
+  const goal = { x: cells[goalIndex].x, y: cells[goalIndex].y };
+  
+  return {
+    boundaries,
+    width: shape.width,
+    height: shape.height,
+    start,
+    goal,
+    spots: categorizeGraphCells(cells, cellSize, start),
+    findPatrol: (spot, maxLength) => findGraphPatrolPath(cells, spot.index, maxLength, random),
+    mazeData: isTheta
+      ? { cells, center: shape.center, ringCounts: shape.ringCounts, ringStarts: shape.ringStarts }
+      : { cells, cols: shape.cols, rows: shape.rows },
+    roomCount: rooms.length,
+    summary: isTheta ? `${settings.rings}-ring theta` : `${settings.cols}x${settings.rows} hex`
+  };
+}
+
 /**
  * Creates a procedurally generated maze map with thick walls
  * 
  * @param {Textures} textures - Texture manager
  * @param {string} name - Name of the map
  * @param {Object} options - Configuration options
- * @param {number} [options.cols=15] - Number of columns
- * @param {number} [options.rows=15] - Number of rows
+ * @param {string} [options.topology='square'] - Cell layout: 'square', 'theta' (concentric rings) or 'hex'
+ * @param {number} [options.cols=15] - Number of columns (square and hex)
+ * @param {number} [options.rows=15] - Number of rows (square and hex)
+ * @param {number} [options.rings=12] - Number of rings, counting the center cell (theta)
  * @param {number} [options.cellSize=120] - Size of each cell in world units
  * @param {number} [options.wallThickness=20] - Thickness of walls
- * @param {number} [options.curveChance=1.0] - Probability of curved corners (0-1)
+ * @param {number} [options.curveChance=1.0] - Probability of curved corners (0-1, square grid only)
  * @param {number} [options.loopChance=0.15] - Probability of extra passages (creates loops)
  * @param {number} [options.roomCount=3] - Number of open rooms to create
  * @param {number} [options.roomMinSize=2] - Minimum room size in cells
  * @param {number} [options.roomMaxSize=4] - Maximum room size in cells
  * @param {number} [options.enemyCount=8] - Number of enemies to place
+ * @param {string} [options.algorithm='backtracker'] - Carving algorithm id (see MazeConfig.algorithms)
+ * @param {number|string} [options.seed] - Generation seed; the same seed and options always produce the same maze
+ * @param {number|string} [options.enemySeed] - Separate seed for placing enemies, to re-place them without changing the layout
  * @returns {GameMap} The generated maze map
  */
 function createMazeMap(textures, name, options = {}) {
   // Merge options with defaults from config
   const defaults = MazeConfig.defaults;
+  let topology = options.topology || defaults.topology;
   const cols = options.cols || defaults.cols;
   const rows = options.rows || defaults.rows;
+  const rings = Math.max(2, options.rings || defaults.rings);
   const cellSize = options.cellSize || defaults.cellSize;
   const wallThickness = options.wallThickness || defaults.wallThickness;
   const curveChance = options.curveChance !== undefined ? options.curveChance : defaults.curveChance;
@@ -1031,9 +2149,31 @@ function createMazeMap(textures, name, options = {}) {
   const roomMinSize = options.roomMinSize || defaults.roomMinSize;
   const roomMaxSize = options.roomMaxSize || defaults.roomMaxSize;
   const enemyCount = options.enemyCount !== undefined ? options.enemyCount : defaults.enemyCount;
+  let algorithm = options.algorithm || defaults.algorithm;
+  const seed = options.seed ?? defaults.seed ?? generateSeed();
+  const enemySeed = options.enemySeed ?? null;
+  
+  if (topology !== 'square' && topology !== 'theta' && topology !== 'hex') {
+    console.warn(`Unknown maze topology "${topology}", using square`);
+    topology = 'square';
+  }
+  
+  const generators = topology === 'square' ? MAZE_GENERATORS : GRAPH_GENERATORS;
+  if (!generators[algorithm]) {
+    console.warn(`Maze algorithm "${algorithm}" is not available for ${topology} mazes, using ${defaults.algorithm}`);
+    algorithm = defaults.algorithm;
+  }
+  
+  // Resolved options, kept on the maze data so it can be regenerated
+  const settings = {
+    topology, cols, rows, rings, cellSize, wallThickness, curveChance, loopChance,
+    roomCount, roomMinSize, roomMaxSize, enemyCount, algorithm, enemySeed
+  };
+  
+  // Every random choice below draws from this generator so a seed fully reproduces the maze
+  const random = createSeededRandom(seed);
   
   const wallTexture = textures.getTexture("wall");
-  const curveTexture = wallTexture;
   
   // Special texture for start and end cells (uses the alternate texture)
   const specialCellTexture = textures.getTexture("edge") || wallTexture;
@@ -1052,63 +2192,52 @@ function createMazeMap(textures, name, options = {}) {
   // Use the first sprite as the default texture for the boundary
   const enemyTexture = directionalSprites[0];
   
-  // Create and generate base maze
-  const grid = createGrid(cols, rows);
-  generateMaze(grid);
-  
-  // Add loops to create multiple paths
-  addLoops(grid, loopChance);
-  
-  // Create open rooms
-  const rooms = createRooms(grid, roomCount, roomMinSize, roomMaxSize);
+  // Generate the cells and walls
+  const layout = topology === 'square'
+    ? buildGridLayout(settings, wallTexture, specialCellTexture, random)
+    : buildGraphLayout(settings, wallTexture, specialCellTexture, random);
+  const { boundaries, start, goal } = layout;
   
-  // Convert to boundaries with thick walls
-  // Use special texture for start (top-left) and end (bottom-right) cells
-  const boundaries = gridToBoundaries(grid, cellSize, wallThickness, wallTexture, curveTexture, curveChance, {
-    startTexture: specialCellTexture,
-    endTexture: specialCellTexture
-  });
-  
-  // Spawn player in center of top-left cell
+  // Spawn player in center of the start cell
   const spawnLocation = {
-    x: cellSize * 0.5,
-    y: cellSize * 0.5
+    x: start.x,
+    y: start.y
   };
   
-  // Place enemies
-  const enemies = placeEnemies(grid, cellSize, wallThickness, enemyTexture, enemyCount, spawnLocation, directionalSprites);
+  // Place enemies (from their own generator when re-placing them on the same layout)
+  const enemyRandom = enemySeed !== null ? createSeededRandom(enemySeed) : random;
+  const enemies = placeEnemies(layout.spots, cellSize, enemyTexture, enemyCount, layout.findPatrol, directionalSprites, enemyRandom);
   
   // Create map
-  const mapWidth = cols * cellSize;
-  const mapHeight = rows * cellSize;
-  
-  const mazeMap = new GameMap(name, mapWidth, mapHeight, spawnLocation);
+  const mazeMap = new GameMap(name, layout.width, layout.height, spawnLocation);
+  mazeMap.seed = seed;
   mazeMap.addBoundaries(boundaries);
   mazeMap.addEnemies(enemies);
   
-  // Set up start zone (top-left cell) and goal zone (bottom-right cell)
-  const halfWall = wallThickness / 2;
+  // Set up start zone and goal zone
   const corridorWidth = cellSize - wallThickness;
   const zoneRadius = corridorWidth * 0.4;
   
   // Start zone in center of first cell - using StartZone class
-  const startX = cellSize * 0.5;
-  const startY = cellSize * 0.5;
-  mazeMap.setStartZone(new StartZone({ x: startX, y: startY, radius: zoneRadius, spawnDirection: 135 })); // Face toward center
+  const startX = start.x;
+  const startY = start.y;
+  mazeMap.setStartZone(new StartZone({ x: startX, y: startY, radius: zoneRadius, spawnDirection: start.spawnDirection }));
   
-  // Goal zone in center of last cell (bottom-right corner) - using GoalZone class
-  const goalX = (cols - 1) * cellSize + cellSize * 0.5;
-  const goalY = (rows - 1) * cellSize + cellSize * 0.5;
+  // Goal zone in center of last cell - using GoalZone class
+  const goalX = goal.x;
+  const goalY = goal.y;
   mazeMap.setGoalZone(new GoalZone({ x: goalX, y: goalY, radius: zoneRadius, onReached: () => {
     console.log('Maze completed!');
   }}));
   
-  // Store maze data for pathfinding
+  // Store maze data for pathfinding (and the options, so the maze can be regenerated)
   mazeMap.mazeData = {
-    grid: grid,
-    cols: cols,
-    rows: rows,
-    cellSize: cellSize
+    ...layout.mazeData,
+    topology: topology,
+    cellSize: cellSize,
+    seed: seed,
+    algorithm: algorithm,
+    options: settings
   };
   
   // Add floor zones only for start and goal positions
@@ -1131,113 +2260,231 @@ function createMazeMap(textures, name, options = {}) {
     }
   ];
   
-  console.log(`Maze generated: ${cols}x${rows} grid, ${boundaries.length} walls, ${enemies.length} enemies, ${rooms.length} rooms`);
+  console.log(`Maze generated (${algorithm}, seed ${seed}): ${layout.summary}, ${boundaries.length} walls, ${enemies.length} enemies, ${layout.roomCount} rooms`);
   console.log(`Start zone: (${spawnLocation.x}, ${spawnLocation.y}), Goal zone: (${goalX}, ${goalY})`);
   
   return mazeMap;
 }
 
 /**
- * Finds a path through the maze using BFS (Breadth-First Search)
- * Returns world coordinates of the path from start through playerPos to goal
- * 
+ * Converts world coordinates to maze grid coordinates
  * @param {Object} mazeData - The maze data {grid, cols, rows, cellSize}
- * @param {Object} startPos - World coordinates {x, y} of start position
- * @param {Object} playerPos - World coordinates {x, y} of player position
- * @param {Object} goalPos - World coordinates {x, y} of goal position
- * @returns {Array|null} Array of world coordinate points [{x, y}] or null if no path
+ * @param {number} worldX - World X coordinate
+ * @param {number} worldY - World Y coordinate
+ * @returns {{x: number, y: number}} Grid coordinates
  */
-function findMazePath(mazeData, startPos, playerPos, goalPos) {
-  if (!mazeData || !mazeData.grid) return null;
-  
-  const { grid, cols, rows, cellSize } = mazeData;
-  
-  // Convert world coordinates to grid coordinates
-  function worldToGrid(worldX, worldY) {
-    return {
-      x: Math.floor(worldX / cellSize),
-      y: Math.floor(worldY / cellSize)
-    };
+function mazeWorldToGrid(mazeData, worldX, worldY) {
+  return {
+    x: Math.floor(worldX / mazeData.cellSize),
+    y: Math.floor(worldY / mazeData.cellSize)
+  };
+}
+
+/**
+ * Converts maze grid coordinates to world coordinates (center of cell)
+ * @param {Object} mazeData - The maze data {grid, cols, rows, cellSize}
+ * @param {number} gridX - Grid column
+ * @param {number} gridY - Grid row
+ * @returns {{x: number, y: number}} World coordinates
+ */
+function mazeGridToWorld(mazeData, gridX, gridY) {
+  return {
+    x: gridX * mazeData.cellSize + mazeData.cellSize * 0.5,
+    y: gridY * mazeData.cellSize + mazeData.cellSize * 0.5
+  };
+}
+
+/**
+ * Finds the cell of a theta or hex maze containing a world position
+ * (positions outside the maze map to the nearest edge cell)
+ * @param {Object} mazeData - The maze data {topology, cells, cellSize, ...}
+ * @param {number} worldX - World X coordinate
+ * @param {number} worldY - World Y coordinate
+ * @returns {number} Cell index
+ */
+function mazeWorldToCell(mazeData, worldX, worldY) {
+  const { cells, cellSize } = mazeData;
+  
+  if (mazeData.topology === 'theta') {
+    const { center, ringCounts, ringStarts } = mazeData;
+    const dx = worldX - center.x;
+    const dy = worldY - center.y;
+    const ring = Math.min(ringCounts.length - 1, Math.floor(Math.sqrt(dx * dx + dy * dy) / cellSize));
+    if (ring === 0) return 0;
+    
+    const angle = (Math.atan2(dy, dx) + Math.PI * 2) % (Math.PI * 2);
+    const count = ringCounts[ring];
+    return ringStarts[ring] + Math.min(count - 1, Math.floor(angle / (Math.PI * 2) * count));
   }
   
-  // Convert grid coordinates to world coordinates (center of cell)
-  function gridToWorld(gridX, gridY) {
-    return {
-      x: gridX * cellSize + cellSize * 0.5,
-      y: gridY * cellSize + cellSize * 0.5
-    };
+  // Hex: the nearest cell center is the hex containing the point
+  const { cols, rows } = mazeData;
+  const rowHeight = cellSize * Math.sqrt(3) / 2;
+  const approxRow = Math.min(rows - 1, Math.max(0, Math.round((worldY - cellSize / Math.sqrt(3)) / rowHeight)));
+  let best = 0;
+  let bestDistSq = Infinity;
+  for (let row = Math.max(0, approxRow - 1); row <= Math.min(rows - 1, approxRow + 1); row++) {
+    const approxCol = Math.min(cols - 1, Math.max(0, Math.round((worldX / (cellSize / 2) - 1 - (row & 1)) / 2)));
+    for (let col = Math.max(0, approxCol - 1); col <= Math.min(cols - 1, approxCol + 1); col++) {
+      const cell = cells[row * cols + col];
+      const distSq = (cell.x - worldX) ** 2 + (cell.y - worldY) ** 2;
+      if (distSq < bestDistSq) {
+        bestDistSq = distSq;
+        best = row * cols + col;
+      }
+    }
   }
+  return best;
+}
+
+/**
+ * BFS between two grid positions, respecting cell walls
+ * @param {Object} mazeData - The maze data {grid, cols, rows, cellSize}
+ * @param {{x: number, y: number}} fromGrid - Start grid position
+ * @param {{x: number, y: number}} toGrid - Target grid position
+ * @returns {Array<{x: number, y: number}>|null} Grid positions from start to target, or null if unreachable
+ */
+function bfsGridPath(mazeData, fromGrid, toGrid) {
+  const { grid, cols, rows } = mazeData;
   
-  // Get cell at grid position
-  function getCell(x, y) {
-    if (y < 0 || y >= rows || x < 0 || x >= cols) return null;
-    return grid[y][x];
-  }
+  const visited = new Set();
+  const queue = [{ x: fromGrid.x, y: fromGrid.y, path: [] }];
+  visited.add(`${fromGrid.x},${fromGrid.y}`);
+  
+  // Check all four directions
+  const directions = [
+    { dx: 0, dy: -1, wall: 'north' },  // North
+    { dx: 0, dy: 1, wall: 'south' },   // South
+    { dx: 1, dy: 0, wall: 'east' },    // East
+    { dx: -1, dy: 0, wall: 'west' }    // West
+  ];
   
-  // BFS to find path between two grid positions
-  function bfsPath(fromGrid, toGrid) {
-    const visited = new Set();
-    const queue = [{ x: fromGrid.x, y: fromGrid.y, path: [] }];
-    visited.add(`${fromGrid.x},${fromGrid.y}`);
+  while (queue.length > 0) {
+    const current = queue.shift();
+    const currentPath = [...current.path, { x: current.x, y: current.y }];
     
-    while (queue.length > 0) {
-      const current = queue.shift();
-      const currentPath = [...current.path, { x: current.x, y: current.y }];
-      
-      // Check if we reached the goal
-      if (current.x === toGrid.x && current.y === toGrid.y) {
-        return currentPath;
-      }
+    // Check if we reached the goal
+    if (current.x === toGrid.x && current.y === toGrid.y) {
+      return currentPath;
+    }
+    
+    if (current.y < 0 || current.y >= rows || current.x < 0 || current.x >= cols) continue;
+    const cell = grid[current.y][current.x];
+    
+    for (const dir of directions) {
+      const nx = current.x + dir.dx;
+      const ny = current.y + dir.dy;
+      const key = `${nx},${ny}`;
       
-      const cell = getCell(current.x, current.y);
-      if (!cell) continue;
+      // Skip if already visited or out of bounds
+      if (visited.has(key)) continue;
+      if (nx < 0 || nx >= cols || ny < 0 || ny >= rows) continue;
       
-      // Check all four directions
-      const directions = [
-        { dx: 0, dy: -1, wall: 'north' },  // North
-        { dx: 0, dy: 1, wall: 'south' },   // South
-        { dx: 1, dy: 0, wall: 'east' },    // East
-        { dx: -1, dy: 0, wall: 'west' }    // West
-      ];
+      // Check if there's a wall blocking this direction
+      if (cell.walls[dir.wall]) continue;
       
-      for (const dir of directions) {
-        const nx = current.x + dir.dx;
-        const ny = current.y + dir.dy;
-        const key = `${nx},${ny}`;
-        
-        // Skip if already visited or out of bounds
-        if (visited.has(key)) continue;
-        if (nx < 0 || nx >= cols || ny < 0 || ny >= rows) continue;
-        
-        // Check if there's a wall blocking this direction
-        if (cell.walls[dir.wall]) continue;
-        
-        visited.add(key);
-        queue.push({ x: nx, y: ny, path: currentPath });
-      }
+      visited.add(key);
+      queue.push({ x: nx, y: ny, path: currentPath });
     }
+  }
+  
+  return null; // No path found
+}
+
+/**
+ * BFS between two cells of a theta or hex maze, following open passages
+ * @param {MazeNode[]} cells - The maze cells
+ * @param {number} from - Start cell index
+ * @param {number} to - Target cell index
+ * @returns {number[]|null} Cell indices from start to target, or null if unreachable
+ */
+function bfsCellPath(cells, from, to) {
+  const previous = new Int32Array(cells.length).fill(-1);
+  previous[from] = from;
+  const queue = [from];
+  
+  for (let head = 0; head < queue.length; head++) {
+    const current = queue[head];
     
-    return null; // No path found
+    if (current === to) {
+      const path = [to];
+      while (path[path.length - 1] !== from) path.push(previous[path[path.length - 1]]);
+      return path.reverse();
+    }
+    
+    for (const next of cells[current].links) {
+      if (previous[next] === -1) {
+        previous[next] = current;
+        queue.push(next);
+      }
+    }
   }
   
-  // Convert positions to grid coordinates
-  const startGrid = worldToGrid(startPos.x, startPos.y);
-  const playerGrid = worldToGrid(playerPos.x, playerPos.y);
-  const goalGrid = worldToGrid(goalPos.x, goalPos.y);
+  return null; // No path found
+}
+
+/**
+ * Finds the cell centers along the route between two world positions, for any maze topology
+ * @param {Object} mazeData - The maze data
+ * @param {Object} fromPos - World coordinates {x, y} to start from
+ * @param {Object} toPos - World coordinates {x, y} to reach
+ * @returns {Array<{x: number, y: number}>|null} World coordinates of each cell center, or null if no path
+ */
+function findCellCenters(mazeData, fromPos, toPos) {
+  if (mazeData.cells) {
+    const { cells } = mazeData;
+    const path = bfsCellPath(cells, mazeWorldToCell(mazeData, fromPos.x, fromPos.y), mazeWorldToCell(mazeData, toPos.x, toPos.y));
+    return path && path.map(index => ({ x: cells[index].x, y: cells[index].y }));
+  }
+  
+  const fromGrid = mazeWorldToGrid(mazeData, fromPos.x, fromPos.y);
+  const toGrid = mazeWorldToGrid(mazeData, toPos.x, toPos.y);
+  const gridPath = bfsGridPath(mazeData, fromGrid, toGrid);
+  return gridPath && gridPath.map(p => mazeGridToWorld(mazeData, p.x, p.y));
+}
+
+/**
+ * Finds a path through the maze using BFS (Breadth-First Search)
+ * Returns world coordinates of the path from start through playerPos to goal
+ * 
+ * @param {Object} mazeData - The maze data ({grid, cols, rows, cellSize} or, for theta and hex mazes, {cells, cellSize, ...})
+ * @param {Object} startPos - World coordinates {x, y} of start position
+ * @param {Object} playerPos - World coordinates {x, y} of player position
+ * @param {Object} goalPos - World coordinates {x, y} of goal position
+ * @returns {Array|null} Array of world coordinate points [{x, y}] or null if no path
+ */
+function findMazePath(mazeData, startPos, playerPos, goalPos) {
+  if (!mazeData || !(mazeData.grid || mazeData.cells)) return null;
   
   // Find path from start to player
-  const pathToPlayer = bfsPath(startGrid, playerGrid);
+  const pathToPlayer = findCellCenters(mazeData, startPos, playerPos);
   if (!pathToPlayer) return null;
   
   // Find path from player to goal
-  const pathToGoal = bfsPath(playerGrid, goalGrid);
+  const pathToGoal = findCellCenters(mazeData, playerPos, goalPos);
   if (!pathToGoal) return null;
   
   // Combine paths (remove duplicate player position)
-  const combinedPath = [...pathToPlayer, ...pathToGoal.slice(1)];
+  return [...pathToPlayer, ...pathToGoal.slice(1)];
+}
+
+/**
+ * Finds a wall-respecting route between two world positions (used by enemy AI).
+ * Waypoints are cell centers; the final waypoint is the exact target position.
+ * 
+ * @param {Object} mazeData - The maze data (any topology, see findMazePath)
+ * @param {Object} fromPos - World coordinates {x, y} to start from
+ * @param {Object} toPos - World coordinates {x, y} to reach
+ * @returns {Array|null} Array of world coordinate points [{x, y}] or null if no path
+ */
+function findGridPath(mazeData, fromPos, toPos) {
+  if (!mazeData || !(mazeData.grid || mazeData.cells)) return null;
+  
+  const path = findCellCenters(mazeData, fromPos, toPos);
+  if (!path) return null;
   
-  // Convert grid path to world coordinates
-  return combinedPath.map(p => gridToWorld(p.x, p.y));
+  path[path.length - 1] = { x: toPos.x, y: toPos.y };
+  return path;
 }
 
-export { createMazeMap, findMazePath };
+export { createMazeMap, findMazePath, findGridPath };
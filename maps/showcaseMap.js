@@ -1,6 +1,7 @@
 import Boundaries from "../classes/BoundariesClass.js";
 import GameMap from "../classes/GameMapClass.js";
 import StartZone from "../classes/StartZoneClass.js";
+import Door from "../classes/DoorClass.js";
 import { createCurvedWall } from "../utils/WallGenerators.js";
 import { ZoneConfig } from "../config/index.js";
 
@@ -458,7 +459,6 @@ function createShowcaseMap(textures, name) {
   rotatingCurve.isAnimated = true;
   rotatingCurve.currentRotationIndex = 0;
   rotatingCurve.rotationAccumulatedTime = 0;
-  rotatingCurve.lastRotationFrameTime = performance.now() * 0.001;
   rotatingCurve.currentAngle = 0;
   rotatingCurve.initialAngle = 0;
   rotatingCurve.targetAngle = 90;
@@ -483,7 +483,6 @@ function createShowcaseMap(textures, name) {
   movingCurve.isAnimated = true;
   movingCurve.currentMoveIndex = 0;
   movingCurve.moveAccumulatedTime = 0;
-  movingCurve.lastMoveFrameTime = performance.now() * 0.001;
   movingCurve._initialCenterX = 1150;
   movingCurve._initialCenterY = 1450;
   movingCurve.currentPos = { x: 1150, y: 1450 };
@@ -507,7 +506,6 @@ function createShowcaseMap(textures, name) {
   fastRotatingCurve.isAnimated = true;
   fastRotatingCurve.currentRotationIndex = 0;
   fastRotatingCurve.rotationAccumulatedTime = 0;
-  fastRotatingCurve.lastRotationFrameTime = performance.now() * 0.001;
   fastRotatingCurve.currentAngle = 0;
   fastRotatingCurve.initialAngle = 0;
   fastRotatingCurve.targetAngle = 180;
@@ -784,6 +782,94 @@ function createShowcaseMap(textures, name) {
     }
   }));
   
+  // ========================================
+  // AREA 16: WALL HEIGHTS (Center-North)
+  // Position: (1150, 1100)
+  // ========================================
+  
+  // Waist-high cover (crouch behind it to hide from enemies)
+  boundaries.push(new Boundaries({
+    x1: 900, y1: 1100,
+    x2: 1050, y2: 1100,
+    texture: wallTexture,
+    options: { height: 0.5 }
+  }));
+  
+  // Low step
+  boundaries.push(new Boundaries({
+    x1: 900, y1: 1040,
+    x2: 1050, y2: 1040,
+    texture: null,
+    options: { color: '#8a7a5a', height: 0.2 }
+  }));
+  
+  // Raised beam (floats above the floor)
+  boundaries.push(new Boundaries({
+    x1: 1300, y1: 1040,
+    x2: 1300, y2: 1150,
+    texture: null,
+    options: { color: '#cc8844', height: 0.35, baseElevation: 0.65 }
+  }));
+  
+  // Tall tower
+  const towerX = 1480;
+  const towerY = 1060;
+  const towerSize = 50;
+  const towerCorners = [
+    [towerX, towerY],
+    [towerX + towerSize, towerY],
+    [towerX + towerSize, towerY + towerSize],
+    [towerX, towerY + towerSize]
+  ];
+  for (let i = 0; i < 4; i++) {
+    const [x1, y1] = towerCorners[i];
+    const [x2, y2] = towerCorners[(i + 1) % 4];
+    boundaries.push(new Boundaries({
+      x1, y1, x2, y2,
+      texture: edgeTexture,
+      options: { height: 2.5 }
+    }));
+  }
+  
+  // ========================================
+  // AREA 17: DOORS & SWITCHES (North-Center)
+  // Position: (1290, 420)
+  // ========================================
+  
+  // Wall with four doorways; each door slides sideways into the wall next to it
+  const doorY = 400;
+  const doorways = [1080, 1200, 1320, 1440];
+  const doorWidth = 60;
+  let wallStart = 1020;
+  for (const doorX of doorways) {
+    boundaries.push(new Boundaries({
+      x1: wallStart, y1: doorY,
+      x2: doorX, y2: doorY,
+      texture: wallTexture
+    }));
+    wallStart = doorX + doorWidth;
+  }
+  boundaries.push(new Boundaries({
+    x1: wallStart, y1: doorY,
+    x2: wallStart + 60, y2: doorY,
+    texture: wallTexture
+  }));
+  
+  const doorOptions = [
+    { uniqueID: 'showcase-door', color: '#8b5a2b' },                                      // Press E to open
+    { uniqueID: 'showcase-locked-door', color: '#aa2222', keyId: 'red' },                  // Needs the red key
+    { uniqueID: 'showcase-switch-door', color: '#556677', usable: false },                // Opened by the switch
+    { uniqueID: 'showcase-plate-door', color: '#667755', usable: false, openTime: 0.4 }   // Open while the plate is pressed
+  ];
+  doorways.forEach((doorX, i) => {
+    boundaries.push(new Door({
+      x1: doorX, y1: doorY,
+      x2: doorX + doorWidth, y2: doorY,
+      texture: null,
+      options: doorOptions[i]
+    }));
+  });
+  
   // ========================================
   // CREATE MAP
   // ========================================
@@ -802,6 +888,11 @@ function createShowcaseMap(textures, name) {
     spawnDirection: 0 // Facing right
   }));
   
+  // Area 17 pickups and triggers
+  showcaseMap.addKey({ keyId: 'red', x: 1110, y: 330 }); // Behind the first door
+  showcaseMap.addSwitch({ x: 1350, y: 470, targets: ['showcase-switch-door'] });
+  showcaseMap.addPressurePlate({ x: 1470, y: 460, targets: ['showcase-plate-door'] });
+  
   console.log(`Showcase map created: ${boundaries.length} walls with various features (${mapWidth}x${mapHeight})`);
   
   return showcaseMap;
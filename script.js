@@ -6,10 +6,10 @@
  */
 
 // Core game components
-import { GameLoop, GameStateManager, InputHandler, RaycastManager } from './core/index.js';
+import { GameLoop, GameStateManager, InputHandler, RaycastManager, ZoneEffects, Leaderboard, RunRecorder, RunReplay, MoveBits, SoundManager, NoiseSystem, InteractionSystem, QualityController } from './core/index.js';
 
 // Configuration
-import { MinimapConfig, DetectionConfig, ControlsConfig, FogOfWarConfig } from './config/index.js';
+import { MinimapConfig, DetectionConfig, ControlsConfig, FogOfWarConfig, PlayerConfig, ZoneConfig, ReplayConfig, InteractionConfig, GraphicsSettings, MazeConfig, MazeSettings } from './config/index.js';
 
 // UI Components
 import { 
@@ -19,7 +19,12 @@ import {
   WinScreen,
   InstructionsPanel,
   MapSelector,
-  SettingsMenu
+  SettingsMenu,
+  WeaponHUD,
+  LevelEditor,
+  LeaderboardPanel,
+  TouchControls,
+  CustomMazePanel
 } from './ui/index.js';
 
 // Game classes
@@ -28,19 +33,23 @@ import GameMap from './classes/GameMapClass.js';
 import Textures from './classes/TexturesClass.js';
 import Player from './classes/UserClass.js';
 import EnemyClass from './classes/EnemyClass.js';
+import Ghost from './classes/GhostClass.js';
 
 // Map creators
 import { createTestMap } from './maps/testMap.js';
-import { createMazeMap, findMazePath } from './maps/mazeMap.js';
+import { createMazeMap, findMazePath, findGridPath } from './maps/mazeMap.js';
+import { analyzeMaze, generateMazeInBand } from './maps/mazeAnalyzer.js';
 import { createShowcaseMap } from './maps/showcaseMap.js';
 import { createEnemyTestMap } from './maps/enemyTestMap.js';
+import { loadMapFromJSON, MapValidationError } from './maps/mapLoader.js';
 
 // Utilities
-import { getDeltaTime } from './utils/deltaTime.js';
 import { drawFPS } from './utils/fpsDisplay.js';
-import { render3D, setFloorCastingParams, floorCaster } from './utils/render3DFunction.js';
+import { render3D, setFloorCastingParams, setRenderBackend, getRenderBackend, floorCaster } from './utils/render3DFunction.js';
 import { drawBackground, drawMinimap, resizeCanvas } from './utils/utils.js';
 import FogOfWar from './utils/FogOfWar.js';
+import NavGrid from './utils/NavGrid.js';
+import lighting from './utils/Lighting.js';
 
 // ===========================================
 // GAME STATE
@@ -61,6 +70,12 @@ let gameMaps = [];
 /** @type {GameMap} */
 let ActiveMap = null;
 
+/** @type {NavGrid|null} Walkable grid of the active map (maze maps navigate their own cells) */
+let navGrid = null;
+
+// Navigation cell the revealed path was last planned from (-1 = replan on the next frame)
+let revealPathCell = -1;
+
 /** @type {Textures} */
 const textures = new Textures();
 
@@ -77,6 +92,25 @@ fogOfWar.setRevealDistance(FogOfWarConfig.revealDistance);
 // Noclip mode state
 let noclipEnabled = false;
 
+// Run recording and playback
+const runRecorder = new RunRecorder();
+
+/** @type {RunReplay|null} Replay being watched, if any */
+let activeReplay = null;
+
+/** @type {Recording|null} Most recent finished run on the active map */
+let lastRecording = null;
+
+// Best winning run per leaderboard board (kept for this session), raced as a ghost
+const ghostRecordings = new Map();
+
+/** @type {Ghost} */
+let ghost = null;
+
+/** @type {GameMap|null} Map the ghost sprite is currently added to */
+let ghostMap = null;
+let ghostEnabled = ReplayConfig.ghostEnabled;
+
 // ===========================================
 // INITIALIZE UI COMPONENTS
 // ===========================================
@@ -90,9 +124,21 @@ const detectionTimer = new ProgressBar({
   position: 'bottom',
   showValue: true
 });
+const healthBar = new ProgressBar({
+  maxValue: PlayerConfig.maxHealth,
+  width: 200,
+  height: 14,
+  label: 'HEALTH',
+  position: 'bottom',
+  showValue: false
+});
 const gameOverScreen = new GameOverScreen();
 const winScreen = new WinScreen();
 const mapSelector = new MapSelector();
+const leaderboardPanel = new LeaderboardPanel();
+const customMazePanel = new CustomMazePanel();
+const weaponHUD = new WeaponHUD({ weapon: null });
+const touchControls = new TouchControls();
 
 // Maze-specific instructions panel
 const mazeInstructions = new InstructionsPanel({
@@ -110,7 +156,8 @@ const mazeInstructions = new InstructionsPanel({
       heading: 'HINTS:',
       lines: [
         '  • Press P to reveal the path (3 seconds, one-time use)',
-        '  • Emergency path help activates if alert drops critically low'
+        '  • Emergency path help activates if alert drops critically low',
+        '  • Click to shoot, Q to reload - or slip past unseen'
       ]
     }
   ],
@@ -126,16 +173,25 @@ settingsMenu.onClose = () => {
   setTimeout(() => { settingsMenuClosing = false; }, 100);
 };
 
+// Level editor (top-down view of the active map)
+const levelEditor = new LevelEditor({
+  canvas: main_canvas,
+  textureKeys: ['wall', 'edge'],
+  enemySpriteKeys: ['enemySprite0', 'enemySprite1', 'enemySprite2', 'enemySprite3', 'enemySprite4']
+});
+levelEditor.onPlaytest = (mapJSON) => playtestEditedMap(mapJSON);
+levelEditor.onExit = () => closeLevelEditor();
+
 // Open settings when pointer lock is released (handles Escape when locked)
 document.addEventListener('pointerlockchange', () => {
-  if (document.pointerLockElement === null && !settingsMenu.visible && !mapSelector.visible && !settingsMenuClosing) {
+  if (document.pointerLockElement === null && !settingsMenu.visible && !mapSelector.visible && !levelEditor.visible && !settingsMenuClosing) {
     settingsMenu.show();
   }
 });
 
 // Open settings with Escape when pointer lock is NOT active
 document.addEventListener('keydown', (e) => {
-  if (e.key === 'Escape' && !document.pointerLockElement && !settingsMenu.visible && !mapSelector.visible) {
+  if (e.key === 'Escape' && !document.pointerLockElement && !settingsMenu.visible && !mapSelector.visible && !levelEditor.visible) {
     e.preventDefault();
     settingsMenu.show();
   }
@@ -146,26 +202,94 @@ document.addEventListener('keydown', (e) => {
 // ===========================================
 
 const gameState = new GameStateManager();
+const leaderboard = new Leaderboard();
+const soundManager = new SoundManager();
+const noiseSystem = new NoiseSystem();
+const interactions = new InteractionSystem();
+const raycaster = new RaycastManager({
+  useWorker: GraphicsSettings.get('raycaster') === 'worker',
+  oneFrameLatency: GraphicsSettings.get('raycastLatency') === 'oneFrame'
+});
+const qualityController = new QualityController();
+
+// Browsers only start audio after a user gesture
+document.addEventListener('pointerdown', () => soundManager.unlock());
+document.addEventListener('keydown', () => soundManager.unlock());
+
+// Closed doors block routes on the navigation grid
+interactions.onDoorsChanged = () => {
+  if (navGrid) navGrid.updateDoors();
+  revealPathCell = -1;
+};
+
+// Rendering backend, raycasting thread and adaptive quality follow the graphics settings (switchable live from the settings menu)
+function applyGraphicsSettings() {
+  setRenderBackend(GraphicsSettings.get('renderer'));
+  raycaster.setUseWorker(GraphicsSettings.get('raycaster') === 'worker');
+  raycaster.setOneFrameLatency(GraphicsSettings.get('raycastLatency') === 'oneFrame');
+  qualityController.setTarget(GraphicsSettings.get('targetFps'));
+  qualityController.setRange(GraphicsSettings.get('minQuality'), GraphicsSettings.get('maxQuality'));
+}
+GraphicsSettings.addListener(applyGraphicsSettings);
+
+// Quality levels set the camera's ray count and the floor/ceiling row step
+qualityController.onChange = (level) => applyQualityLevel(level);
+
+/**
+ * Applies a quality level to the player's camera and the floor caster
+ * @param {QualityLevel} level - Quality level
+ */
+function applyQualityLevel(level) {
+  player.camera.setRayCount(level.rayCount);
+  floorCaster.rowStep = level.floorRowStep;
+}
 
 // Set up game state callbacks
+// Game over subtitles per reason (default subtitle covers detection)
+const gameOverSubtitles = {
+  pit: 'You fell into a pit!'
+};
+
 gameState.onGameOver = () => {
-  gameOverScreen.show(gameState.scoreBreakdown);
+  const wasReplay = finishRun('gameOver');
+  // Only maze runs are timed and scored (replays were scored when they were played)
+  if (ActiveMap.mazeData && !wasReplay) {
+    leaderboard.recordRun(ActiveMap, gameState.scoreBreakdown);
+  }
+  gameOverScreen.show(gameState.scoreBreakdown, gameOverSubtitles[gameState.gameOverReason]);
+  soundManager.playStinger('lose');
 };
 
 gameState.onWin = () => {
-  winScreen.show(gameState.scoreBreakdown);
+  const wasReplay = finishRun('win');
+  const record = wasReplay ? null : leaderboard.recordRun(ActiveMap, gameState.scoreBreakdown);
+  winScreen.show(gameState.scoreBreakdown, ActiveMap.seed, record);
+  soundManager.playStinger('win');
 };
 
 gameState.onCriticalAlert = () => {
   // Regenerate path as emergency help
+  planRevealPath();
+};
+
+// Floor zone gameplay effects
+const zoneEffects = new ZoneEffects();
+
+zoneEffects.onDanger = (exposure) => {
   if (ActiveMap.mazeData) {
-    const path = findMazePath(
-      ActiveMap.mazeData,
-      ActiveMap.startZone,
-      player.pos,
-      ActiveMap.goalZone
-    );
-    gameState.setPath(path);
+    gameState.drainDetection(exposure * ZoneConfig.effects.danger.detectionDrainRate);
+  } else if (player.takeDamage(exposure * ZoneConfig.effects.danger.healthDrainRate)) {
+    respawnPlayer();
+  }
+};
+
+zoneEffects.onPitFall = (zone) => {
+  const isMazeMap = !!ActiveMap.mazeData;
+  const respawn = zone.respawn ?? (!isMazeMap || ZoneConfig.effects.pit.respawnOnMazeMaps);
+  if (respawn) {
+    respawnPlayer();
+  } else {
+    gameState.triggerGameOver('pit');
   }
 };
 
@@ -205,12 +329,12 @@ const inputHandler = new InputHandler(main_canvas, {
       }
       if (key === 'ArrowLeft') {
         e.preventDefault();
-        settingsMenu.adjustSensitivity(-1);
+        settingsMenu.adjustValue(-1);
         return true;
       }
       if (key === 'ArrowRight') {
         e.preventDefault();
-        settingsMenu.adjustSensitivity(1);
+        settingsMenu.adjustValue(1);
         return true;
       }
       if (key === 'Enter') {
@@ -220,7 +344,7 @@ const inputHandler = new InputHandler(main_canvas, {
       }
       if (key === 'Tab') {
         e.preventDefault();
-        settingsMenu.switchTab(settingsMenu.currentTab === 'controls' ? 'sensitivity' : 'controls');
+        settingsMenu.nextTab();
         return true;
       }
       if (key === 'Delete' || key === 'Backspace') {
@@ -237,12 +361,64 @@ const inputHandler = new InputHandler(main_canvas, {
       return true;
     }
     
+    // Leaderboard view (opened from the map selector)
+    if (leaderboardPanel.visible) {
+      if (e.key === 'Escape' || e.key === 'Backspace' || e.key === 'l' || e.key === 'L') {
+        e.preventDefault();
+        leaderboardPanel.hide();
+      }
+      return true;
+    }
+    if (mapSelector.visible && (e.key === 'l' || e.key === 'L')) {
+      if (!mapSelector.isCustomEntrySelected()) {
+        showLeaderboard(gameMaps[mapSelector.getSelectedIndex()]);
+      }
+      return true;
+    }
+    
+    // Custom maze panel (opened from the map selector)
+    if (customMazePanel.visible) {
+      const key = e.key;
+      if (key === 'Escape' || key === 'Backspace') {
+        e.preventDefault();
+        customMazePanel.hide();
+      } else if (key === 'ArrowUp') {
+        e.preventDefault();
+        customMazePanel.selectPrevious();
+      } else if (key === 'ArrowDown') {
+        e.preventDefault();
+        customMazePanel.selectNext();
+      } else if (key === 'ArrowLeft') {
+        e.preventDefault();
+        customMazePanel.adjustValue(-1);
+      } else if (key === 'ArrowRight') {
+        e.preventDefault();
+        customMazePanel.adjustValue(1);
+      } else if (key === 'Enter') {
+        e.preventDefault();
+        generateCustomMaze();
+      } else if (key === 'r' || key === 'R') {
+        e.preventDefault();
+        MazeSettings.resetToDefaults();
+      }
+      return true;
+    }
+    
+    // Level editor takes all keys; its toggle key applies the edits and playtests
+    if (levelEditor.visible) {
+      if (ControlsConfig.matchesKey(e.key, 'editor')) {
+        e.preventDefault();
+        playtestEditedMap(levelEditor.getMapJSON());
+      } else {
+        levelEditor.handleKeyDown(e);
+      }
+      return true;
+    }
+    
     if (gameState.showInstructions && ActiveMap.mazeData) {
       if (e.key === 'Enter' || e.key === ' ') {
         e.preventDefault();
-        gameState.dismissInstructions();
-        gameState.startTimer(); // Start the scoring timer
-        mazeInstructions.dismiss();
+        dismissMazeInstructions();
         return true;
       }
       return true; // Block all other input
@@ -250,36 +426,80 @@ const inputHandler = new InputHandler(main_canvas, {
     return false;
   },
 
+  // Gameplay input is queued and applied by the game loop, so it can be recorded
   onMouseMove: (movementX, movementY) => {
     if (gameState.showInstructions && ActiveMap.mazeData) return;
-    if (settingsMenu.visible) return;
-    player.updateViewDirection(player.viewDirection + (movementX * ControlsConfig.getSensitivity()));
+    if (settingsMenu.visible || activeReplay) return;
+    runRecorder.queueLook(movementX * ControlsConfig.getSensitivity(), ControlsConfig.getPitchDelta(movementY));
+  },
+
+  // Right stick and touch drag look (already scaled to degrees for this frame)
+  onLook: (yawDegrees, pitchDegrees) => {
+    if (gameState.showInstructions && ActiveMap.mazeData) return;
+    if (settingsMenu.visible || activeReplay) return;
+    runRecorder.queueLook(yawDegrees, ControlsConfig.getInvertY() ? -pitchDegrees : pitchDegrees);
   },
 
-  onJump: () => player.jump(),
-  onCrouchStart: () => player.setCrouch(true),
-  onCrouchEnd: () => player.setCrouch(false),
-  onSprintStart: () => player.setSprint(true),
-  onSprintEnd: () => player.setSprint(false),
+  // Gamepad buttons navigate these and touches tap them instead of playing
+  isMenuOpen: () => settingsMenu.visible || mapSelector.visible || leaderboardPanel.visible ||
+    (gameState.showInstructions && !!ActiveMap.mazeData) || gameState.isGameOver || gameState.isWin,
+  isRebinding: () => settingsMenu.visible && settingsMenu.isRebinding,
+
+  onJump: () => queueRunInput('jump'),
+  onCrouchStart: () => queueRunInput('crouchStart'),
+  onCrouchEnd: () => queueRunInput('crouchEnd'),
+  onSprintStart: () => queueRunInput('sprintStart'),
+  onSprintEnd: () => queueRunInput('sprintEnd'),
+
+  onFire: () => {
+    if (settingsMenu.visible || mapSelector.visible) return;
+    if (gameState.isGameOver || gameState.isWin) return;
+    if (gameState.showInstructions && ActiveMap.mazeData) return;
+    queueRunInput('fire');
+  },
+
+  onReload: () => queueRunInput('reload'),
 
   onReset: () => {
+    activeReplay = null;
     resetGame();
   },
 
-  onNoclipToggle: () => {
-    noclipEnabled = player.toggleCollision();
-    console.log(`Noclip mode: ${noclipEnabled ? 'ON' : 'OFF'}`);
+  onNoclipToggle: () => queueRunInput('noclip'),
+  onUse: () => queueRunInput('use'),
+  onFlashlightToggle: () => queueRunInput('flashlight'),
+
+  onSettingsOpen: () => {
+    if (settingsMenu.visible || mapSelector.visible || levelEditor.visible) return;
+    settingsMenu.show();
+    document.exitPointerLock();
+  },
+
+  onReplayToggle: () => {
+    if (settingsMenu.visible || mapSelector.visible) return;
+    if (activeReplay) {
+      stopReplay();
+    } else if (lastRecording && (gameState.isWin || gameState.isGameOver)) {
+      startReplay(lastRecording);
+    }
+  },
+
+  onGhostToggle: () => {
+    if (settingsMenu.visible || mapSelector.visible) return;
+    ghostEnabled = !ghostEnabled;
+    placeGhost();
+    console.log(`Ghost: ${ghostEnabled ? 'ON' : 'OFF'}`);
+  },
+
+  onEditorToggle: () => {
+    if (settingsMenu.visible || mapSelector.visible) return;
+    openLevelEditor();
   },
 
   onPathReveal: () => {
-    if (ActiveMap.mazeData && gameState.tryRevealPath()) {
-      const path = findMazePath(
-        ActiveMap.mazeData,
-        ActiveMap.startZone,
-        player.pos,
-        ActiveMap.goalZone
-      );
-      gameState.setPath(path);
+    if (activeReplay) return;
+    if (ActiveMap.goalZone && gameState.tryRevealPath()) {
+      planRevealPath();
       console.log('Path revealed for 3 seconds (one-time use)');
     } else if (gameState.pathUsedOnce) {
       console.log('Path reveal already used');
@@ -313,9 +533,28 @@ const inputHandler = new InputHandler(main_canvas, {
     }
   },
 
-  onConfirm: () => {
+  onNavigateLeft: () => {
+    if (mapSelector.visible) {
+      mapSelector.cycleAlgorithm(-1);
+    }
+  },
+
+  onNavigateRight: () => {
     if (mapSelector.visible) {
-      switchToMap(mapSelector.getSelectedIndex());
+      mapSelector.cycleAlgorithm(1);
+    }
+  },
+
+  onConfirm: () => {
+    if (mapSelector.visible && mapSelector.isCustomEntrySelected()) {
+      customMazePanel.show();
+    } else if (mapSelector.visible) {
+      const index = mapSelector.getSelectedIndex();
+      const algorithm = mapSelector.getSelectedAlgorithm();
+      if (algorithm && algorithm !== gameMaps[index].mazeData.algorithm) {
+        regenerateMaze(index, algorithm);
+      }
+      switchToMap(index);
       mapSelector.hide();
     }
   },
@@ -326,18 +565,47 @@ const inputHandler = new InputHandler(main_canvas, {
     } else {
       mapSelector.hide();
     }
+  },
+
+  // Touch taps while a menu is open (canvas pixels)
+  onTap: (x, y) => {
+    if (leaderboardPanel.visible) {
+      leaderboardPanel.hide();
+    } else if (customMazePanel.visible) {
+      const action = customMazePanel.tap(x, y, main_canvas.width, main_canvas.height);
+      if (action === 'generate') generateCustomMaze();
+      else if (action === 'back') customMazePanel.hide();
+    } else if (mapSelector.visible) {
+      const index = mapSelector.getIndexAt(x, y, main_canvas.width, main_canvas.height);
+      if (index === gameMaps.length) {
+        customMazePanel.show();
+        return;
+      }
+      if (index !== -1) switchToMap(index);
+      mapSelector.hide();
+    } else if (gameState.showInstructions && ActiveMap.mazeData) {
+      dismissMazeInstructions();
+    } else if (gameState.isGameOver || gameState.isWin) {
+      activeReplay = null;
+      resetGame();
+    }
   }
 });
 
+// Touch prompts replace the keyboard ones once the screen is touched
+inputHandler.touch.onActivate = () => {
+  mazeInstructions.dismissPrompt = 'Tap to start';
+  mapSelector.touchMode = true;
+};
+
 // ===========================================
 // GAME LOOP
 // ===========================================
 
+// Owns the simulation clock (seconds since the run started); it drives every timed
+// animation in fixed steps so runs replay exactly at any frame rate
 const gameLoop = new GameLoop(draw);
 
-// Track frame timing for real delta
-let lastFrameTime = performance.now();
-
 // ===========================================
 // CANVAS RESIZE HANDLING
 // ===========================================
@@ -380,14 +648,14 @@ let cachedStats = {
 
 /**
  * Updates performance tracking (called every frame, lightweight)
+ * @param {number} frameTime - Time since the previous frame in ms
  */
-function updatePerformanceTracking() {
+function updatePerformanceTracking(frameTime) {
   const now = performance.now();
   statsFrameCount++;
   totalFrames++;
   
   // Track frame time for this frame
-  const frameTime = getDeltaTime(120) * (1000 / 120);
   cachedStats.frameTimeSum += frameTime;
   if (frameTime < cachedStats.frameTimeMin) cachedStats.frameTimeMin = frameTime;
   if (frameTime > cachedStats.frameTimeMax) cachedStats.frameTimeMax = frameTime;
@@ -412,6 +680,9 @@ function updatePerformanceTracking() {
       cachedStats.onePercentLow = sorted[0]; // Just use the worst frame
     }
     
+    // Adaptive quality adjusts to the new average
+    qualityController.sample(cachedStats.avgFrameTime);
+    
     // Reset for next period
     statsFrameCount = 0;
     lastStatsTime = now;
@@ -460,7 +731,7 @@ function drawOptimizationStats(ctx, width, height) {
   
   // Background panel - bottom left corner
   const panelWidth = 270;
-  const panelHeight = 340;
+  const panelHeight = 392;
   const panelX = 8;
   const panelY = height - panelHeight - 8;
   
@@ -515,6 +786,18 @@ function drawOptimizationStats(ctx, width, height) {
   ctx.fillText(`Floor/Ceil: ${floorCastingEnabled ? 'ON' : 'OFF'}`, x, y);
   ctx.fillText(`Zones: ${ActiveMap.floorZones ? ActiveMap.floorZones.length : 0}`, x + 110, y);
   ctx.fillText(`Enemies: ${enemies.length}`, x + 175, y);
+  y += lineHeight;
+  const raycastStats = raycaster.getStats();
+  const raycastMode = raycastStats.mode === 'worker' && raycastStats.oneFrameLatency ? 'worker+1f' : raycastStats.mode;
+  ctx.fillText(`Renderer: ${getRenderBackend()}`, x, y);
+  ctx.fillText(`Cast: ${raycastMode} ${raycastStats.avgCastTime.toFixed(2)}ms`, x + 125, y);
+  y += lineHeight;
+  ctx.fillText(`Cast round trip: ${raycastStats.mode === 'worker' ? raycastStats.avgRoundTrip.toFixed(2) + 'ms' : '-'}`, x, y);
+  ctx.fillText(`Fallbacks: ${raycastStats.fallbackCount}`, x + 160, y);
+  y += lineHeight;
+  const quality = qualityController.level;
+  ctx.fillText(`Quality: ${quality.name} (${qualityController.isAdaptive ? `auto ${qualityController.targetFps} FPS` : 'fixed'})`, x, y);
+  ctx.fillText(`Floor rows: ${floorCaster.rowStep}`, x + 175, y);
   y += lineHeight + 3;
   
   // Spatial Grid Section
@@ -557,6 +840,8 @@ function drawOptimizationStats(ctx, width, height) {
   if (distToGoal !== null) {
     ctx.fillText(`Goal Dist: ${distToGoal.toFixed(0)}`, x + 100, y);
   }
+  y += lineHeight;
+  ctx.fillText(`Seed: ${ActiveMap.seed ?? '--'}`, x, y);
   y += lineHeight + 3;
   
   // Player Section
@@ -590,14 +875,14 @@ function drawOptimizationStats(ctx, width, height) {
   
   // Controls hint
   ctx.fillStyle = 'rgba(120, 120, 120, 0.9)';
-  ctx.fillText('[O] Hide Stats  [F] Toggle Floor  [M] Map Select', x, y);
+  ctx.fillText('[O] Hide Stats  [F] Toggle Floor  [M] Map Select  [B] Editor', x, y);
   
   ctx.restore();
 }
 
 // Add keyboard listener for stats toggle and floor casting toggle
 document.addEventListener('keydown', (e) => {
-  if (!settingsMenu.visible && !mapSelector.visible) {
+  if (!settingsMenu.visible && !mapSelector.visible && !levelEditor.visible) {
     if (e.key === 'o' || e.key === 'O') {
       showOptimizationStats = !showOptimizationStats;
       console.log(`Optimization stats: ${showOptimizationStats ? 'ON' : 'OFF'}`);
@@ -622,9 +907,11 @@ document.addEventListener('keydown', (e) => {
 function setActiveMap(maps, mapName) {
   ActiveMap = maps.find(map => map.name === mapName);
   boundaries = ActiveMap.getBoundaries();
-
-  enemies = ActiveMap.getEnemies();
-  enemies.forEach(enemy => boundaries.push(enemy.skin));
+  navGrid = ActiveMap.mazeData ? null : new NavGrid(boundaries);
+  revealPathCell = -1;
+  reviveEnemies();
+  activeReplay = null;
+  lastRecording = null;
 
   player.pos = { x: ActiveMap.userSpawnLocation.x, y: ActiveMap.userSpawnLocation.y };
   player.updateViewDirection(ActiveMap.userViewDirection);
@@ -664,22 +951,97 @@ function setActiveMap(maps, mapName) {
   fogOfWar.setEnabled(isMazeMap && FogOfWarConfig.enabled);
   if (isMazeMap) {
     // Configure fog of war for maze dimensions
-    const mazeWidth = ActiveMap.mazeData ? ActiveMap.mazeData.cols * ActiveMap.mazeData.cellSize * 2 : 3000;
-    const mazeHeight = ActiveMap.mazeData ? ActiveMap.mazeData.rows * ActiveMap.mazeData.cellSize * 2 : 3000;
-    fogOfWar.configure(mazeWidth, mazeHeight);
+    fogOfWar.configure(ActiveMap.size.width * 2, ActiveMap.size.height * 2);
   }
   fogOfWar.reset();
   
-  // Configure floor zones
+  // Configure floor zones (visuals and gameplay effects)
   floorCaster.clearZones();
+  zoneEffects.clearZones();
   if (ActiveMap.floorZones) {
     floorCaster.setZones(ActiveMap.floorZones);
+    zoneEffects.setZones(ActiveMap.floorZones);
   }
+  for (const plate of ActiveMap.pressurePlates) {
+    floorCaster.addZone({ x: plate.x, y: plate.y, radius: plate.radius, type: 'plate', color: InteractionConfig.plateColor });
+  }
+  zoneEffects.reset(player);
+  interactions.setMap(ActiveMap);
+  lighting.setMapLighting(ActiveMap.ambientLight, ActiveMap.lights);
+  player.resetHealth();
+  startRun();
   
   // Update map selector
   mapSelector.setActiveMap(maps.indexOf(ActiveMap));
 }
 
+/**
+ * Plans the revealed route from the start zone through the player to the goal
+ * (maze maps walk their cells, other maps use the navigation grid)
+ * @returns {Array<{x: number, y: number}>|null} World points, or null without a goal or route
+ */
+function findRevealPath() {
+  if (ActiveMap.mazeData) {
+    return findMazePath(ActiveMap.mazeData, ActiveMap.startZone, player.pos, ActiveMap.goalZone);
+  }
+  if (!ActiveMap.goalZone) return null;
+
+  const fromStart = ActiveMap.startZone ? navGrid.findPath(ActiveMap.startZone, player.pos) : [{ x: player.pos.x, y: player.pos.y }];
+  const toGoal = navGrid.findPath(player.pos, ActiveMap.goalZone);
+  return fromStart && toGoal ? fromStart.concat(toGoal.slice(1)) : null;
+}
+
+/**
+ * Shows the revealed route from where the player stands now
+ */
+function planRevealPath() {
+  revealPathCell = navGrid ? navGrid.getCellIndex(player.pos.x, player.pos.y) : -1;
+  gameState.setPath(findRevealPath());
+}
+
+/**
+ * Moves the player back to the map spawn with full health (hazard respawn, no state reset)
+ */
+function respawnPlayer() {
+  player.pos = { x: ActiveMap.userSpawnLocation.x, y: ActiveMap.userSpawnLocation.y };
+  player.updateViewDirection(ActiveMap.userViewDirection);
+  player.resetHealth();
+  zoneEffects.reset(player);
+}
+
+/**
+ * Revives every enemy on the active map, puts them back at the start of their patrol and restores their sprites
+ */
+function reviveEnemies() {
+  enemies = ActiveMap.getEnemies().slice();
+  const mazeData = ActiveMap.mazeData;
+  enemies.forEach(enemy => {
+    enemy.reset();
+    enemy.skin.updatePosition(enemy.pos.x, enemy.pos.y);
+    enemy.setNavigator(mazeData
+      ? (from, to) => findGridPath(mazeData, from, to)
+      : (from, to) => navGrid.findPath(from, to));
+    if (!boundaries.includes(enemy.skin)) {
+      boundaries.push(enemy.skin);
+    }
+  });
+}
+
+/**
+ * Removes a killed enemy from the live enemy list and its sprite from the scene
+ * @param {EnemyClass} enemy - The enemy that was killed
+ */
+function killEnemy(enemy) {
+  enemies = enemies.filter(e => e !== enemy);
+
+  const skinIndex = boundaries.indexOf(enemy.skin);
+  if (skinIndex !== -1) {
+    boundaries.splice(skinIndex, 1);
+  }
+
+  gameState.registerKill();
+}
+
 /**
  * Switches to a map by index
  * @param {number} index - Index of the map to switch to
@@ -690,15 +1052,132 @@ function switchToMap(index) {
   }
 }
 
+/**
+ * Rebuilds a generated maze with another carving algorithm (same seed and options)
+ * @param {number} index - Index of the maze in the map list
+ * @param {string} algorithm - Algorithm id from MazeConfig.algorithms
+ */
+function regenerateMaze(index, algorithm) {
+  const map = gameMaps[index];
+  gameMaps[index] = createMazeMap(textures, map.name, {
+    ...map.mazeData.options,
+    seed: map.seed,
+    algorithm
+  });
+  analyzeDifficulty(gameMaps[index]);
+  mapSelector.setMaps(gameMaps);
+}
+
+/**
+ * Scores a maze map's difficulty for the map selector (other maps are left unscored)
+ * @param {GameMap} map - Map to analyze
+ */
+function analyzeDifficulty(map) {
+  if (map.mazeData) {
+    map.difficulty = analyzeMaze(map);
+  }
+}
+
+/**
+ * Generates a maze from the custom maze panel's choices (new seed each time) and plays it.
+ * Preset values re-place the enemies until the maze scores in the preset's difficulty band.
+ * It replaces the previous custom maze in the map list.
+ */
+function generateCustomMaze() {
+  const name = MazeConfig.custom.mapName;
+  const options = MazeSettings.getMazeOptions();
+  const preset = MazeSettings.getPreset();
+  let map;
+  if (preset !== null) {
+    const result = generateMazeInBand(textures, name, options, preset);
+    map = result.map;
+    map.difficulty = result.analysis;
+  } else {
+    map = createMazeMap(textures, name, options);
+    analyzeDifficulty(map);
+  }
+
+  const existingIndex = gameMaps.findIndex(m => m.name === map.name);
+  if (existingIndex === -1) {
+    gameMaps.push(map);
+  } else {
+    gameMaps[existingIndex] = map;
+  }
+  mapSelector.setMaps(gameMaps);
+
+  customMazePanel.hide();
+  mapSelector.hide();
+  setActiveMap(gameMaps, map.name);
+}
+
+/**
+ * Opens the leaderboard view for a map
+ * @param {GameMap} map - Map to show runs for
+ */
+function showLeaderboard(map) {
+  leaderboardPanel.show({
+    mapName: map.name,
+    seed: map.seed,
+    topRuns: leaderboard.getTopRuns(map),
+    history: leaderboard.getHistory(map)
+  });
+}
+
+/**
+ * Opens the level editor on the active map (the game pauses while editing)
+ */
+function openLevelEditor() {
+  levelEditor.open(ActiveMap.toJSON(), player.pos);
+  inputHandler.setEnabled(false);
+  document.exitPointerLock();
+}
+
+/**
+ * Leaves the level editor without applying changes
+ */
+function closeLevelEditor() {
+  levelEditor.close();
+  inputHandler.setEnabled(true);
+}
+
+/**
+ * Builds a map from the editor and switches to it for playtesting.
+ * The edited map replaces any earlier version with the same name in the map list.
+ * @param {Object} mapJSON - Map in the JSON map format
+ */
+function playtestEditedMap(mapJSON) {
+  let map;
+  try {
+    map = loadMapFromJSON(textures, mapJSON);
+  } catch (error) {
+    if (!(error instanceof MapValidationError)) throw error;
+    levelEditor.setStatus(error.message);
+    return;
+  }
+
+  const existingIndex = gameMaps.findIndex(m => m.name === map.name);
+  if (existingIndex === -1) {
+    gameMaps.push(map);
+  } else {
+    gameMaps[existingIndex] = map;
+  }
+  analyzeDifficulty(map);
+  mapSelector.setMaps(gameMaps);
+
+  closeLevelEditor();
+  setActiveMap(gameMaps, map.name);
+  console.log(`Playtesting "${map.name}"`);
+}
+
 /**
  * Resets the current game
  */
 function resetGame() {
-  player.pos = { x: ActiveMap.userSpawnLocation.x, y: ActiveMap.userSpawnLocation.y };
-  player.updateViewDirection(ActiveMap.userViewDirection);
+  respawnPlayer();
   
   const isMazeMap = !!ActiveMap.mazeData;
   gameState.reset(isMazeMap);
+  reviveEnemies();
   
   gameOverScreen.hide();
   winScreen.hide();
@@ -713,6 +1192,197 @@ function resetGame() {
     fogOfWar.reset();
     mazeInstructions.show();
   }
+  
+  startRun();
+}
+
+// ===========================================
+// RUN RECORDING, REPLAY AND GHOST
+// ===========================================
+
+/**
+ * Starts a run from the map's spawn state: restarts the simulation clock, animated
+ * walls and player motion, then records the run (or rewinds the replay being watched)
+ */
+function startRun() {
+  gameLoop.resetClock();
+  soundManager.reset();
+  noiseSystem.reset();
+  interactions.reset();
+  for (let i = 0; i < boundaries.length; i++) {
+    const boundary = boundaries[i];
+    if (boundary.moveStops.length > 0 || boundary.rotationStops.length > 0) {
+      boundary.resetAnimation();
+    }
+  }
+  player.resetMotion();
+  lighting.setFlashlight(player);
+
+  if (activeReplay) {
+    activeReplay.rewind();
+    if (player.collisionEnabled !== activeReplay.recording.collisionEnabled) {
+      noclipEnabled = player.toggleCollision();
+    }
+    runRecorder.discardPending();
+  } else {
+    runRecorder.start({
+      mapName: ActiveMap.name,
+      seed: ActiveMap.seed ?? null,
+      boardKey: leaderboard.getBoardKey(ActiveMap),
+      spawn: { x: player.pos.x, y: player.pos.y, direction: player.viewDirection },
+      collisionEnabled: player.collisionEnabled
+    });
+  }
+
+  placeGhost();
+}
+
+/**
+ * Ends the run that is being recorded or replayed. Finished recordings become
+ * the replay for the end screen; winning runs can become the map's ghost.
+ * @param {'win'|'gameOver'} result - How the run ended
+ * @returns {boolean} True if the run was a replay
+ */
+function finishRun(result) {
+  if (activeReplay) {
+    activeReplay = null;
+    return true;
+  }
+
+  const recording = runRecorder.stop({ result, score: gameState.scoreBreakdown?.finalScore ?? null });
+  if (recording) {
+    lastRecording = recording;
+
+    const best = ghostRecordings.get(recording.boardKey);
+    const isBetter = !best || recording.score > best.score ||
+      (recording.score === best.score && recording.duration < best.duration);
+    if (result === 'win' && isBetter) {
+      ghostRecordings.set(recording.boardKey, recording);
+    }
+  }
+  return false;
+}
+
+/**
+ * Queues a gameplay input event for the next simulation step (ignored while watching a replay)
+ * @param {string} type - RunRecorder event type
+ */
+function queueRunInput(type) {
+  if (!activeReplay) {
+    runRecorder.queueEvent(type);
+  }
+}
+
+/**
+ * Applies one frame of recorded or live input to the player
+ * @param {RecordedFrame} frame - Frame from RunRecorder or RunReplay
+ */
+function applyFrameInput(frame) {
+  player.moveForwards = (frame.move & MoveBits.forward) !== 0;
+  player.moveBackwards = (frame.move & MoveBits.backward) !== 0;
+  player.moveLeft = (frame.move & MoveBits.left) !== 0;
+  player.moveRight = (frame.move & MoveBits.right) !== 0;
+  player.analogForward = frame.stick ? frame.stick[0] : 0;
+  player.analogStrafe = frame.stick ? frame.stick[1] : 0;
+
+  if (frame.look !== 0) {
+    player.updateViewDirection(player.viewDirection + frame.look);
+  }
+  if (frame.pitch) {
+    player.updatePitch(player.pitch + frame.pitch);
+  }
+
+  if (!frame.events) return;
+
+  for (const event of frame.events) {
+    switch (event) {
+      case 'jump':
+        player.jump();
+        break;
+      case 'crouchStart':
+        player.setCrouch(true);
+        break;
+      case 'crouchEnd':
+        player.setCrouch(false);
+        break;
+      case 'sprintStart':
+        player.setSprint(true);
+        break;
+      case 'sprintEnd':
+        player.setSprint(false);
+        break;
+      case 'fire': {
+        const shot = player.fire(boundaries, enemies);
+        if (shot && shot.killed) {
+          killEnemy(shot.enemy);
+        }
+        break;
+      }
+      case 'reload':
+        player.reload();
+        break;
+      case 'noclip':
+        noclipEnabled = player.toggleCollision();
+        console.log(`Noclip mode: ${noclipEnabled ? 'ON' : 'OFF'}`);
+        break;
+      case 'use':
+        interactions.use(player);
+        break;
+      case 'flashlight':
+        player.toggleFlashlight();
+        break;
+    }
+  }
+}
+
+/**
+ * Restarts the active map and plays a recording back through the simulation
+ * @param {Recording} recording - Recording of a run on the active map
+ */
+function startReplay(recording) {
+  activeReplay = new RunReplay(recording);
+  resetGame();
+
+  // Replays start straight away
+  if (gameState.showInstructions) {
+    dismissMazeInstructions();
+  }
+}
+
+/**
+ * Dismisses the maze instructions and starts the scoring timer
+ */
+function dismissMazeInstructions() {
+  gameState.dismissInstructions();
+  gameState.startTimer();
+  mazeInstructions.dismiss();
+}
+
+/**
+ * Stops watching a replay and starts a fresh run
+ */
+function stopReplay() {
+  activeReplay = null;
+  resetGame();
+}
+
+/**
+ * Adds the ghost of the map's best run to the scene (or removes it when there
+ * is none, it's switched off, or a replay is playing) and rewinds it
+ */
+function placeGhost() {
+  if (ghostMap) {
+    ghostMap.removeRuntimeSprite(ghost.skin);
+    ghostMap = null;
+  }
+
+  const recording = ghostRecordings.get(leaderboard.getBoardKey(ActiveMap));
+  if (!recording || !ghostEnabled || activeReplay) return;
+
+  ghost.setRecording(recording);
+  ghost.update(gameLoop.simTime, player);
+  ActiveMap.addRuntimeSprite(ghost.skin);
+  ghostMap = ActiveMap;
 }
 
 // ===========================================
@@ -732,6 +1402,11 @@ function setUpGame() {
   textures.addTexture('enemySprite3', './images/30.png');
   textures.addTexture('enemySprite4', './images/40.png');
 
+  // Ghost of the best run uses the enemy sprites, drawn translucent
+  const ghostSprites = ['enemySprite0', 'enemySprite1', 'enemySprite2', 'enemySprite3', 'enemySprite4']
+    .map(key => textures.getTexture(key));
+  ghost = new Ghost({ texture: ghostSprites[0], directionalSprites: ghostSprites });
+
   // Add maps
   gameMaps.push(createTestMap(textures, 'Test Map'));
   gameMaps.push(createMazeMap(textures, 'Maze Map', {
@@ -748,16 +1423,45 @@ function setUpGame() {
   }));
   gameMaps.push(createShowcaseMap(textures, 'Showcase Map'));
   gameMaps.push(createEnemyTestMap(textures, 'Enemy Test'));
+  gameMaps.push(createMazeMap(textures, 'Theta Maze', {
+    topology: 'theta',
+    rings: 10,
+    cellSize: 90,
+    wallThickness: 15,
+    loopChance: 0.1,
+    roomCount: 1,
+    roomMinSize: 2,
+    roomMaxSize: 3,
+    enemyCount: 12
+  }));
+  gameMaps.push(createMazeMap(textures, 'Hex Maze', {
+    topology: 'hex',
+    cols: 18,
+    rows: 18,
+    cellSize: 90,
+    wallThickness: 15,
+    loopChance: 0.1,
+    roomCount: 2,
+    roomMinSize: 2,
+    roomMaxSize: 3,
+    enemyCount: 12
+  }));
 
-  // Set up map selector
+  // Set up map selector (mazes are labeled with their difficulty)
+  gameMaps.forEach(analyzeDifficulty);
   mapSelector.setMaps(gameMaps);
 
   // Create player with canvas height for precomputed height multipliers
   player = new Player({ x: 0, y: 0 });
+  weaponHUD.setWeapon(player.weapon);
   
   // Initialize camera with canvas height for precomputed height multipliers
   player.camera.setCanvasHeight(main_canvas.height);
 
+  // Graphics settings (the starting quality level sets the ray count)
+  applyGraphicsSettings();
+  applyQualityLevel(qualityController.level);
+
   // Set initial active map
   setActiveMap(gameMaps, 'Maze Map');
   
@@ -770,7 +1474,7 @@ function setUpGame() {
 // ===========================================
 
 function drawPathExpiryTimer() {
-  if (!gameState.showPath || !ActiveMap.mazeData) return;
+  if (!gameState.showPath) return;
 
   const ctx = main_ctx;
   const w = main_canvas.width;
@@ -828,49 +1532,161 @@ function drawPathExpiryTimer() {
   ctx.restore();
 }
 
+// ===========================================
+// RENDER INTERACTION PROMPT
+// ===========================================
+
+function drawInteractionPrompt() {
+  if (gameState.isGameOver || gameState.isWin) return;
+
+  const found = activeReplay ? null : interactions.findUseTarget(player);
+  if (!found && !interactions.message) return;
+
+  const ctx = main_ctx;
+  const w = main_canvas.width;
+  const h = main_canvas.height;
+
+  ctx.save();
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+
+  if (found) {
+    let label;
+    if (found.type === 'switch') {
+      label = found.target.isOn ? 'Turn off switch' : 'Use switch';
+    } else if (found.target.isLocked) {
+      label = 'Unlock door';
+    } else {
+      label = found.target.isOpen ? 'Close door' : 'Open door';
+    }
+    ctx.font = `bold ${Math.floor(h * 0.022)}px Arial`;
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
+    const useKey = ControlsConfig.getKeys('use')[0];
+    ctx.fillText(useKey ? `${ControlsConfig.getKeyDisplayName(useKey)}: ${label}` : label, w / 2, h * 0.6);
+  }
+
+  if (interactions.message) {
+    ctx.font = `${Math.floor(h * 0.02)}px Arial`;
+    ctx.fillStyle = 'rgba(255, 220, 120, 0.9)';
+    ctx.fillText(interactions.message, w / 2, h * 0.65);
+  }
+
+  ctx.restore();
+}
+
+// ===========================================
+// RENDER LIGHT INDICATOR
+// ===========================================
+
+function drawLightIndicator() {
+  // Only dark maps make light matter
+  if (!lighting.isActive) return;
+
+  const ctx = main_ctx;
+  const h = main_canvas.height;
+
+  const barWidth = 120;
+  const barHeight = 6;
+  const x = 20;
+  const y = h - 40;
+
+  ctx.save();
+  ctx.font = `${Math.floor(h * 0.016)}px Arial`;
+  ctx.textAlign = 'left';
+  ctx.textBaseline = 'bottom';
+  ctx.fillStyle = 'rgba(200, 200, 200, 0.8)';
+  ctx.fillText(player.flashlightOn ? 'Visibility (flashlight on)' : 'Visibility', x, y - 4);
+
+  ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+  ctx.fillRect(x, y, barWidth, barHeight);
+  const level = player.lightLevel;
+  ctx.fillStyle = `rgba(255, ${Math.round(180 + 60 * level)}, 120, ${0.4 + 0.5 * level})`;
+  ctx.fillRect(x, y, barWidth * level, barHeight);
+  ctx.restore();
+}
+
+// ===========================================
+// RENDER REPLAY INDICATOR
+// ===========================================
+
+function drawReplayIndicator() {
+  if (!activeReplay) return;
+
+  const ctx = main_ctx;
+  const w = main_canvas.width;
+  const h = main_canvas.height;
+
+  const barWidth = 160;
+  const barHeight = 6;
+  const x = w - barWidth - 20;
+  const y = h * 0.06;
+
+  ctx.save();
+
+  // Label (blinking dot like a playback indicator)
+  ctx.font = `bold ${Math.floor(h * 0.024)}px Arial`;
+  ctx.textAlign = 'right';
+  ctx.textBaseline = 'middle';
+  ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
+  ctx.fillText('REPLAY', x + barWidth, y);
+  if (Math.floor(performance.now() / 500) % 2 === 0) {
+    ctx.fillStyle = 'rgba(255, 60, 60, 0.9)';
+    ctx.beginPath();
+    ctx.arc(x + barWidth - ctx.measureText('REPLAY').width - 12, y, 5, 0, Math.PI * 2);
+    ctx.fill();
+  }
+
+  // Progress
+  ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+  ctx.fillRect(x, y + 16, barWidth, barHeight);
+  ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+  ctx.fillRect(x, y + 16, barWidth * activeReplay.progress, barHeight);
+
+  ctx.font = `${Math.floor(h * 0.016)}px Arial`;
+  ctx.fillStyle = 'rgba(200, 200, 200, 0.8)';
+  ctx.fillText('V to stop  •  R to play', x + barWidth, y + 36);
+
+  ctx.restore();
+}
+
 // ===========================================
 // MAIN DRAW LOOP
 // ===========================================
 
-function draw() {
-  main_ctx.clearRect(0, 0, main_canvas.width, main_canvas.height);
+/**
+ * Draws one frame, first running the simulation steps that fit in the time since the last one
+ * @param {number} realDeltaSeconds - Real time since the last frame in seconds
+ */
+function draw(realDeltaSeconds) {
+  // A view still waiting on the raycast worker is replaced by this frame's
+  raycaster.cancelPending();
   minimap_ctx.clearRect(0, 0, minimap_canvas.width, minimap_canvas.height);
 
-  // Calculate timing
-  const currentTime = performance.now();
-  const realDeltaSeconds = (currentTime - lastFrameTime) / 1000;
-  lastFrameTime = currentTime;
-  
-  const deltaTime = getDeltaTime(120);
-  
-  // Update performance tracking (lightweight, runs every frame)
-  updatePerformanceTracking();
+  // Level editor replaces the game view (and pauses the game) while open
+  if (levelEditor.visible) {
+    main_ctx.clearRect(0, 0, main_canvas.width, main_canvas.height);
+    levelEditor.draw(main_ctx, main_canvas.width, main_canvas.height);
+    soundManager.setAlarmLevel(0);
+    return;
+  }
 
-  // Redraw background with parallax
-  drawBackground(background_ctx, background_canvas.height, background_canvas.width, player.eyeHeight);
+  // Update performance tracking (lightweight, runs every frame)
+  updatePerformanceTracking(realDeltaSeconds * 1000);
 
-  // Update input state to player
-  const moveState = inputHandler.getMoveState();
-  player.moveForwards = moveState.forward;
-  player.moveBackwards = moveState.backward;
-  player.moveLeft = moveState.left;
-  player.moveRight = moveState.right;
+  // Gamepad state is only available by polling; touch input is applied here too
+  inputHandler.update(realDeltaSeconds);
 
   // Check if game logic should pause
   const isMazeMap = !!ActiveMap.mazeData;
   
+  // Input made while paused never reaches the simulation, and the alarm stops
+  if ((gameState.showInstructions && isMazeMap) || gameState.isGameOver || gameState.isWin) {
+    runRecorder.discardPending();
+    soundManager.setAlarmLevel(0);
+  }
+  
   if (gameState.showInstructions && isMazeMap) {
-    // Set floor casting params for static render
-    setFloorCastingParams({
-      playerX: player.pos.x,
-      playerY: player.pos.y,
-      playerAngle: player.viewDirection,
-      fov: player.camera.fov,
-      enabled: floorCastingEnabled
-    });
-    // Render scene but don't update
-    const scene = player.getScene(boundaries);
-    render3D(scene, player.eyeHeight);
+    renderStaticView();
     // Update fog of war even during instructions so player sees starting area
     fogOfWar.setBoundaries(boundaries);
     fogOfWar.updateExploration(player.pos.x, player.pos.y, player.viewDirection, player.camera.fov);
@@ -880,17 +1696,7 @@ function draw() {
   }
 
   if (gameState.isGameOver) {
-    // Set floor casting params for static render
-    setFloorCastingParams({
-      playerX: player.pos.x,
-      playerY: player.pos.y,
-      playerAngle: player.viewDirection,
-      fov: player.camera.fov,
-      enabled: floorCastingEnabled
-    });
-    // Render scene but don't update
-    const scene = player.getScene(boundaries);
-    render3D(scene, player.eyeHeight);
+    renderStaticView();
     drawMinimap(minimap_ctx, boundaries, player, enemies, ActiveMap.goalZone, ActiveMap.startZone, null, fogOfWar);
     
     detectionTimer.setValue(gameState.detectionTimer);
@@ -900,44 +1706,117 @@ function draw() {
   }
 
   if (gameState.isWin) {
-    // Set floor casting params for static render
-    setFloorCastingParams({
-      playerX: player.pos.x,
-      playerY: player.pos.y,
-      playerAngle: player.viewDirection,
-      fov: player.camera.fov,
-      enabled: floorCastingEnabled
-    });
-    // Render scene but don't update
-    const scene = player.getScene(boundaries);
-    render3D(scene, player.eyeHeight);
+    renderStaticView();
     drawMinimap(minimap_ctx, boundaries, player, enemies, ActiveMap.goalZone, ActiveMap.startZone, null, fogOfWar);
     
     winScreen.draw(main_ctx, main_canvas.width, main_canvas.height);
     return;
   }
 
+  // The simulation catches up with real time in fixed steps
+  gameLoop.advance(realDeltaSeconds, (stepSeconds, simTime) => simulateStep(stepSeconds, simTime, isMazeMap));
+
+  // Frames fall between steps: draw the view interpolated between the last two
+  const pose = player.getRenderPose(gameLoop.alpha);
+  player.camera.update(pose.pos, pose.viewDirection, pose.eyeHeight);
+
+  // Set floor casting parameters
+  setFloorCastingParams({
+    playerX: pose.pos.x,
+    playerY: pose.pos.y,
+    playerAngle: pose.viewDirection,
+    fov: player.camera.fov,
+    enabled: floorCastingEnabled
+  });
+
+  // Cast this frame's view (a worker cast runs while the rest of the frame is prepared)
+  const eyeHeight = pose.eyeHeight;
+  const horizonShift = pose.horizonShift;
+  raycaster.castAsync(player.camera, boundaries);
+
+  // Sound: an alarm that rises as the alert bar drains (maze maps only)
+  const alarmActive = isMazeMap && !gameState.isGameOver && !gameState.isWin;
+  soundManager.setAlarmLevel(alarmActive ? 1 - gameState.detectionTimer / gameState.detectionTimerMax : 0);
+
+  // Update path if showing (grid maps only replan once the player reaches another cell)
+  if (gameState.showPath && (!navGrid || navGrid.getCellIndex(player.pos.x, player.pos.y) !== revealPathCell)) {
+    planRevealPath();
+  }
+
+  // Update fog of war exploration (view-based with wall occlusion)
+  if (isMazeMap) {
+    fogOfWar.setBoundaries(boundaries);
+    fogOfWar.updateExploration(player.pos.x, player.pos.y, player.viewDirection, player.camera.fov);
+  }
+
+  // Draw minimap (on separate canvas for optimization)
+  drawMinimap(minimap_ctx, boundaries, player, enemies, ActiveMap.goalZone, ActiveMap.startZone, gameState.currentPath, fogOfWar);
+
+  // Weapon sway and recoil
+  weaponHUD.setMoving(player.isMoving);
+  weaponHUD.update(realDeltaSeconds * gameLoop.targetFps, player.currentTime * 1000);
+
+  // The 3D view and HUD go up together once the view is cast
+  raycaster.whenReady(scene => {
+    // Background parallax and pitch move with the view they sit behind
+    drawBackground(background_ctx, background_canvas.height, background_canvas.width, eyeHeight, horizonShift);
+    main_ctx.clearRect(0, 0, main_canvas.width, main_canvas.height);
+    render3D(scene, eyeHeight, horizonShift);
+    drawHUD(isMazeMap);
+  });
+}
+
+/**
+ * Advances the game by one fixed simulation step: input, walls, player, enemies and game state
+ * @param {number} stepSeconds - Step length in seconds
+ * @param {number} simTime - Simulation clock at the end of the step
+ * @param {boolean} isMazeMap - Whether the active map is a maze
+ * @returns {boolean} False once the run stops (replay finished, won or lost)
+ */
+function simulateStep(stepSeconds, simTime, isMazeMap) {
+  const deltaTime = gameLoop.stepDeltaTime;
+  gameState.setTime(simTime);
+  player.storePreviousPose();
+
+  // This step's input: the next recorded frame during a replay, live input otherwise
+  let frame;
+  if (activeReplay) {
+    frame = activeReplay.nextFrame();
+    if (!frame) {
+      stopReplay();
+      return false;
+    }
+  } else {
+    frame = runRecorder.captureFrame(inputHandler.getMoveState(), deltaTime, stepSeconds);
+  }
+  applyFrameInput(frame);
+
   // Update animated boundaries
   for (let i = 0; i < boundaries.length; i++) {
     const boundary = boundaries[i];
     if (boundary.isAnimated) {
-      boundary.update();
+      boundary.update(simTime);
     }
   }
+  lighting.setFlashlight(player);
 
-  // Set floor casting parameters
-  setFloorCastingParams({
-    playerX: player.pos.x,
-    playerY: player.pos.y,
-    playerAngle: player.viewDirection,
-    fov: player.camera.fov,
-    enabled: floorCastingEnabled
-  });
+  // Floor zones set speed/jump modifiers before movement is applied
+  zoneEffects.update(player, stepSeconds);
+  player.update(deltaTime, boundaries, simTime);
+  runRecorder.recordPose(player);
+
+  // Footsteps and landings alert enemies that can hear them
+  noiseSystem.update(player, stepSeconds);
+  noiseSystem.propagate(enemies, boundaries);
+
+  // Footsteps follow the simulation so their cadence doesn't depend on the frame rate
+  soundManager.update(player, enemies, stepSeconds);
 
-  // Render scene
-  const scene = player.getScene(boundaries);
-  render3D(scene, player.eyeHeight);
-  player.update(deltaTime, boundaries);
+  // Keys, pressure plates and sprites that face the player
+  interactions.update(player, enemies, stepSeconds);
+
+  // Enemies see less far when the player stands in the dark
+  player.lightLevel = lighting.getPlayerLightLevel(player);
 
   // Check if player reached goal zone
   if (isMazeMap && ActiveMap.goalZone && !gameState.isWin) {
@@ -950,17 +1829,16 @@ function draw() {
   let isPlayerDetected = false;
   
   enemies.forEach(enemy => {
-    enemy.update(deltaTime);
+    enemy.update(deltaTime, simTime);
     const detected = enemy.detectPlayer(player, boundaries);
     
     if (detected.isDetected) {
       isPlayerDetected = true;
-      enemy.viewDirection = Math.atan2(
-        detected.userPosition.y - enemy.pos.y,
-        detected.userPosition.x - enemy.pos.x
-      ) * 180 / Math.PI;
     }
 
+    // Alert state machine (suspicious / chase / search / return)
+    enemy.updateAI(detected, stepSeconds);
+
     // Update enemy boundary
     const enemyBoundary = boundaries.find(b => b.uniqueID === enemy.id);
     if (enemyBoundary) {
@@ -975,6 +1853,11 @@ function draw() {
     }
   });
 
+  // Ghost of the best run on this map
+  if (ghostMap) {
+    ghost.update(simTime, player);
+  }
+
   // Stop sprinting when detected
   if (isPlayerDetected) {
     player.setSprint(false);
@@ -984,43 +1867,66 @@ function draw() {
   detectionAlert.setDetected(isPlayerDetected);
 
   // Update game state (detection timer, etc.)
-  gameState.update(realDeltaSeconds, isPlayerDetected, player.isCrouching, isMazeMap);
-
-  // Update path if showing
-  if (gameState.showPath && isMazeMap) {
-    const path = findMazePath(
-      ActiveMap.mazeData,
-      ActiveMap.startZone,
-      player.pos,
-      ActiveMap.goalZone
-    );
-    gameState.setPath(path);
-  }
+  gameState.update(stepSeconds, isPlayerDetected, player.isCrouching, isMazeMap);
 
-  // Update fog of war exploration (view-based with wall occlusion)
-  if (isMazeMap) {
-    fogOfWar.setBoundaries(boundaries);
-    fogOfWar.updateExploration(player.pos.x, player.pos.y, player.viewDirection, player.camera.fov);
-  }
+  return !gameState.isGameOver && !gameState.isWin;
+}
 
-  // Draw minimap (on separate canvas for optimization)
-  drawMinimap(minimap_ctx, boundaries, player, enemies, ActiveMap.goalZone, ActiveMap.startZone, gameState.currentPath, fogOfWar);
+/**
+ * Renders the current view without advancing the game (instructions, game over and win screens)
+ */
+function renderStaticView() {
+  // The last frame may have left the camera at an interpolated pose
+  player.camera.update(player.pos, player.viewDirection, player.eyeHeight);
+  drawBackground(background_ctx, background_canvas.height, background_canvas.width, player.eyeHeight, player.horizonShift);
+  main_ctx.clearRect(0, 0, main_canvas.width, main_canvas.height);
+  setFloorCastingParams({
+    playerX: player.pos.x,
+    playerY: player.pos.y,
+    playerAngle: player.viewDirection,
+    fov: player.camera.fov,
+    enabled: floorCastingEnabled
+  });
+  render3D(player.getScene(boundaries), player.eyeHeight, player.horizonShift);
+}
 
+/**
+ * Draws everything over the 3D view: weapon, prompts, alerts, bars and overlays
+ * @param {boolean} isMazeMap - Whether the active map is a maze
+ */
+function drawHUD(isMazeMap) {
   // Draw FPS
   drawFPS(main_canvas.width, main_canvas.height, main_ctx);
 
+  // Draw weapon over the 3D view
+  weaponHUD.draw(main_ctx, main_canvas.width, main_canvas.height);
+
   // Draw UI components
   drawPathExpiryTimer();
+  drawReplayIndicator();
+  drawInteractionPrompt();
+  drawLightIndicator();
   detectionAlert.draw(main_ctx, main_canvas.width, main_canvas.height);
   
   // Detection timer (only for maze map and when not full)
   if (isMazeMap) {
     detectionTimer.setValue(gameState.detectionTimer);
     detectionTimer.draw(main_ctx, main_canvas.width, main_canvas.height);
+  } else if (player.health < player.maxHealth) {
+    // Health only drains from hazards on non-maze maps (hidden when full)
+    healthBar.setValue(player.health);
+    healthBar.draw(main_ctx, main_canvas.width, main_canvas.height);
+  }
+
+  // Touch controls (hidden under menus, which take taps instead)
+  if (!inputHandler.touch.menuMode) {
+    touchControls.draw(main_ctx, main_canvas.width, main_canvas.height, inputHandler.touch);
   }
 
   // Map selector (drawn last to be on top)
   mapSelector.draw(main_ctx, main_canvas.width, main_canvas.height);
+  customMazePanel.draw(main_ctx, main_canvas.width, main_canvas.height);
+  leaderboardPanel.draw(main_ctx, main_canvas.width, main_canvas.height);
   
   // Optimization stats (debug overlay)
   drawOptimizationStats(main_ctx, main_canvas.width, main_canvas.height);
@@ -1040,3 +1946,4 @@ textures.setOnAllLoaded(() => {
 window.stopGameLoop = () => gameLoop.stop();
 window.startGameLoop = () => gameLoop.start();
 window.gameState = gameState;
+window.analyzeMaze = () => analyzeMaze(ActiveMap);
@@ -0,0 +1,260 @@
+import UIComponent from './UIComponent.js';
+import { MazeConfig } from '../config/GameConfig.js';
+import { MazeSettings } from '../config/MazeSettings.js';
+
+/**
+ * CustomMazePanel - Preset and slider panel for generating a custom maze (opened from the map selector)
+ *
+ * Rows are the preset picker, one slider per MazeConfig.custom parameter and a
+ * Generate button. Values live in MazeSettings, so they are saved as they change.
+ */
+class CustomMazePanel extends UIComponent {
+  /**
+   * Creates the custom maze panel
+   */
+  constructor() {
+    super({ visible: false });
+    this.params = MazeSettings.getParams();
+    this.presets = MazeConfig.custom.presets;
+    this.selectedRow = 0;
+  }
+
+  /**
+   * Index of the Generate row
+   * @returns {number}
+   */
+  get generateRow() {
+    return this.params.length + 1;
+  }
+
+  /**
+   * Shows the panel with the preset row selected
+   */
+  show() {
+    super.show();
+    this.selectedRow = 0;
+  }
+
+  /**
+   * Hides the panel
+   */
+  hide() {
+    super.hide();
+    this.visible = false;
+  }
+
+  /**
+   * Moves selection up
+   */
+  selectPrevious() {
+    this.selectedRow = (this.selectedRow - 1 + this.generateRow + 1) % (this.generateRow + 1);
+  }
+
+  /**
+   * Moves selection down
+   */
+  selectNext() {
+    this.selectedRow = (this.selectedRow + 1) % (this.generateRow + 1);
+  }
+
+  /**
+   * Changes the selected row's value by a step (the preset row cycles presets)
+   * @param {number} direction - Direction (-1 or 1)
+   */
+  adjustValue(direction) {
+    if (this.selectedRow === 0) {
+      MazeSettings.cyclePreset(direction);
+    } else if (this.selectedRow < this.generateRow) {
+      MazeSettings.adjust(this.params[this.selectedRow - 1].key, direction);
+    }
+  }
+
+  /**
+   * Handles a tap: picks a preset, sets a slider from the tap position or presses Generate
+   * @param {number} x - X in canvas pixels
+   * @param {number} y - Y in canvas pixels
+   * @param {number} w - Canvas width
+   * @param {number} h - Canvas height
+   * @returns {string|null} 'generate' when Generate is tapped, 'back' for a tap outside the rows, otherwise null
+   */
+  tap(x, y, w, h) {
+    const layout = this._getLayout(w, h);
+    const row = Math.round((y - layout.startY) / layout.rowHeight);
+    if (row < 0 || row > this.generateRow || x < w * 0.15 || x > w * 0.85) return 'back';
+    if (Math.abs(y - (layout.startY + row * layout.rowHeight)) > layout.rowHeight * 0.45) return 'back';
+
+    this.selectedRow = row;
+    if (row === this.generateRow) return 'generate';
+
+    if (row === 0) {
+      const chip = this._getPresetChips(layout).find(c => x >= c.x && x <= c.x + c.width);
+      if (chip) MazeSettings.applyPreset(chip.id);
+    } else if (x >= layout.trackX - layout.knobRadius && x <= layout.trackX + layout.trackWidth + layout.knobRadius) {
+      const param = this.params[row - 1];
+      const fraction = Math.max(0, Math.min(1, (x - layout.trackX) / layout.trackWidth));
+      MazeSettings.set(param.key, param.min + fraction * (param.max - param.min));
+    }
+    return null;
+  }
+
+  /**
+   * Gets the row geometry for a canvas size (shared by drawing and taps)
+   * @private
+   */
+  _getLayout(w, h) {
+    return {
+      startY: h * 0.28,
+      rowHeight: h * 0.075,
+      labelX: w * 0.2,
+      trackX: w * 0.4,
+      trackWidth: w * 0.3,
+      valueX: w * 0.8,
+      knobRadius: h * 0.012
+    };
+  }
+
+  /**
+   * Gets the preset chips laid out across the preset row
+   * @private
+   */
+  _getPresetChips(layout) {
+    const width = (layout.valueX - layout.trackX) / this.presets.length;
+    return this.presets.map((preset, i) => ({
+      id: preset.id,
+      name: preset.name,
+      x: layout.trackX + i * width,
+      width
+    }));
+  }
+
+  /**
+   * Draws the panel
+   * @param {CanvasRenderingContext2D} ctx - Canvas context
+   * @param {number} w - Canvas width
+   * @param {number} h - Canvas height
+   */
+  draw(ctx, w, h) {
+    if (!this.visible) return;
+
+    const layout = this._getLayout(w, h);
+
+    ctx.save();
+
+    // Overlay
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.9)';
+    ctx.fillRect(0, 0, w, h);
+
+    // Title
+    ctx.fillStyle = '#ffffff';
+    ctx.font = `bold ${Math.floor(h * 0.055)}px Arial`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText('CUSTOM MAZE', w * 0.5, h * 0.1);
+
+    ctx.font = `${Math.floor(h * 0.028)}px Arial`;
+    ctx.fillStyle = '#6699ff';
+    ctx.fillText(`Difficulty: ${MazeSettings.getPresetDisplayName()}`, w * 0.5, h * 0.16);
+
+    for (let row = 0; row <= this.generateRow; row++) {
+      const y = layout.startY + row * layout.rowHeight;
+      const isSelected = row === this.selectedRow;
+
+      // Selection background
+      if (isSelected) {
+        ctx.fillStyle = 'rgba(100, 150, 255, 0.3)';
+        ctx.fillRect(w * 0.15, y - layout.rowHeight * 0.4, w * 0.7, layout.rowHeight * 0.8);
+
+        ctx.strokeStyle = '#6699ff';
+        ctx.lineWidth = 2;
+        ctx.strokeRect(w * 0.15, y - layout.rowHeight * 0.4, w * 0.7, layout.rowHeight * 0.8);
+      }
+
+      if (row === this.generateRow) {
+        ctx.textAlign = 'center';
+        ctx.font = `bold ${Math.floor(h * 0.032)}px Arial`;
+        ctx.fillStyle = isSelected ? '#44ff44' : '#88cc88';
+        ctx.fillText('GENERATE', w * 0.5, y);
+        continue;
+      }
+
+      // Label
+      ctx.textAlign = 'left';
+      ctx.font = `${Math.floor(h * 0.03)}px Arial`;
+      ctx.fillStyle = isSelected ? '#ffffff' : '#aaaaaa';
+      ctx.fillText(row === 0 ? 'Preset' : this.params[row - 1].name, layout.labelX, y);
+
+      if (row === 0) {
+        this._drawPresets(ctx, layout, y, h, isSelected);
+      } else {
+        this._drawSlider(ctx, layout, y, h, this.params[row - 1], isSelected);
+      }
+    }
+
+    // Resulting maze size
+    const cols = MazeSettings.get('cols');
+    const rows = MazeSettings.get('rows');
+    const cellSize = MazeSettings.get('cellSize');
+    ctx.textAlign = 'center';
+    ctx.font = `${Math.floor(h * 0.022)}px Arial`;
+    ctx.fillStyle = '#666666';
+    const tuning = MazeSettings.getPreset() !== null ? `enemies placed for ${MazeSettings.getPresetDisplayName()} difficulty` : 'new seed each time';
+    ctx.fillText(`${cols}x${rows} cells  •  ${cols * cellSize}x${rows * cellSize} units  •  ${tuning}`, w * 0.5, h * 0.88);
+
+    // Instructions
+    ctx.fillStyle = '#888888';
+    ctx.fillText('Use ↑↓ to pick a row, ←→ to adjust, Enter to generate, R to reset, Esc to go back', w * 0.5, h * 0.94);
+
+    ctx.restore();
+  }
+
+  /**
+   * Draws the preset chips (the matching preset is highlighted)
+   * @private
+   */
+  _drawPresets(ctx, layout, y, h, isSelected) {
+    const current = MazeSettings.getPreset();
+
+    ctx.textAlign = 'center';
+    ctx.font = `${Math.floor(h * 0.024)}px Arial`;
+    for (const chip of this._getPresetChips(layout)) {
+      const isCurrent = chip.id === current;
+      if (isCurrent) {
+        ctx.fillStyle = 'rgba(100, 150, 255, 0.5)';
+        ctx.fillRect(chip.x + 4, y - layout.rowHeight * 0.28, chip.width - 8, layout.rowHeight * 0.56);
+      }
+      ctx.fillStyle = isCurrent ? '#ffffff' : (isSelected ? '#aaccff' : '#888888');
+      ctx.fillText(chip.name, chip.x + chip.width / 2, y);
+    }
+  }
+
+  /**
+   * Draws a slider with its value
+   * @private
+   */
+  _drawSlider(ctx, layout, y, h, param, isSelected) {
+    const value = MazeSettings.get(param.key);
+    const fraction = (value - param.min) / (param.max - param.min);
+    const knobX = layout.trackX + fraction * layout.trackWidth;
+
+    // Track and filled part
+    ctx.fillStyle = '#333333';
+    ctx.fillRect(layout.trackX, y - 3, layout.trackWidth, 6);
+    ctx.fillStyle = isSelected ? '#6699ff' : '#556688';
+    ctx.fillRect(layout.trackX, y - 3, knobX - layout.trackX, 6);
+
+    // Knob
+    ctx.fillStyle = isSelected ? '#ffffff' : '#aaaaaa';
+    ctx.beginPath();
+    ctx.arc(knobX, y, layout.knobRadius, 0, Math.PI * 2);
+    ctx.fill();
+
+    // Value
+    ctx.textAlign = 'right';
+    ctx.font = `${Math.floor(h * 0.026)}px Arial`;
+    ctx.fillStyle = isSelected ? '#ffffff' : '#aaaaaa';
+    const text = MazeSettings.getValueDisplayName(param.key);
+    ctx.fillText(isSelected ? `◀ ${text} ▶` : text, layout.valueX, y);
+  }
+}
+
+export default CustomMazePanel;
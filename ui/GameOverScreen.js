@@ -9,16 +9,17 @@ class GameOverScreen extends UIComponent {
    * @param {Object} config - Configuration
    * @param {string} [config.title='CAUGHT'] - Main title text
    * @param {string} [config.subtitle='You were detected for too long!'] - Subtitle text
-   * @param {string} [config.instructions='Press R to restart | Press M for map selector'] - Instructions text
+   * @param {string} [config.instructions='Press R to restart | Press V to watch replay | Press M for map selector'] - Instructions text
    */
   constructor({
     title = 'CAUGHT',
     subtitle = 'You were detected for too long!',
-    instructions = 'Press R to restart | Press M for map selector'
+    instructions = 'Press R to restart | Press V to watch replay | Press M for map selector'
   } = {}) {
     super({ visible: false });
     this.title = title;
     this.subtitle = subtitle;
+    this.defaultSubtitle = subtitle;
     this.instructions = instructions;
     this.startTime = 0;
     this.scoreBreakdown = null;
@@ -27,9 +28,11 @@ class GameOverScreen extends UIComponent {
   /**
    * Shows the game over screen with score data
    * @param {Object} scoreBreakdown - Score breakdown from GameStateManager
+   * @param {string} [subtitle] - Reason text (defaults to the configured subtitle)
    */
-  show(scoreBreakdown = null) {
+  show(scoreBreakdown = null, subtitle = null) {
     super.show();
+    this.subtitle = subtitle ?? this.defaultSubtitle;
     this.startTime = performance.now();
     this.scoreBreakdown = scoreBreakdown;
   }
@@ -0,0 +1,178 @@
+import UIComponent from './UIComponent.js';
+import { LeaderboardConfig } from '../config/GameConfig.js';
+
+/**
+ * LeaderboardPanel - Best runs and recent history for one map (opened from the map selector)
+ */
+class LeaderboardPanel extends UIComponent {
+  /**
+   * Creates the leaderboard panel
+   * @param {Object} [config={}] - Configuration
+   * @param {number} [config.recentShown] - Number of recent runs listed
+   */
+  constructor({ recentShown = LeaderboardConfig.recentShown } = {}) {
+    super({ visible: false });
+    this.recentShown = recentShown;
+    this.mapName = '';
+    this.seed = null;
+    this.topRuns = [];
+    this.history = [];
+  }
+
+  /**
+   * Shows the leaderboard for a map
+   * @param {Object} board - Board contents
+   * @param {string} board.mapName - Map name
+   * @param {number|string|null} [board.seed=null] - Generation seed, if any
+   * @param {Object[]} board.topRuns - Best runs, best first
+   * @param {Object[]} board.history - Recent runs, newest first
+   */
+  show({ mapName, seed = null, topRuns, history }) {
+    super.show();
+    this.mapName = mapName;
+    this.seed = seed;
+    this.topRuns = topRuns;
+    this.history = history;
+  }
+
+  /**
+   * Hides the panel
+   */
+  hide() {
+    super.hide();
+    this.visible = false;
+  }
+
+  /**
+   * Formats time as MM:SS.ms
+   * @param {number} seconds - Time in seconds
+   * @returns {string} Formatted time string
+   */
+  formatTime(seconds) {
+    const mins = Math.floor(seconds / 60);
+    const secs = Math.floor(seconds % 60);
+    const ms = Math.floor((seconds % 1) * 100);
+    return `${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}.${ms.toString().padStart(2, '0')}`;
+  }
+
+  /**
+   * Draws the leaderboard
+   * @param {CanvasRenderingContext2D} ctx - Canvas context
+   * @param {number} w - Canvas width
+   * @param {number} h - Canvas height
+   */
+  draw(ctx, w, h) {
+    if (!this.visible) return;
+
+    ctx.save();
+
+    // Overlay
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.9)';
+    ctx.fillRect(0, 0, w, h);
+
+    // Title
+    ctx.fillStyle = '#ffffff';
+    ctx.font = `bold ${Math.floor(h * 0.055)}px Arial`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText('LEADERBOARD', w * 0.5, h * 0.1);
+
+    ctx.font = `${Math.floor(h * 0.028)}px Arial`;
+    ctx.fillStyle = '#6699ff';
+    ctx.fillText(this.seed !== null ? `${this.mapName}  •  seed ${this.seed}` : this.mapName, w * 0.5, h * 0.16);
+
+    // Columns
+    const columns = [
+      { label: '#', x: w * 0.2, align: 'left' },
+      { label: 'SCORE', x: w * 0.36, align: 'right' },
+      { label: 'TIME', x: w * 0.48, align: 'right' },
+      { label: 'DETECTED', x: w * 0.6, align: 'right' },
+      { label: 'PATH', x: w * 0.68, align: 'right' },
+      { label: 'DATE', x: w * 0.8, align: 'right' }
+    ];
+    const rowHeight = h * 0.042;
+    let y = h * 0.24;
+
+    ctx.font = `bold ${Math.floor(h * 0.02)}px Arial`;
+    ctx.fillStyle = '#888888';
+    for (const column of columns) {
+      ctx.textAlign = column.align;
+      ctx.fillText(column.label, column.x, y);
+    }
+    y += rowHeight;
+
+    if (this.topRuns.length === 0) {
+      ctx.textAlign = 'center';
+      ctx.font = `${Math.floor(h * 0.024)}px Arial`;
+      ctx.fillStyle = '#666666';
+      ctx.fillText('No completed runs yet', w * 0.5, y);
+      y += rowHeight;
+    }
+
+    ctx.font = `${Math.floor(h * 0.024)}px Arial`;
+    this.topRuns.forEach((run, i) => {
+      // Personal best row
+      if (i === 0) {
+        ctx.fillStyle = 'rgba(255, 215, 0, 0.15)';
+        ctx.fillRect(w * 0.18, y - rowHeight * 0.45, w * 0.64, rowHeight * 0.9);
+      }
+
+      ctx.fillStyle = i === 0 ? 'rgba(255, 215, 0, 1)' : '#dddddd';
+      this._drawRow(ctx, columns, y, [
+        i === 0 ? '1  PB' : `${i + 1}`,
+        run.score.toLocaleString(),
+        this.formatTime(run.time),
+        `${run.detections}x`,
+        run.pathUsed ? 'yes' : 'no',
+        new Date(run.date).toLocaleDateString()
+      ]);
+      y += rowHeight;
+    });
+
+    // Recent runs (wins and losses)
+    const recent = this.history.slice(0, this.recentShown);
+    if (recent.length > 0) {
+      y += rowHeight * 0.6;
+      ctx.textAlign = 'left';
+      ctx.font = `bold ${Math.floor(h * 0.022)}px Arial`;
+      ctx.fillStyle = '#888888';
+      ctx.fillText('RECENT RUNS', w * 0.2, y);
+      y += rowHeight;
+
+      ctx.font = `${Math.floor(h * 0.021)}px Arial`;
+      for (const run of recent) {
+        ctx.fillStyle = run.isWin ? 'rgba(100, 255, 150, 0.9)' : 'rgba(255, 120, 120, 0.9)';
+        this._drawRow(ctx, columns, y, [
+          run.isWin ? 'WIN' : 'LOST',
+          run.score.toLocaleString(),
+          this.formatTime(run.time),
+          `${run.detections}x`,
+          run.pathUsed ? 'yes' : 'no',
+          new Date(run.date).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+        ]);
+        y += rowHeight * 0.85;
+      }
+    }
+
+    // Instructions
+    ctx.textAlign = 'center';
+    ctx.font = `${Math.floor(h * 0.022)}px Arial`;
+    ctx.fillStyle = '#888888';
+    ctx.fillText('Press L or Esc to go back to the map list', w * 0.5, h * 0.94);
+
+    ctx.restore();
+  }
+
+  /**
+   * Draws one table row
+   * @private
+   */
+  _drawRow(ctx, columns, y, values) {
+    columns.forEach((column, i) => {
+      ctx.textAlign = column.align;
+      ctx.fillText(values[i], column.x, y);
+    });
+  }
+}
+
+export default LeaderboardPanel;
@@ -0,0 +1,1244 @@
+import UIComponent from './UIComponent.js';
+import { EditorConfig, ZoneConfig, EnemyConfig } from '../config/GameConfig.js';
+import { MAP_FORMAT_VERSION } from '../classes/GameMapClass.js';
+import { getWallStrokeColor, strokeWallSegment, strokeWallArc, drawZoneMarker } from '../utils/utils.js';
+import { DEG_TO_RAD } from '../utils/mathLUT.js';
+
+/**
+ * Editor tools, selected with the number keys in this order
+ */
+const TOOLS = [
+  { id: 'select', label: 'Select / Move' },
+  { id: 'wall', label: 'Wall' },
+  { id: 'curve', label: 'Curved Wall' },
+  { id: 'enemy', label: 'Enemy' },
+  { id: 'path', label: 'Enemy Path' },
+  { id: 'start', label: 'Start Zone' },
+  { id: 'goal', label: 'Goal Zone' },
+  { id: 'floor', label: 'Floor Zone' }
+];
+
+// Top-down fill colors per floor zone type (matches the FloorCaster palette)
+const FLOOR_ZONE_COLORS = {
+  jump: '0, 220, 255',
+  slow: '255, 180, 0',
+  speed: '0, 255, 100',
+  danger: '255, 50, 50',
+  pit: '120, 0, 0',
+  warning: '255, 200, 0'
+};
+
+const MAX_UNDO = 50;
+
+/**
+ * Distance from a point to a line segment
+ * @private
+ */
+function distanceToSegment(px, py, ax, ay, bx, by) {
+  const dx = bx - ax;
+  const dy = by - ay;
+  const lengthSq = dx * dx + dy * dy;
+  let t = lengthSq > 0 ? ((px - ax) * dx + (py - ay) * dy) / lengthSq : 0;
+  t = Math.max(0, Math.min(1, t));
+  const cx = ax + dx * t;
+  const cy = ay + dy * t;
+  return Math.hypot(px - cx, py - cy);
+}
+
+/**
+ * LevelEditor - Top-down map editor drawn on the main canvas
+ *
+ * Edits a map in the JSON map format (see maps/mapLoader.js), so the result can be
+ * playtested with loadMapFromJSON and exported as-is. Reuses the minimap drawing primitives.
+ */
+class LevelEditor extends UIComponent {
+  /**
+   * Creates the level editor
+   * @param {Object} config - Configuration
+   * @param {HTMLCanvasElement} config.canvas - Canvas that receives mouse input
+   * @param {string[]} [config.textureKeys=[]] - Wall texture keys that can be assigned
+   * @param {string[]} [config.enemySpriteKeys=[]] - Five directional sprite keys for placed enemies
+   */
+  constructor({ canvas, textureKeys = [], enemySpriteKeys = [] }) {
+    super({ visible: false });
+    this.canvas = canvas;
+    this.textureKeys = textureKeys;
+    this.enemySpriteKeys = enemySpriteKeys;
+
+    /** @type {Object|null} Map being edited, in the JSON map format */
+    this.doc = null;
+
+    this.tool = 'select';
+    this.selection = null;   // { kind: 'wall'|'enemy'|'startZone'|'goalZone'|'floorZone', index, handle }
+    this.drag = null;
+    this.snapToGrid = EditorConfig.snapToGrid;
+
+    // Applied to new walls and floor zones
+    this.currentTexture = textureKeys[0] ?? null;
+    this.currentColor = null;
+    this.floorZoneType = EditorConfig.floorZoneTypes[0];
+
+    // View (camera center in world units, zoom in screen pixels per unit)
+    this.camX = 0;
+    this.camY = 0;
+    this.zoom = EditorConfig.defaultZoom;
+    this.viewWidth = canvas.width;
+    this.viewHeight = canvas.height;
+
+    this.undoStack = [];
+    this.statusText = '';
+    this.statusTime = 0;
+
+    // Callbacks
+    this.onPlaytest = null;  // (mapJSON: Object) => void
+    this.onExit = null;      // () => void
+
+    this._onMouseDown = this._onMouseDown.bind(this);
+    this._onMouseMove = this._onMouseMove.bind(this);
+    this._onMouseUp = this._onMouseUp.bind(this);
+    this._onWheel = this._onWheel.bind(this);
+    this._onContextMenu = this._onContextMenu.bind(this);
+
+    canvas.addEventListener('mousedown', this._onMouseDown);
+    canvas.addEventListener('mousemove', this._onMouseMove);
+    window.addEventListener('mouseup', this._onMouseUp);
+    canvas.addEventListener('wheel', this._onWheel, { passive: false });
+    canvas.addEventListener('contextmenu', this._onContextMenu);
+  }
+
+  // ===========================================
+  // OPEN / CLOSE
+  // ===========================================
+
+  /**
+   * Opens the editor on a map. Reopening on the map that was last playtested
+   * keeps the in-progress document (including undo history).
+   * @param {Object} mapJSON - Map in the JSON map format (e.g. GameMap.toJSON())
+   * @param {{x: number, y: number}} [focus] - World point to center the view on
+   */
+  open(mapJSON, focus = null) {
+    if (!this.doc || this.doc.name !== mapJSON.name) {
+      this.load(mapJSON);
+    }
+    if (focus) {
+      this.camX = focus.x;
+      this.camY = focus.y;
+    }
+    this.visible = true;
+    this.opacity = 1;
+    this.targetOpacity = 1;
+  }
+
+  /**
+   * Closes the editor (the document is kept for the next open)
+   */
+  close() {
+    this.visible = false;
+    this.drag = null;
+  }
+
+  /**
+   * Loads a map for editing, replacing the current document
+   * @param {Object} mapJSON - Map in the JSON map format
+   */
+  load(mapJSON) {
+    const doc = JSON.parse(JSON.stringify(mapJSON));
+
+    // Generated layouts stop matching their seed and maze grid once edited
+    delete doc.seed;
+    delete doc.maze;
+    if (!doc.name.endsWith('(edited)')) {
+      doc.name = `${doc.name} (edited)`;
+    }
+    doc.walls = doc.walls || [];
+    doc.enemies = doc.enemies || [];
+    doc.floorZones = doc.floorZones || [];
+
+    this.doc = doc;
+    this.selection = null;
+    this.undoStack = [];
+    this.camX = doc.width / 2;
+    this.camY = doc.height / 2;
+  }
+
+  /**
+   * Starts a blank map enclosed by four walls
+   */
+  newMap() {
+    const size = EditorConfig.newMapSize;
+    const texture = this.currentTexture || undefined;
+    const corners = [[0, 0], [size, 0], [size, size], [0, size]];
+    const center = size / 2;
+
+    this.load({
+      version: MAP_FORMAT_VERSION,
+      name: 'Custom Map',
+      width: size,
+      height: size,
+      spawn: { x: center, y: center, viewDirection: 0 },
+      walls: corners.map(([x1, y1], i) => {
+        const [x2, y2] = corners[(i + 1) % corners.length];
+        return { type: 'wall', x1, y1, x2, y2, texture };
+      }),
+      enemies: [],
+      startZone: { x: center, y: center, radius: ZoneConfig.defaultRadius, spawnDirection: 0 },
+      goalZone: null,
+      floorZones: [],
+      minimap: null
+    });
+    this.doc.name = 'Custom Map';
+    this.setStatus('New map');
+  }
+
+  /**
+   * Returns a copy of the edited map in the JSON map format
+   * @returns {Object} Map definition
+   */
+  getMapJSON() {
+    return JSON.parse(JSON.stringify(this.doc));
+  }
+
+  /**
+   * Downloads the edited map as a .json file (and logs it to the console)
+   */
+  exportMap() {
+    const text = JSON.stringify(this.doc, null, 2);
+    const fileName = `${this.doc.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')}.json`;
+
+    const url = URL.createObjectURL(new Blob([text], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    URL.revokeObjectURL(url);
+
+    console.log(text);
+    this.setStatus(`Exported ${fileName}`);
+  }
+
+  /**
+   * Shows a short status message in the editor panel
+   * @param {string} text - Message
+   */
+  setStatus(text) {
+    this.statusText = text;
+    this.statusTime = performance.now();
+  }
+
+  // ===========================================
+  // KEYBOARD
+  // ===========================================
+
+  /**
+   * Handles a key press while the editor is open
+   * @param {KeyboardEvent} e - Key event
+   */
+  handleKeyDown(e) {
+    const key = e.key;
+    const lower = key.length === 1 ? key.toLowerCase() : key;
+
+    if (key >= '1' && key <= String(TOOLS.length)) {
+      this.setTool(TOOLS[parseInt(key) - 1].id);
+      return;
+    }
+
+    switch (lower) {
+      case 'Enter':
+        e.preventDefault();
+        if (this.onPlaytest) this.onPlaytest(this.getMapJSON());
+        return;
+      case 'Escape':
+        e.preventDefault();
+        if (this.onExit) this.onExit();
+        return;
+      case 'Delete':
+      case 'Backspace':
+        e.preventDefault();
+        if (this.tool === 'path') {
+          this._removeLastStop();
+        } else {
+          this._deleteSelection();
+        }
+        return;
+      case 'z':
+        if (e.ctrlKey || e.metaKey) e.preventDefault();
+        this.undo();
+        return;
+      case 'g':
+        this.snapToGrid = !this.snapToGrid;
+        this.setStatus(`Grid snap ${this.snapToGrid ? 'ON' : 'OFF'}`);
+        return;
+      case 't':
+        this._cycleTexture();
+        return;
+      case 'c':
+        this._cycleColor();
+        return;
+      case 'r':
+        this._rotateSelection(e.shiftKey ? -EditorConfig.rotateStep : EditorConfig.rotateStep);
+        return;
+      case '[':
+        this._resizeSelection(-EditorConfig.radiusStep);
+        return;
+      case ']':
+        this._resizeSelection(EditorConfig.radiusStep);
+        return;
+      case 'l':
+        this._closePatrolLoop();
+        return;
+      case 'x':
+        this.exportMap();
+        return;
+      case 'n':
+        if (e.shiftKey) this.newMap();
+        return;
+    }
+
+    // Keyboard panning
+    const step = EditorConfig.panStep / this.zoom;
+    if (key === 'ArrowUp' || lower === 'w') this.camY -= step;
+    else if (key === 'ArrowDown' || lower === 's') this.camY += step;
+    else if (key === 'ArrowLeft' || lower === 'a') this.camX -= step;
+    else if (key === 'ArrowRight' || lower === 'd') this.camX += step;
+  }
+
+  /**
+   * Switches the active tool
+   * @param {string} toolId - Tool id from TOOLS
+   */
+  setTool(toolId) {
+    this.tool = toolId;
+    this.drag = null;
+    if (toolId === 'path' && this.selection?.kind !== 'enemy') {
+      this.setStatus('Select an enemy, then click to add patrol stops');
+    }
+  }
+
+  /**
+   * Restores the document to before the last change
+   */
+  undo() {
+    const previous = this.undoStack.pop();
+    if (!previous) {
+      this.setStatus('Nothing to undo');
+      return;
+    }
+    this.doc = JSON.parse(previous);
+    this.selection = null;
+    this.setStatus('Undo');
+  }
+
+  // ===========================================
+  // MOUSE
+  // ===========================================
+
+  /**
+   * Converts a mouse event to world coordinates
+   * @private
+   */
+  _eventToWorld(e) {
+    const rect = this.canvas.getBoundingClientRect();
+    const sx = (e.clientX - rect.left) * (this.canvas.width / rect.width);
+    const sy = (e.clientY - rect.top) * (this.canvas.height / rect.height);
+    return this._screenToWorld(sx, sy);
+  }
+
+  /** @private */
+  _screenToWorld(sx, sy) {
+    return {
+      x: (sx - this.viewWidth / 2) / this.zoom + this.camX,
+      y: (sy - this.viewHeight / 2) / this.zoom + this.camY
+    };
+  }
+
+  /** @private */
+  _project(x, y) {
+    return {
+      x: (x - this.camX) * this.zoom + this.viewWidth / 2,
+      y: (y - this.camY) * this.zoom + this.viewHeight / 2
+    };
+  }
+
+  /** @private */
+  _snap(value) {
+    if (!this.snapToGrid) return Math.round(value);
+    const grid = EditorConfig.gridSize;
+    return Math.round(value / grid) * grid;
+  }
+
+  /** @private */
+  _onContextMenu(e) {
+    if (this.visible) e.preventDefault();
+  }
+
+  /** @private */
+  _onWheel(e) {
+    if (!this.visible) return;
+    e.preventDefault();
+
+    // Zoom around the cursor
+    const before = this._eventToWorld(e);
+    const factor = e.deltaY < 0 ? 1.15 : 1 / 1.15;
+    this.zoom = Math.max(EditorConfig.minZoom, Math.min(EditorConfig.maxZoom, this.zoom * factor));
+    const after = this._eventToWorld(e);
+    this.camX += before.x - after.x;
+    this.camY += before.y - after.y;
+  }
+
+  /** @private */
+  _onMouseDown(e) {
+    if (!this.visible || !this.doc) return;
+
+    const world = this._eventToWorld(e);
+
+    // Right or middle button pans
+    if (e.button !== 0) {
+      this.drag = { mode: 'pan', lastX: e.clientX, lastY: e.clientY };
+      return;
+    }
+
+    const snapped = { x: this._snap(world.x), y: this._snap(world.y) };
+
+    switch (this.tool) {
+      case 'select': {
+        this.selection = this._pick(world);
+        if (this.selection) {
+          this._pushUndo();
+          this.drag = { mode: 'move', start: snapped, original: JSON.parse(JSON.stringify(this._getSelected())) };
+        }
+        break;
+      }
+      case 'wall':
+      case 'curve':
+      case 'floor':
+        this.drag = { mode: this.tool, start: snapped, current: snapped };
+        break;
+      case 'enemy':
+        this._addEnemy(snapped);
+        break;
+      case 'path':
+        this._addPatrolStop(snapped);
+        break;
+      case 'start':
+      case 'goal':
+        this._placeZone(this.tool === 'start' ? 'startZone' : 'goalZone', snapped);
+        break;
+    }
+  }
+
+  /** @private */
+  _onMouseMove(e) {
+    if (!this.visible || !this.drag) return;
+
+    if (this.drag.mode === 'pan') {
+      const rect = this.canvas.getBoundingClientRect();
+      const pixelScale = this.canvas.width / rect.width;
+      this.camX -= (e.clientX - this.drag.lastX) * pixelScale / this.zoom;
+      this.camY -= (e.clientY - this.drag.lastY) * pixelScale / this.zoom;
+      this.drag.lastX = e.clientX;
+      this.drag.lastY = e.clientY;
+      return;
+    }
+
+    const world = this._eventToWorld(e);
+    const snapped = { x: this._snap(world.x), y: this._snap(world.y) };
+
+    if (this.drag.mode === 'move') {
+      this._applyMove(snapped);
+    } else {
+      this.drag.current = snapped;
+    }
+  }
+
+  /** @private */
+  _onMouseUp() {
+    if (!this.visible || !this.drag) return;
+
+    const drag = this.drag;
+    this.drag = null;
+
+    const { start, current } = drag;
+    if (!current) return;
+    const length = Math.hypot(current.x - start.x, current.y - start.y);
+
+    if (drag.mode === 'wall') {
+      if (length < 1) return;
+      this._pushUndo();
+      this.doc.walls.push(this._withAppearance({ type: 'wall', x1: start.x, y1: start.y, x2: current.x, y2: current.y }));
+      this.selection = { kind: 'wall', index: this.doc.walls.length - 1, handle: 'body' };
+    } else if (drag.mode === 'curve') {
+      if (length < 1) return;
+      const direction = Math.atan2(current.y - start.y, current.x - start.x);
+      const halfSpan = EditorConfig.curveSpan / 2;
+      this._pushUndo();
+      this.doc.walls.push(this._withAppearance({
+        type: 'curve',
+        centerX: start.x,
+        centerY: start.y,
+        radius: Math.round(length),
+        startAngle: direction - halfSpan,
+        endAngle: direction + halfSpan
+      }));
+      this.selection = { kind: 'wall', index: this.doc.walls.length - 1, handle: 'body' };
+    } else if (drag.mode === 'floor') {
+      this._pushUndo();
+      this.doc.floorZones.push({
+        x: start.x,
+        y: start.y,
+        radius: length >= 5 ? Math.round(length) : ZoneConfig.defaultRadius,
+        type: this.floorZoneType,
+        intensity: 1.0
+      });
+      this.selection = { kind: 'floorZone', index: this.doc.floorZones.length - 1, handle: 'body' };
+    }
+  }
+
+  // ===========================================
+  // SELECTION
+  // ===========================================
+
+  /**
+   * Finds the closest item (or item handle) under a world point
+   * @private
+   * @returns {Object|null} Selection
+   */
+  _pick(world) {
+    const doc = this.doc;
+    const pickDist = EditorConfig.pickRadius / this.zoom;
+    let best = null;
+    let bestDist = pickDist;
+
+    const consider = (dist, selection) => {
+      if (dist < bestDist) {
+        bestDist = dist;
+        best = selection;
+      }
+    };
+
+    // Patrol stops of the selected enemy take priority so paths can be reshaped
+    if (this.selection?.kind === 'enemy') {
+      const points = this._getPatrolPoints(doc.enemies[this.selection.index]);
+      for (let i = 1; i < points.length; i++) {
+        consider(Math.hypot(world.x - points[i].x, world.y - points[i].y) * 0.5,
+          { kind: 'enemy', index: this.selection.index, handle: `stop:${i - 1}` });
+      }
+    }
+
+    doc.enemies.forEach((enemy, index) => {
+      consider(Math.hypot(world.x - enemy.x, world.y - enemy.y), { kind: 'enemy', index, handle: 'body' });
+    });
+
+    for (const kind of ['startZone', 'goalZone']) {
+      const zone = doc[kind];
+      if (!zone) continue;
+      const dist = Math.hypot(world.x - zone.x, world.y - zone.y);
+      consider(dist <= zone.radius ? Math.min(dist, pickDist * 0.9) : dist - zone.radius, { kind, index: 0, handle: 'body' });
+    }
+
+    doc.walls.forEach((wall, index) => {
+      if (wall.type === 'curve') {
+        consider(Math.hypot(world.x - wall.centerX, world.y - wall.centerY), { kind: 'wall', index, handle: 'center' });
+        const dist = Math.abs(Math.hypot(world.x - wall.centerX, world.y - wall.centerY) - wall.radius);
+        if (this._isAngleOnArc(Math.atan2(world.y - wall.centerY, world.x - wall.centerX), wall)) {
+          consider(dist, { kind: 'wall', index, handle: 'body' });
+        }
+      } else {
+        consider(Math.hypot(world.x - wall.x1, world.y - wall.y1) * 0.5, { kind: 'wall', index, handle: 'a' });
+        consider(Math.hypot(world.x - wall.x2, world.y - wall.y2) * 0.5, { kind: 'wall', index, handle: 'b' });
+        consider(distanceToSegment(world.x, world.y, wall.x1, wall.y1, wall.x2, wall.y2), { kind: 'wall', index, handle: 'body' });
+      }
+    });
+
+    // Floor zones are large, so only claim clicks nothing else wanted
+    if (!best) {
+      doc.floorZones.forEach((zone, index) => {
+        const dist = Math.hypot(world.x - zone.x, world.y - zone.y);
+        if (dist <= zone.radius) consider(pickDist * 0.95, { kind: 'floorZone', index, handle: 'body' });
+      });
+    }
+
+    return best;
+  }
+
+  /** @private */
+  _isAngleOnArc(angle, wall) {
+    const span = wall.endAngle - wall.startAngle;
+    let offset = (angle - wall.startAngle) % (Math.PI * 2);
+    if (offset < 0) offset += Math.PI * 2;
+    return offset <= span;
+  }
+
+  /**
+   * Gets the selected item from the document
+   * @private
+   */
+  _getSelected() {
+    const selection = this.selection;
+    if (!selection) return null;
+    switch (selection.kind) {
+      case 'wall': return this.doc.walls[selection.index];
+      case 'enemy': return this.doc.enemies[selection.index];
+      case 'floorZone': return this.doc.floorZones[selection.index];
+      default: return this.doc[selection.kind];
+    }
+  }
+
+  /**
+   * Applies a drag to the selected item, relative to its state when the drag started
+   * @private
+   */
+  _applyMove(snapped) {
+    const item = this._getSelected();
+    const original = this.drag.original;
+    const { kind, handle } = this.selection;
+    const dx = snapped.x - this.drag.start.x;
+    const dy = snapped.y - this.drag.start.y;
+
+    if (kind === 'wall') {
+      if (item.type === 'curve') {
+        item.centerX = original.centerX + dx;
+        item.centerY = original.centerY + dy;
+      } else if (handle === 'a') {
+        item.x1 = snapped.x;
+        item.y1 = snapped.y;
+      } else if (handle === 'b') {
+        item.x2 = snapped.x;
+        item.y2 = snapped.y;
+      } else {
+        item.x1 = original.x1 + dx;
+        item.y1 = original.y1 + dy;
+        item.x2 = original.x2 + dx;
+        item.y2 = original.y2 + dy;
+      }
+      return;
+    }
+
+    if (kind === 'enemy' && handle.startsWith('stop:')) {
+      // Move one patrol stop; the stops after it keep their world positions
+      const stopIndex = parseInt(handle.slice(5));
+      const stops = item.moveStops;
+      const originalStops = original.moveStops;
+      const stop = originalStops[stopIndex];
+      const newX = stop.x + dx;
+      const newY = stop.y + dy;
+      stops[stopIndex] = { x: newX, y: newY };
+      if (stopIndex + 1 < stops.length) {
+        const next = originalStops[stopIndex + 1];
+        stops[stopIndex + 1] = { x: next.x - dx, y: next.y - dy };
+      }
+      return;
+    }
+
+    item.x = original.x + dx;
+    item.y = original.y + dy;
+
+    // The spawn point follows the start zone
+    if (kind === 'startZone') {
+      this.doc.spawn.x = item.x;
+      this.doc.spawn.y = item.y;
+    }
+  }
+
+  /** @private */
+  _deleteSelection() {
+    const selection = this.selection;
+    if (!selection) return;
+
+    this._pushUndo();
+
+    if (selection.kind === 'enemy' && selection.handle.startsWith('stop:')) {
+      this._removeStop(this.doc.enemies[selection.index], parseInt(selection.handle.slice(5)));
+      this.selection = { ...selection, handle: 'body' };
+      return;
+    }
+
+    switch (selection.kind) {
+      case 'wall': this.doc.walls.splice(selection.index, 1); break;
+      case 'enemy': this.doc.enemies.splice(selection.index, 1); break;
+      case 'floorZone': this.doc.floorZones.splice(selection.index, 1); break;
+      default: this.doc[selection.kind] = null; break;
+    }
+    this.selection = null;
+  }
+
+  // ===========================================
+  // EDIT OPERATIONS
+  // ===========================================
+
+  /** @private */
+  _pushUndo() {
+    this.undoStack.push(JSON.stringify(this.doc));
+    if (this.undoStack.length > MAX_UNDO) {
+      this.undoStack.shift();
+    }
+  }
+
+  /**
+   * Applies the current texture and color to a new wall definition
+   * @private
+   */
+  _withAppearance(wall) {
+    if (this.currentTexture) wall.texture = this.currentTexture;
+    if (this.currentColor) {
+      wall.color = this.currentColor;
+      if (this.currentColor.startsWith('rgba')) wall.isTransparent = true;
+    }
+    return wall;
+  }
+
+  /** @private */
+  _addEnemy(position) {
+    this._pushUndo();
+
+    const id = this.doc.enemies.reduce((max, enemy) => Math.max(max, enemy.id), 0) + 1;
+    const enemy = { id, x: position.x, y: position.y, viewDirection: 0 };
+    if (this.enemySpriteKeys.length === 5) {
+      enemy.texture = this.enemySpriteKeys[0];
+      enemy.directionalSprites = [...this.enemySpriteKeys];
+    }
+
+    this.doc.enemies.push(enemy);
+    this.selection = { kind: 'enemy', index: this.doc.enemies.length - 1, handle: 'body' };
+  }
+
+  /**
+   * Gets an enemy's patrol route as world positions (spawn first)
+   * @private
+   */
+  _getPatrolPoints(enemy) {
+    const points = [{ x: enemy.x, y: enemy.y }];
+    let x = enemy.x;
+    let y = enemy.y;
+    for (const stop of enemy.moveStops || []) {
+      x += stop.x;
+      y += stop.y;
+      points.push({ x, y });
+    }
+    return points;
+  }
+
+  /** @private */
+  _addPatrolStop(position) {
+    if (this.selection?.kind !== 'enemy') {
+      // Clicking an enemy with the path tool selects it
+      const picked = this._pick(position);
+      if (picked?.kind === 'enemy') {
+        this.selection = { ...picked, handle: 'body' };
+      } else {
+        this.setStatus('Select an enemy first');
+      }
+      return;
+    }
+
+    const enemy = this.doc.enemies[this.selection.index];
+    const points = this._getPatrolPoints(enemy);
+    const last = points[points.length - 1];
+    if (last.x === position.x && last.y === position.y) return;
+
+    this._pushUndo();
+    enemy.moveStops = enemy.moveStops || [];
+    enemy.moveStops.push({ x: position.x - last.x, y: position.y - last.y });
+    enemy.moveTime = enemy.moveTime ?? 2;
+    enemy.repeatMovement = enemy.repeatMovement ?? true;
+  }
+
+  /** @private */
+  _removeStop(enemy, stopIndex) {
+    const stops = enemy.moveStops;
+    if (!stops || stopIndex >= stops.length) return;
+
+    // Fold the removed leg into the next one so later stops keep their positions
+    if (stopIndex + 1 < stops.length) {
+      stops[stopIndex + 1] = {
+        x: stops[stopIndex + 1].x + stops[stopIndex].x,
+        y: stops[stopIndex + 1].y + stops[stopIndex].y
+      };
+    }
+    stops.splice(stopIndex, 1);
+
+    if (stops.length === 0) {
+      delete enemy.moveStops;
+      delete enemy.moveTime;
+      delete enemy.repeatMovement;
+    }
+  }
+
+  /** @private */
+  _removeLastStop() {
+    if (this.selection?.kind !== 'enemy') return;
+    const enemy = this.doc.enemies[this.selection.index];
+    if (!enemy.moveStops || enemy.moveStops.length === 0) return;
+
+    this._pushUndo();
+    this._removeStop(enemy, enemy.moveStops.length - 1);
+  }
+
+  /**
+   * Adds a final stop that returns the selected enemy to its spawn
+   * @private
+   */
+  _closePatrolLoop() {
+    if (this.selection?.kind !== 'enemy') return;
+    const enemy = this.doc.enemies[this.selection.index];
+    const points = this._getPatrolPoints(enemy);
+    const last = points[points.length - 1];
+    if (points.length < 2 || (last.x === enemy.x && last.y === enemy.y)) return;
+
+    this._pushUndo();
+    enemy.moveStops.push({ x: enemy.x - last.x, y: enemy.y - last.y });
+    this.setStatus('Patrol loop closed');
+  }
+
+  /** @private */
+  _placeZone(kind, position) {
+    this._pushUndo();
+
+    const existing = this.doc[kind];
+    const zone = { x: position.x, y: position.y, radius: existing?.radius ?? ZoneConfig.defaultRadius };
+    if (kind === 'startZone') {
+      zone.spawnDirection = existing?.spawnDirection ?? this.doc.spawn.viewDirection ?? 0;
+      this.doc.spawn.x = position.x;
+      this.doc.spawn.y = position.y;
+    }
+
+    this.doc[kind] = zone;
+    this.selection = { kind, index: 0, handle: 'body' };
+  }
+
+  /** @private */
+  _cycleTexture() {
+    const item = this._getSelected();
+
+    // Floor zones cycle their type instead
+    if (this.selection?.kind === 'floorZone' || (!item && this.tool === 'floor')) {
+      const types = EditorConfig.floorZoneTypes;
+      const currentType = item ? item.type : this.floorZoneType;
+      const nextType = types[(types.indexOf(currentType) + 1) % types.length];
+      if (item) {
+        this._pushUndo();
+        item.type = nextType;
+      }
+      this.floorZoneType = nextType;
+      this.setStatus(`Floor zone: ${nextType}`);
+      return;
+    }
+
+    const options = [null, ...this.textureKeys];
+    const isWall = this.selection?.kind === 'wall';
+    const current = isWall ? (item.texture ?? null) : this.currentTexture;
+    const next = options[(options.indexOf(current) + 1) % options.length];
+
+    if (isWall) {
+      this._pushUndo();
+      if (next) item.texture = next;
+      else delete item.texture;
+    }
+    this.currentTexture = next;
+    this.setStatus(`Texture: ${next || 'none'}`);
+  }
+
+  /** @private */
+  _cycleColor() {
+    const options = EditorConfig.colors;
+    const item = this._getSelected();
+    const isWall = this.selection?.kind === 'wall';
+    const current = isWall ? (item.color ?? null) : this.currentColor;
+    const next = options[(options.indexOf(current) + 1) % options.length];
+
+    if (isWall) {
+      this._pushUndo();
+      if (next) {
+        item.color = next;
+        if (next.startsWith('rgba')) item.isTransparent = true;
+        else delete item.isTransparent;
+      } else {
+        delete item.color;
+        delete item.isTransparent;
+      }
+    }
+    this.currentColor = next;
+    this.setStatus(`Color: ${next || 'none'}`);
+  }
+
+  /** @private */
+  _rotateSelection(degrees) {
+    const item = this._getSelected();
+    if (!item) return;
+
+    this._pushUndo();
+    switch (this.selection.kind) {
+      case 'enemy':
+        item.viewDirection = ((item.viewDirection ?? 0) + degrees + 360) % 360;
+        break;
+      case 'startZone':
+        item.spawnDirection = ((item.spawnDirection ?? 0) + degrees + 360) % 360;
+        this.doc.spawn.viewDirection = item.spawnDirection;
+        break;
+      case 'wall':
+        if (item.type === 'curve') {
+          item.startAngle += degrees * DEG_TO_RAD;
+          item.endAngle += degrees * DEG_TO_RAD;
+        } else {
+          const cx = (item.x1 + item.x2) / 2;
+          const cy = (item.y1 + item.y2) / 2;
+          const cos = Math.cos(degrees * DEG_TO_RAD);
+          const sin = Math.sin(degrees * DEG_TO_RAD);
+          const rotate = (x, y) => ({
+            x: Math.round(cx + (x - cx) * cos - (y - cy) * sin),
+            y: Math.round(cy + (x - cx) * sin + (y - cy) * cos)
+          });
+          const a = rotate(item.x1, item.y1);
+          const b = rotate(item.x2, item.y2);
+          item.x1 = a.x; item.y1 = a.y;
+          item.x2 = b.x; item.y2 = b.y;
+        }
+        break;
+      default:
+        this.undoStack.pop();
+        break;
+    }
+  }
+
+  /** @private */
+  _resizeSelection(amount) {
+    const item = this._getSelected();
+    if (!item || item.radius === undefined) return;
+
+    this._pushUndo();
+    item.radius = Math.max(5, item.radius + amount);
+  }
+
+  // ===========================================
+  // DRAWING
+  // ===========================================
+
+  /**
+   * Draws the editor view and panel
+   * @param {CanvasRenderingContext2D} ctx - Canvas context
+   * @param {number} w - Canvas width
+   * @param {number} h - Canvas height
+   */
+  draw(ctx, w, h) {
+    if (!this.visible || !this.doc) return;
+
+    this.viewWidth = w;
+    this.viewHeight = h;
+    const project = (x, y) => this._project(x, y);
+
+    ctx.save();
+    ctx.fillStyle = '#0b0e14';
+    ctx.fillRect(0, 0, w, h);
+
+    this._drawGrid(ctx, w, h);
+    this._drawFloorZones(ctx);
+    this._drawWalls(ctx, project);
+    this._drawZones(ctx);
+    this._drawEnemies(ctx, project);
+    this._drawDragPreview(ctx, project);
+    this._drawPanel(ctx, w, h);
+    ctx.restore();
+  }
+
+  /** @private */
+  _drawGrid(ctx, w, h) {
+    // Coarsen the grid when zoomed out so lines stay at least 8px apart
+    let spacing = EditorConfig.gridSize;
+    while (spacing * this.zoom < 8) spacing *= 4;
+
+    const topLeft = this._screenToWorld(0, 0);
+    const bottomRight = this._screenToWorld(w, h);
+
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.06)';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    for (let x = Math.floor(topLeft.x / spacing) * spacing; x <= bottomRight.x; x += spacing) {
+      const sx = this._project(x, 0).x;
+      ctx.moveTo(sx, 0);
+      ctx.lineTo(sx, h);
+    }
+    for (let y = Math.floor(topLeft.y / spacing) * spacing; y <= bottomRight.y; y += spacing) {
+      const sy = this._project(0, y).y;
+      ctx.moveTo(0, sy);
+      ctx.lineTo(w, sy);
+    }
+    ctx.stroke();
+
+    // Map bounds
+    const origin = this._project(0, 0);
+    ctx.strokeStyle = 'rgba(100, 150, 255, 0.5)';
+    ctx.setLineDash([6, 4]);
+    ctx.strokeRect(origin.x, origin.y, this.doc.width * this.zoom, this.doc.height * this.zoom);
+    ctx.setLineDash([]);
+  }
+
+  /** @private */
+  _drawFloorZones(ctx) {
+    this.doc.floorZones.forEach((zone, index) => {
+      const pos = this._project(zone.x, zone.y);
+      const rgb = FLOOR_ZONE_COLORS[zone.type] || '100, 100, 255';
+      const selected = this._isSelected('floorZone', index);
+
+      ctx.fillStyle = `rgba(${rgb}, ${0.15 + 0.25 * (zone.intensity ?? 1)})`;
+      ctx.strokeStyle = selected ? '#ffffff' : `rgba(${rgb}, 0.8)`;
+      ctx.lineWidth = selected ? 2 : 1;
+      ctx.beginPath();
+      ctx.arc(pos.x, pos.y, zone.radius * this.zoom, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.stroke();
+
+      ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+      ctx.font = '10px monospace';
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'middle';
+      ctx.fillText(zone.type, pos.x, pos.y);
+    });
+  }
+
+  /** @private */
+  _drawWalls(ctx, project) {
+    this.doc.walls.forEach((wall, index) => {
+      const selected = this._isSelected('wall', index);
+      ctx.strokeStyle = selected ? '#ffcc00' : getWallStrokeColor(wall);
+      ctx.lineWidth = selected ? 4 : 2;
+
+      if (wall.type === 'curve') {
+        strokeWallArc(ctx, wall.centerX, wall.centerY, wall.radius, wall.startAngle, wall.endAngle, project, 32);
+        if (selected) this._drawHandle(ctx, project(wall.centerX, wall.centerY));
+      } else {
+        strokeWallSegment(ctx, wall.x1, wall.y1, wall.x2, wall.y2, project);
+        if (selected) {
+          this._drawHandle(ctx, project(wall.x1, wall.y1));
+          this._drawHandle(ctx, project(wall.x2, wall.y2));
+        }
+      }
+
+      // Animated walls get a dashed preview of their first move
+      if (wall.moveStops && wall.moveStops.length > 0) {
+        const cx = wall.type === 'curve' ? wall.centerX : (wall.x1 + wall.x2) / 2;
+        const cy = wall.type === 'curve' ? wall.centerY : (wall.y1 + wall.y2) / 2;
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.3)';
+        ctx.lineWidth = 1;
+        ctx.setLineDash([4, 4]);
+        strokeWallSegment(ctx, cx, cy, cx + wall.moveStops[0].x, cy + wall.moveStops[0].y, project);
+        ctx.setLineDash([]);
+      }
+    });
+  }
+
+  /** @private */
+  _drawZones(ctx) {
+    const now = performance.now();
+    const zones = [
+      { kind: 'startZone', rgb: '0, 200, 255', glow: 0.5, pulse: 0.7 + 0.3 * Math.sin(now * 0.003) },
+      { kind: 'goalZone', rgb: '0, 255, 100', glow: 0.6, pulse: 0.7 + 0.3 * Math.sin(now * 0.004) }
+    ];
+
+    for (const { kind, rgb, glow, pulse } of zones) {
+      const zone = this.doc[kind];
+      if (!zone) continue;
+
+      const pos = this._project(zone.x, zone.y);
+      drawZoneMarker(ctx, pos.x, pos.y, zone.radius * this.zoom, rgb, glow, pulse, 1);
+
+      if (this._isSelected(kind, 0)) {
+        ctx.strokeStyle = '#ffcc00';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.arc(pos.x, pos.y, zone.radius * this.zoom + 4, 0, Math.PI * 2);
+        ctx.stroke();
+      }
+
+      // Spawn facing arrow
+      if (kind === 'startZone') {
+        const angle = (zone.spawnDirection ?? 0) * DEG_TO_RAD;
+        const length = Math.max(20, zone.radius * this.zoom * 1.3);
+        ctx.strokeStyle = `rgba(${rgb}, 0.9)`;
+        ctx.beginPath();
+        ctx.moveTo(pos.x, pos.y);
+        ctx.lineTo(pos.x + Math.cos(angle) * length, pos.y + Math.sin(angle) * length);
+        ctx.stroke();
+      }
+    }
+  }
+
+  /** @private */
+  _drawEnemies(ctx, project) {
+    this.doc.enemies.forEach((enemy, index) => {
+      const pos = project(enemy.x, enemy.y);
+      const selected = this._isSelected('enemy', index);
+
+      // Vision cone (straight edges, no occlusion)
+      const direction = (enemy.viewDirection ?? 0) * DEG_TO_RAD;
+      const halfFov = (enemy.fov ?? EnemyConfig.defaultFov) * 0.5 * DEG_TO_RAD;
+      const range = (enemy.visibilityDistance ?? EnemyConfig.defaultVisibilityDistance) * this.zoom;
+      ctx.fillStyle = 'rgba(255, 60, 60, 0.12)';
+      ctx.beginPath();
+      ctx.moveTo(pos.x, pos.y);
+      ctx.arc(pos.x, pos.y, range, direction - halfFov, direction + halfFov);
+      ctx.closePath();
+      ctx.fill();
+
+      // Patrol route
+      const points = this._getPatrolPoints(enemy);
+      if (points.length > 1) {
+        ctx.strokeStyle = selected ? 'rgba(255, 200, 80, 0.9)' : 'rgba(255, 120, 120, 0.5)';
+        ctx.lineWidth = selected ? 2 : 1;
+        ctx.setLineDash([6, 4]);
+        ctx.beginPath();
+        points.forEach((point, i) => {
+          const p = project(point.x, point.y);
+          if (i === 0) ctx.moveTo(p.x, p.y);
+          else ctx.lineTo(p.x, p.y);
+        });
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        if (selected) {
+          for (let i = 1; i < points.length; i++) {
+            const highlighted = this.selection.handle === `stop:${i - 1}`;
+            this._drawHandle(ctx, project(points[i].x, points[i].y), highlighted ? '#ffcc00' : 'rgba(255, 200, 80, 0.9)');
+          }
+        }
+      }
+
+      // Body and facing
+      ctx.fillStyle = selected ? '#ffcc00' : '#ff3333';
+      ctx.beginPath();
+      ctx.arc(pos.x, pos.y, 6, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.strokeStyle = ctx.fillStyle;
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      ctx.moveTo(pos.x, pos.y);
+      ctx.lineTo(pos.x + Math.cos(direction) * 14, pos.y + Math.sin(direction) * 14);
+      ctx.stroke();
+    });
+  }
+
+  /** @private */
+  _drawDragPreview(ctx, project) {
+    const drag = this.drag;
+    if (!drag || !drag.current) return;
+
+    const { start, current } = drag;
+    const length = Math.hypot(current.x - start.x, current.y - start.y);
+
+    ctx.strokeStyle = 'rgba(255, 204, 0, 0.8)';
+    ctx.lineWidth = 2;
+    ctx.setLineDash([6, 4]);
+
+    if (drag.mode === 'wall') {
+      strokeWallSegment(ctx, start.x, start.y, current.x, current.y, project);
+    } else if (drag.mode === 'curve') {
+      const direction = Math.atan2(current.y - start.y, current.x - start.x);
+      const halfSpan = EditorConfig.curveSpan / 2;
+      strokeWallArc(ctx, start.x, start.y, length, direction - halfSpan, direction + halfSpan, project, 32);
+    } else if (drag.mode === 'floor') {
+      const pos = project(start.x, start.y);
+      ctx.beginPath();
+      ctx.arc(pos.x, pos.y, (length >= 5 ? length : ZoneConfig.defaultRadius) * this.zoom, 0, Math.PI * 2);
+      ctx.stroke();
+    }
+
+    ctx.setLineDash([]);
+
+    // Length readout
+    const end = project(current.x, current.y);
+    ctx.fillStyle = 'rgba(255, 204, 0, 0.9)';
+    ctx.font = '11px monospace';
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'bottom';
+    ctx.fillText(`${Math.round(length)}`, end.x + 8, end.y - 4);
+  }
+
+  /** @private */
+  _drawHandle(ctx, pos, color = '#ffcc00') {
+    ctx.fillStyle = color;
+    ctx.fillRect(pos.x - 4, pos.y - 4, 8, 8);
+  }
+
+  /** @private */
+  _isSelected(kind, index) {
+    return this.selection !== null && this.selection.kind === kind && this.selection.index === index;
+  }
+
+  /**
+   * Describes the selected item for the panel
+   * @private
+   */
+  _describeSelection() {
+    const item = this._getSelected();
+    if (!item) return 'Nothing selected';
+
+    switch (this.selection.kind) {
+      case 'wall':
+        if (item.type === 'curve') {
+          return `Curve r=${item.radius}  tex: ${item.texture || '-'}  color: ${item.color || '-'}`;
+        }
+        return `Wall (${item.x1}, ${item.y1}) → (${item.x2}, ${item.y2})  tex: ${item.texture || '-'}  color: ${item.color || '-'}`;
+      case 'enemy': {
+        const stops = item.moveStops ? item.moveStops.length : 0;
+        return `Enemy #${item.id}  dir ${Math.round(item.viewDirection ?? 0)}°  ${stops} patrol stop${stops === 1 ? '' : 's'}`;
+      }
+      case 'startZone':
+        return `Start zone r=${item.radius}  facing ${Math.round(item.spawnDirection ?? 0)}°`;
+      case 'goalZone':
+        return `Goal zone r=${item.radius}`;
+      case 'floorZone':
+        return `Floor zone "${item.type}" r=${item.radius}`;
+    }
+    return '';
+  }
+
+  /** @private */
+  _drawPanel(ctx, w, h) {
+    const x = 12;
+    const lineHeight = 15;
+    let y = 12;
+
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.75)';
+    ctx.fillRect(x - 4, y - 4, 330, 18 + lineHeight * (TOOLS.length + 6));
+
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+    ctx.font = 'bold 13px monospace';
+    ctx.fillStyle = 'rgba(0, 255, 100, 1)';
+    ctx.fillText('LEVEL EDITOR', x, y);
+    ctx.font = '11px monospace';
+    ctx.fillStyle = 'rgba(180, 180, 180, 0.9)';
+    ctx.fillText(this.doc.name, x + 110, y + 1);
+    y += lineHeight + 4;
+
+    TOOLS.forEach((tool, i) => {
+      const active = tool.id === this.tool;
+      ctx.fillStyle = active ? 'rgba(255, 204, 0, 1)' : 'rgba(200, 200, 200, 0.8)';
+      ctx.fillText(`${active ? '▶' : ' '} ${i + 1}  ${tool.label}`, x, y);
+      y += lineHeight;
+    });
+
+    y += 4;
+    ctx.fillStyle = 'rgba(150, 200, 255, 0.9)';
+    ctx.fillText(`Texture: ${this.currentTexture || 'none'}   Color: ${this.currentColor || 'none'}`, x, y);
+    y += lineHeight;
+    ctx.fillText(`Floor type: ${this.floorZoneType}   Snap: ${this.snapToGrid ? EditorConfig.gridSize : 'off'}`, x, y);
+    y += lineHeight;
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
+    ctx.fillText(this._describeSelection(), x, y);
+    y += lineHeight;
+
+    if (this.statusText && performance.now() - this.statusTime < 3000) {
+      ctx.fillStyle = 'rgba(255, 204, 0, 0.95)';
+      ctx.fillText(this.statusText, x, y);
+    }
+
+    // Key hints along the bottom
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+    ctx.fillRect(0, h - 40, w, 40);
+    ctx.fillStyle = 'rgba(200, 200, 200, 0.85)';
+    ctx.textAlign = 'center';
+    ctx.fillText('Drag: place/move  Del: delete  T: texture/type  C: color  R: rotate  [ ]: radius  L: close patrol  G: snap  Ctrl+Z: undo', w / 2, h - 34);
+    ctx.fillText('Right-drag/WASD: pan  Wheel: zoom  ENTER/B: playtest  X: export JSON  Shift+N: new map  ESC: leave editor', w / 2, h - 18);
+  }
+}
+
+export default LevelEditor;
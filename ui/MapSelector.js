@@ -1,7 +1,10 @@
 import UIComponent from './UIComponent.js';
+import { MazeConfig } from '../config/GameConfig.js';
+import { MazeSettings } from '../config/MazeSettings.js';
 
 /**
  * MapSelector - Map selection overlay UI
+ * The list ends with a "Custom Maze" entry that opens the custom maze panel instead of a map
  */
 class MapSelector extends UIComponent {
   /**
@@ -14,6 +17,12 @@ class MapSelector extends UIComponent {
     this.maps = maps;
     this.selectedIndex = 0;
     this.activeMapIndex = 0;
+    this.touchMode = false; // Shows tap instructions once touch controls are in use
+    
+    // Carving algorithm chosen for the selected map (generated mazes only)
+    this.algorithms = MazeConfig.algorithms;
+    this.algorithmChoices = []; // Algorithms that work for the selected maze's topology
+    this.algorithmIndex = -1;
   }
 
   /**
@@ -30,21 +39,48 @@ class MapSelector extends UIComponent {
    */
   setActiveMap(index) {
     this.activeMapIndex = index;
-    this.selectedIndex = index;
+    this._select(index);
   }
 
   /**
    * Moves selection up
    */
   selectPrevious() {
-    this.selectedIndex = (this.selectedIndex - 1 + this.maps.length) % this.maps.length;
+    const count = this.maps.length + 1;
+    this._select((this.selectedIndex - 1 + count) % count);
   }
 
   /**
    * Moves selection down
    */
   selectNext() {
-    this.selectedIndex = (this.selectedIndex + 1) % this.maps.length;
+    this._select((this.selectedIndex + 1) % (this.maps.length + 1));
+  }
+
+  /**
+   * Whether the "Custom Maze" entry (after the maps) is selected
+   * @returns {boolean}
+   */
+  isCustomEntrySelected() {
+    return this.selectedIndex === this.maps.length;
+  }
+
+  /**
+   * Steps through the carving algorithms for the selected map (generated mazes only)
+   * @param {number} step - 1 for the next algorithm, -1 for the previous
+   */
+  cycleAlgorithm(step) {
+    if (this.algorithmIndex === -1) return;
+    const count = this.algorithmChoices.length;
+    this.algorithmIndex = (this.algorithmIndex + step + count) % count;
+  }
+
+  /**
+   * Gets the carving algorithm chosen for the selected map
+   * @returns {string|null} Algorithm id, or null if the selected map is not a generated maze
+   */
+  getSelectedAlgorithm() {
+    return this.algorithmIndex === -1 ? null : this.algorithmChoices[this.algorithmIndex].id;
   }
 
   /**
@@ -61,10 +97,74 @@ class MapSelector extends UIComponent {
   toggle() {
     this.visible = !this.visible;
     if (this.visible) {
-      this.selectedIndex = this.activeMapIndex;
+      this._select(this.activeMapIndex);
     }
   }
 
+  /**
+   * Selects a map and starts the algorithm choice from the one it was generated with
+   * @param {number} index - Map index
+   * @private
+   */
+  _select(index) {
+    this.selectedIndex = index;
+    const map = this.maps[index];
+    const algorithm = this._getAlgorithm(map);
+    const isGrid = algorithm && map.mazeData.topology === 'square';
+    this.algorithmChoices = algorithm ? this.algorithms.filter(a => isGrid || !a.gridOnly) : [];
+    this.algorithmIndex = algorithm ? this.algorithmChoices.findIndex(a => a.id === algorithm) : -1;
+  }
+
+  /**
+   * Gets the algorithm a map was generated with
+   * @param {GameMap} map - Map to check
+   * @returns {string|null} Algorithm id, or null if the map is not a generated maze
+   * @private
+   */
+  _getAlgorithm(map) {
+    return map && map.mazeData && map.mazeData.options ? map.mazeData.algorithm : null;
+  }
+
+  /**
+   * Hides the selector
+   */
+  hide() {
+    super.hide();
+    this.visible = false;
+  }
+
+  /**
+   * Finds the map entry at a canvas position
+   * @param {number} x - X in canvas pixels
+   * @param {number} y - Y in canvas pixels
+   * @param {number} w - Canvas width
+   * @param {number} h - Canvas height
+   * @returns {number} Map index (maps.length for the "Custom Maze" entry), or -1 if the position is not on an entry
+   */
+  getIndexAt(x, y, w, h) {
+    if (x < w * 0.2 || x > w * 0.8) return -1;
+
+    const { startY, itemHeight } = this._getListLayout(h);
+    for (let i = 0; i <= this.maps.length; i++) {
+      const itemY = startY + i * itemHeight;
+      if (y >= itemY - itemHeight * 0.4 && y <= itemY + itemHeight * 0.4) return i;
+    }
+    return -1;
+  }
+
+  /**
+   * Gets the list geometry (entries shrink to fit once the list outgrows the screen)
+   * @param {number} h - Canvas height
+   * @returns {{startY: number, itemHeight: number}}
+   * @private
+   */
+  _getListLayout(h) {
+    return {
+      startY: h * 0.32,
+      itemHeight: Math.min(h * 0.1, h * 0.64 / (this.maps.length + 1))
+    };
+  }
+
   /**
    * Draws the map selector
    * @param {CanvasRenderingContext2D} ctx - Canvas context
@@ -90,11 +190,13 @@ class MapSelector extends UIComponent {
     // Instructions
     ctx.font = `${Math.floor(h * 0.025)}px Arial`;
     ctx.fillStyle = '#888888';
-    ctx.fillText('Use ↑↓ arrows or number keys (1-9) to select, Enter to confirm, M/Tab to close', w * 0.5, h * 0.22);
+    const instructions = this.touchMode
+      ? 'Tap a map to play it or Custom Maze to make one, tap outside to close'
+      : 'Use ↑↓ or number keys (1-9) to select, ←→ to change maze algorithm, Enter to confirm, L for leaderboard, M/Tab to close';
+    ctx.fillText(instructions, w * 0.5, h * 0.22);
 
     // Map list
-    const startY = h * 0.32;
-    const itemHeight = h * 0.1;
+    const { startY, itemHeight } = this._getListLayout(h);
 
     for (let i = 0; i < this.maps.length; i++) {
       const map = this.maps[i];
@@ -104,42 +206,82 @@ class MapSelector extends UIComponent {
 
       // Selection background
       if (isSelected) {
-        ctx.fillStyle = 'rgba(100, 150, 255, 0.3)';
-        ctx.fillRect(w * 0.2, y - itemHeight * 0.4, w * 0.6, itemHeight * 0.8);
-
-        ctx.strokeStyle = '#6699ff';
-        ctx.lineWidth = 2;
-        ctx.strokeRect(w * 0.2, y - itemHeight * 0.4, w * 0.6, itemHeight * 0.8);
+        this._drawSelection(ctx, w, y, itemHeight);
       }
 
       // Map number
       ctx.fillStyle = isSelected ? '#ffffff' : '#666666';
-      ctx.font = `bold ${Math.floor(h * 0.04)}px Arial`;
+      ctx.font = `bold ${Math.floor(itemHeight * 0.4)}px Arial`;
       ctx.textAlign = 'left';
       ctx.fillText(`${i + 1}.`, w * 0.25, y);
 
       // Map name
       ctx.fillStyle = isSelected ? '#ffffff' : '#aaaaaa';
-      ctx.font = `${Math.floor(h * 0.04)}px Arial`;
+      ctx.font = `${Math.floor(itemHeight * 0.4)}px Arial`;
       ctx.fillText(map.name, w * 0.32, y);
 
       // Active indicator
       if (isActive) {
         ctx.fillStyle = '#44ff44';
-        ctx.font = `${Math.floor(h * 0.025)}px Arial`;
+        ctx.font = `${Math.floor(itemHeight * 0.25)}px Arial`;
         ctx.textAlign = 'right';
         ctx.fillText('(CURRENT)', w * 0.75, y);
       }
 
       // Map size
       ctx.fillStyle = '#666666';
-      ctx.font = `${Math.floor(h * 0.02)}px Arial`;
+      ctx.font = `${Math.floor(itemHeight * 0.2)}px Arial`;
       ctx.textAlign = 'left';
-      ctx.fillText(`${map.size.width}x${map.size.height} units`, w * 0.32, y + itemHeight * 0.25);
+      const seedText = map.seed !== null ? `  •  seed ${map.seed}` : '';
+      const difficultyText = map.difficulty ? `  •  ${map.difficulty.band.name} (${map.difficulty.score})` : '';
+      ctx.fillText(`${map.size.width}x${map.size.height} units${seedText}${difficultyText}`, w * 0.32, y + itemHeight * 0.25);
+
+      // Carving algorithm (the selected maze shows the pending choice, regenerated on confirm)
+      const algorithm = this._getAlgorithm(map);
+      if (algorithm) {
+        const shownId = isSelected ? this.getSelectedAlgorithm() : algorithm;
+        const name = this.algorithms.find(a => a.id === shownId)?.name ?? shownId;
+        ctx.textAlign = 'right';
+        ctx.fillStyle = isSelected ? (shownId !== algorithm ? '#ffcc44' : '#aaccff') : '#666666';
+        ctx.fillText(isSelected ? `◀ ${name} ▶` : name, w * 0.75, y + itemHeight * 0.25);
+      }
     }
 
+    // Custom maze entry (opens the parameter panel)
+    const customY = startY + this.maps.length * itemHeight;
+    const isCustomSelected = this.isCustomEntrySelected();
+    if (isCustomSelected) {
+      this._drawSelection(ctx, w, customY, itemHeight);
+    }
+
+    ctx.textAlign = 'left';
+    ctx.fillStyle = isCustomSelected ? '#ffffff' : '#666666';
+    ctx.font = `bold ${Math.floor(itemHeight * 0.4)}px Arial`;
+    ctx.fillText('+', w * 0.25, customY);
+
+    ctx.fillStyle = isCustomSelected ? '#ffcc44' : '#aaaaaa';
+    ctx.font = `${Math.floor(itemHeight * 0.4)}px Arial`;
+    ctx.fillText('Custom Maze...', w * 0.32, customY);
+
+    ctx.fillStyle = '#666666';
+    ctx.font = `${Math.floor(itemHeight * 0.2)}px Arial`;
+    ctx.fillText(`Pick size, loops, rooms and enemies  •  ${MazeSettings.getPresetDisplayName()}`, w * 0.32, customY + itemHeight * 0.25);
+
     ctx.restore();
   }
+
+  /**
+   * Draws the highlight behind the selected entry
+   * @private
+   */
+  _drawSelection(ctx, w, y, itemHeight) {
+    ctx.fillStyle = 'rgba(100, 150, 255, 0.3)';
+    ctx.fillRect(w * 0.2, y - itemHeight * 0.4, w * 0.6, itemHeight * 0.8);
+
+    ctx.strokeStyle = '#6699ff';
+    ctx.lineWidth = 2;
+    ctx.strokeRect(w * 0.2, y - itemHeight * 0.4, w * 0.6, itemHeight * 0.8);
+  }
 }
 
 export default MapSelector;
@@ -1,8 +1,13 @@
 /**
- * SettingsMenu - HTML/CSS based settings menu for controls and sensitivity
+ * SettingsMenu - HTML/CSS based settings menu for controls, sensitivity, volume and graphics
  */
 
 import { ControlsConfig } from '../config/ControlsConfig.js';
+import { AudioSettings } from '../config/AudioSettings.js';
+import { GraphicsSettings } from '../config/GraphicsSettings.js';
+
+// Tab order (Tab key cycles through them)
+const TABS = ['controls', 'sensitivity', 'volume', 'graphics'];
 
 /**
  * Settings menu component using HTML/CSS
@@ -10,8 +15,11 @@ import { ControlsConfig } from '../config/ControlsConfig.js';
 class SettingsMenu {
   constructor() {
     this.visible = false;
-    this.currentTab = 'controls'; // 'controls' or 'sensitivity'
+    this.currentTab = 'controls'; // 'controls', 'sensitivity', 'volume' or 'graphics'
     this.selectedIndex = 0;
+    this.selectedVolumeIndex = 0;
+    this.selectedGraphicsIndex = 0;
+    this.selectedLookIndex = 0; // Row on the sensitivity tab (mouse, vertical, invert Y)
     this.isRebinding = false;
     this.rebindingAction = null;
     this.rebindingKeyIndex = -1; // -1 means adding new key, >= 0 means replacing existing key at index
@@ -46,6 +54,8 @@ class SettingsMenu {
         <div class="settings-tabs">
           <button class="tab-btn active" data-tab="controls">Controls</button>
           <button class="tab-btn" data-tab="sensitivity">Sensitivity</button>
+          <button class="tab-btn" data-tab="volume">Volume</button>
+          <button class="tab-btn" data-tab="graphics">Graphics</button>
         </div>
         
         <div class="settings-content">
@@ -58,13 +68,63 @@ class SettingsMenu {
           </div>
           
           <div class="tab-content hidden" id="sensitivity-tab">
-            <div class="sensitivity-control">
+            <div class="sensitivity-control volume-control look-control">
               <label>Mouse Sensitivity</label>
               <div class="sensitivity-slider-container">
                 <input type="range" id="sensitivity-slider" min="1" max="200" value="20">
                 <span class="sensitivity-value" id="sensitivity-value">0.20</span>
               </div>
             </div>
+            <div class="sensitivity-control volume-control look-control">
+              <label>Vertical Sensitivity</label>
+              <div class="sensitivity-slider-container">
+                <input type="range" id="pitch-sensitivity-slider" min="1" max="200" value="10">
+                <span class="sensitivity-value" id="pitch-sensitivity-value">0.10</span>
+              </div>
+            </div>
+            <div class="sensitivity-control volume-control look-control">
+              <label>Invert Y</label>
+              <div class="sensitivity-slider-container">
+                <button class="footer-btn graphics-btn invert-y-btn">‹</button>
+                <span class="sensitivity-value graphics-value" id="invert-y-value">Off</span>
+                <button class="footer-btn graphics-btn invert-y-btn">›</button>
+              </div>
+            </div>
+            <div class="controls-help">
+              <p>Use <kbd>↑</kbd> <kbd>↓</kbd> to pick a setting and <kbd>←</kbd> <kbd>→</kbd> to adjust</p>
+            </div>
+          </div>
+          
+          <div class="tab-content hidden" id="volume-tab">
+            ${AudioSettings.getChannels().map(channel => `
+              <div class="sensitivity-control volume-control" data-channel="${channel}">
+                <label>${AudioSettings.getChannelDisplayName(channel)}</label>
+                <div class="sensitivity-slider-container">
+                  <input type="range" class="volume-slider" data-channel="${channel}" min="0" max="100" value="0">
+                  <span class="sensitivity-value volume-value" data-channel="${channel}">0%</span>
+                </div>
+              </div>
+            `).join('')}
+            <div class="controls-help">
+              <p>Use <kbd>↑</kbd> <kbd>↓</kbd> to pick a channel and <kbd>←</kbd> <kbd>→</kbd> to adjust</p>
+            </div>
+          </div>
+          
+          <div class="tab-content hidden" id="graphics-tab">
+            ${GraphicsSettings.getOptions().map(option => `
+              <div class="sensitivity-control volume-control graphics-control" data-option="${option}">
+                <label>${GraphicsSettings.getOptionDisplayName(option)}</label>
+                <div class="sensitivity-slider-container">
+                  <button class="footer-btn graphics-btn" data-option="${option}" data-direction="-1">‹</button>
+                  <span class="sensitivity-value graphics-value" data-option="${option}"></span>
+                  <button class="footer-btn graphics-btn" data-option="${option}" data-direction="1">›</button>
+                </div>
+              </div>
+            `).join('')}
+            <div class="controls-help">
+              <p>Use <kbd>↑</kbd> <kbd>↓</kbd> to pick an option and <kbd>←</kbd> <kbd>→</kbd> to change it</p>
+              <p class="help-note">Compare the renderers with the <kbd>O</kbd> stats overlay</p>
+            </div>
           </div>
         </div>
         
@@ -85,6 +145,15 @@ class SettingsMenu {
     this.controlsList = this.overlay.querySelector('#controls-list');
     this.sensitivitySlider = this.overlay.querySelector('#sensitivity-slider');
     this.sensitivityValue = this.overlay.querySelector('#sensitivity-value');
+    this.pitchSensitivitySlider = this.overlay.querySelector('#pitch-sensitivity-slider');
+    this.pitchSensitivityValue = this.overlay.querySelector('#pitch-sensitivity-value');
+    this.invertYValue = this.overlay.querySelector('#invert-y-value');
+    this.lookControls = this.overlay.querySelectorAll('.look-control');
+    this.volumeControls = this.overlay.querySelectorAll('#volume-tab .volume-control');
+    this.volumeSliders = this.overlay.querySelectorAll('.volume-slider');
+    this.volumeValues = this.overlay.querySelectorAll('.volume-value');
+    this.graphicsControls = this.overlay.querySelectorAll('.graphics-control');
+    this.graphicsValues = this.overlay.querySelectorAll('.graphics-value');
     this.tabButtons = this.overlay.querySelectorAll('.tab-btn');
     this.tabContents = this.overlay.querySelectorAll('.tab-content');
   }
@@ -344,7 +413,16 @@ class SettingsMenu {
         gap: 16px;
       }
       
-      #sensitivity-slider {
+      .volume-control {
+        margin-bottom: 12px;
+        transition: border-color 0.2s;
+      }
+      
+      .volume-control.selected {
+        border-color: #e94560;
+      }
+      
+      #sensitivity-slider, #pitch-sensitivity-slider, .volume-slider {
         flex: 1;
         height: 8px;
         -webkit-appearance: none;
@@ -354,7 +432,7 @@ class SettingsMenu {
         outline: none;
       }
       
-      #sensitivity-slider::-webkit-slider-thumb {
+      #sensitivity-slider::-webkit-slider-thumb, #pitch-sensitivity-slider::-webkit-slider-thumb, .volume-slider::-webkit-slider-thumb {
         -webkit-appearance: none;
         appearance: none;
         width: 20px;
@@ -365,11 +443,11 @@ class SettingsMenu {
         transition: transform 0.1s;
       }
       
-      #sensitivity-slider::-webkit-slider-thumb:hover {
+      #sensitivity-slider::-webkit-slider-thumb:hover, #pitch-sensitivity-slider::-webkit-slider-thumb:hover, .volume-slider::-webkit-slider-thumb:hover {
         transform: scale(1.1);
       }
       
-      #sensitivity-slider::-moz-range-thumb {
+      #sensitivity-slider::-moz-range-thumb, #pitch-sensitivity-slider::-moz-range-thumb, .volume-slider::-moz-range-thumb {
         width: 20px;
         height: 20px;
         background: #e94560;
@@ -386,6 +464,15 @@ class SettingsMenu {
         text-align: right;
       }
       
+      .graphics-value {
+        flex: 1;
+        text-align: center;
+      }
+      
+      .graphics-btn {
+        padding: 6px 14px;
+      }
+      
       .settings-footer {
         padding: 16px 24px;
         background: rgba(0, 0, 0, 0.3);
@@ -453,9 +540,40 @@ class SettingsMenu {
     // Sensitivity slider
     this.sensitivitySlider.addEventListener('input', (e) => {
       const value = parseInt(e.target.value) / 100;
+      this.selectedLookIndex = 0;
       ControlsConfig.setSensitivity(value);
       this._updateSensitivityDisplay();
     });
+    this.pitchSensitivitySlider.addEventListener('input', (e) => {
+      const value = parseInt(e.target.value) / 100;
+      this.selectedLookIndex = 1;
+      ControlsConfig.setPitchSensitivity(value);
+      this._updateSensitivityDisplay();
+    });
+    
+    // Invert Y toggle (either arrow flips it)
+    this.overlay.querySelectorAll('.invert-y-btn').forEach(btn => {
+      btn.addEventListener('click', () => {
+        this.selectedLookIndex = 2;
+        ControlsConfig.setInvertY(!ControlsConfig.getInvertY());
+      });
+    });
+    
+    // Volume sliders
+    this.volumeSliders.forEach((slider, index) => {
+      slider.addEventListener('input', (e) => {
+        this.selectedVolumeIndex = index;
+        AudioSettings.setVolume(slider.dataset.channel, parseInt(e.target.value) / 100);
+      });
+    });
+    
+    // Graphics option buttons
+    this.overlay.querySelectorAll('.graphics-control .graphics-btn').forEach(btn => {
+      btn.addEventListener('click', () => {
+        this.selectedGraphicsIndex = GraphicsSettings.getOptions().indexOf(btn.dataset.option);
+        GraphicsSettings.cycle(btn.dataset.option, parseInt(btn.dataset.direction));
+      });
+    });
     
     // Reset defaults button
     this.overlay.querySelector('#reset-defaults-btn').addEventListener('click', () => {
@@ -473,6 +591,12 @@ class SettingsMenu {
     ControlsConfig.addListener(() => {
       this._updateDisplay();
     });
+    AudioSettings.addListener(() => {
+      this._updateVolumeDisplay();
+    });
+    GraphicsSettings.addListener(() => {
+      this._updateGraphicsDisplay();
+    });
   }
 
   /**
@@ -511,12 +635,12 @@ class SettingsMenu {
     }
     if (key === 'ArrowLeft') {
       e.preventDefault();
-      this.adjustSensitivity(-1);
+      this.adjustValue(-1);
       return;
     }
     if (key === 'ArrowRight') {
       e.preventDefault();
-      this.adjustSensitivity(1);
+      this.adjustValue(1);
       return;
     }
     if (key === 'Enter') {
@@ -526,7 +650,7 @@ class SettingsMenu {
     }
     if (key === 'Tab') {
       e.preventDefault();
-      this.switchTab(this.currentTab === 'controls' ? 'sensitivity' : 'controls');
+      this.nextTab();
       return;
     }
     if (key === 'r' || key === 'R') {
@@ -543,6 +667,8 @@ class SettingsMenu {
   _updateDisplay() {
     this._updateControlsList();
     this._updateSensitivityDisplay();
+    this._updateVolumeDisplay();
+    this._updateGraphicsDisplay();
   }
 
   /**
@@ -626,18 +752,64 @@ class SettingsMenu {
   }
 
   /**
-   * Updates the sensitivity display
+   * Updates the sensitivity display and highlights the selected row
    * @private
    */
   _updateSensitivityDisplay() {
     const sensitivity = ControlsConfig.getSensitivity();
     this.sensitivitySlider.value = Math.round(sensitivity * 100);
     this.sensitivityValue.textContent = sensitivity.toFixed(2);
+    
+    const pitchSensitivity = ControlsConfig.getPitchSensitivity();
+    this.pitchSensitivitySlider.value = Math.round(pitchSensitivity * 100);
+    this.pitchSensitivityValue.textContent = pitchSensitivity.toFixed(2);
+    
+    this.invertYValue.textContent = ControlsConfig.getInvertY() ? 'On' : 'Off';
+    
+    this.lookControls.forEach((control, index) => {
+      control.classList.toggle('selected', index === this.selectedLookIndex);
+    });
+  }
+
+  /**
+   * Updates the volume sliders and highlights the selected channel
+   * @private
+   */
+  _updateVolumeDisplay() {
+    this.volumeSliders.forEach(slider => {
+      slider.value = Math.round(AudioSettings.getVolume(slider.dataset.channel) * 100);
+    });
+    this.volumeValues.forEach(value => {
+      value.textContent = `${Math.round(AudioSettings.getVolume(value.dataset.channel) * 100)}%`;
+    });
+    this.volumeControls.forEach((control, index) => {
+      control.classList.toggle('selected', index === this.selectedVolumeIndex);
+    });
+  }
+
+  /**
+   * Updates the graphics option values and highlights the selected option
+   * @private
+   */
+  _updateGraphicsDisplay() {
+    this.graphicsValues.forEach(value => {
+      value.textContent = GraphicsSettings.getValueDisplayName(value.dataset.option);
+    });
+    this.graphicsControls.forEach((control, index) => {
+      control.classList.toggle('selected', index === this.selectedGraphicsIndex);
+    });
+  }
+
+  /**
+   * Switches to the next tab (wrapping around)
+   */
+  nextTab() {
+    this.switchTab(TABS[(TABS.indexOf(this.currentTab) + 1) % TABS.length]);
   }
 
   /**
    * Switches to a different tab
-   * @param {string} tab - Tab name ('controls' or 'sensitivity')
+   * @param {string} tab - Tab name ('controls', 'sensitivity', 'volume' or 'graphics')
    */
   switchTab(tab) {
     this.currentTab = tab;
@@ -748,9 +920,24 @@ class SettingsMenu {
   }
 
   /**
-   * Selects the previous control
+   * Selects the previous control (or the previous row on the other tabs)
    */
   selectPrevious() {
+    if (this.currentTab === 'sensitivity') {
+      this.selectedLookIndex = Math.max(0, this.selectedLookIndex - 1);
+      this._updateSensitivityDisplay();
+      return;
+    }
+    if (this.currentTab === 'volume') {
+      this.selectedVolumeIndex = Math.max(0, this.selectedVolumeIndex - 1);
+      this._updateVolumeDisplay();
+      return;
+    }
+    if (this.currentTab === 'graphics') {
+      this.selectedGraphicsIndex = Math.max(0, this.selectedGraphicsIndex - 1);
+      this._updateGraphicsDisplay();
+      return;
+    }
     if (this.currentTab !== 'controls') return;
     
     const actions = ControlsConfig.getActions();
@@ -759,9 +946,24 @@ class SettingsMenu {
   }
 
   /**
-   * Selects the next control
+   * Selects the next control (or the next row on the other tabs)
    */
   selectNext() {
+    if (this.currentTab === 'sensitivity') {
+      this.selectedLookIndex = Math.min(this.lookControls.length - 1, this.selectedLookIndex + 1);
+      this._updateSensitivityDisplay();
+      return;
+    }
+    if (this.currentTab === 'volume') {
+      this.selectedVolumeIndex = Math.min(this.volumeControls.length - 1, this.selectedVolumeIndex + 1);
+      this._updateVolumeDisplay();
+      return;
+    }
+    if (this.currentTab === 'graphics') {
+      this.selectedGraphicsIndex = Math.min(this.graphicsControls.length - 1, this.selectedGraphicsIndex + 1);
+      this._updateGraphicsDisplay();
+      return;
+    }
     if (this.currentTab !== 'controls') return;
     
     const actions = ControlsConfig.getActions();
@@ -782,13 +984,44 @@ class SettingsMenu {
   }
 
   /**
-   * Adjusts sensitivity by a step
+   * Adjusts the value on the current tab (sensitivity, the selected volume or graphics option) by a step
+   * @param {number} direction - Direction (-1 or 1)
+   */
+  adjustValue(direction) {
+    if (this.currentTab === 'volume') {
+      this.adjustVolume(direction);
+    } else if (this.currentTab === 'graphics') {
+      GraphicsSettings.cycle(GraphicsSettings.getOptions()[this.selectedGraphicsIndex], direction);
+    } else {
+      this.adjustSensitivity(direction);
+    }
+  }
+
+  /**
+   * Adjusts the selected channel's volume by a step
+   * @param {number} direction - Direction (-1 or 1)
+   */
+  adjustVolume(direction) {
+    if (this.currentTab !== 'volume') return;
+    
+    const channel = AudioSettings.getChannels()[this.selectedVolumeIndex];
+    AudioSettings.adjustVolume(channel, direction);
+  }
+
+  /**
+   * Adjusts the selected sensitivity row by a step (either direction flips invert Y)
    * @param {number} direction - Direction (-1 or 1)
    */
   adjustSensitivity(direction) {
     if (this.currentTab !== 'sensitivity') return;
     
-    ControlsConfig.adjustSensitivity(direction);
+    if (this.selectedLookIndex === 0) {
+      ControlsConfig.adjustSensitivity(direction);
+    } else if (this.selectedLookIndex === 1) {
+      ControlsConfig.adjustPitchSensitivity(direction);
+    } else {
+      ControlsConfig.setInvertY(!ControlsConfig.getInvertY());
+    }
     this._updateSensitivityDisplay();
   }
 
@@ -797,6 +1030,8 @@ class SettingsMenu {
    */
   resetToDefaults() {
     ControlsConfig.resetToDefaults();
+    AudioSettings.resetToDefaults();
+    GraphicsSettings.resetToDefaults();
     this._updateDisplay();
   }
 
@@ -0,0 +1,74 @@
+import UIComponent from './UIComponent.js';
+import { UIConfig } from '../config/GameConfig.js';
+
+/**
+ * TouchControls - Draws the on-screen joystick and buttons for touch play
+ * Layout and state come from the TouchInput so drawing always matches what is hit-tested
+ */
+class TouchControls extends UIComponent {
+  /**
+   * Creates the touch controls overlay
+   */
+  constructor() {
+    super();
+    this.config = UIConfig.touchControls;
+  }
+
+  /**
+   * Draws the touch controls
+   * @param {CanvasRenderingContext2D} ctx - Canvas context
+   * @param {number} w - Canvas width
+   * @param {number} h - Canvas height
+   * @param {TouchInput} touchInput - Touch input providing the layout and state
+   */
+  draw(ctx, w, h, touchInput) {
+    if (!this.visible || !touchInput.active) return;
+
+    const layout = touchInput.getLayout(w, h);
+    const joystick = touchInput.joystick;
+    const isHeld = joystick.touchId !== null;
+
+    ctx.save();
+    ctx.globalAlpha = this.config.opacity;
+
+    // Joystick base follows the finger while held, otherwise rests at its default spot
+    const baseX = isHeld ? joystick.originX : layout.joystick.x;
+    const baseY = isHeld ? joystick.originY : layout.joystick.y;
+    const radius = layout.joystick.radius;
+
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.15)';
+    ctx.strokeStyle = '#ffffff';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.arc(baseX, baseY, radius, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.stroke();
+
+    ctx.fillStyle = '#ffffff';
+    ctx.beginPath();
+    ctx.arc(isHeld ? joystick.knobX : baseX, isHeld ? joystick.knobY : baseY, radius * 0.4, 0, Math.PI * 2);
+    ctx.fill();
+
+    // Buttons (toggles that are on are highlighted)
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    for (const button of layout.buttons) {
+      const isOn = button.toggle && touchInput.toggles[button.action];
+
+      ctx.fillStyle = isOn ? 'rgba(100, 150, 255, 0.6)' : 'rgba(255, 255, 255, 0.15)';
+      ctx.strokeStyle = isOn ? '#6699ff' : '#ffffff';
+      ctx.beginPath();
+      ctx.arc(button.x, button.y, button.radius, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.stroke();
+
+      ctx.fillStyle = '#ffffff';
+      ctx.font = `bold ${Math.floor(button.radius * 0.45)}px Arial`;
+      ctx.fillText(button.label, button.x, button.y);
+    }
+
+    ctx.restore();
+  }
+}
+
+export default TouchControls;
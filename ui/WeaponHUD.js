@@ -0,0 +1,210 @@
+import UIComponent from './UIComponent.js';
+
+/**
+ * WeaponHUD - Draws the first-person weapon, muzzle flash, crosshair and ammo counter
+ * Drawn on top of the 3D view after render3D
+ */
+class WeaponHUD extends UIComponent {
+  /**
+   * Creates the weapon HUD
+   * @param {Object} config - Configuration
+   * @param {Weapon} config.weapon - Weapon whose state is displayed
+   */
+  constructor({ weapon }) {
+    super();
+    this.weapon = weapon;
+    this.isMoving = false;
+    this.bobPhase = 0;
+    this.now = performance.now(); // Clock the weapon's timestamps use (milliseconds)
+  }
+
+  /**
+   * Sets the weapon to display
+   * @param {Weapon} weapon - Weapon instance
+   */
+  setWeapon(weapon) {
+    this.weapon = weapon;
+  }
+
+  /**
+   * Sets whether the player is moving (enables weapon bob)
+   * @param {boolean} moving - Whether the player is moving
+   */
+  setMoving(moving) {
+    this.isMoving = moving;
+  }
+
+  /**
+   * Updates the weapon bob animation
+   * @param {number} deltaTime - Normalized delta time
+   * @param {number} [now=performance.now()] - Current time in milliseconds, on the weapon's clock
+   */
+  update(deltaTime, now = performance.now()) {
+    super.update(deltaTime);
+    this.now = now;
+    if (this.isMoving) {
+      this.bobPhase += 0.08 * deltaTime;
+    } else {
+      // Ease back to rest
+      this.bobPhase *= 0.9;
+    }
+  }
+
+  /**
+   * Draws the weapon HUD
+   * @param {CanvasRenderingContext2D} ctx - Canvas context
+   * @param {number} w - Canvas width
+   * @param {number} h - Canvas height
+   */
+  draw(ctx, w, h) {
+    if (!this.visible || !this.weapon) return;
+
+    const now = this.now;
+    this.weapon.update(now);
+
+    ctx.save();
+    this.drawCrosshair(ctx, w, h, now);
+    this.drawWeapon(ctx, w, h, now);
+    this.drawAmmo(ctx, w, h, now);
+    ctx.restore();
+  }
+
+  /**
+   * Draws the crosshair and hit marker
+   * @private
+   */
+  drawCrosshair(ctx, w, h, now) {
+    const cx = w / 2;
+    const cy = h / 2;
+    const gap = 4 + this.weapon.getRecoil(now) * 6;
+    const size = 8;
+
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.8)';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(cx - gap - size, cy);
+    ctx.lineTo(cx - gap, cy);
+    ctx.moveTo(cx + gap, cy);
+    ctx.lineTo(cx + gap + size, cy);
+    ctx.moveTo(cx, cy - gap - size);
+    ctx.lineTo(cx, cy - gap);
+    ctx.moveTo(cx, cy + gap);
+    ctx.lineTo(cx, cy + gap + size);
+    ctx.stroke();
+
+    if (this.weapon.isShowingHitMarker(now)) {
+      ctx.strokeStyle = 'rgba(255, 80, 80, 0.95)';
+      ctx.beginPath();
+      ctx.moveTo(cx - 10, cy - 10);
+      ctx.lineTo(cx - 4, cy - 4);
+      ctx.moveTo(cx + 10, cy - 10);
+      ctx.lineTo(cx + 4, cy - 4);
+      ctx.moveTo(cx - 10, cy + 10);
+      ctx.lineTo(cx - 4, cy + 4);
+      ctx.moveTo(cx + 10, cy + 10);
+      ctx.lineTo(cx + 4, cy + 4);
+      ctx.stroke();
+    }
+  }
+
+  /**
+   * Draws the weapon sprite with recoil, bob, reload dip and muzzle flash
+   * @private
+   */
+  drawWeapon(ctx, w, h, now) {
+    const scale = h / 720;
+    const recoil = this.weapon.getRecoil(now);
+
+    // Lower the weapon out of view during the first half of a reload, raise it in the second
+    const reloadProgress = this.weapon.getReloadProgress(now);
+    const reloadDip = this.weapon.isReloading ? Math.sin(reloadProgress * Math.PI) : 0;
+
+    const bobX = Math.sin(this.bobPhase) * 10 * scale;
+    const bobY = Math.abs(Math.cos(this.bobPhase)) * 8 * scale;
+
+    const baseX = w * 0.62 + bobX;
+    const baseY = h + bobY + recoil * 18 * scale + reloadDip * 160 * scale;
+
+    const barrelWidth = 34 * scale;
+    const barrelHeight = 150 * scale;
+    const gripWidth = 70 * scale;
+    const gripHeight = 90 * scale;
+    const muzzleX = baseX;
+    const muzzleY = baseY - gripHeight - barrelHeight;
+
+    // Muzzle flash (behind the barrel tip)
+    if (this.weapon.isFlashing(now)) {
+      const flashRadius = 55 * scale;
+      const gradient = ctx.createRadialGradient(muzzleX, muzzleY, 0, muzzleX, muzzleY, flashRadius);
+      gradient.addColorStop(0, 'rgba(255, 255, 220, 1)');
+      gradient.addColorStop(0.35, 'rgba(255, 200, 80, 0.9)');
+      gradient.addColorStop(1, 'rgba(255, 120, 0, 0)');
+      ctx.fillStyle = gradient;
+      ctx.beginPath();
+      ctx.arc(muzzleX, muzzleY, flashRadius, 0, Math.PI * 2);
+      ctx.fill();
+    }
+
+    // Grip / slide housing
+    ctx.fillStyle = '#1e1e24';
+    ctx.strokeStyle = '#50505a';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.roundRect(baseX - gripWidth / 2, baseY - gripHeight, gripWidth, gripHeight + 10, 8 * scale);
+    ctx.fill();
+    ctx.stroke();
+
+    // Barrel (tapers toward the muzzle for perspective)
+    ctx.fillStyle = '#2c2c34';
+    ctx.beginPath();
+    ctx.moveTo(baseX - barrelWidth, baseY - gripHeight);
+    ctx.lineTo(baseX - barrelWidth * 0.45, muzzleY);
+    ctx.lineTo(baseX + barrelWidth * 0.45, muzzleY);
+    ctx.lineTo(baseX + barrelWidth, baseY - gripHeight);
+    ctx.closePath();
+    ctx.fill();
+    ctx.stroke();
+
+    // Sight
+    ctx.fillStyle = '#66ff99';
+    ctx.fillRect(baseX - 3 * scale, muzzleY - 6 * scale, 6 * scale, 6 * scale);
+  }
+
+  /**
+   * Draws the ammo counter and reload indicator
+   * @private
+   */
+  drawAmmo(ctx, w, h, now) {
+    const x = w - 24;
+    const y = h - 40;
+
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'middle';
+
+    if (this.weapon.isReloading) {
+      const progress = this.weapon.getReloadProgress(now);
+      const barWidth = 120;
+
+      ctx.font = `bold ${Math.floor(h * 0.022)}px Arial`;
+      ctx.fillStyle = `rgba(255, 200, 50, ${this.getPulse(0.01)})`;
+      ctx.fillText('RELOADING', x, y - 22);
+
+      ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+      ctx.fillRect(x - barWidth, y - 4, barWidth, 8);
+      ctx.fillStyle = 'rgba(255, 200, 50, 0.9)';
+      ctx.fillRect(x - barWidth, y - 4, barWidth * progress, 8);
+      return;
+    }
+
+    const { ammo, magazineSize } = this.weapon;
+    ctx.font = `bold ${Math.floor(h * 0.04)}px Arial`;
+    ctx.fillStyle = ammo === 0 ? 'rgba(255, 80, 80, 0.95)' : 'rgba(255, 255, 255, 0.9)';
+    ctx.fillText(`${ammo}`, x - 40, y);
+
+    ctx.font = `${Math.floor(h * 0.022)}px Arial`;
+    ctx.fillStyle = 'rgba(200, 200, 200, 0.7)';
+    ctx.fillText(`/ ${magazineSize}`, x, y + 4);
+  }
+}
+
+export default WeaponHUD;
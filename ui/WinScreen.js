@@ -8,27 +8,33 @@ class WinScreen extends UIComponent {
    * Creates the win screen
    * @param {Object} config - Configuration
    * @param {string} [config.title='VICTORY!'] - Main title text
-   * @param {string} [config.instructions='Press R to play again | Press M for map selector'] - Instructions text
+   * @param {string} [config.instructions='Press R to play again | Press V to watch replay | Press M for map selector'] - Instructions text
    */
   constructor({
     title = 'VICTORY!',
-    instructions = 'Press R to play again | Press M for map selector'
+    instructions = 'Press R to play again | Press V to watch replay | Press M for map selector'
   } = {}) {
     super({ visible: false });
     this.title = title;
     this.instructions = instructions;
     this.startTime = 0;
     this.scoreBreakdown = null;
+    this.seed = null;
+    this.record = null;
   }
 
   /**
    * Shows the win screen with score data
    * @param {Object} scoreBreakdown - Score breakdown from GameStateManager
+   * @param {number|string|null} [seed=null] - Generation seed of the completed map, if any
+   * @param {Object|null} [record=null] - Leaderboard placement from Leaderboard.recordRun
    */
-  show(scoreBreakdown = null) {
+  show(scoreBreakdown = null, seed = null, record = null) {
     super.show();
     this.startTime = performance.now();
     this.scoreBreakdown = scoreBreakdown;
+    this.seed = seed;
+    this.record = record;
   }
 
   /**
@@ -91,6 +97,13 @@ class WinScreen extends UIComponent {
     ctx.fillText(this.title, w / 2, h * 0.12);
     ctx.shadowBlur = 0;
 
+    // Seed so the same layout can be shared and raced
+    if (this.seed !== null) {
+      ctx.font = `${Math.floor(h * 0.02)}px monospace`;
+      ctx.fillStyle = 'rgba(150, 255, 180, 0.7)';
+      ctx.fillText(`Seed: ${this.seed}`, w / 2, h * 0.175);
+    }
+
     // Draw score breakdown
     if (this.scoreBreakdown) {
       this.drawScoreBreakdown(ctx, w, h, elapsed);
@@ -323,6 +336,37 @@ class WinScreen extends UIComponent {
       ctx.fillStyle = ratingColor;
       ctx.fillText(rating, w / 2, y);
     }
+
+    // Leaderboard placement (top corners of the panel)
+    if (this.record && elapsed > scoreRevealTime + scoreCountDuration) {
+      this.drawRecord(ctx, h, leftX, rightX, currentPanelY + 35);
+    }
+  }
+
+  /**
+   * Draws the personal best badge and leaderboard rank
+   * @private
+   */
+  drawRecord(ctx, h, leftX, rightX, y) {
+    const { rank, isPersonalBest, previousBest } = this.record;
+
+    ctx.font = `bold ${Math.floor(h * 0.02)}px Arial`;
+    ctx.textAlign = 'left';
+    ctx.fillStyle = 'rgba(200, 200, 200, 0.8)';
+    ctx.fillText(rank !== null ? `RANK #${rank}` : 'UNRANKED', leftX, y);
+
+    ctx.textAlign = 'right';
+    if (isPersonalBest) {
+      const pulse = this.getPulse(0.01);
+      ctx.fillStyle = `rgba(255, 215, 0, ${pulse})`;
+      ctx.shadowColor = 'rgba(255, 200, 0, 0.8)';
+      ctx.shadowBlur = 12;
+      ctx.fillText('★ NEW PERSONAL BEST', rightX, y);
+      ctx.shadowBlur = 0;
+    } else if (previousBest) {
+      ctx.fillStyle = 'rgba(200, 200, 200, 0.8)';
+      ctx.fillText(`BEST ${previousBest.score.toLocaleString()}`, rightX, y);
+    }
   }
 
   /**
@@ -10,3 +10,8 @@ export { default as WinScreen } from './WinScreen.js';
 export { default as InstructionsPanel } from './InstructionsPanel.js';
 export { default as MapSelector } from './MapSelector.js';
 export { default as SettingsMenu } from './SettingsMenu.js';
+export { default as WeaponHUD } from './WeaponHUD.js';
+export { default as LevelEditor } from './LevelEditor.js';
+export { default as LeaderboardPanel } from './LeaderboardPanel.js';
+export { default as TouchControls } from './TouchControls.js';
+export { default as CustomMazePanel } from './CustomMazePanel.js';
@@ -1,4 +1,6 @@
 import { RenderConfig } from "../config/GameConfig.js";
+import lighting from "./Lighting.js";
+import { packColor, shadePixel } from "./Framebuffer.js";
 
 /**
  * FloorCaster - Performant floor and ceiling rendering with visual depth
@@ -6,6 +8,7 @@ import { RenderConfig } from "../config/GameConfig.js";
  * Supports floor zones for traps, jump indicators, etc.
  * 
  * Synchronized with wall rendering using the same projection math.
+ * Darkened by the same Lighting model as the walls (map lights, flashlight).
  */
 
 // Performance settings
@@ -41,6 +44,9 @@ class FloorCaster {
     this.useCheckerboard = true;
     this.checkerboardDarkness = 0.85; // How much darker alternate tiles are
     
+    // Screen rows per floor/ceiling sample (lowered by adaptive quality)
+    this.rowStep = 2;
+    
     // Floor zones (traps, jump areas, etc.)
     /** @type {FloorZone[]} */
     this.zones = [];
@@ -53,6 +59,11 @@ class FloorCaster {
     
     // Animation time for effects
     this._animTime = 0;
+    
+    // Per-pixel ray directions for the framebuffer backend
+    this._pixelDirX = null;
+    this._pixelDirY = null;
+    this._pixelInvCos = null;
   }
   
   /**
@@ -198,15 +209,16 @@ class FloorCaster {
    * @param {number} playerAngle - Player view angle in radians
    * @param {number} fov - Field of view in radians
    * @param {number} [eyeHeight=0] - Eye height for parallax
+   * @param {number} [horizonOffset=0] - Pitch: pixels the horizon sits below the screen center
    */
-  render(ctx, scene, playerX, playerY, playerAngle, fov, eyeHeight = 0) {
+  render(ctx, scene, playerX, playerY, playerAngle, fov, eyeHeight = 0, horizonOffset = 0) {
     if (!this.enabled) return;
     
     this._animTime = performance.now();
     
     const width = this._width;
     const height = this._height;
-    const halfHeight = this._halfHeight;
+    const horizonY = this._halfHeight + horizonOffset;
     const sceneLength = scene.length;
     
     // Base height multiplier (same as wall rendering)
@@ -227,12 +239,164 @@ class FloorCaster {
     
     // Render floor (below horizon)
     if (this.enabled) {
-      this._renderFloor(ctx, scene, playerX, playerY, rayDirs, halfHeight, width, height, baseHeightMultiplier, eyeHeight);
+      this._renderFloor(ctx, scene, playerX, playerY, rayDirs, horizonY, width, height, baseHeightMultiplier, eyeHeight);
     }
     
     // Render ceiling (above horizon)
     if (this.ceilingEnabled) {
-      this._renderCeiling(ctx, scene, playerX, playerY, rayDirs, halfHeight, width, height, baseHeightMultiplier, eyeHeight);
+      this._renderCeiling(ctx, scene, playerX, playerY, rayDirs, horizonY, width, height, baseHeightMultiplier, eyeHeight);
+    }
+  }
+  
+  /**
+   * Renders floor and ceiling into a framebuffer, one pixel at a time
+   * (same projection, colors and zones as render, with per-pixel lighting)
+   * @param {Framebuffer} framebuffer - Target framebuffer (sized to the canvas)
+   * @param {Array} scene - Scene data from raycasting (wall distances per column)
+   * @param {number} playerX - Player world X
+   * @param {number} playerY - Player world Y
+   * @param {number} playerAngle - Player view angle in radians
+   * @param {number} fov - Field of view in radians
+   * @param {number} [eyeHeight=0] - Eye height for parallax
+   * @param {number} [horizonOffset=0] - Pitch: pixels the horizon sits below the screen center
+   */
+  renderFramebuffer(framebuffer, scene, playerX, playerY, playerAngle, fov, eyeHeight = 0, horizonOffset = 0) {
+    if (!this.enabled) return;
+    
+    this._animTime = performance.now();
+    
+    const width = this._width;
+    const horizonY = this._halfHeight + horizonOffset;
+    const sceneLength = scene.length;
+    const baseHeightMultiplier = this._height * HEIGHT_SCALE_FACTOR;
+    
+    // Ray direction through the center of each pixel column
+    if (!this._pixelDirX || this._pixelDirX.length !== width) {
+      this._pixelDirX = new Float32Array(width);
+      this._pixelDirY = new Float32Array(width);
+      this._pixelInvCos = new Float32Array(width);
+    }
+    for (let px = 0; px < width; px++) {
+      const angleOffset = -fov * 0.5 + ((px + 0.5) / width) * fov;
+      this._pixelDirX[px] = Math.cos(playerAngle + angleOffset);
+      this._pixelDirY[px] = Math.sin(playerAngle + angleOffset);
+      this._pixelInvCos[px] = 1 / Math.cos(angleOffset);
+    }
+    
+    // Wall top and bottom per ray column (pixels covered by walls are skipped)
+    const wallTops = new Float32Array(sceneLength);
+    const wallBottoms = new Float32Array(sceneLength);
+    for (let col = 0; col < sceneLength; col++) {
+      const wallDist = scene[col].distance;
+      if (wallDist === Infinity || wallDist <= 0) {
+        wallTops[col] = horizonY;
+        wallBottoms[col] = horizonY;
+      } else {
+        const wallHeight = baseHeightMultiplier / wallDist;
+        const wallParallaxOffset = eyeHeight * wallHeight * PARALLAX_STRENGTH;
+        wallTops[col] = horizonY - wallHeight * 0.5 + wallParallaxOffset;
+        wallBottoms[col] = wallTops[col] + wallHeight;
+      }
+    }
+    
+    this._renderPlanePixels(framebuffer, sceneLength, wallBottoms, horizonY, playerX, playerY, baseHeightMultiplier, eyeHeight, true);
+    if (this.ceilingEnabled) {
+      this._renderPlanePixels(framebuffer, sceneLength, wallTops, horizonY, playerX, playerY, baseHeightMultiplier, eyeHeight, false);
+    }
+  }
+  
+  /**
+   * Writes the floor (below the horizon) or ceiling (above it) into a framebuffer
+   * @param {Framebuffer} framebuffer - Target framebuffer
+   * @param {number} sceneLength - Number of ray columns
+   * @param {Float32Array} wallEdges - Wall bottoms (floor) or tops (ceiling) per column
+   * @param {number} horizonY - Screen Y of the horizon (moved by pitch)
+   * @param {number} playerX - Player world X
+   * @param {number} playerY - Player world Y
+   * @param {number} baseHeightMultiplier - Height multiplier shared with the walls
+   * @param {number} eyeHeight - Eye height for parallax
+   * @param {boolean} isFloor - True for the floor, false for the ceiling
+   * @private
+   */
+  _renderPlanePixels(framebuffer, sceneLength, wallEdges, horizonY, playerX, playerY, baseHeightMultiplier, eyeHeight, isFloor) {
+    const pixels = framebuffer.pixels;
+    const width = this._width;
+    const height = this._height;
+    const colScale = sceneLength / width;
+    const dirX = this._pixelDirX;
+    const dirY = this._pixelDirY;
+    const invCos = this._pixelInvCos;
+    const isLit = lighting.isActive;
+    
+    // Base colors (lightness <= 50%, so scaling RGB matches scaling HSL lightness)
+    const { h, s, l } = isFloor ? this.floorColor : this.ceilingColor;
+    const plain = hslToPixel(h, s, l);
+    const checker = hslToPixel(h, s, l * (this.useCheckerboard ? this.checkerboardDarkness : 1));
+    const fog = hslToPixel(h, s * 0.3, l);
+    const fogScale = isFloor ? 0.5 : 0.6;
+    
+    const parallaxFactor = isFloor ? 0.5 + eyeHeight * PARALLAX_STRENGTH : Math.abs(0.5 - eyeHeight * PARALLAX_STRENGTH);
+    const zones = isFloor ? this.zones : [];
+    const zoneColors = new Map();
+    
+    const startY = isFloor ? Math.max(0, Math.floor(horizonY) + 1) : Math.min(height - 1, Math.floor(horizonY) - 1);
+    const endY = isFloor ? height : -1;
+    const step = isFloor ? 1 : -1;
+    
+    // Each sampled row fills rowStep screen rows (its block); a pixel is skipped
+    // only if a wall covers it on every row of the block
+    for (let screenY = startY; isFloor ? screenY < endY : screenY > endY; screenY += step * this.rowStep) {
+      const rowFromCenter = isFloor ? screenY - horizonY : horizonY - screenY;
+      if (rowFromCenter <= 0) continue;
+      
+      const blockRows = isFloor ? Math.min(this.rowStep, endY - screenY) : Math.min(this.rowStep, screenY - endY);
+      const lastY = screenY + step * (blockRows - 1);
+      
+      const perpDist = (baseHeightMultiplier * parallaxFactor) / rowFromCenter;
+      const distRatio = Math.min(perpDist / MAX_FLOOR_DISTANCE, 2.0);
+      const brightness = isFloor ? Math.max(0.08, 1 - distRatio * 0.45) : Math.max(0.12, 1 - distRatio * 0.35);
+      
+      if (perpDist > MAX_FLOOR_DISTANCE) {
+        // Far fog: one color for the row
+        const fogBrightness = (isLit ? brightness * lighting.ambient : brightness) * fogScale;
+        const fogPixel = shadePixel(fog, (fogBrightness * 256) | 0);
+        for (let px = 0; px < width; px++) {
+          const wallEdge = wallEdges[(px * colScale) | 0];
+          if (isFloor ? lastY < wallEdge : lastY > wallEdge) continue;
+          writeBlock(pixels, width, px, screenY, step, blockRows, wallEdge, isFloor, fogPixel);
+        }
+        continue;
+      }
+      
+      zoneColors.clear();
+      for (let px = 0; px < width; px++) {
+        const wallEdge = wallEdges[(px * colScale) | 0];
+        if (isFloor ? lastY < wallEdge : lastY > wallEdge) continue;
+        
+        const rayDist = perpDist * invCos[px];
+        const worldX = playerX + dirX[px] * rayDist;
+        const worldY = playerY + dirY[px] * rayDist;
+        const light = isLit ? lighting.getLightAt(worldX, worldY) : 1;
+        
+        const tileX = Math.floor(worldX / FLOOR_TILE_SIZE);
+        const tileY = Math.floor(worldY / FLOOR_TILE_SIZE);
+        let pixel = shadePixel((tileX + tileY) % 2 === 0 ? checker : plain, (brightness * light * 256) | 0);
+        
+        if (zones.length > 0) {
+          const zone = this.getZoneAt(worldX, worldY);
+          if (zone) {
+            // Zone colors only change per row; blend them over the floor
+            let zoneColor = zoneColors.get(zone);
+            if (zoneColor === undefined) {
+              zoneColor = framebuffer.parseColor(this._getZoneColor(zone, brightness));
+              zoneColors.set(zone, zoneColor);
+            }
+            pixel = blendOver(pixel, shadePixel(zoneColor, (light * 256) | 0), zoneColor >>> 24);
+          }
+        }
+        
+        writeBlock(pixels, width, px, screenY, step, blockRows, wallEdge, isFloor, pixel | 0xff000000);
+      }
     }
   }
   
@@ -241,7 +405,7 @@ class FloorCaster {
    * Row-based rendering with proper wall occlusion
    * @private
    */
-  _renderFloor(ctx, scene, playerX, playerY, rayDirs, halfHeight, width, height, baseHeightMultiplier, eyeHeight) {
+  _renderFloor(ctx, scene, playerX, playerY, rayDirs, horizonY, width, height, baseHeightMultiplier, eyeHeight) {
     const sceneLength = scene.length;
     const colWidth = width / sceneLength;
     
@@ -250,20 +414,21 @@ class FloorCaster {
     for (let col = 0; col < sceneLength; col++) {
       const wallDist = scene[col].distance;
       if (wallDist === Infinity || wallDist <= 0) {
-        wallBottoms[col] = halfHeight;
+        wallBottoms[col] = horizonY;
       } else {
         const wallHeight = baseHeightMultiplier / wallDist;
         const wallParallaxOffset = eyeHeight * wallHeight * PARALLAX_STRENGTH;
-        const wallY = halfHeight - wallHeight * 0.5 + wallParallaxOffset;
+        const wallY = horizonY - wallHeight * 0.5 + wallParallaxOffset;
         wallBottoms[col] = wallY + wallHeight;
       }
     }
     
     // Render floor row by row (every 2 pixels for performance)
-    const rowStep = 2;
+    const rowStep = this.rowStep;
+    const isLit = lighting.isActive;
     
-    for (let screenY = Math.floor(halfHeight) + 1; screenY < height; screenY += rowStep) {
-      const rowFromCenter = screenY - halfHeight;
+    for (let screenY = Math.max(0, Math.floor(horizonY) + 1); screenY < height; screenY += rowStep) {
+      const rowFromCenter = screenY - horizonY;
       if (rowFromCenter <= 0) continue;
       
       // Calculate floor distance and brightness for this row
@@ -296,19 +461,21 @@ class FloorCaster {
         
         if (isFog) {
           const { h, s, l } = this.floorColor;
-          color = `hsl(${h}, ${s * 0.3}%, ${l * brightness * 0.5}%)`;
+          const fogBrightness = isLit ? brightness * lighting.ambient : brightness;
+          color = `hsl(${h}, ${s * 0.3}%, ${l * fogBrightness * 0.5}%)`;
         } else {
           // Calculate world position
           const rayDir = rayDirs[col];
           const rayDist = perpDist / rayDir.cos;
           const worldX = playerX + rayDir.x * rayDist;
           const worldY = playerY + rayDir.y * rayDist;
+          const litBrightness = isLit ? brightness * lighting.getQuantizedLightAt(worldX, worldY) : brightness;
           
           // Check for zone
           const zone = this.getZoneAt(worldX, worldY);
           
           if (zone) {
-            color = this._getZoneColor(zone, brightness);
+            color = this._getZoneColor(zone, litBrightness);
           } else {
             // Checkerboard
             const tileX = Math.floor(worldX / FLOOR_TILE_SIZE);
@@ -317,7 +484,7 @@ class FloorCaster {
             
             const { h, s, l } = this.floorColor;
             const checkerMod = this.useCheckerboard && isChecker ? this.checkerboardDarkness : 1;
-            color = `hsl(${h}, ${s}%, ${l * brightness * checkerMod}%)`;
+            color = `hsl(${h}, ${s}%, ${l * litBrightness * checkerMod}%)`;
           }
         }
         
@@ -374,7 +541,7 @@ class FloorCaster {
    * Row-based rendering with proper wall occlusion
    * @private
    */
-  _renderCeiling(ctx, scene, playerX, playerY, rayDirs, halfHeight, width, height, baseHeightMultiplier, eyeHeight) {
+  _renderCeiling(ctx, scene, playerX, playerY, rayDirs, horizonY, width, height, baseHeightMultiplier, eyeHeight) {
     const sceneLength = scene.length;
     const colWidth = width / sceneLength;
     
@@ -383,19 +550,20 @@ class FloorCaster {
     for (let col = 0; col < sceneLength; col++) {
       const wallDist = scene[col].distance;
       if (wallDist === Infinity || wallDist <= 0) {
-        wallTops[col] = halfHeight;
+        wallTops[col] = horizonY;
       } else {
         const wallHeight = baseHeightMultiplier / wallDist;
         const wallParallaxOffset = eyeHeight * wallHeight * PARALLAX_STRENGTH;
-        wallTops[col] = halfHeight - wallHeight * 0.5 + wallParallaxOffset;
+        wallTops[col] = horizonY - wallHeight * 0.5 + wallParallaxOffset;
       }
     }
     
     // Render ceiling row by row (every 2 pixels for performance)
-    const rowStep = 2;
+    const rowStep = this.rowStep;
+    const isLit = lighting.isActive;
     
-    for (let screenY = Math.floor(halfHeight) - 1; screenY >= 0; screenY -= rowStep) {
-      const rowFromCenter = halfHeight - screenY;
+    for (let screenY = Math.min(height - 1, Math.floor(horizonY) - 1); screenY >= 0; screenY -= rowStep) {
+      const rowFromCenter = horizonY - screenY;
       if (rowFromCenter <= 0) continue;
       
       // Calculate ceiling distance and brightness for this row
@@ -428,7 +596,8 @@ class FloorCaster {
         
         if (isFog) {
           const { h, s, l } = this.ceilingColor;
-          color = `hsl(${h}, ${s * 0.3}%, ${l * brightness * 0.6}%)`;
+          const fogBrightness = isLit ? brightness * lighting.ambient : brightness;
+          color = `hsl(${h}, ${s * 0.3}%, ${l * fogBrightness * 0.6}%)`;
         } else {
           // Calculate world position for checkerboard
           const rayDir = rayDirs[col];
@@ -443,7 +612,8 @@ class FloorCaster {
           
           const { h, s, l } = this.ceilingColor;
           const checkerMod = this.useCheckerboard && isChecker ? this.checkerboardDarkness : 1;
-          color = `hsl(${h}, ${s}%, ${l * brightness * checkerMod}%)`;
+          const litBrightness = isLit ? brightness * lighting.getQuantizedLightAt(worldX, worldY) : brightness;
+          color = `hsl(${h}, ${s}%, ${l * litBrightness * checkerMod}%)`;
         }
         
         // Start new span or continue if same color
@@ -529,6 +699,65 @@ class FloorCaster {
   }
 }
 
+/**
+ * Converts an HSL color (degrees, percent, percent) to a packed pixel
+ * @param {number} h - Hue in degrees
+ * @param {number} s - Saturation in percent
+ * @param {number} l - Lightness in percent
+ * @returns {number} Packed pixel
+ */
+function hslToPixel(h, s, l) {
+  const sat = s / 100;
+  const light = l / 100;
+  const chroma = (1 - Math.abs(2 * light - 1)) * sat;
+  const hue = ((h % 360) + 360) % 360 / 60;
+  const x = chroma * (1 - Math.abs(hue % 2 - 1));
+  let r = 0, g = 0, b = 0;
+  if (hue < 1) { r = chroma; g = x; }
+  else if (hue < 2) { r = x; g = chroma; }
+  else if (hue < 3) { g = chroma; b = x; }
+  else if (hue < 4) { g = x; b = chroma; }
+  else if (hue < 5) { r = x; b = chroma; }
+  else { r = chroma; b = x; }
+  const m = light - chroma / 2;
+  return packColor(Math.round((r + m) * 255), Math.round((g + m) * 255), Math.round((b + m) * 255));
+}
+
+/**
+ * Blends one opaque pixel color over another
+ * @param {number} base - Packed base pixel
+ * @param {number} over - Packed pixel drawn on top
+ * @param {number} alpha - Alpha of the top pixel 0-255
+ * @returns {number} Packed pixel
+ */
+function blendOver(base, over, alpha) {
+  const inv = 255 - alpha;
+  const r = ((over & 0xff) * alpha + (base & 0xff) * inv) / 255;
+  const g = (((over >> 8) & 0xff) * alpha + ((base >> 8) & 0xff) * inv) / 255;
+  const b = (((over >> 16) & 0xff) * alpha + ((base >> 16) & 0xff) * inv) / 255;
+  return packColor(r | 0, g | 0, b | 0);
+}
+
+/**
+ * Writes one floor/ceiling sample down a column of a row block, skipping rows a wall covers
+ * @param {Uint32Array} pixels - Framebuffer pixels
+ * @param {number} width - Framebuffer width
+ * @param {number} px - Pixel column
+ * @param {number} screenY - First row of the block
+ * @param {number} step - Row direction (1 = floor, -1 = ceiling)
+ * @param {number} blockRows - Rows in the block
+ * @param {number} wallEdge - Wall bottom (floor) or top (ceiling) in this column
+ * @param {boolean} isFloor - True for the floor, false for the ceiling
+ * @param {number} pixel - Packed pixel
+ */
+function writeBlock(pixels, width, px, screenY, step, blockRows, wallEdge, isFloor, pixel) {
+  for (let i = 0; i < blockRows; i++) {
+    const y = screenY + step * i;
+    if (isFloor ? y < wallEdge : y > wallEdge) continue;
+    pixels[y * width + px] = pixel;
+  }
+}
+
 // Export singleton instance
 const floorCaster = new FloorCaster();
 export default floorCaster;
@@ -0,0 +1,383 @@
+/**
+ * Framebuffer - Software pixel buffer for the ImageData rendering backend
+ *
+ * Walls, sprites, floor and ceiling write packed pixels into one Uint32Array and
+ * present() copies it to the canvas with a single putImageData call, instead of
+ * one drawImage/fillRect per column or span. Pixels left at 0 stay transparent,
+ * so the background canvas shows through where nothing was drawn.
+ *
+ * Pixels are packed little-endian (0xAABBGGRR), the byte order ImageData uses on
+ * every platform browsers run on.
+ */
+
+// Must match renderTranslucentSlice so sprites line up in both backends
+const SPRITE_SCALE = 0.5;
+
+// Parsed CSS colors are cached; animated colors would grow the cache without bound
+const MAX_CACHED_COLORS = 512;
+
+const RGB_PATTERN = /^rgba?\(\s*([\d.]+)\s*,\s*([\d.]+)\s*,\s*([\d.]+)\s*(?:,\s*([\d.]+)\s*)?\)$/;
+
+/**
+ * Packs a color into a pixel
+ * @param {number} r - Red 0-255
+ * @param {number} g - Green 0-255
+ * @param {number} b - Blue 0-255
+ * @param {number} [a=255] - Alpha 0-255
+ * @returns {number} Packed pixel
+ */
+function packColor(r, g, b, a = 255) {
+  return ((a << 24) | (b << 16) | (g << 8) | r) >>> 0;
+}
+
+/**
+ * Scales the RGB channels of a pixel (alpha is kept)
+ * @param {number} pixel - Packed pixel
+ * @param {number} shade - Scale in 1/256 steps (256 = unchanged)
+ * @returns {number} Shaded pixel
+ */
+function shadePixel(pixel, shade) {
+  if (shade >= 256) return pixel;
+  const r = ((pixel & 0xff) * shade) >> 8;
+  const g = (((pixel >> 8) & 0xff) * shade) >> 8;
+  const b = (((pixel >> 16) & 0xff) * shade) >> 8;
+  return ((pixel & 0xff000000) | (b << 16) | (g << 8) | r) >>> 0;
+}
+
+class Framebuffer {
+  constructor() {
+    this.width = 0;
+    this.height = 0;
+
+    /** @type {ImageData|null} */
+    this.imageData = null;
+    /** @type {Uint32Array|null} */
+    this.pixels = null;
+
+    // Decoded textures (null = can't be read, e.g. a tainted canvas)
+    this._textures = new WeakMap();
+    this._colors = new Map();
+
+    // 2D context used to decode textures and resolve CSS colors
+    this._scratch = null;
+    this._warnedTainted = false;
+  }
+
+  /**
+   * Matches the buffer to the canvas size (reallocates only when it changes)
+   * @param {CanvasRenderingContext2D} ctx - Target canvas context
+   * @param {number} width - Canvas width
+   * @param {number} height - Canvas height
+   */
+  resize(ctx, width, height) {
+    if (this.imageData && this.width === width && this.height === height) return;
+    this.width = width;
+    this.height = height;
+    this.imageData = ctx.createImageData(width, height);
+    this.pixels = new Uint32Array(this.imageData.data.buffer);
+  }
+
+  /**
+   * Clears every pixel to transparent
+   */
+  clear() {
+    this.pixels.fill(0);
+  }
+
+  /**
+   * Copies the buffer to the canvas
+   * @param {CanvasRenderingContext2D} ctx - Target canvas context
+   */
+  present(ctx) {
+    ctx.putImageData(this.imageData, 0, 0);
+  }
+
+  /**
+   * Gets the scratch 2D context, sized to at least width x height
+   * @private
+   */
+  _getScratch(width, height) {
+    if (!this._scratch) {
+      const canvas = document.createElement('canvas');
+      this._scratch = canvas.getContext('2d', { willReadFrequently: true });
+    }
+    const canvas = this._scratch.canvas;
+    if (canvas.width < width) canvas.width = width;
+    if (canvas.height < height) canvas.height = height;
+    return this._scratch;
+  }
+
+  /**
+   * Gets the pixels of a texture, decoding it on first use
+   * @param {HTMLImageElement} image - Texture image
+   * @returns {{pixels: Uint32Array, width: number, height: number}|null} Texture pixels, or null if unreadable
+   */
+  getTexture(image) {
+    const cached = this._textures.get(image);
+    if (cached !== undefined) return cached;
+    // Not loaded yet: try again next frame
+    if (!image.complete || !image.width || !image.height) return null;
+
+    let texture = null;
+    try {
+      const ctx = this._getScratch(image.width, image.height);
+      ctx.clearRect(0, 0, image.width, image.height);
+      ctx.drawImage(image, 0, 0);
+      const data = ctx.getImageData(0, 0, image.width, image.height).data;
+      texture = {
+        pixels: new Uint32Array(data.buffer.slice(0)),
+        width: image.width,
+        height: image.height
+      };
+    } catch (e) {
+      // Pages opened from file:// can't read image pixels; those walls use their color
+      if (!this._warnedTainted) {
+        console.warn('Framebuffer renderer cannot read texture pixels; using solid colors:', e);
+        this._warnedTainted = true;
+      }
+    }
+    this._textures.set(image, texture);
+    return texture;
+  }
+
+  /**
+   * Converts a CSS color to a packed pixel (alpha included)
+   * @param {string} color - Any CSS color
+   * @returns {number} Packed pixel
+   */
+  parseColor(color) {
+    // rgb()/rgba() are parsed directly; zone colors change every frame
+    const match = RGB_PATTERN.exec(color);
+    if (match) {
+      const alpha = match[4] === undefined ? 1 : parseFloat(match[4]);
+      return packColor(
+        Math.min(255, +match[1]) | 0,
+        Math.min(255, +match[2]) | 0,
+        Math.min(255, +match[3]) | 0,
+        Math.max(0, Math.min(255, Math.round(alpha * 255)))
+      );
+    }
+
+    const cached = this._colors.get(color);
+    if (cached !== undefined) return cached;
+
+    // Let the canvas resolve everything else (hex, hsl, named colors)
+    const ctx = this._getScratch(1, 1);
+    ctx.clearRect(0, 0, 1, 1);
+    ctx.fillStyle = '#000';
+    ctx.fillStyle = color;
+    ctx.fillRect(0, 0, 1, 1);
+    const [r, g, b, a] = ctx.getImageData(0, 0, 1, 1).data;
+    const packed = packColor(r, g, b, a);
+
+    if (this._colors.size >= MAX_CACHED_COLORS) this._colors.clear();
+    this._colors.set(color, packed);
+    return packed;
+  }
+
+  /**
+   * Blends a pixel over the buffer
+   * @param {number} index - Pixel index
+   * @param {number} pixel - Packed source pixel
+   * @param {number} alpha - Source alpha 0-255
+   */
+  blendPixel(index, pixel, alpha) {
+    if (alpha >= 255) {
+      this.pixels[index] = pixel | 0xff000000;
+      return;
+    }
+    if (alpha <= 0) return;
+
+    const dst = this.pixels[index];
+    const inv = 255 - alpha;
+    const r = ((pixel & 0xff) * alpha + (dst & 0xff) * inv) / 255;
+    const g = (((pixel >> 8) & 0xff) * alpha + ((dst >> 8) & 0xff) * inv) / 255;
+    const b = (((pixel >> 16) & 0xff) * alpha + ((dst >> 16) & 0xff) * inv) / 255;
+    const a = alpha + ((dst >>> 24) * inv) / 255;
+    this.pixels[index] = packColor(r | 0, g | 0, b | 0, a | 0);
+  }
+
+  /**
+   * Fills a rectangle, blending when the color is translucent
+   * @param {number} x0 - Left (inclusive, clipped)
+   * @param {number} x1 - Right (exclusive, clipped)
+   * @param {number} y0 - Top (inclusive, clipped)
+   * @param {number} y1 - Bottom (exclusive, clipped)
+   * @param {number} pixel - Packed pixel
+   * @param {number} alpha - Alpha 0-255
+   * @private
+   */
+  _fill(x0, x1, y0, y1, pixel, alpha) {
+    const width = this.width;
+    if (alpha >= 255) {
+      const solid = pixel | 0xff000000;
+      for (let py = y0; py < y1; py++) {
+        this.pixels.fill(solid, py * width + x0, py * width + x1);
+      }
+      return;
+    }
+    for (let py = y0; py < y1; py++) {
+      const row = py * width;
+      for (let px = x0; px < x1; px++) {
+        this.blendPixel(row + px, pixel, alpha);
+      }
+    }
+  }
+
+  /**
+   * Clips a slice to the buffer
+   * @returns {number[]|null} [x0, x1, y0, y1] or null if nothing is visible
+   * @private
+   */
+  _clip(x, y, width, height) {
+    const x0 = Math.max(0, Math.floor(x));
+    const x1 = Math.min(this.width, Math.ceil(x + width));
+    const y0 = Math.max(0, Math.floor(y));
+    const y1 = Math.min(this.height, Math.ceil(y + height));
+    if (x0 >= x1 || y0 >= y1) return null;
+    return [x0, x1, y0, y1];
+  }
+
+  /**
+   * Draws a wall slice (same arguments as renderWallSlice, without the context)
+   * @param {number} x - X position on screen
+   * @param {number} y - Y position on screen
+   * @param {number} width - Slice width
+   * @param {number} height - Wall height
+   * @param {HTMLImageElement|null} texture - Texture image (or null for solid color)
+   * @param {string|null} color - Solid color (used when texture is null)
+   * @param {number} textureX - Texture X coordinate (0-1)
+   * @param {number} brightness - Brightness value (0-1)
+   * @param {boolean} [isTransparent=false] - Whether this wall has transparency
+   * @param {number} [heightUnits=1] - Wall height in wall units; the texture tiles once per unit
+   */
+  drawWallSlice(x, y, width, height, texture, color, textureX, brightness, isTransparent = false, heightUnits = 1) {
+    const clip = this._clip(x, y, width, height);
+    if (!clip) return;
+    const [x0, x1, y0, y1] = clip;
+    const shade = brightness >= 0.99 ? 256 : (Math.max(0, brightness) * 256) | 0;
+
+    const tex = texture ? this.getTexture(texture) : null;
+    if (!tex) {
+      if (color) {
+        const pixel = this.parseColor(color);
+        const alpha = pixel >>> 24;
+        // Translucent colors darken less (and not at all on transparent walls)
+        let colorShade = shade;
+        if (alpha < 255) {
+          colorShade = isTransparent || brightness >= 0.99 ? 256 : (256 - (1 - brightness) * 0.7 * 256) | 0;
+        }
+        this._fill(x0, x1, y0, y1, shadePixel(pixel, colorShade), alpha);
+      } else {
+        const gray = (128 * brightness) | 0;
+        this._fill(x0, x1, y0, y1, packColor(gray, gray, gray), 255);
+      }
+      return;
+    }
+
+    const { pixels: texPixels, width: texWidth, height: texHeight } = tex;
+    const srcX = ((textureX * texWidth) | 0) % texWidth;
+    const bottom = y + height;
+    const unitHeight = height / heightUnits;
+    const width32 = this.width;
+
+    for (let py = y0; py < y1; py++) {
+      // Tile upward from the bottom edge, one texture copy per wall unit
+      const u = (bottom - py - 0.5) / unitHeight;
+      const frac = u - Math.floor(u);
+      const texY = texHeight - 1 - ((frac * texHeight) | 0);
+      const texel = texPixels[texY * texWidth + srcX];
+      const alpha = texel >>> 24;
+      if (alpha === 0) continue;
+
+      const pixel = shadePixel(texel, shade);
+      const row = py * width32;
+      if (alpha === 255) {
+        this.pixels.fill(pixel, row + x0, row + x1);
+      } else {
+        for (let px = x0; px < x1; px++) this.blendPixel(row + px, pixel, alpha);
+      }
+    }
+  }
+
+  /**
+   * Draws a transparent/translucent slice (same arguments as renderTranslucentSlice,
+   * without the context, plus the boundary's opacity instead of globalAlpha)
+   * @param {number} x - X position on screen
+   * @param {number} y - Y position on screen
+   * @param {number} width - Slice width
+   * @param {number} height - Wall height
+   * @param {HTMLImageElement|null} texture - Texture image
+   * @param {string|null} color - Solid color with alpha
+   * @param {number} textureX - Texture X coordinate (0-1)
+   * @param {number} brightness - Brightness value (0-1)
+   * @param {Object|null} [boundary=null] - The boundary object (for sprite info)
+   * @param {HTMLImageElement|null} [spriteTexture=null] - Individual sprite texture (for directional sprites)
+   * @param {boolean} [mirrored=false] - Whether to mirror the sprite horizontally
+   * @param {number} [opacity=1] - Extra opacity (faded ghost sprites)
+   */
+  drawTranslucentSlice(x, y, width, height, texture, color, textureX, brightness, boundary = null, spriteTexture = null, mirrored = false, opacity = 1) {
+    const sprite = spriteTexture ? this.getTexture(spriteTexture) : null;
+    const tex = !sprite && texture ? this.getTexture(texture) : null;
+
+    if (!sprite && !tex) {
+      if (!color) return;
+      const clip = this._clip(x, y, width, height);
+      if (!clip) return;
+      const [x0, x1, y0, y1] = clip;
+      const pixel = this.parseColor(color);
+      // Subtle darkening for depth
+      const shade = brightness < 0.95 ? (256 - (1 - brightness) * 0.3 * 256) | 0 : 256;
+      this._fill(x0, x1, y0, y1, shadePixel(pixel, shade), ((pixel >>> 24) * opacity) | 0);
+      return;
+    }
+
+    // Pick the source column and the rows of the image to stretch over the slice
+    let source;
+    let srcX;
+    let srcHeight;
+    let top = y;
+    let sliceHeight = height;
+
+    if (sprite) {
+      // Individual directional sprite: scaled and centered vertically
+      source = sprite;
+      sliceHeight = height * (sprite.height / sprite.width) * SPRITE_SCALE;
+      top = y + (height - sliceHeight) / 2;
+      srcX = ((mirrored ? 1 - textureX : textureX) * sprite.width) | 0;
+      srcHeight = sprite.height;
+    } else if (boundary && boundary.spriteSheet) {
+      // Legacy sprite sheet: first row only
+      source = tex;
+      srcX = (textureX * tex.width) | 0;
+      srcHeight = tex.height / (boundary.spriteSheet.rows || 6);
+    } else {
+      source = tex;
+      srcX = ((textureX * tex.width) | 0) % tex.width;
+      srcHeight = tex.height;
+    }
+    if (srcX < 0) srcX = 0;
+    if (srcX >= source.width) srcX = source.width - 1;
+
+    const clip = this._clip(x, top, width, sliceHeight);
+    if (!clip) return;
+    const [x0, x1, y0, y1] = clip;
+    const { pixels: srcPixels, width: srcWidth } = source;
+    const width32 = this.width;
+
+    for (let py = y0; py < y1; py++) {
+      const srcY = Math.min(srcHeight - 1, (((py + 0.5 - top) / sliceHeight) * srcHeight) | 0);
+      const texel = srcPixels[srcY * srcWidth + srcX];
+      const alpha = ((texel >>> 24) * opacity) | 0;
+      if (alpha === 0) continue;
+
+      const row = py * width32;
+      for (let px = x0; px < x1; px++) this.blendPixel(row + px, texel, alpha);
+    }
+  }
+}
+
+// Export singleton instance
+const framebuffer = new Framebuffer();
+export default framebuffer;
+export { Framebuffer, packColor, shadePixel };
@@ -0,0 +1,169 @@
+import { LightingConfig, DetectionConfig } from "../config/GameConfig.js";
+
+/**
+ * @typedef {Object} LightSource
+ * @property {number} x - Light X position
+ * @property {number} y - Light Y position
+ * @property {number} radius - Distance at which the light fades out completely
+ * @property {number} intensity - Light added at the center (0-1)
+ */
+
+/**
+ * Lighting - Light level at any world position
+ *
+ * Combines the map's ambient light, point lights placed in the map and the
+ * player's flashlight cone. The wall renderer and FloorCaster multiply their
+ * distance falloff by it, and enemies see less far when the player stands in
+ * the dark. Lights are not shadowed by walls.
+ *
+ * Maps without an ambientLight are fully lit, so lighting changes nothing there.
+ */
+class Lighting {
+  /**
+   * Creates a lighting model
+   * @param {Object} [config={}] - Lighting configuration (defaults to LightingConfig)
+   */
+  constructor(config = {}) {
+    this.config = { ...LightingConfig, ...config };
+
+    this.ambient = this.config.defaultAmbient;
+
+    /** @type {LightSource[]} */
+    this.lights = [];
+
+    // Flashlight (follows the player, set each frame)
+    this.flashlightOn = false;
+    this._flashX = 0;
+    this._flashY = 0;
+    this._flashDirX = 1;
+    this._flashDirY = 0;
+
+    // Cone edges as cosines (avoids acos per sample)
+    const halfAngle = this.config.flashlightAngle * Math.PI / 180;
+    this._cosOuter = Math.cos(halfAngle);
+    this._cosInner = Math.cos(halfAngle * (1 - this.config.flashlightSoftEdge));
+  }
+
+  /**
+   * Whether anything is darker than full light (renderers skip sampling otherwise)
+   * @returns {boolean}
+   */
+  get isActive() {
+    return this.ambient < 1;
+  }
+
+  /**
+   * Sets the ambient light and light sources of a map
+   * @param {number|null} ambient - Ambient light 0-1 (null = fully lit)
+   * @param {Array<{x: number, y: number, radius?: number, intensity?: number}>} [lights=[]] - Light sources
+   */
+  setMapLighting(ambient, lights = []) {
+    this.ambient = ambient ?? this.config.defaultAmbient;
+    this.lights = lights.map(light => ({
+      x: light.x,
+      y: light.y,
+      radius: light.radius ?? this.config.defaultLightRadius,
+      intensity: light.intensity ?? this.config.defaultLightIntensity
+    }));
+  }
+
+  /**
+   * Points the flashlight from the player's position along their view
+   * @param {Player} player - The player
+   */
+  setFlashlight(player) {
+    this.flashlightOn = player.flashlightOn;
+    this._flashX = player.pos.x;
+    this._flashY = player.pos.y;
+    const angle = player.viewDirection * Math.PI / 180;
+    this._flashDirX = Math.cos(angle);
+    this._flashDirY = Math.sin(angle);
+  }
+
+  /**
+   * Light from the ambient level and map light sources at a position
+   * @param {number} x - World X
+   * @param {number} y - World Y
+   * @returns {number} Light level 0-1
+   */
+  getAmbientLightAt(x, y) {
+    let light = this.ambient;
+    const lights = this.lights;
+    for (let i = 0; i < lights.length && light < 1; i++) {
+      const source = lights[i];
+      const dx = x - source.x;
+      const dy = y - source.y;
+      const distSq = dx * dx + dy * dy;
+      if (distSq >= source.radius * source.radius) continue;
+      const falloff = 1 - Math.sqrt(distSq) / source.radius;
+      light += source.intensity * falloff * falloff;
+    }
+    return light < 1 ? light : 1;
+  }
+
+  /**
+   * Light at a position, including the flashlight cone
+   * @param {number} x - World X
+   * @param {number} y - World Y
+   * @returns {number} Light level 0-1
+   */
+  getLightAt(x, y) {
+    let light = this.getAmbientLightAt(x, y);
+    if (light >= 1 || !this.flashlightOn) return light;
+
+    const dx = x - this._flashX;
+    const dy = y - this._flashY;
+    const range = this.config.flashlightRange;
+    const distSq = dx * dx + dy * dy;
+    if (distSq >= range * range) return light;
+
+    const dist = Math.sqrt(distSq);
+    if (dist < 1) return 1;
+    const cosAngle = (dx * this._flashDirX + dy * this._flashDirY) / dist;
+    if (cosAngle <= this._cosOuter) return light;
+
+    // Soft edge toward the outside of the cone
+    const edge = cosAngle >= this._cosInner ? 1 : (cosAngle - this._cosOuter) / (this._cosInner - this._cosOuter);
+    light += this.config.flashlightIntensity * edge * (1 - dist / range);
+    return light < 1 ? light : 1;
+  }
+
+  /**
+   * Light at a position, rounded to one of config.levels steps
+   * (keeps floor spans the same color so they still merge)
+   * @param {number} x - World X
+   * @param {number} y - World Y
+   * @returns {number} Quantized light level 0-1
+   */
+  getQuantizedLightAt(x, y) {
+    const levels = this.config.levels;
+    return Math.round(this.getLightAt(x, y) * levels) / levels;
+  }
+
+  /**
+   * How lit the player looks to enemies: the light where they stand, or the
+   * flashlight's glare if it is on
+   * @param {Player} player - The player
+   * @returns {number} Light level 0-1
+   */
+  getPlayerLightLevel(player) {
+    const light = this.getAmbientLightAt(player.pos.x, player.pos.y);
+    if (player.flashlightOn) return Math.max(light, this.config.flashlightVisibility);
+    return light;
+  }
+}
+
+/**
+ * Enemy sight range multiplier for how lit the player is
+ * @param {number} lightLevel - Light level at the player (0-1)
+ * @returns {number} Multiplier from DetectionConfig.darknessRangeMultiplier (dark) to 1 (lit)
+ */
+function getLightRangeMultiplier(lightLevel) {
+  const dark = DetectionConfig.darknessRangeMultiplier;
+  return dark + (1 - dark) * lightLevel;
+}
+
+// Export singleton instance
+const lighting = new Lighting();
+export default lighting;
+export { Lighting, getLightRangeMultiplier };
@@ -0,0 +1,495 @@
+import { NavGridConfig, PlayerConfig } from "../config/GameConfig.js";
+
+const SQRT2 = Math.SQRT2;
+
+// Neighbour offsets: 4 straight, then 4 diagonal
+const NEIGHBORS = [
+  { dx: 1, dy: 0, cost: 1 },
+  { dx: -1, dy: 0, cost: 1 },
+  { dx: 0, dy: 1, cost: 1 },
+  { dx: 0, dy: -1, cost: 1 },
+  { dx: 1, dy: 1, cost: SQRT2 },
+  { dx: -1, dy: 1, cost: SQRT2 },
+  { dx: 1, dy: -1, cost: SQRT2 },
+  { dx: -1, dy: -1, cost: SQRT2 }
+];
+
+/**
+ * Distance from a point to a straight or curved wall
+ * @param {number} x - Point X
+ * @param {number} y - Point Y
+ * @param {Boundaries|CurvedWall} wall - The wall
+ * @returns {number}
+ */
+function distanceToWall(x, y, wall) {
+  if (wall.isCurved) {
+    const dx = x - wall.centerX;
+    const dy = y - wall.centerY;
+    const angle = Math.atan2(dy, dx);
+
+    // Inside the arc's span the closest point is on the arc, otherwise it's an end
+    let arcRange = wall.endAngle - wall.startAngle;
+    arcRange = ((arcRange % (Math.PI * 2)) + Math.PI * 2) % (Math.PI * 2);
+    let fromStart = angle - wall.startAngle;
+    fromStart = ((fromStart % (Math.PI * 2)) + Math.PI * 2) % (Math.PI * 2);
+    if (fromStart <= arcRange) {
+      return Math.abs(Math.sqrt(dx * dx + dy * dy) - wall.radius);
+    }
+    const startX = wall.centerX + wall.radius * Math.cos(wall.startAngle);
+    const startY = wall.centerY + wall.radius * Math.sin(wall.startAngle);
+    const endX = wall.centerX + wall.radius * Math.cos(wall.endAngle);
+    const endY = wall.centerY + wall.radius * Math.sin(wall.endAngle);
+    return Math.min(Math.hypot(x - startX, y - startY), Math.hypot(x - endX, y - endY));
+  }
+
+  const abx = wall.b.x - wall.a.x;
+  const aby = wall.b.y - wall.a.y;
+  const lengthSq = abx * abx + aby * aby;
+  let t = lengthSq === 0 ? 0 : ((x - wall.a.x) * abx + (y - wall.a.y) * aby) / lengthSq;
+  t = Math.max(0, Math.min(1, t));
+  return Math.hypot(x - (wall.a.x + t * abx), y - (wall.a.y + t * aby));
+}
+
+/**
+ * Binary min-heap of cell indices keyed by priority
+ * @private
+ */
+class MinHeap {
+  constructor() {
+    this.items = [];
+    this.priorities = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  push(item, priority) {
+    const items = this.items;
+    const priorities = this.priorities;
+    let i = items.length;
+    items.push(item);
+    priorities.push(priority);
+
+    // Sift up
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (priorities[parent] <= priority) break;
+      items[i] = items[parent];
+      priorities[i] = priorities[parent];
+      i = parent;
+    }
+    items[i] = item;
+    priorities[i] = priority;
+  }
+
+  pop() {
+    const items = this.items;
+    const priorities = this.priorities;
+    const top = items[0];
+    const lastItem = items.pop();
+    const lastPriority = priorities.pop();
+    const count = items.length;
+    if (count === 0) return top;
+
+    // Sift the last item down from the root
+    let i = 0;
+    while (true) {
+      const left = i * 2 + 1;
+      if (left >= count) break;
+      const right = left + 1;
+      const child = right < count && priorities[right] < priorities[left] ? right : left;
+      if (priorities[child] >= lastPriority) break;
+      items[i] = items[child];
+      priorities[i] = priorities[child];
+      i = child;
+    }
+    items[i] = lastItem;
+    priorities[i] = lastPriority;
+    return top;
+  }
+}
+
+/**
+ * NavGrid - Walkable-area grid for pathfinding on any map
+ *
+ * Bakes the map's walls (straight and curved) into a grid of cells, marking
+ * every cell whose center is closer to a wall than the player's radius, so a
+ * route through open cells is one the player (or an enemy) fits along.
+ * findPath runs A* over the open cells (8-way, no cutting past wall corners)
+ * and pulls the result tight into a few straight world-space waypoints.
+ *
+ * Sprites and see-through boundaries are ignored. Doors block where their
+ * panel is (enemies can't open them, locked ones need a key), and their whole
+ * slide while moving; call updateDoors() when one starts or stops sliding.
+ * Moving walls are baked where they are; call bake() again if the layout changes.
+ */
+class NavGrid {
+  /**
+   * Creates a navigation grid and bakes it from a map's walls
+   * @param {Array<Boundaries|CurvedWall>} boundaries - The map's boundaries
+   * @param {Object} [config={}] - Grid configuration (defaults to NavGridConfig)
+   * @param {number} [config.clearance] - Distance kept from walls (defaults to PlayerConfig.radius)
+   */
+  constructor(boundaries, config = {}) {
+    this.config = { ...NavGridConfig, ...config };
+    this.clearance = config.clearance ?? PlayerConfig.radius;
+
+    this.cellSize = this.config.cellSize;
+    this.originX = 0;
+    this.originY = 0;
+    this.cols = 0;
+    this.rows = 0;
+    this.blocked = new Uint8Array(0); // 1 = too close to a wall or closed door
+    this._wallBlocked = new Uint8Array(0); // Walls only, without doors
+
+    // Door -> cells it blocks closed, open and while sliding
+    this._doorCells = new Map();
+
+    // Search scratch space (stamped per search so it never needs clearing)
+    this._searchId = 0;
+    this._visitedId = new Uint32Array(0);
+    this._closedId = new Uint32Array(0);
+    this._cost = new Float32Array(0);
+    this._cameFrom = new Int32Array(0);
+
+    this.bake(boundaries);
+  }
+
+  /**
+   * Rebuilds the grid from walls and doors
+   * @param {Array<Boundaries|CurvedWall>} boundaries - The map's boundaries
+   */
+  bake(boundaries) {
+    const solid = boundaries.filter(b => !b.isTransparent && !b.isSprite);
+    const walls = solid.filter(b => !b.isDoor);
+    const doors = solid.filter(b => b.isDoor);
+    const { padding, maxCells } = this.config;
+
+    // Area covered: the walls' bounds plus padding
+    let minX = Infinity;
+    let minY = Infinity;
+    let maxX = -Infinity;
+    let maxY = -Infinity;
+    for (const wall of walls) {
+      minX = Math.min(minX, wall.minX);
+      minY = Math.min(minY, wall.minY);
+      maxX = Math.max(maxX, wall.maxX);
+      maxY = Math.max(maxY, wall.maxY);
+    }
+    if (walls.length === 0) {
+      minX = minY = 0;
+      maxX = maxY = 1;
+    }
+    minX -= padding;
+    minY -= padding;
+    maxX += padding;
+    maxY += padding;
+
+    // Coarser cells on maps too large for the configured size
+    const width = maxX - minX;
+    const height = maxY - minY;
+    const cellSize = Math.max(this.config.cellSize, Math.sqrt(width * height / maxCells));
+    const cols = Math.ceil(width / cellSize);
+    const rows = Math.ceil(height / cellSize);
+
+    this.cellSize = cellSize;
+    this.originX = minX;
+    this.originY = minY;
+    this.cols = cols;
+    this.rows = rows;
+    this._wallBlocked = new Uint8Array(cols * rows);
+    this.blocked = new Uint8Array(cols * rows);
+
+    // Mark the cells within the clearance of each wall
+    for (const wall of walls) {
+      for (const index of this._cellsNear(wall)) {
+        this._wallBlocked[index] = 1;
+      }
+    }
+
+    // Doors are measured closed, open and along the slide between, wherever they are now
+    this._doorCells = new Map();
+    for (const door of doors) {
+      const closedX = door._initialCenterX - door.centerX;
+      const closedY = door._initialCenterY - door.centerY;
+      const { x: openX, y: openY } = door.openOffset;
+      const closed = this._cellsNear(this._shiftSegment(door, closedX, closedY));
+      const open = this._cellsNear(this._shiftSegment(door, closedX + openX, closedY + openY));
+
+      const sweep = new Set([...closed, ...open]);
+      const samples = Math.ceil(Math.hypot(openX, openY) / cellSize);
+      for (let i = 1; i < samples; i++) {
+        const t = i / samples;
+        for (const index of this._cellsNear(this._shiftSegment(door, closedX + openX * t, closedY + openY * t))) {
+          sweep.add(index);
+        }
+      }
+      this._doorCells.set(door, { closed, open, sweep: [...sweep] });
+    }
+    this.updateDoors();
+
+    const count = cols * rows;
+    this._visitedId = new Uint32Array(count);
+    this._closedId = new Uint32Array(count);
+    this._cost = new Float32Array(count);
+    this._cameFrom = new Int32Array(count);
+    this._searchId = 0;
+  }
+
+  /**
+   * Re-applies the doors' positions (call when a door starts and finishes sliding).
+   * A sliding door blocks its whole slide until it comes to rest.
+   */
+  updateDoors() {
+    this.blocked.set(this._wallBlocked);
+    for (const [door, cells] of this._doorCells) {
+      const blockedCells = door.isMoving ? cells.sweep : (door.isOpen ? cells.open : cells.closed);
+      for (const index of blockedCells) {
+        this.blocked[index] = 1;
+      }
+    }
+  }
+
+  /**
+   * Whether a world position is too close to a wall to stand on
+   * @param {number} x - World X
+   * @param {number} y - World Y
+   * @returns {boolean}
+   */
+  isBlocked(x, y) {
+    return this.blocked[this.getCellIndex(x, y)] === 1;
+  }
+
+  /**
+   * Gets the cell containing a world position (clamped to the grid)
+   * @param {number} x - World X
+   * @param {number} y - World Y
+   * @returns {number} Cell index
+   */
+  getCellIndex(x, y) {
+    const col = Math.min(this.cols - 1, Math.max(0, Math.floor((x - this.originX) / this.cellSize)));
+    const row = Math.min(this.rows - 1, Math.max(0, Math.floor((y - this.originY) / this.cellSize)));
+    return row * this.cols + col;
+  }
+
+  /**
+   * Finds a walkable route between two world positions
+   * @param {{x: number, y: number}} from - Start position
+   * @param {{x: number, y: number}} to - Target position
+   * @returns {Array<{x: number, y: number}>|null} Waypoints from start to target (both exact), or null if unreachable
+   */
+  findPath(from, to) {
+    const start = this._nearestOpen(this.getCellIndex(from.x, from.y));
+    const goal = this._nearestOpen(this.getCellIndex(to.x, to.y));
+    if (start === -1 || goal === -1) return null;
+
+    const cells = this._search(start, goal);
+    if (!cells) return null;
+
+    // Cell centers between the exact end points, pulled tight where the view is clear
+    const points = [{ x: from.x, y: from.y }];
+    for (let i = 0; i < cells.length; i++) {
+      points.push(this._cellCenter(cells[i]));
+    }
+    points.push({ x: to.x, y: to.y });
+    return this._smooth(points);
+  }
+
+  /**
+   * Whether a straight line between two world positions stays on open cells
+   * @param {number} ax - Start X
+   * @param {number} ay - Start Y
+   * @param {number} bx - End X
+   * @param {number} by - End Y
+   * @returns {boolean}
+   */
+  hasLineOfSight(ax, ay, bx, by) {
+    const length = Math.hypot(bx - ax, by - ay);
+    const steps = Math.ceil(length / (this.cellSize * 0.5));
+    for (let i = 0; i <= steps; i++) {
+      const t = steps === 0 ? 0 : i / steps;
+      if (this.blocked[this.getCellIndex(ax + (bx - ax) * t, ay + (by - ay) * t)]) return false;
+    }
+    return true;
+  }
+
+  /**
+   * A* between two open cells
+   * @param {number} start - Start cell index
+   * @param {number} goal - Goal cell index
+   * @returns {number[]|null} Cell indices from start to goal
+   * @private
+   */
+  _search(start, goal) {
+    const { cols, rows, blocked } = this;
+    const visitedId = this._visitedId;
+    const closedId = this._closedId;
+    const cost = this._cost;
+    const cameFrom = this._cameFrom;
+    const id = ++this._searchId;
+
+    const goalCol = goal % cols;
+    const goalRow = (goal - goalCol) / cols;
+    const heuristic = (col, row) => {
+      const dx = Math.abs(col - goalCol);
+      const dy = Math.abs(row - goalRow);
+      return dx + dy + (SQRT2 - 2) * Math.min(dx, dy);
+    };
+
+    const open = new MinHeap();
+    visitedId[start] = id;
+    cost[start] = 0;
+    cameFrom[start] = -1;
+    open.push(start, heuristic(start % cols, Math.floor(start / cols)));
+
+    while (open.size > 0) {
+      const current = open.pop();
+      if (closedId[current] === id) continue;
+      closedId[current] = id;
+
+      if (current === goal) {
+        const path = [];
+        for (let cell = goal; cell !== -1; cell = cameFrom[cell]) path.push(cell);
+        return path.reverse();
+      }
+
+      const col = current % cols;
+      const row = (current - col) / cols;
+      for (const { dx, dy, cost: stepCost } of NEIGHBORS) {
+        const nextCol = col + dx;
+        const nextRow = row + dy;
+        if (nextCol < 0 || nextCol >= cols || nextRow < 0 || nextRow >= rows) continue;
+        const next = nextRow * cols + nextCol;
+        if (blocked[next] || closedId[next] === id) continue;
+
+        // Diagonal steps must not squeeze past a blocked corner
+        if (dx !== 0 && dy !== 0 && (blocked[row * cols + nextCol] || blocked[nextRow * cols + col])) continue;
+
+        const nextCost = cost[current] + stepCost;
+        if (visitedId[next] === id && nextCost >= cost[next]) continue;
+
+        visitedId[next] = id;
+        cost[next] = nextCost;
+        cameFrom[next] = current;
+        open.push(next, nextCost + heuristic(nextCol, nextRow));
+      }
+    }
+
+    return null; // No route
+  }
+
+  /**
+   * Drops the waypoints that a straight line can skip
+   * @param {Array<{x: number, y: number}>} points - Waypoints from start to end
+   * @returns {Array<{x: number, y: number}>}
+   * @private
+   */
+  _smooth(points) {
+    const smoothed = [points[0]];
+    let anchor = points[0];
+    for (let i = 2; i < points.length; i++) {
+      if (!this.hasLineOfSight(anchor.x, anchor.y, points[i].x, points[i].y)) {
+        anchor = points[i - 1];
+        smoothed.push(anchor);
+      }
+    }
+    smoothed.push(points[points.length - 1]);
+    return smoothed;
+  }
+
+  /**
+   * Finds the open cell nearest to a cell (itself if open) within the snap radius
+   * @param {number} index - Cell index
+   * @returns {number} Open cell index, or -1 if none is close enough
+   * @private
+   */
+  _nearestOpen(index) {
+    if (!this.blocked[index]) return index;
+
+    const { cols, rows } = this;
+    const col = index % cols;
+    const row = (index - col) / cols;
+    const maxRing = Math.ceil(this.config.snapRadius / this.cellSize);
+
+    // Rings of growing size; the closest open cell of the first ring that has one
+    for (let ring = 1; ring <= maxRing; ring++) {
+      let best = -1;
+      let bestDistSq = Infinity;
+      for (let r = row - ring; r <= row + ring; r++) {
+        if (r < 0 || r >= rows) continue;
+        for (let c = col - ring; c <= col + ring; c++) {
+          if (c < 0 || c >= cols) continue;
+          if (Math.max(Math.abs(r - row), Math.abs(c - col)) !== ring) continue;
+          const candidate = r * cols + c;
+          const distSq = (r - row) ** 2 + (c - col) ** 2;
+          if (!this.blocked[candidate] && distSq < bestDistSq) {
+            best = candidate;
+            bestDistSq = distSq;
+          }
+        }
+      }
+      if (best !== -1) return best;
+    }
+    return -1;
+  }
+
+  /**
+   * Gets a door's segment moved by an offset
+   * @param {Door} door - The door
+   * @param {number} dx - X offset
+   * @param {number} dy - Y offset
+   * @returns {Object} Plain segment {a, b, minX, maxX, minY, maxY}
+   * @private
+   */
+  _shiftSegment(door, dx, dy) {
+    return {
+      a: { x: door.a.x + dx, y: door.a.y + dy },
+      b: { x: door.b.x + dx, y: door.b.y + dy },
+      minX: door.minX + dx,
+      maxX: door.maxX + dx,
+      minY: door.minY + dy,
+      maxY: door.maxY + dy
+    };
+  }
+
+  /**
+   * Gets the cells whose centers are within the clearance of a wall
+   * @param {Boundaries|CurvedWall|Object} wall - A wall, or a plain segment {a, b, minX, maxX, minY, maxY}
+   * @returns {number[]} Cell indices
+   * @private
+   */
+  _cellsNear(wall) {
+    const { cols, rows, cellSize, originX, originY, clearance } = this;
+    const colStart = Math.max(0, Math.floor((wall.minX - clearance - originX) / cellSize));
+    const colEnd = Math.min(cols - 1, Math.floor((wall.maxX + clearance - originX) / cellSize));
+    const rowStart = Math.max(0, Math.floor((wall.minY - clearance - originY) / cellSize));
+    const rowEnd = Math.min(rows - 1, Math.floor((wall.maxY + clearance - originY) / cellSize));
+
+    const cells = [];
+    for (let row = rowStart; row <= rowEnd; row++) {
+      const y = originY + (row + 0.5) * cellSize;
+      for (let col = colStart; col <= colEnd; col++) {
+        if (distanceToWall(originX + (col + 0.5) * cellSize, y, wall) < clearance) {
+          cells.push(row * cols + col);
+        }
+      }
+    }
+    return cells;
+  }
+
+  /**
+   * Gets the world position of a cell's center
+   * @private
+   */
+  _cellCenter(index) {
+    const col = index % this.cols;
+    const row = (index - col) / this.cols;
+    return {
+      x: this.originX + (col + 0.5) * this.cellSize,
+      y: this.originY + (row + 0.5) * this.cellSize
+    };
+  }
+}
+
+export default NavGrid;
@@ -0,0 +1,66 @@
+/**
+ * Seeded pseudo-random number generation for reproducible procedural content.
+ * Uses mulberry32: tiny, fast and good enough for level generation.
+ */
+
+/**
+ * Hashes a string seed into a 32-bit unsigned integer (FNV-1a)
+ * @param {string} str - Seed text
+ * @returns {number} 32-bit unsigned integer
+ */
+function hashSeed(str) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Normalizes a seed to a 32-bit unsigned integer.
+ * Numeric strings keep their numeric value so "12345" and 12345 give the same maze.
+ * @param {number|string} seed - Seed value
+ * @returns {number} 32-bit unsigned integer
+ */
+function normalizeSeed(seed) {
+  if (typeof seed === 'number' && Number.isFinite(seed)) {
+    return seed >>> 0;
+  }
+  const text = String(seed).trim();
+  if (/^\d+$/.test(text)) {
+    return Number(text) >>> 0;
+  }
+  return hashSeed(text);
+}
+
+/**
+ * Creates a new random seed (for when the caller doesn't supply one)
+ * @returns {number} 32-bit unsigned integer
+ */
+function generateSeed() {
+  return Math.floor(Math.random() * 0x100000000) >>> 0;
+}
+
+/**
+ * Creates a deterministic drop-in replacement for Math.random
+ * @param {number|string} seed - Seed value
+ * @returns {function(): number} Function returning floats in [0, 1)
+ *
+ * @example
+ * const random = createSeededRandom(1234);
+ * random(); // Same sequence every time for seed 1234
+ */
+function createSeededRandom(seed) {
+  let state = normalizeSeed(seed);
+
+  return function random() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+export { createSeededRandom, generateSeed, normalizeSeed, hashSeed };
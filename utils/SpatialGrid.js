@@ -2,6 +2,9 @@
  * Spatial Grid for efficient boundary lookup during raycasting.
  * Divides the world into cells and stores boundaries in each cell they intersect.
  * Uses DDA algorithm for ray marching through grid cells.
+ * Boundaries that move (animated walls, doors, sprites) are re-inserted by
+ * syncBoundaries, which compares each boundary's `revision` with the one it was
+ * inserted at.
  */
 
 // Default cell size - balance between too many cells (memory) and too few (no benefit)
@@ -18,6 +21,10 @@ class SpatialGrid {
     this.cells = new Map();
     this.boundaryCount = 0;
     
+    // Cells each boundary was inserted into, and its revision at the time
+    this._boundaryCells = new Map();
+    this._boundaryRevisions = new Map();
+    
     // Cache for cell keys to reduce string allocations
     this._keyCache = new Map();
   }
@@ -28,6 +35,8 @@ class SpatialGrid {
   clear() {
     this.cells.clear();
     this._keyCache.clear();
+    this._boundaryCells.clear();
+    this._boundaryRevisions.clear();
     this.boundaryCount = 0;
   }
 
@@ -69,20 +78,71 @@ class SpatialGrid {
    * @param {Object} boundary - Boundary object with a, b points or curved wall properties
    */
   insert(boundary) {
+    const cells = [];
     if (boundary.isCurved) {
-      this._insertCurvedBoundary(boundary);
+      this._insertCurvedBoundary(boundary, cells);
     } else {
-      this._insertStraightBoundary(boundary);
+      this._insertStraightBoundary(boundary, cells);
     }
+    this._boundaryCells.set(boundary, cells);
+    this._boundaryRevisions.set(boundary, boundary.revision);
     this.boundaryCount++;
   }
 
+  /**
+   * Removes a boundary from every cell it was inserted into
+   * @param {Object} boundary - Boundary to remove
+   */
+  remove(boundary) {
+    const cells = this._boundaryCells.get(boundary);
+    if (!cells) return;
+
+    for (let i = 0; i < cells.length; i++) {
+      const cell = cells[i];
+      const index = cell.indexOf(boundary);
+      if (index !== -1) cell.splice(index, 1);
+    }
+    this._boundaryCells.delete(boundary);
+    this._boundaryRevisions.delete(boundary);
+    this.boundaryCount--;
+  }
+
+  /**
+   * Moves a boundary to the cells that match its current position
+   * @param {Object} boundary - Boundary that moved
+   */
+  update(boundary) {
+    this.remove(boundary);
+    this.insert(boundary);
+  }
+
+  /**
+   * Brings the grid up to date with a boundaries array that may have changed in place:
+   * re-inserts boundaries that moved since they were inserted, and rebuilds the grid
+   * when boundaries were added or removed.
+   * @param {Array} boundaries - Array of boundary objects
+   */
+  syncBoundaries(boundaries) {
+    if (boundaries.length !== this._boundaryCells.size) {
+      this.buildFromBoundaries(boundaries);
+      return;
+    }
+
+    for (let i = 0; i < boundaries.length; i++) {
+      const boundary = boundaries[i];
+      if (this._boundaryRevisions.get(boundary) !== boundary.revision) {
+        this.update(boundary);
+      }
+    }
+  }
+
   /**
    * Inserts a straight boundary into grid cells
    * @param {Object} boundary - Straight boundary with a and b points
+   * @param {Array[]} cells - Receives the cells the boundary was added to
    * @private
    */
-  _insertStraightBoundary(boundary) {
+  _insertStraightBoundary(boundary, cells) {
     const minCellX = Math.floor(Math.min(boundary.a.x, boundary.b.x) * this.invCellSize);
     const maxCellX = Math.floor(Math.max(boundary.a.x, boundary.b.x) * this.invCellSize);
     const minCellY = Math.floor(Math.min(boundary.a.y, boundary.b.y) * this.invCellSize);
@@ -90,7 +150,7 @@ class SpatialGrid {
 
     for (let cx = minCellX; cx <= maxCellX; cx++) {
       for (let cy = minCellY; cy <= maxCellY; cy++) {
-        this._addToCell(cx, cy, boundary);
+        cells.push(this._addToCell(cx, cy, boundary));
       }
     }
   }
@@ -98,9 +158,10 @@ class SpatialGrid {
   /**
    * Inserts a curved boundary into grid cells
    * @param {Object} boundary - Curved boundary with center, radius, startAngle, endAngle
+   * @param {Array[]} cells - Receives the cells the boundary was added to
    * @private
    */
-  _insertCurvedBoundary(boundary) {
+  _insertCurvedBoundary(boundary, cells) {
     // Use bounding box of the arc
     const minX = boundary.centerX - boundary.radius;
     const maxX = boundary.centerX + boundary.radius;
@@ -114,7 +175,7 @@ class SpatialGrid {
 
     for (let cx = minCellX; cx <= maxCellX; cx++) {
       for (let cy = minCellY; cy <= maxCellY; cy++) {
-        this._addToCell(cx, cy, boundary);
+        cells.push(this._addToCell(cx, cy, boundary));
       }
     }
   }
@@ -124,6 +185,7 @@ class SpatialGrid {
    * @param {number} cx - Cell X coordinate
    * @param {number} cy - Cell Y coordinate
    * @param {Object} boundary - Boundary to add
+   * @returns {Array} The cell
    * @private
    */
   _addToCell(cx, cy, boundary) {
@@ -137,6 +199,7 @@ class SpatialGrid {
     if (!cell.includes(boundary)) {
       cell.push(boundary);
     }
+    return cell;
   }
 
   /**
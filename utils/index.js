@@ -4,9 +4,12 @@
 
 export { default as SpatialGrid } from './SpatialGrid.js';
 export { default as FogOfWar } from './FogOfWar.js';
-export { render3D, setFloorCastingParams, floorCaster } from './render3DFunction.js';
+export { default as NavGrid } from './NavGrid.js';
+export { render3D, setFloorCastingParams, setRenderBackend, getRenderBackend, floorCaster } from './render3DFunction.js';
 export { default as FloorCaster } from './FloorCaster.js';
 export { getDeltaTime } from './deltaTime.js';
 export { drawFPS } from './fpsDisplay.js';
+export { createSeededRandom, generateSeed, normalizeSeed, hashSeed } from './SeededRandom.js';
 export { drawBackground, drawMinimap, resizeCanvas } from './utils.js';
 export * from './mathLUT.js';
+export { default as lighting, Lighting, getLightRangeMultiplier } from './Lighting.js';
@@ -1,5 +1,7 @@
 import Boundaries from "../classes/BoundariesClass.js";
 import floorCaster from "./FloorCaster.js";
+import lighting from "./Lighting.js";
+import framebuffer from "./Framebuffer.js";
 import { RenderConfig } from "../config/GameConfig.js";
 
 /**
@@ -19,6 +21,7 @@ import { RenderConfig } from "../config/GameConfig.js";
  * @property {string|null} color - The solid color of the boundary (used when texture is null).
  * @property {Boundaries|null} boundary - The intersected boundary object.
  * @property {RayHit[]} [transparentHits] - Array of transparent boundary hits.
+ * @property {RayHit[]} [partialHits] - Low or raised opaque walls in front of the closest full-height wall.
  */
 
 // Rendering constants (from config)
@@ -38,6 +41,9 @@ let cachedHalfHeight = 0;
 let sliceWidth = 0;
 let cachedBaseHeightMultiplier = 0; // For fallback when heightMultiplier not provided
 
+// Screen Y of the horizon this frame (half height shifted by the pitch)
+let horizonY = 0;
+
 // Pre-allocated typed arrays for performance
 let brightnessCache = null;
 let zBuffer = null; // 1D Z-buffer for occlusion
@@ -45,6 +51,25 @@ let zBuffer = null; // 1D Z-buffer for occlusion
 // Flag to track if we're using precomputed multipliers
 let usePrecomputedMultipliers = false;
 
+// Rendering backend: 'canvas' (drawImage/fillRect per slice) or 'framebuffer' (one putImageData)
+let renderBackend = 'canvas';
+
+/**
+ * Selects the rendering backend
+ * @param {'canvas'|'framebuffer'} backend - Backend name
+ */
+function setRenderBackend(backend) {
+  renderBackend = backend === 'framebuffer' ? 'framebuffer' : 'canvas';
+}
+
+/**
+ * Gets the rendering backend in use
+ * @returns {'canvas'|'framebuffer'} Backend name
+ */
+function getRenderBackend() {
+  return renderBackend;
+}
+
 /**
  * Updates cached canvas dimensions and reallocates buffers if needed
  * @param {number} width - Canvas width
@@ -82,6 +107,24 @@ function calculateBrightness(distance) {
   return normalized * normalized;
 }
 
+/**
+ * Gets the on-screen top and height of a wall slice.
+ * Walls stand on the floor line of a standard wall at the same distance, raised by
+ * baseElevation and scaled by height (both in wall units; 1 = standard wall).
+ * @param {number} wallHeight - On-screen height of a standard wall at this distance
+ * @param {number} eyeHeight - Vertical camera position (-1 to 1)
+ * @param {Boundaries|CurvedWall|null} boundary - The wall being drawn
+ * @returns {number} Top Y of the slice (height is wallHeight * boundary.height)
+ */
+function getSliceTop(wallHeight, eyeHeight, boundary) {
+  // Distance-based parallax: closer walls (larger wallHeight) move more
+  // Positive eyeHeight (jumping) = walls shift down, negative (crouching) = walls shift up
+  const verticalOffset = eyeHeight * wallHeight * PARALLAX_STRENGTH;
+  const floorY = horizonY + wallHeight * 0.5 + verticalOffset;
+  if (!boundary) return floorY - wallHeight;
+  return floorY - (boundary.baseElevation + boundary.height) * wallHeight;
+}
+
 /**
  * Renders a single wall slice with texture or solid color
  * Optimized to minimize state changes
@@ -95,8 +138,9 @@ function calculateBrightness(distance) {
  * @param {number} textureX - Texture X coordinate (0-1)
  * @param {number} brightness - Brightness value (0-1)
  * @param {boolean} isTransparent - Whether this wall has transparency
+ * @param {number} [heightUnits=1] - Wall height in wall units; the texture tiles once per unit
  */
-function renderWallSlice(ctx, x, y, width, height, texture, color, textureX, brightness, isTransparent = false) {
+function renderWallSlice(ctx, x, y, width, height, texture, color, textureX, brightness, isTransparent = false, heightUnits = 1) {
   // Handle solid color walls
   if (!texture || !texture.complete) {
     if (color) {
@@ -142,14 +186,33 @@ function renderWallSlice(ctx, x, y, width, height, texture, color, textureX, bri
   // Use bitwise OR for fast floor
   const srcX = ((textureX * texWidth) | 0) % texWidth;
   
-  // Draw the texture slice (add 0.5 to prevent gaps between slices)
-  ctx.drawImage(
-    texture,
-    srcX, 0,           // Source position
-    1, texHeight,      // Source dimensions (1 pixel column)
-    x, y,              // Destination position
-    width + 0.5, height // Destination dimensions
-  );
+  if (heightUnits === 1) {
+    // Draw the texture slice (add 0.5 to prevent gaps between slices)
+    ctx.drawImage(
+      texture,
+      srcX, 0,           // Source position
+      1, texHeight,      // Source dimensions (1 pixel column)
+      x, y,              // Destination position
+      width + 0.5, height // Destination dimensions
+    );
+  } else {
+    // Tile the texture upward from the bottom edge, one copy per wall unit,
+    // so low walls show the bottom of the texture instead of a squashed copy
+    const unitHeight = height / heightUnits;
+    let segmentBottom = y + height;
+    for (let remaining = heightUnits; remaining > 0; remaining -= 1) {
+      const part = remaining < 1 ? remaining : 1;
+      const segmentHeight = unitHeight * part;
+      ctx.drawImage(
+        texture,
+        srcX, texHeight * (1 - part),
+        1, texHeight * part,
+        x, segmentBottom - segmentHeight,
+        width + 0.5, segmentHeight
+      );
+      segmentBottom -= segmentHeight;
+    }
+  }
   
   // Apply darkness overlay only if needed
   if (brightness < 0.99) {
@@ -297,6 +360,21 @@ function setFloorCastingParams(params) {
   _floorCastEnabled = params.enabled ?? true;
 }
 
+/**
+ * Samples the light level where a ray hits something
+ * Reconstructs the hit point from the camera parameters set by setFloorCastingParams
+ * @param {number} rayIndex - Ray/column index
+ * @param {number} distance - Fisheye-corrected distance along the ray
+ * @param {number} rayCount - Number of rays in the scene
+ * @returns {number} Light level 0-1
+ */
+function sampleLight(rayIndex, distance, rayCount) {
+  const angleOffset = -_playerFov * 0.5 + rayIndex * (_playerFov / rayCount);
+  const rayDist = distance / Math.cos(angleOffset);
+  const angle = _playerAngle + angleOffset;
+  return lighting.getLightAt(_playerX + Math.cos(angle) * rayDist, _playerY + Math.sin(angle) * rayDist);
+}
+
 /**
  * Renders the 3D scene by drawing wall slices with textures and darkness.
  * Optimized with:
@@ -305,37 +383,58 @@ function setFloorCastingParams(params) {
  * - Typed arrays for better memory performance
  * - Reduced draw calls and state changes
  * - Vertical parallax support for jumping and crouching
+ * - Looking up and down by shifting the horizon (y-shear)
  * - Floor and ceiling casting with perspective
+ * - Map lights and the player flashlight (when the map is not fully lit)
+ * - Optional framebuffer backend: every pass writes pixels into one buffer that is
+ *   copied to the canvas with a single putImageData (see setRenderBackend)
  * 
  * @param {RayIntersection[]} scene - An array of intersection data for each ray.
  * @param {number} [eyeHeight=0] - Vertical camera position (-1 to 1, 0 = center)
  *                                  Positive = looking from above, negative = from below
+ * @param {number} [horizonShift=0] - Pitch as a horizon offset in screen heights
+ *                                    (positive = looking up, the view shifts down)
  */
-function render3D(scene, eyeHeight = 0) {
+function render3D(scene, eyeHeight = 0, horizonShift = 0) {
   const sceneLength = scene.length;
   
   // Update dimension cache and allocate buffers
   updateCanvasCache(main_canvas.width, main_canvas.height, sceneLength);
+  const horizonOffset = horizonShift * cachedHeight;
+  horizonY = cachedHalfHeight + horizonOffset;
   
   // First pass: Calculate all brightness values and initialize z-buffer
+  const isLit = lighting.isActive;
   for (let i = 0; i < sceneLength; i++) {
     const dist = scene[i].distance;
     brightnessCache[i] = calculateBrightness(dist);
+    if (isLit && dist !== Infinity) brightnessCache[i] *= sampleLight(i, dist, sceneLength);
     zBuffer[i] = dist; // Store distance for occlusion testing
   }
   
+  const useFramebuffer = renderBackend === 'framebuffer';
+  if (useFramebuffer) {
+    framebuffer.resize(main_ctx, cachedWidth, cachedHeight);
+    framebuffer.clear();
+  }
+  
   // Floor and ceiling pass: Render before walls so walls draw on top
   if (_floorCastEnabled && floorCaster.enabled) {
     floorCaster.updateDimensions(cachedWidth, cachedHeight);
-    floorCaster.render(
-      main_ctx,
-      scene,
-      _playerX,
-      _playerY,
-      _playerAngle,
-      _playerFov,
-      eyeHeight
-    );
+    if (useFramebuffer) {
+      floorCaster.renderFramebuffer(framebuffer, scene, _playerX, _playerY, _playerAngle, _playerFov, eyeHeight, horizonOffset);
+    } else {
+      floorCaster.render(
+        main_ctx,
+        scene,
+        _playerX,
+        _playerY,
+        _playerAngle,
+        _playerFov,
+        eyeHeight,
+        horizonOffset
+      );
+    }
   }
   
   // Second pass: Render opaque walls
@@ -387,33 +486,55 @@ function render3D(scene, eyeHeight = 0) {
       wallHeight = cachedBaseHeightMultiplier / distance;
     }
     
-    // Distance-based parallax: closer walls (larger wallHeight) move more
-    // Positive eyeHeight (jumping) = walls shift down, negative (crouching) = walls shift up
-    // The offset is proportional to wallHeight, so close walls move more than distant ones
-    const verticalOffset = eyeHeight * wallHeight * PARALLAX_STRENGTH;
-    const y = cachedHalfHeight - wallHeight * 0.5 + verticalOffset;
+    // Raised/low/tall walls are placed relative to the floor line (with parallax)
+    const y = getSliceTop(wallHeight, eyeHeight, boundary);
     const x = i * sliceWidth;
     
     const isTransparent = boundary && boundary.isTransparent;
+    const heightUnits = boundary ? boundary.height : 1;
+    
+    if (useFramebuffer) {
+      framebuffer.drawWallSlice(x, y, sliceWidth, wallHeight * heightUnits, texture, color, textureX, averageBrightness, isTransparent, heightUnits);
+      continue;
+    }
     
     renderWallSlice(
       main_ctx,
       x, y,
-      sliceWidth, wallHeight,
+      sliceWidth, wallHeight * heightUnits,
       texture,
       color,
       textureX,
       averageBrightness,
-      isTransparent
+      isTransparent,
+      heightUnits
     );
   }
   
-  // Third pass: Collect and render transparent/translucent walls
-  // Sort by distance (furthest first for correct alpha blending)
+  // Third pass: Collect and render transparent/translucent walls together with
+  // partial-height walls (low cover, raised walls) that don't hide what's behind them.
+  // Sort by distance (furthest first for correct alpha blending and occlusion)
   const transparentSlices = [];
   
   for (let i = 0; i < sceneLength; i++) {
-    const { transparentHits } = scene[i];
+    const { transparentHits, partialHits } = scene[i];
+    
+    if (partialHits && partialHits.length > 0) {
+      for (let j = 0; j < partialHits.length; j++) {
+        const hit = partialHits[j];
+        transparentSlices.push({
+          rayIndex: i,
+          distance: hit.distance,
+          textureX: hit.textureX,
+          texture: hit.texture,
+          color: hit.color,
+          boundary: hit.boundary,
+          spriteTexture: null,
+          mirrored: false,
+          isPartialWall: true
+        });
+      }
+    }
     
     if (transparentHits && transparentHits.length > 0) {
       for (let j = 0; j < transparentHits.length; j++) {
@@ -443,7 +564,7 @@ function render3D(scene, eyeHeight = 0) {
   // Render transparent/translucent slices
   for (let i = 0; i < transparentSlices.length; i++) {
     const slice = transparentSlices[i];
-    const { rayIndex, distance, textureX, texture, color, boundary, spriteTexture, mirrored } = slice;
+    const { rayIndex, distance, textureX, texture, color, boundary, spriteTexture, mirrored, isPartialWall } = slice;
     
     // Use precomputed height multiplier from the corresponding ray if available
     const sceneItem = scene[rayIndex];
@@ -454,16 +575,43 @@ function render3D(scene, eyeHeight = 0) {
       wallHeight = cachedBaseHeightMultiplier / distance;
     }
     
-    // Distance-based parallax for transparent walls too
-    const verticalOffset = eyeHeight * wallHeight * PARALLAX_STRENGTH;
-    const y = cachedHalfHeight - wallHeight * 0.5 + verticalOffset;
+    // Same floor line and parallax as the opaque walls
+    const y = getSliceTop(wallHeight, eyeHeight, boundary);
     const x = rayIndex * sliceWidth;
+    const heightUnits = boundary ? boundary.height : 1;
+    
+    // Calculate brightness for this distance (and the light where it was hit)
+    let brightness = calculateBrightness(distance);
+    if (isLit) brightness *= sampleLight(rayIndex, distance, sceneLength);
     
-    // Calculate brightness for this distance
-    const brightness = calculateBrightness(distance);
+    if (isPartialWall) {
+      if (useFramebuffer) {
+        framebuffer.drawWallSlice(x, y, sliceWidth, wallHeight * heightUnits, texture, color, textureX, brightness, false, heightUnits);
+      } else {
+        renderWallSlice(main_ctx, x, y, sliceWidth, wallHeight * heightUnits, texture, color, textureX, brightness, false, heightUnits);
+      }
+      continue;
+    }
     
-    renderTranslucentSlice(main_ctx, x, y, sliceWidth, wallHeight, texture, color, textureX, brightness, boundary, spriteTexture, mirrored);
+    if (useFramebuffer) {
+      const opacity = boundary ? boundary.opacity : 1;
+      framebuffer.drawTranslucentSlice(x, y, sliceWidth, wallHeight * heightUnits, texture, color, textureX, brightness, boundary, spriteTexture, mirrored, opacity);
+      continue;
+    }
+    
+    // Faded boundaries (ghost sprites) draw with extra alpha
+    const faded = boundary && boundary.opacity < 1;
+    if (faded) main_ctx.globalAlpha = boundary.opacity;
+    
+    renderTranslucentSlice(main_ctx, x, y, sliceWidth, wallHeight * heightUnits, texture, color, textureX, brightness, boundary, spriteTexture, mirrored);
+    
+    if (faded) main_ctx.globalAlpha = 1;
+  }
+  
+  // Framebuffer backend: the whole view goes to the canvas in one call
+  if (useFramebuffer) {
+    framebuffer.present(main_ctx);
   }
 }
 
-export { render3D, setFloorCastingParams, floorCaster };
+export { render3D, setFloorCastingParams, setRenderBackend, getRenderBackend, floorCaster };
@@ -3,6 +3,7 @@ import Player from "../classes/UserClass.js";
 import RayClass from "../classes/RayClass.js";
 import { DEG_TO_RAD, fastSin, fastCos } from "./mathLUT.js";
 import { BackgroundConfig, DetectionConfig, EnemyConfig } from "../config/GameConfig.js";
+import { getLightRangeMultiplier } from "./Lighting.js";
 
 /**
  * Resizes all canvas elements in the canvasArray to maintain the specified aspect ratio.
@@ -29,14 +30,24 @@ function resizeCanvas({ canvasArray, ratio }) {
 // Background parallax strength (from config)
 const BG_PARALLAX_STRENGTH = BackgroundConfig.parallaxStrength;
 
+// Minimap enemy dot colors per alert state (see EnemyStates)
+const ENEMY_STATE_COLORS = {
+  patrol: 'red',
+  suspicious: '#ffcc00',
+  chase: '#ff3366',
+  search: '#ff8800',
+  return: '#cc6666'
+};
+
 /**
  * Draws the background gradient (sky and floor) with optional vertical parallax
  * @param {CanvasRenderingContext2D} background_ctx - The background canvas context
  * @param {number} height - Canvas height
  * @param {number} width - Canvas width
  * @param {number} [eyeHeight=0] - Vertical camera position for parallax
+ * @param {number} [horizonShift=0] - Pitch as a horizon offset in screen heights (positive = looking up)
  */
-function drawBackground(background_ctx, height, width, eyeHeight = 0) {
+function drawBackground(background_ctx, height, width, eyeHeight = 0, horizonShift = 0) {
   const topStartLuminosity = 55;
   const topEndLuminosity = 20;
   const bottomStartLuminosity = 40;
@@ -45,7 +56,8 @@ function drawBackground(background_ctx, height, width, eyeHeight = 0) {
   // Calculate horizon offset based on eye height
   // Positive eyeHeight (jumping) = horizon moves down, shows more sky
   // Negative eyeHeight (crouching) = horizon moves up, shows more floor
-  const horizonOffset = eyeHeight * height * BG_PARALLAX_STRENGTH;
+  // Pitch moves it by the same amount as the 3D view's horizon
+  const horizonOffset = eyeHeight * height * BG_PARALLAX_STRENGTH + horizonShift * height;
   const horizonY = height * 0.5 + horizonOffset;
 
   background_ctx.clearRect(0, 0, width, height);
@@ -204,6 +216,7 @@ function drawEnemyFOVCone(ctx, enemy, offsetX, offsetY, nearbyBoundaries, maxCon
   // - Crouching reduces detection range to 75% (not FOV angle)
   // - Jumping recently increases detection range by 1.2x
   // - Sprinting increases both range and FOV (player is more visible and makes more noise)
+  // - Darkness shortens the range
   const playerCrouching = player ? player.isCrouching : false;
   const playerRecentlyJumped = player && player.hasRecentlyJumped ? player.hasRecentlyJumped() : false;
   const playerSprinting = player ? player.isSprinting : false;
@@ -212,11 +225,12 @@ function drawEnemyFOVCone(ctx, enemy, offsetX, offsetY, nearbyBoundaries, maxCon
   const jumpMultiplier = playerRecentlyJumped ? 1.2 : 1.0;
   const sprintRangeMultiplier = playerSprinting ? 1.2 : 1.0;
   const sprintFovMultiplier = playerSprinting ? 1.3 : 1.0;
+  const lightMultiplier = player ? getLightRangeMultiplier(player.lightLevel ?? 1) : 1.0;
   
   // FOV angle increases when player is sprinting (matches EnemyClass)
   const halfFovRad = (enemy.fov * 0.5 * sprintFovMultiplier) * DEG_TO_RAD;
   // Maximum visibility distance (at center of cone)
-  const maxVisibilityDist = enemy.visibilityDistance * crouchMultiplier * jumpMultiplier * sprintRangeMultiplier;
+  const maxVisibilityDist = enemy.visibilityDistance * crouchMultiplier * jumpMultiplier * sprintRangeMultiplier * lightMultiplier;
   
   // Helper to rotate a world point for rotating minimap
   const cosR = Math.cos(rotationAngle);
@@ -337,6 +351,102 @@ function drawFogOverlay(ctx, centerX, centerY, radius, invScale, user, fogOfWar,
   if (cellSize < 10) return;
 }
 
+// ===========================================
+// MINIMAP DRAWING PRIMITIVES
+// Shared by the minimap and the level editor. Each takes a `project(x, y)`
+// function mapping world coordinates to canvas coordinates.
+// ===========================================
+
+/**
+ * Gets the top-down stroke color for a wall
+ * @param {{color: string|null}} wall - Boundary, curved wall or wall definition
+ * @returns {string} CSS color (the wall's solid color, white for textured walls)
+ */
+function getWallStrokeColor(wall) {
+  return wall.color || 'white';
+}
+
+/**
+ * Strokes a straight wall segment
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {number} ax - Point A x (world)
+ * @param {number} ay - Point A y (world)
+ * @param {number} bx - Point B x (world)
+ * @param {number} by - Point B y (world)
+ * @param {function(number, number): {x: number, y: number}} project - World to canvas transform
+ */
+function strokeWallSegment(ctx, ax, ay, bx, by, project) {
+  const posA = project(ax, ay);
+  const posB = project(bx, by);
+  ctx.beginPath();
+  ctx.moveTo(posA.x, posA.y);
+  ctx.lineTo(posB.x, posB.y);
+  ctx.stroke();
+}
+
+/**
+ * Strokes a curved wall as a polyline arc
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {number} centerX - Arc center x (world)
+ * @param {number} centerY - Arc center y (world)
+ * @param {number} radius - Arc radius (world)
+ * @param {number} startAngle - Start angle in radians
+ * @param {number} endAngle - End angle in radians
+ * @param {function(number, number): {x: number, y: number}} project - World to canvas transform
+ * @param {number} [segments=12] - Polyline segment count
+ */
+function strokeWallArc(ctx, centerX, centerY, radius, startAngle, endAngle, project, segments = 12) {
+  const angleDiff = endAngle - startAngle;
+
+  ctx.beginPath();
+  const startPos = project(centerX + radius * fastCos(startAngle), centerY + radius * fastSin(startAngle));
+  ctx.moveTo(startPos.x, startPos.y);
+
+  for (let j = 1; j <= segments; j++) {
+    const angle = startAngle + (j / segments) * angleDiff;
+    const pos = project(centerX + radius * fastCos(angle), centerY + radius * fastSin(angle));
+    ctx.lineTo(pos.x, pos.y);
+  }
+  ctx.stroke();
+}
+
+/**
+ * Draws a pulsing zone marker (glow, ring and center dot) at canvas coordinates
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {number} x - Center x (canvas)
+ * @param {number} y - Center y (canvas)
+ * @param {number} radius - Zone radius (canvas)
+ * @param {string} rgb - Zone color as "r, g, b"
+ * @param {number} glowAlpha - Peak glow opacity
+ * @param {number} pulse - Pulse value (0.7-1.0)
+ * @param {number} lineScale - Multiplier for line widths and the center dot
+ */
+function drawZoneMarker(ctx, x, y, radius, rgb, glowAlpha, pulse, lineScale) {
+  // Outer glow
+  const gradient = ctx.createRadialGradient(x, y, 0, x, y, radius * 1.5);
+  gradient.addColorStop(0, `rgba(${rgb}, ${glowAlpha * pulse})`);
+  gradient.addColorStop(0.7, `rgba(${rgb}, ${glowAlpha * 0.5 * pulse})`);
+  gradient.addColorStop(1, `rgba(${rgb}, 0)`);
+
+  ctx.fillStyle = gradient;
+  ctx.beginPath();
+  ctx.arc(x, y, radius * 1.5, 0, Math.PI * 2);
+  ctx.fill();
+
+  // Marker ring
+  ctx.strokeStyle = `rgba(${rgb}, ${pulse})`;
+  ctx.lineWidth = 2 * lineScale;
+  ctx.beginPath();
+  ctx.arc(x, y, radius, 0, Math.PI * 2);
+  ctx.stroke();
+
+  // Inner marker
+  ctx.fillStyle = `rgba(${rgb}, ${0.8 * pulse})`;
+  ctx.beginPath();
+  ctx.arc(x, y, 4 * lineScale, 0, Math.PI * 2);
+  ctx.fill();
+}
+
 /**
  * Draws a circular minimap on the main canvas
  * Optimized: only enemies within minimap radius get ray-traced FOV cones
@@ -410,30 +520,7 @@ function drawMinimap(ctx, boundaries, user, enemies, goalZone = null, startZone
     if (isFinite(startX) && isFinite(startY)) {
       // Pulsing effect (slightly different timing)
       const pulse = 0.7 + 0.3 * Math.sin(performance.now() * 0.003);
-      
-      // Outer glow (cyan/blue color)
-      const startGradient = ctx.createRadialGradient(startX, startY, 0, startX, startY, startRadius * 1.5);
-      startGradient.addColorStop(0, `rgba(0, 200, 255, ${0.5 * pulse})`);
-      startGradient.addColorStop(0.7, `rgba(0, 200, 255, ${0.25 * pulse})`);
-      startGradient.addColorStop(1, 'rgba(0, 200, 255, 0)');
-      
-      ctx.fillStyle = startGradient;
-      ctx.beginPath();
-      ctx.arc(startX, startY, startRadius * 1.5, 0, Math.PI * 2);
-      ctx.fill();
-      
-      // Start marker ring
-      ctx.strokeStyle = `rgba(0, 200, 255, ${pulse})`;
-      ctx.lineWidth = 2 * invScale;
-      ctx.beginPath();
-      ctx.arc(startX, startY, startRadius, 0, Math.PI * 2);
-      ctx.stroke();
-      
-      // Inner start marker
-      ctx.fillStyle = `rgba(0, 200, 255, ${0.8 * pulse})`;
-      ctx.beginPath();
-      ctx.arc(startX, startY, 4 * invScale, 0, Math.PI * 2);
-      ctx.fill();
+      drawZoneMarker(ctx, startX, startY, startRadius, '0, 200, 255', 0.5, pulse, invScale);
     }
   }
 
@@ -448,30 +535,7 @@ function drawMinimap(ctx, boundaries, user, enemies, goalZone = null, startZone
     if (isFinite(goalX) && isFinite(goalY)) {
       // Pulsing effect
       const pulse = 0.7 + 0.3 * Math.sin(performance.now() * 0.004);
-      
-      // Outer glow
-      const goalGradient = ctx.createRadialGradient(goalX, goalY, 0, goalX, goalY, goalRadius * 1.5);
-      goalGradient.addColorStop(0, `rgba(0, 255, 100, ${0.6 * pulse})`);
-      goalGradient.addColorStop(0.7, `rgba(0, 255, 100, ${0.3 * pulse})`);
-      goalGradient.addColorStop(1, 'rgba(0, 255, 100, 0)');
-      
-      ctx.fillStyle = goalGradient;
-      ctx.beginPath();
-      ctx.arc(goalX, goalY, goalRadius * 1.5, 0, Math.PI * 2);
-      ctx.fill();
-      
-      // Goal marker ring
-      ctx.strokeStyle = `rgba(0, 255, 100, ${pulse})`;
-      ctx.lineWidth = 2 * invScale;
-      ctx.beginPath();
-      ctx.arc(goalX, goalY, goalRadius, 0, Math.PI * 2);
-      ctx.stroke();
-      
-      // Inner goal marker
-      ctx.fillStyle = `rgba(0, 255, 100, ${0.8 * pulse})`;
-      ctx.beginPath();
-      ctx.arc(goalX, goalY, 4 * invScale, 0, Math.PI * 2);
-      ctx.fill();
+      drawZoneMarker(ctx, goalX, goalY, goalRadius, '0, 255, 100', 0.6, pulse, invScale);
     }
   }
 
@@ -528,43 +592,13 @@ function drawMinimap(ctx, boundaries, user, enemies, goalZone = null, startZone
       continue;
     }
     
-    // Set color based on wall type
-    if (boundary.isTransparent && boundary.color) {
-      // Use the wall's actual color for translucent walls
-      ctx.strokeStyle = boundary.color;
-    } else if (boundary.color && !boundary.isTransparent) {
-      // Solid colored walls - show as slightly dimmer version
-      ctx.strokeStyle = boundary.color;
-    } else {
-      // Default white for textured/normal walls
-      ctx.strokeStyle = 'white';
-    }
+    // Walls use their own color (solid or translucent); textured walls draw white
+    ctx.strokeStyle = getWallStrokeColor(boundary);
     
     if (boundary.isCurved) {
-      ctx.beginPath();
-      const segments = 12;
-      const angleDiff = boundary.endAngle - boundary.startAngle;
-      
-      const startWorldX = boundary.centerX + boundary.radius * fastCos(boundary.startAngle);
-      const startWorldY = boundary.centerY + boundary.radius * fastSin(boundary.startAngle);
-      const startPos = rotatePoint(startWorldX, startWorldY);
-      ctx.moveTo(startPos.x, startPos.y);
-      
-      for (let j = 1; j <= segments; j++) {
-        const angle = boundary.startAngle + (j / segments) * angleDiff;
-        const worldX = boundary.centerX + boundary.radius * fastCos(angle);
-        const worldY = boundary.centerY + boundary.radius * fastSin(angle);
-        const pos = rotatePoint(worldX, worldY);
-        ctx.lineTo(pos.x, pos.y);
-      }
-      ctx.stroke();
+      strokeWallArc(ctx, boundary.centerX, boundary.centerY, boundary.radius, boundary.startAngle, boundary.endAngle, rotatePoint);
     } else {
-      const posA = rotatePoint(boundary.a.x, boundary.a.y);
-      const posB = rotatePoint(boundary.b.x, boundary.b.y);
-      ctx.beginPath();
-      ctx.moveTo(posA.x, posA.y);
-      ctx.lineTo(posB.x, posB.y);
-      ctx.stroke();
+      strokeWallSegment(ctx, boundary.a.x, boundary.a.y, boundary.b.x, boundary.b.y, rotatePoint);
     }
   }
 
@@ -606,7 +640,7 @@ function drawMinimap(ctx, boundaries, user, enemies, goalZone = null, startZone
   const crouchMultiplier = playerCrouching ? 0.75 : 1.0;
   const jumpMultiplier = playerRecentlyJumped ? 1.2 : 1.0;
   const sprintRangeMultiplier = playerSprinting ? 1.2 : 1.0;
-  const combinedMultiplier = crouchMultiplier * jumpMultiplier * sprintRangeMultiplier;
+  const combinedMultiplier = crouchMultiplier * jumpMultiplier * sprintRangeMultiplier * getLightRangeMultiplier(user.lightLevel ?? 1);
 
   // Draw enemy FOV cones - include enemies whose cone could reach the minimap area
   // With fog of war, only show enemies the player has seen
@@ -668,8 +702,8 @@ function drawMinimap(ctx, boundaries, user, enemies, goalZone = null, startZone
     // Pass rotation info for rotating minimap
     drawEnemyFOVCone(ctx, enemy, offsetX, offsetY, nearbyBoundaries, Infinity, user, rotateWithPlayer, rotationAngle, centerX, centerY, user.pos);
 
-    // Enemy position dot (on top of everything)
-    ctx.fillStyle = 'red';
+    // Enemy position dot (on top of everything), colored by alert state
+    ctx.fillStyle = ENEMY_STATE_COLORS[enemy.state] || 'red';
     ctx.beginPath();
     ctx.arc(enemyPos.x, enemyPos.y, 2 * invScale, 0, Math.PI * 2);
     ctx.fill();
@@ -678,4 +712,4 @@ function drawMinimap(ctx, boundaries, user, enemies, goalZone = null, startZone
   ctx.restore();
 }
 
-export { resizeCanvas, drawBackground, drawMinimap };
+export { resizeCanvas, drawBackground, drawMinimap, getWallStrokeColor, strokeWallSegment, strokeWallArc, drawZoneMarker, ENEMY_STATE_COLORS };
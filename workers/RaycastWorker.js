@@ -1,21 +1,29 @@
 /**
  * Web Worker for offloading raycasting calculations.
  * Performs ray-boundary intersection tests in a separate thread.
- * 
+ *
+ * The worker only finds what each ray hits: the closest full-height opaque
+ * wall, plus the partial-height and transparent walls in front of it.
+ * RaycastManager turns those hits into the scene the renderer draws (textures,
+ * directional sprite frames), so nothing here needs images or class instances.
+ *
  * Communication Protocol:
  * - 'init': Initialize worker with configuration
- * - 'updateBoundaries': Update the boundary data
- * - 'cast': Perform raycasting and return scene data
+ * - 'updateBoundaries': Replace all boundary data (new map, sprites added or removed)
+ * - 'moveBoundaries': Replace the boundaries that moved (doors, animated walls, enemies)
+ * - 'cast': Perform raycasting into the transferred buffers and send them back
  */
 
 // Worker state
 let config = {
   rayCount: 1000,
-  maxRenderDistance: 2000
+  maxRenderDistance: 2000,
+  cellSize: 100,
+  maxExtraHits: 16
 };
 
-// Boundary data (transferred as typed arrays for performance)
-let boundaryData = null;
+// Boundary data, indexed by id (the boundary's index on the main thread)
+let boundaryData = [];
 let boundaryCount = 0;
 
 // Spatial grid implementation (inline to avoid import issues in workers)
@@ -24,10 +32,14 @@ class WorkerSpatialGrid {
     this.cellSize = cellSize;
     this.invCellSize = 1 / cellSize;
     this.cells = new Map();
+
+    // Cells each boundary was inserted into (so moved boundaries can be removed)
+    this.boundaryCells = new Map();
   }
 
   clear() {
     this.cells.clear();
+    this.boundaryCells.clear();
   }
 
   _getCellKey(cx, cy) {
@@ -39,6 +51,7 @@ class WorkerSpatialGrid {
     const maxCellX = Math.floor(boundary.maxX * this.invCellSize);
     const minCellY = Math.floor(boundary.minY * this.invCellSize);
     const maxCellY = Math.floor(boundary.maxY * this.invCellSize);
+    const inserted = [];
 
     for (let cx = minCellX; cx <= maxCellX; cx++) {
       for (let cy = minCellY; cy <= maxCellY; cy++) {
@@ -46,9 +59,25 @@ class WorkerSpatialGrid {
         if (!this.cells.has(key)) {
           this.cells.set(key, []);
         }
-        this.cells.get(key).push(boundary);
+        const cell = this.cells.get(key);
+        cell.push(boundary);
+        inserted.push(cell);
       }
     }
+
+    this.boundaryCells.set(boundary.id, inserted);
+  }
+
+  remove(id) {
+    const inserted = this.boundaryCells.get(id);
+    if (!inserted) return;
+
+    for (let i = 0; i < inserted.length; i++) {
+      const cell = inserted[i];
+      const index = cell.findIndex(b => b.id === id);
+      if (index !== -1) cell.splice(index, 1);
+    }
+    this.boundaryCells.delete(id);
   }
 
   getCell(cx, cy) {
@@ -58,26 +87,26 @@ class WorkerSpatialGrid {
   getBoundariesAlongRay(originX, originY, dirX, dirY, maxDistance, resultArray, seenSet) {
     seenSet.clear();
     let count = 0;
-    
+
     let cellX = Math.floor(originX * this.invCellSize);
     let cellY = Math.floor(originY * this.invCellSize);
-    
+
     const stepX = dirX > 0 ? 1 : -1;
     const stepY = dirY > 0 ? 1 : -1;
-    
+
     const tDeltaX = dirX !== 0 ? Math.abs(this.cellSize / dirX) : Infinity;
     const tDeltaY = dirY !== 0 ? Math.abs(this.cellSize / dirY) : Infinity;
-    
-    let tMaxX = dirX > 0 
+
+    let tMaxX = dirX > 0
       ? ((cellX + 1) * this.cellSize - originX) / dirX
       : dirX < 0 ? (cellX * this.cellSize - originX) / dirX : Infinity;
-    
+
     let tMaxY = dirY > 0
       ? ((cellY + 1) * this.cellSize - originY) / dirY
       : dirY < 0 ? (cellY * this.cellSize - originY) / dirY : Infinity;
-    
+
     let t = 0;
-    
+
     // Process starting cell
     const startCell = this.getCell(cellX, cellY);
     for (let i = 0; i < startCell.length; i++) {
@@ -87,7 +116,7 @@ class WorkerSpatialGrid {
         resultArray[count++] = b;
       }
     }
-    
+
     // DDA loop
     while (t < maxDistance) {
       if (tMaxX < tMaxY) {
@@ -99,9 +128,9 @@ class WorkerSpatialGrid {
         tMaxY += tDeltaY;
         cellY += stepY;
       }
-      
+
       if (t > maxDistance) break;
-      
+
       const cell = this.getCell(cellX, cellY);
       for (let i = 0; i < cell.length; i++) {
         const b = cell[i];
@@ -111,7 +140,7 @@ class WorkerSpatialGrid {
         }
       }
     }
-    
+
     return count;
   }
 
@@ -124,20 +153,31 @@ class WorkerSpatialGrid {
 }
 
 // Spatial grid instance
-const spatialGrid = new WorkerSpatialGrid(100);
+let spatialGrid = new WorkerSpatialGrid(config.cellSize);
 
 // Pre-allocated arrays for ray casting
-let rayResultArray = new Array(500);
+let rayResultArray = [];
 let seenSet = new Set();
 
-// Pre-allocated output buffers
-let distanceBuffer = null;
-let textureXBuffer = null;
-let boundaryIndexBuffer = null;
+// Intersection scratch (avoids allocating a result per test)
+const hit = { distance: 0, pointX: 0, pointY: 0, angle: 0 };
+
+// Hits in front of the closest full-height wall, gathered per ray before filtering
+let extraScratch = new Float32Array(0);
+
+const TWO_PI = Math.PI * 2;
+
+/**
+ * Normalizes an angle to [0, 2π) (same as mathLUT's normalizeAngle)
+ */
+function normalizeAngle(angle) {
+  const normalized = angle - TWO_PI * Math.floor(angle / TWO_PI);
+  return normalized < 0 ? normalized + TWO_PI : normalized;
+}
 
 /**
- * Casts a ray against a straight boundary
- * Returns distance along ray or null if no intersection
+ * Casts a ray against a straight boundary (same test as RayClass.cast)
+ * Fills `hit` and returns true on intersection
  */
 function castRayAgainstBoundary(rayPosX, rayPosY, rayDirX, rayDirY, boundary) {
   // Wall endpoints
@@ -149,17 +189,17 @@ function castRayAgainstBoundary(rayPosX, rayPosY, rayDirX, rayDirY, boundary) {
   // Wall direction vector
   const wx = x2 - x1;
   const wy = y2 - y1;
-  
+
   // Calculate denominator
   const denominator = wx * rayDirY - wy * rayDirX;
-  
+
   // Parallel check
-  if (denominator > -0.0001 && denominator < 0.0001) return null;
-  
+  if (denominator > -0.0001 && denominator < 0.0001) return false;
+
   // Vector from wall start to ray origin
   const ox = rayPosX - x1;
   const oy = rayPosY - y1;
-  
+
   // Calculate intersection parameters
   const invDenom = 1 / denominator;
   const t = (ox * rayDirY - oy * rayDirX) * invDenom;
@@ -167,233 +207,236 @@ function castRayAgainstBoundary(rayPosX, rayPosY, rayDirX, rayDirY, boundary) {
 
   // Check validity
   if (t > 0 && t < 1 && u > 0) {
-    return {
-      distance: u,
-      textureX: t,
-      pointX: x1 + t * wx,
-      pointY: y1 + t * wy
-    };
+    hit.distance = u;
+    hit.pointX = x1 + t * wx;
+    hit.pointY = y1 + t * wy;
+    hit.angle = 0;
+    return true;
   }
-  
-  return null;
+
+  return false;
 }
 
 /**
- * Casts a ray against a curved boundary (arc)
+ * Casts a ray against a curved boundary (same test as CurvedWall.rayIntersection)
+ * Fills `hit` and returns true on intersection
  */
 function castRayAgainstCurvedBoundary(rayPosX, rayPosY, rayDirX, rayDirY, boundary) {
   const cx = boundary.centerX;
   const cy = boundary.centerY;
-  const radius = boundary.radius;
-  
-  // Vector from ray origin to circle center
-  const ocX = rayPosX - cx;
-  const ocY = rayPosY - cy;
-  
+
+  // Vector from circle center to ray origin
+  const fx = rayPosX - cx;
+  const fy = rayPosY - cy;
+
   // Quadratic coefficients
   const a = rayDirX * rayDirX + rayDirY * rayDirY;
-  const b = 2 * (ocX * rayDirX + ocY * rayDirY);
-  const c = ocX * ocX + ocY * ocY - radius * radius;
-  
+  const b = 2 * (fx * rayDirX + fy * rayDirY);
+  const c = fx * fx + fy * fy - boundary.radius * boundary.radius;
+
   const discriminant = b * b - 4 * a * c;
-  
-  if (discriminant < 0) return null;
-  
+
+  if (discriminant < 0) return false;
+
   const sqrtDisc = Math.sqrt(discriminant);
-  const inv2a = 1 / (2 * a);
-  
-  // Two possible intersections
+  const inv2a = 0.5 / a;
+
+  // Two possible intersections (closer one first)
   const t1 = (-b - sqrtDisc) * inv2a;
   const t2 = (-b + sqrtDisc) * inv2a;
-  
-  // Check both intersections against arc range
-  const startAngle = boundary.startAngle;
-  const endAngle = boundary.endAngle;
-  
-  let closestT = Infinity;
-  let hitAngle = 0;
-  
-  for (const t of [t1, t2]) {
-    if (t > 0.001 && t < closestT) {
-      const hitX = rayPosX + rayDirX * t;
-      const hitY = rayPosY + rayDirY * t;
-      const angle = Math.atan2(hitY - cy, hitX - cx);
-      
-      // Check if angle is within arc
-      let normalizedAngle = angle;
-      while (normalizedAngle < startAngle) normalizedAngle += Math.PI * 2;
-      while (normalizedAngle > endAngle) normalizedAngle -= Math.PI * 2;
-      
-      if (normalizedAngle >= startAngle && normalizedAngle <= endAngle) {
-        closestT = t;
-        hitAngle = angle;
-      }
-    }
-  }
-  
-  if (closestT < Infinity) {
-    // Calculate texture X based on position along arc
-    const arcRange = endAngle - startAngle;
-    const textureX = (hitAngle - startAngle) / arcRange;
-    
-    return {
-      distance: closestT,
-      textureX: textureX < 0 ? textureX + 1 : textureX,
-      angle: hitAngle
-    };
-  }
-  
-  return null;
+
+  if (t1 > 0.001 && hitArc(rayPosX, rayPosY, rayDirX, rayDirY, boundary, t1)) return true;
+  if (t2 > 0.001 && Math.abs(t2 - t1) > 0.001 && hitArc(rayPosX, rayPosY, rayDirX, rayDirY, boundary, t2)) return true;
+
+  return false;
 }
 
 /**
- * Performs raycasting for a batch of rays
- * Uses SIMD-like processing by handling 4 rays at a time
+ * Fills `hit` if the circle intersection at t lies within the arc
  */
-function castRayBatch(rayData, boundaries, startIdx, batchSize = 4) {
-  const results = [];
-  
-  for (let i = 0; i < batchSize; i++) {
-    const rayIdx = startIdx + i;
-    if (rayIdx >= rayData.count) break;
-    
-    const posX = rayData.posX;
-    const posY = rayData.posY;
-    const dirX = rayData.directions[rayIdx * 2];
-    const dirY = rayData.directions[rayIdx * 2 + 1];
-    const cosCorrection = rayData.cosCache[rayIdx];
-    
+function hitArc(rayPosX, rayPosY, rayDirX, rayDirY, boundary, t) {
+  const hitX = rayPosX + rayDirX * t;
+  const hitY = rayPosY + rayDirY * t;
+  const angle = Math.atan2(hitY - boundary.centerY, hitX - boundary.centerX);
+
+  // Check if angle is within arc (with the same small tolerance)
+  let angleDist = normalizeAngle(angle) - boundary.normalizedStart;
+  if (angleDist < 0) angleDist += TWO_PI;
+  if (angleDist > boundary.arcRange + 0.001) return false;
+
+  hit.distance = t;
+  hit.pointX = hitX;
+  hit.pointY = hitY;
+  hit.angle = angle;
+  return true;
+}
+
+/**
+ * Performs raycasting for all rays into the result buffers
+ *
+ * Per ray: distances / boundaryIndices / hitData (pointX, pointY, angle) hold
+ * the closest full-height opaque wall, and extraCounts / extraHits (id,
+ * distance, pointX, pointY, angle) the partial-height and transparent walls
+ * in front of it. Distances are fisheye-corrected.
+ */
+function performRaycasting(rayData, buffers) {
+  const rayCount = rayData.count;
+  const maxExtra = config.maxExtraHits;
+  const posX = rayData.posX;
+  const posY = rayData.posY;
+  const { distances, boundaryIndices, hitData, extraCounts, extraHits } = buffers;
+
+  if (extraScratch.length < maxExtra * 5) {
+    extraScratch = new Float32Array(maxExtra * 5);
+  }
+
+  for (let i = 0; i < rayCount; i++) {
+    const dirX = rayData.directions[i * 2];
+    const dirY = rayData.directions[i * 2 + 1];
+    const cosCorrection = rayData.cosCache[i];
+
     let closestDist = Infinity;
-    let closestTextureX = 0;
     let closestBoundaryIdx = -1;
-    
+    let closestX = 0;
+    let closestY = 0;
+    let closestAngle = 0;
+    let extraFound = 0;
+
     // Get boundaries along this ray using spatial grid
-    const boundaryCount = spatialGrid.getBoundariesAlongRay(
-      posX, posY, dirX, dirY, 
+    const count = spatialGrid.getBoundariesAlongRay(
+      posX, posY, dirX, dirY,
       config.maxRenderDistance,
       rayResultArray, seenSet
     );
-    
+
     // Test each boundary
-    for (let j = 0; j < boundaryCount; j++) {
+    for (let j = 0; j < count; j++) {
       const boundary = rayResultArray[j];
-      
-      let result;
-      if (boundary.isCurved) {
-        result = castRayAgainstCurvedBoundary(posX, posY, dirX, dirY, boundary);
-      } else {
-        result = castRayAgainstBoundary(posX, posY, dirX, dirY, boundary);
-      }
-      
-      if (result && result.distance < closestDist) {
-        // Apply fisheye correction
-        const correctedDist = result.distance * cosCorrection;
-        if (correctedDist < closestDist) {
-          closestDist = correctedDist;
-          closestTextureX = result.textureX;
-          closestBoundaryIdx = boundary.id;
+
+      const isHit = boundary.isCurved
+        ? castRayAgainstCurvedBoundary(posX, posY, dirX, dirY, boundary)
+        : castRayAgainstBoundary(posX, posY, dirX, dirY, boundary);
+      if (!isHit) continue;
+
+      // Apply fisheye correction
+      const correctedDist = hit.distance * cosCorrection;
+
+      // Transparent and partial-height walls don't end the ray
+      if (boundary.isTransparent || boundary.isPartial) {
+        if (extraFound < maxExtra) {
+          const offset = extraFound * 5;
+          extraScratch[offset] = boundary.id;
+          extraScratch[offset + 1] = correctedDist;
+          extraScratch[offset + 2] = hit.pointX;
+          extraScratch[offset + 3] = hit.pointY;
+          extraScratch[offset + 4] = hit.angle;
+          extraFound++;
         }
+        continue;
+      }
+
+      if (correctedDist < closestDist) {
+        closestDist = correctedDist;
+        closestBoundaryIdx = boundary.id;
+        closestX = hit.pointX;
+        closestY = hit.pointY;
+        closestAngle = hit.angle;
       }
     }
-    
-    results.push({
-      distance: closestDist,
-      textureX: closestTextureX,
-      boundaryIndex: closestBoundaryIdx
-    });
+
+    distances[i] = closestDist;
+    boundaryIndices[i] = closestBoundaryIdx;
+    hitData[i * 3] = closestX;
+    hitData[i * 3 + 1] = closestY;
+    hitData[i * 3 + 2] = closestAngle;
+
+    // Keep only the extra hits in front of the closest full-height wall
+    let extraCount = 0;
+    const rayOffset = i * maxExtra * 5;
+    for (let k = 0; k < extraFound; k++) {
+      const offset = k * 5;
+      if (extraScratch[offset + 1] >= closestDist) continue;
+      extraHits.set(extraScratch.subarray(offset, offset + 5), rayOffset + extraCount * 5);
+      extraCount++;
+    }
+    extraCounts[i] = extraCount;
   }
-  
-  return results;
 }
 
 /**
- * Main raycasting function - processes all rays
+ * Converts a serialized boundary to a format suitable for worker processing
  */
-function performRaycasting(rayData) {
-  const rayCount = rayData.count;
-  
-  // Ensure output buffers are allocated
-  if (!distanceBuffer || distanceBuffer.length !== rayCount) {
-    distanceBuffer = new Float32Array(rayCount);
-    textureXBuffer = new Float32Array(rayCount);
-    boundaryIndexBuffer = new Int32Array(rayCount);
-  }
-  
-  // Process rays in batches of 4 (SIMD-like)
-  const BATCH_SIZE = 4;
-  
-  for (let i = 0; i < rayCount; i += BATCH_SIZE) {
-    const batchResults = castRayBatch(rayData, boundaryData, i, BATCH_SIZE);
-    
-    for (let j = 0; j < batchResults.length; j++) {
-      const idx = i + j;
-      distanceBuffer[idx] = batchResults[j].distance;
-      textureXBuffer[idx] = batchResults[j].textureX;
-      boundaryIndexBuffer[idx] = batchResults[j].boundaryIndex;
-    }
+function processBoundary(b) {
+  if (b.isCurved) {
+    return {
+      id: b.id,
+      isCurved: true,
+      centerX: b.centerX,
+      centerY: b.centerY,
+      radius: b.radius,
+      normalizedStart: b.normalizedStart,
+      arcRange: b.arcRange,
+      minX: b.minX,
+      maxX: b.maxX,
+      minY: b.minY,
+      maxY: b.maxY,
+      isTransparent: b.isTransparent,
+      isPartial: b.isPartial
+    };
+  } else {
+    return {
+      id: b.id,
+      isCurved: false,
+      ax: b.ax,
+      ay: b.ay,
+      bx: b.bx,
+      by: b.by,
+      minX: Math.min(b.ax, b.bx),
+      maxX: Math.max(b.ax, b.bx),
+      minY: Math.min(b.ay, b.by),
+      maxY: Math.max(b.ay, b.by),
+      isTransparent: b.isTransparent,
+      isPartial: b.isPartial
+    };
   }
-  
-  return {
-    distances: distanceBuffer,
-    textureXs: textureXBuffer,
-    boundaryIndices: boundaryIndexBuffer
-  };
 }
 
 /**
- * Converts boundary objects to a format suitable for worker processing
+ * Replaces all boundary data
  */
 function processBoundaryData(boundaries) {
-  boundaryData = boundaries.map((b, idx) => {
-    if (b.isCurved) {
-      return {
-        id: idx,
-        isCurved: true,
-        centerX: b.centerX,
-        centerY: b.centerY,
-        radius: b.radius,
-        startAngle: b.startAngle,
-        endAngle: b.endAngle,
-        minX: b.centerX - b.radius,
-        maxX: b.centerX + b.radius,
-        minY: b.centerY - b.radius,
-        maxY: b.centerY + b.radius,
-        isTransparent: b.isTransparent || false
-      };
-    } else {
-      return {
-        id: idx,
-        isCurved: false,
-        ax: b.a.x,
-        ay: b.a.y,
-        bx: b.b.x,
-        by: b.b.y,
-        minX: Math.min(b.a.x, b.b.x),
-        maxX: Math.max(b.a.x, b.b.x),
-        minY: Math.min(b.a.y, b.b.y),
-        maxY: Math.max(b.a.y, b.b.y),
-        isTransparent: b.isTransparent || false
-      };
-    }
-  });
-  
+  boundaryData = boundaries.map(processBoundary);
   boundaryCount = boundaryData.length;
+  rayResultArray = new Array(boundaryCount);
   spatialGrid.buildFromBoundaries(boundaryData);
 }
 
+/**
+ * Replaces the boundaries that moved, keeping the rest of the grid
+ */
+function moveBoundaryData(boundaries) {
+  for (let i = 0; i < boundaries.length; i++) {
+    const boundary = processBoundary(boundaries[i]);
+    spatialGrid.remove(boundary.id);
+    boundaryData[boundary.id] = boundary;
+    spatialGrid.insert(boundary);
+  }
+}
+
 // Message handler
 self.onmessage = function(e) {
   const { type, data } = e.data;
-  
+
   switch (type) {
     case 'init':
       config = { ...config, ...data };
+      spatialGrid = new WorkerSpatialGrid(config.cellSize);
       self.postMessage({ type: 'ready' });
       break;
-      
+
     case 'updateBoundaries':
       processBoundaryData(data.boundaries);
-      self.postMessage({ 
+      self.postMessage({
         type: 'boundariesUpdated',
         count: boundaryCount,
         gridStats: {
@@ -401,29 +444,36 @@ self.onmessage = function(e) {
         }
       });
       break;
-      
-    case 'cast':
-      const { rayData } = data;
+
+    case 'moveBoundaries':
+      moveBoundaryData(data.boundaries);
+      break;
+
+    case 'cast': {
+      const { rayData, buffers, frameId, generation } = data;
       const startTime = performance.now();
-      
-      const result = performRaycasting(rayData);
-      
+
+      performRaycasting(rayData, buffers);
+
       const castTime = performance.now() - startTime;
-      
-      // Transfer buffers for zero-copy performance
+
+      // Transfer buffers back for zero-copy performance
       self.postMessage({
         type: 'castResult',
-        distances: result.distances,
-        textureXs: result.textureXs,
-        boundaryIndices: result.boundaryIndices,
+        frameId,
+        generation,
+        buffers,
         castTime
       }, [
-        result.distances.buffer,
-        result.textureXs.buffer,
-        result.boundaryIndices.buffer
+        buffers.distances.buffer,
+        buffers.boundaryIndices.buffer,
+        buffers.hitData.buffer,
+        buffers.extraCounts.buffer,
+        buffers.extraHits.buffer
       ]);
       break;
-      
+    }
+
     case 'ping':
       self.postMessage({ type: 'pong', timestamp: performance.now() });
       break;